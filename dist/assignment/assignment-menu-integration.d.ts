@@ -0,0 +1,5 @@
+/**
+ * Teacher Assignments for Menu Page
+ * Loads an assignment file, locks the menu options it sets and starts the game
+ */
+export declare function initializeAssignmentMenuIntegration(): void;
@@ -0,0 +1,52 @@
+/**
+ * TypeScript type definitions for teacher assignments
+ */
+export type AssignmentMode = 'notes' | 'intervals' | 'rhythm' | 'ear';
+export type HandRole = 'none' | 'melody' | 'chords';
+/**
+ * Assignment file written by a teacher (JSON)
+ */
+export interface Assignment {
+    format: string;
+    version: number;
+    title: string;
+    clef: string;
+    notes: string[] | null;
+    ledgerLines: number;
+    keySignature: string;
+    accidentals: boolean;
+    mode: AssignmentMode;
+    intervalStyle?: 'harmonic' | 'melodic' | 'both';
+    timeSignature?: string;
+    tempo?: number;
+    pianoMode: {
+        leftHand: HandRole;
+        rightHand: HandRole;
+        strictMode: boolean;
+        hardMode: boolean;
+    } | null;
+    goal: {
+        correctNotes: number | null;
+        accuracy: number | null;
+    };
+    timeLimitSeconds: number | null;
+    seed: string | null;
+}
+/**
+ * Result of one attempt at an assignment, written by the game (localStorage 'noteGameAssignmentResults')
+ */
+export interface AssignmentRecord {
+    format: string;
+    assignment: string;
+    player: string | null;
+    startedAt: string;
+    finishedAt: string;
+    seconds: number;
+    correct: number;
+    attempts: number;
+    accuracy: number;
+    goal: Assignment['goal'];
+    timeLimitSeconds: number | null;
+    goalMet: boolean;
+    reason: 'goal' | 'time' | 'lives';
+}
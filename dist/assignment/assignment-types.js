@@ -0,0 +1,5 @@
+/**
+ * TypeScript type definitions for teacher assignments
+ */
+export {};
+//# sourceMappingURL=assignment-types.js.map
\ No newline at end of file
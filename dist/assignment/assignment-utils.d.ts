@@ -0,0 +1,40 @@
+/**
+ * Assignment Utility Functions
+ * Reads teacher assignment files and swaps the player's settings for the assignment's while it is loaded
+ */
+import { Assignment, AssignmentRecord } from './assignment-types.js';
+export declare const ASSIGNMENT_FORMAT = "stave-wars-assignment";
+export declare const ASSIGNMENT_VERSION = 1;
+export declare const ASSIGNMENT_RECORD_FORMAT = "stave-wars-assignment-record";
+export declare const ASSIGNMENT_STORAGE_KEY = "noteGameAssignment";
+export declare const ASSIGNMENT_SAVED_SETTINGS_KEY = "noteGameAssignmentSavedSettings";
+export declare const ASSIGNMENT_RECORDS_KEY = "noteGameAssignmentResults";
+/**
+ * Read an assignment file, filling in defaults. Throws with a message for the teacher if anything is wrong
+ */
+export declare function parseAssignment(text: string): Assignment;
+/**
+ * Menu settings (localStorage 'noteGameSettings') with the assignment's choices in place of the player's
+ */
+export declare function applyAssignmentToSettings(settings: Record<string, any>, assignment: Assignment): Record<string, any>;
+/**
+ * The loaded assignment, or null when playing freely
+ */
+export declare function loadActiveAssignment(): Assignment | null;
+/**
+ * Load an assignment: keep the player's settings aside and save the assignment's in their place,
+ * so the game and the MIDI integration pick them up like any other settings
+ */
+export declare function startAssignment(assignment: Assignment): void;
+/**
+ * Unload the assignment and give the player their own settings back
+ */
+export declare function leaveAssignment(): void;
+/**
+ * Completion records written by the game, oldest first
+ */
+export declare function loadAssignmentRecords(): AssignmentRecord[];
+/**
+ * One-line description of what an assignment asks for
+ */
+export declare function describeAssignment(assignment: Assignment): string;
@@ -0,0 +1,7 @@
+/**
+ * Backup and Restore for Menu Page
+ * Saves progress to a file and merges a saved file back in, so clearing the browser does not lose it
+ */
+export declare function exportBackup(): void;
+export declare function exportSessionsCsv(): void;
+export declare function initializeBackupMenuIntegration(): void;
@@ -0,0 +1,89 @@
+/**
+ * Backup and Restore for Menu Page
+ * Saves progress to a file and merges a saved file back in, so clearing the browser does not lose it
+ */
+import { createBackup, getSessionRows, importBackup, readStoredProgress, sessionsToCsv } from './backup-utils.js';
+/**
+ * Offer text as a file download
+ */
+function downloadFile(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+// Today's date for file names
+function getDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+}
+function showBackupStatus(message, isError = false) {
+    const status = document.getElementById('backupStatus');
+    if (status) {
+        status.textContent = message;
+        status.className = isError ? 'backup-status error' : 'backup-status';
+    }
+}
+function describeImport(result) {
+    const parts = [`${result.attemptsAdded} new answers`];
+    if (result.highScoresRaised > 0)
+        parts.push(`${result.highScoresRaised} high scores raised`);
+    if (result.settingsRestored)
+        parts.push('settings restored');
+    if (result.attemptsSkipped > 0)
+        parts.push(`${result.attemptsSkipped} damaged answers left out`);
+    return `Backup imported: ${parts.join(', ')}`;
+}
+export function exportBackup() {
+    const backup = createBackup(readStoredProgress());
+    downloadFile(`stave-wars-backup-${getDateStamp()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    showBackupStatus(`Backup saved with ${backup.data.attempts.length} answers`);
+}
+export function exportSessionsCsv() {
+    const rows = getSessionRows(readStoredProgress().attempts);
+    if (rows.length === 0) {
+        showBackupStatus('No games recorded yet', true);
+        return;
+    }
+    downloadFile(`stave-wars-games-${getDateStamp()}.csv`, sessionsToCsv(rows), 'text/csv');
+    showBackupStatus(`${rows.length} games exported`);
+}
+export function initializeBackupMenuIntegration() {
+    const exportButton = document.getElementById('exportBackupBtn');
+    if (exportButton) {
+        exportButton.addEventListener('click', exportBackup);
+    }
+    const csvButton = document.getElementById('exportCsvBtn');
+    if (csvButton) {
+        csvButton.addEventListener('click', exportSessionsCsv);
+    }
+    const fileInput = document.getElementById('importBackupInput');
+    if (fileInput) {
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file)
+                return;
+            try {
+                const result = importBackup(await file.text());
+                alert(describeImport(result));
+                // The menu and its modules keep settings and high scores in memory, so start them afresh
+                window.location.reload();
+            }
+            catch (error) {
+                showBackupStatus(error.message, true);
+            }
+            fileInput.value = ''; // Allow choosing the same file again
+        });
+    }
+}
+// Auto-initialize when script loads
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeBackupMenuIntegration);
+}
+else {
+    initializeBackupMenuIntegration();
+}
+//# sourceMappingURL=backup-menu-integration.js.map
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * TypeScript type definitions for progress backups
+ */
+import { Attempt } from '../stats/stats-types.js';
+/**
+ * Leitner history kept by adaptive practice (localStorage 'noteGameAdaptive')
+ */
+export interface AdaptiveNoteRecord {
+    box: number;
+    correct: number;
+    wrong: number;
+    averageMs: number | null;
+}
+export interface AdaptiveClefModel {
+    averageMs: number | null;
+    notes: Record<string, AdaptiveNoteRecord>;
+}
+export type AdaptiveModel = Record<string, AdaptiveClefModel>;
+/**
+ * Everything a player builds up, one field per localStorage key (null when the key is not set)
+ */
+export interface StoredProgress {
+    settings: Record<string, unknown> | null;
+    midiSettings: Record<string, unknown> | null;
+    pianoModeSettings: Record<string, unknown> | null;
+    highScores: Record<string, number> | null;
+    attempts: Attempt[];
+    adaptive: AdaptiveModel | null;
+}
+/**
+ * Backup file written by "Export backup"
+ */
+export interface BackupBundle {
+    format: string;
+    version: number;
+    exportedAt: string;
+    data: StoredProgress;
+}
+/**
+ * What importing a backup changed
+ */
+export interface ImportResult {
+    attemptsAdded: number;
+    attemptsSkipped: number;
+    highScoresRaised: number;
+    settingsRestored: boolean;
+}
+/**
+ * One row of the games CSV
+ */
+export interface SessionRow {
+    session: number;
+    modes: string[];
+    clefs: string[];
+    attempts: number;
+    correct: number;
+    accuracy: number;
+    averageReactionMs: number | null;
+}
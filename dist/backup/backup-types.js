@@ -0,0 +1,5 @@
+/**
+ * TypeScript type definitions for progress backups
+ */
+export {};
+//# sourceMappingURL=backup-types.js.map
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Backup Utility Functions
+ * Collects settings, high scores and answer history into a versioned JSON bundle and merges one back in
+ */
+import { Attempt } from '../stats/stats-types.js';
+import { BackupBundle, ImportResult, SessionRow, StoredProgress } from './backup-types.js';
+export declare const BACKUP_FORMAT = "stave-wars-backup";
+export declare const BACKUP_VERSION = 1;
+export declare const MAX_STORED_ATTEMPTS = 3000;
+export declare const STORAGE_KEYS: Record<keyof StoredProgress, string>;
+/**
+ * Read the player's progress from localStorage
+ */
+export declare function readStoredProgress(): StoredProgress;
+/**
+ * Write progress back to localStorage (keys that are null are left alone)
+ */
+export declare function writeStoredProgress(progress: StoredProgress): void;
+/**
+ * Wrap progress in a backup bundle
+ */
+export declare function createBackup(progress: StoredProgress, exportedAt?: Date): BackupBundle;
+/**
+ * Check a parsed backup file and drop anything malformed in it.
+ * Throws if it is not a backup at all or was written by a newer version of the game
+ */
+export declare function validateBackup(value: unknown): {
+    backup: BackupBundle;
+    attemptsSkipped: number;
+};
+/**
+ * Merge a validated backup into the current progress: the backup's settings win, high scores keep
+ * the best of both and answers from both histories are kept (newest MAX_STORED_ATTEMPTS)
+ */
+export declare function mergeBackup(current: StoredProgress, backup: BackupBundle): {
+    progress: StoredProgress;
+    result: Omit<ImportResult, 'attemptsSkipped'>;
+};
+/**
+ * Read a backup file's text, merge it into localStorage and report what changed
+ */
+export declare function importBackup(text: string): ImportResult;
+/**
+ * Totals per game, oldest first
+ */
+export declare function getSessionRows(attempts: Attempt[]): SessionRow[];
+export declare function formatDateTime(time: number): string;
+/**
+ * One line per game, for opening results in a spreadsheet
+ */
+export declare function sessionsToCsv(rows: SessionRow[]): string;
@@ -0,0 +1,283 @@
+/**
+ * Backup Utility Functions
+ * Collects settings, high scores and answer history into a versioned JSON bundle and merges one back in
+ */
+import { ATTEMPTS_STORAGE_KEY, summarizeAttempts } from '../stats/stats-utils.js';
+export const BACKUP_FORMAT = 'stave-wars-backup';
+export const BACKUP_VERSION = 1;
+// Matches MAX_STORED_ATTEMPTS in script.js
+export const MAX_STORED_ATTEMPTS = 3000;
+// localStorage key of each part of the progress
+export const STORAGE_KEYS = {
+    settings: 'noteGameSettings',
+    midiSettings: 'noteGameMidiSettings',
+    pianoModeSettings: 'pianoModeSettings',
+    highScores: 'noteGameHighScores',
+    attempts: ATTEMPTS_STORAGE_KEY,
+    adaptive: 'noteGameAdaptive'
+};
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+function readJson(key) {
+    const saved = localStorage.getItem(key);
+    if (!saved)
+        return null;
+    try {
+        return JSON.parse(saved);
+    }
+    catch (e) {
+        console.warn(`Could not read ${key}:`, e);
+        return null;
+    }
+}
+/**
+ * Read the player's progress from localStorage
+ */
+export function readStoredProgress() {
+    const attempts = readJson(STORAGE_KEYS.attempts);
+    return {
+        settings: readJson(STORAGE_KEYS.settings),
+        midiSettings: readJson(STORAGE_KEYS.midiSettings),
+        pianoModeSettings: readJson(STORAGE_KEYS.pianoModeSettings),
+        highScores: readJson(STORAGE_KEYS.highScores),
+        attempts: Array.isArray(attempts) ? attempts : [],
+        adaptive: readJson(STORAGE_KEYS.adaptive)
+    };
+}
+/**
+ * Write progress back to localStorage (keys that are null are left alone)
+ */
+export function writeStoredProgress(progress) {
+    Object.keys(STORAGE_KEYS).forEach(part => {
+        if (progress[part] !== null) {
+            localStorage.setItem(STORAGE_KEYS[part], JSON.stringify(progress[part]));
+        }
+    });
+}
+/**
+ * Wrap progress in a backup bundle
+ */
+export function createBackup(progress, exportedAt = new Date()) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        data: progress
+    };
+}
+// Fill in optional fields of a logged answer, or null if it is not one
+function normalizeAttempt(value) {
+    if (!isPlainObject(value))
+        return null;
+    const nullableNumber = (field) => field === undefined || field === null || typeof field === 'number';
+    const nullableString = (field) => field === undefined || field === null || typeof field === 'string';
+    if (typeof value.time !== 'number' || typeof value.session !== 'number' ||
+        typeof value.clef !== 'string' || typeof value.target !== 'string' ||
+        typeof value.correct !== 'boolean' || (value.type !== 'note' && value.type !== 'interval') ||
+        !nullableString(value.pressed) || !nullableNumber(value.pressedOctave) || !nullableNumber(value.reactionMs)) {
+        return null;
+    }
+    return {
+        time: value.time,
+        session: value.session,
+        mode: typeof value.mode === 'string' ? value.mode : 'notes',
+        type: value.type,
+        clef: value.clef,
+        target: value.target,
+        pressed: value.pressed ?? null,
+        pressedOctave: value.pressedOctave ?? null,
+        correct: value.correct,
+        reactionMs: value.reactionMs ?? null,
+        hand: value.hand === 'left' || value.hand === 'right' ? value.hand : null
+    };
+}
+/**
+ * Check a parsed backup file and drop anything malformed in it.
+ * Throws if it is not a backup at all or was written by a newer version of the game
+ */
+export function validateBackup(value) {
+    if (!isPlainObject(value) || value.format !== BACKUP_FORMAT || !isPlainObject(value.data)) {
+        throw new Error('This file is not a Stave Wars backup');
+    }
+    if (typeof value.version !== 'number' || value.version < 1) {
+        throw new Error('This backup has no valid version number');
+    }
+    if (value.version > BACKUP_VERSION) {
+        throw new Error('This backup was made by a newer version of the game');
+    }
+    const data = value.data;
+    const objectOrNull = (field) => isPlainObject(field) ? field : null;
+    let highScores = null;
+    if (isPlainObject(data.highScores)) {
+        highScores = {};
+        Object.entries(data.highScores).forEach(([clef, score]) => {
+            if (typeof score === 'number' && Number.isFinite(score) && score >= 0) {
+                highScores[clef] = score;
+            }
+        });
+    }
+    let adaptive = null;
+    if (isPlainObject(data.adaptive)) {
+        adaptive = {};
+        Object.entries(data.adaptive).forEach(([clef, clefModel]) => {
+            if (isPlainObject(clefModel) && isPlainObject(clefModel.notes)) {
+                adaptive[clef] = clefModel;
+            }
+        });
+    }
+    const rawAttempts = Array.isArray(data.attempts) ? data.attempts : [];
+    const attempts = rawAttempts.map(normalizeAttempt).filter((attempt) => attempt !== null);
+    return {
+        backup: {
+            format: BACKUP_FORMAT,
+            version: value.version,
+            exportedAt: typeof value.exportedAt === 'string' ? value.exportedAt : '',
+            data: {
+                settings: objectOrNull(data.settings),
+                midiSettings: objectOrNull(data.midiSettings),
+                pianoModeSettings: objectOrNull(data.pianoModeSettings),
+                highScores: highScores,
+                attempts: attempts,
+                adaptive: adaptive
+            }
+        },
+        attemptsSkipped: rawAttempts.length - attempts.length
+    };
+}
+// Same answer logged on two devices or imported twice
+function attemptKey(attempt) {
+    return `${attempt.time}|${attempt.session}|${attempt.type}|${attempt.target}`;
+}
+// Keep whichever history of each note has more answers behind it
+function mergeAdaptiveModels(current, imported) {
+    if (!imported)
+        return current;
+    if (!current)
+        return imported;
+    const merged = { ...current };
+    Object.entries(imported).forEach(([clef, importedClef]) => {
+        const currentClef = merged[clef];
+        if (!currentClef) {
+            merged[clef] = importedClef;
+            return;
+        }
+        const notes = { ...currentClef.notes };
+        Object.entries(importedClef.notes).forEach(([note, record]) => {
+            const existing = notes[note];
+            if (!existing || record.correct + record.wrong > existing.correct + existing.wrong) {
+                notes[note] = record;
+            }
+        });
+        merged[clef] = { averageMs: currentClef.averageMs ?? importedClef.averageMs, notes: notes };
+    });
+    return merged;
+}
+/**
+ * Merge a validated backup into the current progress: the backup's settings win, high scores keep
+ * the best of both and answers from both histories are kept (newest MAX_STORED_ATTEMPTS)
+ */
+export function mergeBackup(current, backup) {
+    const imported = backup.data;
+    let highScoresRaised = 0;
+    let highScores = current.highScores;
+    if (imported.highScores) {
+        highScores = { ...current.highScores };
+        Object.entries(imported.highScores).forEach(([clef, score]) => {
+            if (score > (highScores[clef] || 0)) {
+                highScores[clef] = score;
+                highScoresRaised++;
+            }
+        });
+    }
+    const seen = new Set(current.attempts.map(attemptKey));
+    const newAttempts = imported.attempts.filter(attempt => {
+        const key = attemptKey(attempt);
+        if (seen.has(key))
+            return false;
+        seen.add(key);
+        return true;
+    });
+    const attempts = [...current.attempts, ...newAttempts]
+        .sort((a, b) => a.time - b.time)
+        .slice(-MAX_STORED_ATTEMPTS);
+    const kept = new Set(attempts);
+    const mergeSettings = (currentSettings, importedSettings) => importedSettings ? { ...currentSettings, ...importedSettings } : currentSettings;
+    return {
+        progress: {
+            settings: mergeSettings(current.settings, imported.settings),
+            midiSettings: mergeSettings(current.midiSettings, imported.midiSettings),
+            pianoModeSettings: mergeSettings(current.pianoModeSettings, imported.pianoModeSettings),
+            highScores: highScores,
+            attempts: attempts,
+            adaptive: mergeAdaptiveModels(current.adaptive, imported.adaptive)
+        },
+        result: {
+            attemptsAdded: newAttempts.filter(attempt => kept.has(attempt)).length,
+            highScoresRaised: highScoresRaised,
+            settingsRestored: imported.settings !== null || imported.midiSettings !== null || imported.pianoModeSettings !== null
+        }
+    };
+}
+/**
+ * Read a backup file's text, merge it into localStorage and report what changed
+ */
+export function importBackup(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    }
+    catch (e) {
+        throw new Error('This file is not a Stave Wars backup');
+    }
+    const { backup, attemptsSkipped } = validateBackup(parsed);
+    const { progress, result } = mergeBackup(readStoredProgress(), backup);
+    writeStoredProgress(progress);
+    return { ...result, attemptsSkipped: attemptsSkipped };
+}
+/**
+ * Totals per game, oldest first
+ */
+export function getSessionRows(attempts) {
+    const bySession = new Map();
+    attempts.forEach(attempt => {
+        const sessionAttempts = bySession.get(attempt.session) || [];
+        sessionAttempts.push(attempt);
+        bySession.set(attempt.session, sessionAttempts);
+    });
+    return [...bySession.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([session, sessionAttempts]) => ({
+        session: session,
+        modes: [...new Set(sessionAttempts.map(attempt => attempt.mode))],
+        clefs: [...new Set(sessionAttempts.map(attempt => attempt.clef))],
+        ...summarizeAttempts(sessionAttempts)
+    }));
+}
+// Local 'YYYY-MM-DD HH:MM', which spreadsheets read as a date
+export function formatDateTime(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+/**
+ * One line per game, for opening results in a spreadsheet
+ */
+export function sessionsToCsv(rows) {
+    const header = ['Game started', 'Modes', 'Clefs', 'Answers', 'Correct', 'Accuracy (%)', 'Average reaction (ms)'];
+    const lines = rows.map(row => [
+        formatDateTime(row.session),
+        row.modes.join(' + '),
+        row.clefs.join(' + '),
+        row.attempts,
+        row.correct,
+        Math.round(row.accuracy * 100),
+        row.averageReactionMs === null ? '' : row.averageReactionMs
+    ].map(csvField).join(','));
+    return [header.map(csvField).join(','), ...lines].join('\r\n') + '\r\n';
+}
+//# sourceMappingURL=backup-utils.js.map
\ No newline at end of file
@@ -0,0 +1,9 @@
+/**
+ * Daily Challenge Menu Integration
+ * Shows today's challenge with its leaderboard and starts the game on it
+ */
+/**
+ * Fill the daily challenge window for today
+ */
+export declare function renderDailyChallenge(): void;
+export declare function initializeChallengeMenuIntegration(): void;
@@ -0,0 +1,68 @@
+/**
+ * Daily Challenge Menu Integration
+ * Shows today's challenge with its leaderboard and starts the game on it
+ */
+import { getDailyChallenge, getChallengeUrl, describeChallenge, loadDailyScores, getLeaderboard } from './challenge-utils.js';
+function renderLeaderboard(container, date) {
+    const leaderboard = getLeaderboard(loadDailyScores(), date);
+    container.innerHTML = '';
+    if (leaderboard.length === 0) {
+        container.textContent = 'Nobody has played today\'s challenge on this device yet';
+        return;
+    }
+    const table = document.createElement('table');
+    table.className = 'stats-hands';
+    const header = table.insertRow();
+    ['#', 'Player', 'Score', 'Level', 'Notes', 'Games'].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    leaderboard.forEach((entry, index) => {
+        const row = table.insertRow();
+        [String(index + 1), `${entry.avatar} ${entry.player}`.trim(), String(entry.score), String(entry.level),
+            String(entry.notesDestroyed), String(entry.games)].forEach(text => {
+            row.insertCell().textContent = text;
+        });
+    });
+    container.appendChild(table);
+}
+/**
+ * Fill the daily challenge window for today
+ */
+export function renderDailyChallenge() {
+    const challenge = getDailyChallenge(new Date());
+    const info = document.getElementById('dailyChallengeInfo');
+    if (info) {
+        info.textContent = `${challenge.date}: ${describeChallenge(challenge)}. Everyone gets the same notes today.`;
+    }
+    const container = document.getElementById('dailyLeaderboard');
+    if (container) {
+        renderLeaderboard(container, challenge.date);
+    }
+}
+export function initializeChallengeMenuIntegration() {
+    const challengeButton = document.getElementById('dailyChallengeBtn');
+    const challengeModal = document.getElementById('dailyChallengeModal');
+    if (challengeButton && challengeModal) {
+        challengeButton.addEventListener('click', () => {
+            renderDailyChallenge();
+            challengeModal.style.display = 'block';
+        });
+    }
+    const playButton = document.getElementById('playDailyChallengeBtn');
+    if (playButton) {
+        playButton.addEventListener('click', () => {
+            // Worked out again in case the menu was left open past midnight
+            window.location.href = getChallengeUrl(getDailyChallenge(new Date()));
+        });
+    }
+}
+// Auto-initialize when script loads
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeChallengeMenuIntegration);
+}
+else {
+    initializeChallengeMenuIntegration();
+}
+//# sourceMappingURL=challenge-menu-integration.js.map
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * TypeScript type definitions for the daily challenge
+ */
+/**
+ * Settings of one day's challenge; the seed 'daily-' + date makes the notes the same for everyone
+ */
+export interface DailyChallenge {
+    date: string;
+    clef: string;
+    ledgerLines: number;
+}
+/**
+ * One finished challenge game, as saved by script.js (localStorage 'noteGameDailyScores')
+ */
+export interface DailyScore {
+    date: string;
+    player: string;
+    avatar: string;
+    score: number;
+    level: number;
+    notesDestroyed: number;
+    finishedAt: string;
+}
+/**
+ * A player's best game of the day
+ */
+export interface LeaderboardEntry extends DailyScore {
+    games: number;
+}
@@ -0,0 +1,5 @@
+/**
+ * TypeScript type definitions for the daily challenge
+ */
+export {};
+//# sourceMappingURL=challenge-types.js.map
\ No newline at end of file
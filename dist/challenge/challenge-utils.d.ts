@@ -0,0 +1,21 @@
+/**
+ * Daily Challenge Utility Functions
+ * Works out each day's challenge and ranks the games played on it
+ */
+import { DailyChallenge, DailyScore, LeaderboardEntry } from './challenge-types.js';
+export declare const DAILY_SCORES_KEY = "noteGameDailyScores";
+/**
+ * 'YYYY-MM-DD' in local time, so the challenge changes at the player's midnight
+ */
+export declare function getDateKey(date: Date): string;
+export declare function getDailyChallenge(date: Date): DailyChallenge;
+/**
+ * Game address carrying the challenge (read by loadDailyChallenge in script.js)
+ */
+export declare function getChallengeUrl(challenge: DailyChallenge): string;
+export declare function describeChallenge(challenge: DailyChallenge): string;
+export declare function loadDailyScores(): DailyScore[];
+/**
+ * Best game per player on the date, highest score first (the earlier game wins a tie)
+ */
+export declare function getLeaderboard(scores: DailyScore[], date: string, limit?: number): LeaderboardEntry[];
@@ -0,0 +1,13 @@
+/**
+ * Game Engine Integration for Note Reading Game
+ * Gives script.js the game rules: it creates a GameEngine for each game and reads the rule values
+ * it draws with (held note lengths, interval spacing) from gameRules
+ */
+import { GameEngine } from './game-engine.js';
+import * as engineUtils from './engine-utils.js';
+declare global {
+    interface Window {
+        GameEngine: typeof GameEngine;
+        gameRules: typeof engineUtils;
+    }
+}
@@ -0,0 +1,10 @@
+/**
+ * Game Engine Integration for Note Reading Game
+ * Gives script.js the game rules: it creates a GameEngine for each game and reads the rule values
+ * it draws with (held note lengths, interval spacing) from gameRules
+ */
+import { GameEngine } from './game-engine.js';
+import * as engineUtils from './engine-utils.js';
+window.GameEngine = GameEngine;
+window.gameRules = engineUtils;
+//# sourceMappingURL=engine-integration.js.map
\ No newline at end of file
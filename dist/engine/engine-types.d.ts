@@ -0,0 +1,132 @@
+/**
+ * TypeScript type definitions for the headless game engine
+ */
+/**
+ * A note to put on the staff: a scientific name such as 'F#4' on the engine's clef, or on a given clef
+ * (needed on the grand staff, where each note belongs to the treble or bass clef). Any other fields of
+ * the object, such as the accidental script.js draws, are kept on the moving note
+ */
+export type EngineNoteSpec = string | {
+    scientific: string;
+    clef: string;
+    [field: string]: unknown;
+};
+/**
+ * What the note picker returns for one spawn: a note, a chord, or null to spawn nothing this time
+ */
+export type EngineNoteChoice = EngineNoteSpec | EngineNoteSpec[] | null;
+export type HandRole = 'none' | 'melody' | 'chords';
+/**
+ * Piano Mode settings that change the rules (matches pianoModeSettings in script.js)
+ */
+export interface EnginePianoMode {
+    leftHand: HandRole;
+    rightHand: HandRole;
+    strictMode: boolean;
+    hardMode: boolean;
+}
+export type IntervalStyle = 'harmonic' | 'melodic' | 'both';
+export interface GameEngineOptions {
+    clef?: string;
+    pianoMode?: EnginePianoMode | null;
+    notes?: string[];
+    pickNote?: (random: () => number) => EngineNoteChoice;
+    clock?: () => number;
+    random?: () => number;
+    spawnX?: number | ((clef: string) => number);
+    collisionX?: number | ((clef: string) => number);
+    intervals?: IntervalStyle | null;
+    earTraining?: boolean;
+    dynamics?: boolean;
+    heldNotes?: boolean;
+}
+/**
+ * A note moving across the staff
+ */
+export interface EngineNote {
+    id: number;
+    note: string;
+    scientific: string;
+    octave: number;
+    midi: number;
+    clef: string;
+    staffPosition: number;
+    x: number;
+    previousX: number;
+    speed: number;
+    spawnTime: number;
+    isChord: boolean;
+    chordId: number | null;
+    hidden: boolean;
+    interval: EngineInterval | null;
+    dynamic: string | null;
+    velocityBand: [number, number] | null;
+    showDynamic: boolean;
+    duration: string | null;
+    holdMs: number | null;
+    holdStart: number | null;
+    heldInput: HeldInput | null;
+    [field: string]: unknown;
+}
+export interface EngineInterval {
+    number: number;
+    quality: string;
+}
+export interface HeldInput {
+    note: string;
+    octave: number | null;
+    hasKeyUp: boolean;
+}
+export type HoldTiming = 'inTime' | 'early' | 'late';
+/**
+ * The right key at the wrong dynamic; tooLoud is null for input without a velocity
+ */
+export interface DynamicMiss {
+    marking: string;
+    tooLoud: boolean | null;
+}
+/**
+ * A right answer: the note name (and octave, for played notes) or interval that gave it, and its points
+ */
+export interface EngineAnswer {
+    note: string | null;
+    octave: number | null;
+    interval: {
+        number: number;
+        quality: string | null;
+    } | null;
+    points: number;
+    hold: HoldTiming | null;
+}
+/**
+ * A wrong answer, with the notes of the destroyed chord that had already been found
+ */
+export interface EngineMistake {
+    note: string | null;
+    octave: number | null;
+    interval: {
+        number: number;
+        quality: string | null;
+    } | null;
+    dynamicMiss: DynamicMiss | null;
+    foundNotes: string[];
+}
+/**
+ * Chord notes found so far, started by the first one
+ */
+export interface ChordProgress {
+    pressedNotes: Set<string>;
+    firstPressTime: number;
+}
+export type InputResult = 'correct' | 'chordProgress' | 'held' | 'wrong' | 'ignored';
+export interface GameEngineEvents {
+    'spawn': (notes: EngineNote[]) => void;
+    'correct': (notes: EngineNote[], answer: EngineAnswer) => void;
+    'chordProgress': (chordId: number, pressed: number, total: number) => void;
+    'hold': (note: EngineNote) => void;
+    'wrong': (destroyed: EngineNote[], lifeLost: boolean, mistake: EngineMistake) => void;
+    'miss': (note: EngineNote) => void;
+    'levelUp': (level: number, bonusLife: boolean) => void;
+    'lifeGained': (lives: number) => void;
+    'gameOver': (score: number, level: number, notesDestroyed: number) => void;
+}
@@ -0,0 +1,5 @@
+/**
+ * TypeScript type definitions for the headless game engine
+ */
+export {};
+//# sourceMappingURL=engine-types.js.map
\ No newline at end of file
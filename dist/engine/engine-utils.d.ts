@@ -0,0 +1,65 @@
+/**
+ * Game Engine Utility Functions
+ * Note speeds, spawn rates, note matching and the values behind the game's modes
+ */
+export declare const NOTE_SPEEDS: number[];
+export declare const NOTE_SPEED_STEP = 24;
+export declare const NOTE_SPAWN_RATES: number[];
+export declare const NOTE_SPAWN_RATE_STEP = 50;
+export declare const MIN_NOTE_SPAWN_RATE = 800;
+export declare const SIMULATION_STEP_MS: number;
+export declare const MAX_FRAME_MS = 250;
+export declare const STARTING_LIVES = 3;
+export declare const MAX_LIVES = 3;
+export declare const CORRECT_ANSWERS_PER_LEVEL = 10;
+export declare const BONUS_LIFE_LEVELS: number[];
+export declare const CHORD_GRACE_MS = 300;
+export declare const CHORD_PROGRESS_MAX_AGE_MS = 5000;
+export declare const WRONG_NOTE_WINDOW_MS = 150;
+export declare const CHORD_TRANSITION_DELAY_MS = 150;
+export declare const INTERVAL_SEQUENCE_SPACING = 50;
+export declare const DYNAMIC_CENTERS: Record<string, number>;
+export declare const DYNAMICS_BY_LEVEL: string[][];
+export declare const HELD_NOTE_BEATS: Record<string, number>;
+export declare const HELD_VALUES_BY_LEVEL: string[][];
+export declare const HELD_NOTE_BEAT_MS = 500;
+export declare const HELD_NOTE_TOLERANCE = 0.2;
+export declare const HELD_NOTE_LATE_LIMIT = 1.5;
+export declare const HELD_NOTE_POINTS = 2;
+export declare function getNoteSpeed(level: number): number;
+export declare function getNoteSpawnRate(level: number): number;
+export declare function getDynamicsInPlay(level: number): string[];
+/**
+ * Velocities (1-127) that answer a marking: up to halfway to the centers of the markings on each side
+ */
+export declare function getVelocityBand(marking: string, markings: string[]): [number, number];
+export declare function getHeldValuesInPlay(level: number): string[];
+/**
+ * Interval from a lower note to an upper one, given the staff steps and semitones between them, e.g.
+ * (2, 3) is a minor 3rd; null for unisons, compound intervals and doubly altered ones
+ */
+export declare function getInterval(steps: number, semitones: number): {
+    number: number;
+    quality: string;
+} | null;
+/**
+ * Pitch class (0-11) of a note name such as 'C', 'F#', 'Bb' or 'E♭'
+ */
+export declare function getPitchClass(noteName: string): number;
+/**
+ * MIDI number, name and staff position of a scientific note name on a clef, or null if it is not one
+ */
+export declare function describeNote(scientific: string, clef: string): {
+    note: string;
+    octave: number;
+    midi: number;
+    staffPosition: number;
+} | null;
+/**
+ * Whether an input note name is the same pitch class as a note (enharmonics match: F# answers Gb)
+ */
+export declare function noteMatchesInput(midi: number, userNote: string): boolean;
+/**
+ * Octave a note actually sounds in (differs from the written octave for B# and Cb)
+ */
+export declare function getSoundingOctave(midi: number): number;
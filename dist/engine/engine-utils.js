@@ -0,0 +1,127 @@
+/**
+ * Game Engine Utility Functions
+ * Note speeds, spawn rates, note matching and the values behind the game's modes
+ */
+import { getStaffPosition, parseNoteName } from '../stats/stats-utils.js';
+// Note speed in pixels per second for levels 1-4; each later level adds NOTE_SPEED_STEP
+export const NOTE_SPEEDS = [48, 84, 108, 132];
+export const NOTE_SPEED_STEP = 24;
+// Milliseconds between notes for levels 1-4; each later level takes off NOTE_SPAWN_RATE_STEP,
+// down to MIN_NOTE_SPAWN_RATE
+export const NOTE_SPAWN_RATES = [2200, 1600, 1400, 1200];
+export const NOTE_SPAWN_RATE_STEP = 50;
+export const MIN_NOTE_SPAWN_RATE = 800;
+export const SIMULATION_STEP_MS = 1000 / 60;
+export const MAX_FRAME_MS = 250;
+export const STARTING_LIVES = 3;
+export const MAX_LIVES = 3;
+export const CORRECT_ANSWERS_PER_LEVEL = 10;
+export const BONUS_LIFE_LEVELS = [4, 8];
+export const CHORD_GRACE_MS = 300; // Chord notes found within this count as played together
+export const CHORD_PROGRESS_MAX_AGE_MS = 5000;
+export const WRONG_NOTE_WINDOW_MS = 150; // Further wrong notes in a chord within this cost no life
+export const CHORD_TRANSITION_DELAY_MS = 150; // Pause before the note after a chord
+// Interval mode: the two notes of a melodic interval are this many pixels apart, to be read in sequence
+export const INTERVAL_SEQUENCE_SPACING = 50;
+const INTERVAL_SEMITONES = { 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11, 8: 12 };
+const PERFECT_INTERVALS = [4, 5, 8];
+// Dynamics mode: each note carries a marking, and a key played on MIDI only answers it at a velocity
+// in the marking's band. Levels bring in more markings (DYNAMICS_BY_LEVEL, then all of them); a band
+// is the velocities nearer the marking's center than any other marking in play
+export const DYNAMIC_CENTERS = { pp: 16, p: 36, mp: 56, mf: 76, f: 96, ff: 116 };
+export const DYNAMICS_BY_LEVEL = [['p', 'f'], ['p', 'f'], ['p', 'mf', 'f'], ['pp', 'p', 'mf', 'f', 'ff']];
+// Held notes: single notes last a number of beats (HELD_NOTE_BEAT_MS each) and are scored on how long
+// their key is held: within HELD_NOTE_TOLERANCE of the length scores HELD_NOTE_POINTS, earlier or later
+// scores 1, and a key still down at HELD_NOTE_LATE_LIMIT times the length lets go by itself. Levels
+// bring in longer values (HELD_VALUES_BY_LEVEL, then all of them)
+export const HELD_NOTE_BEATS = { half: 2, whole: 4, tied: 6 }; // Tied: a whole and a half
+export const HELD_VALUES_BY_LEVEL = [['half', 'whole'], ['half', 'whole']];
+export const HELD_NOTE_BEAT_MS = 500;
+export const HELD_NOTE_TOLERANCE = 0.2;
+export const HELD_NOTE_LATE_LIMIT = 1.5;
+export const HELD_NOTE_POINTS = 2;
+const SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+export function getNoteSpeed(level) {
+    if (level <= NOTE_SPEEDS.length) {
+        return NOTE_SPEEDS[level - 1];
+    }
+    return NOTE_SPEEDS[NOTE_SPEEDS.length - 1] + (level - NOTE_SPEEDS.length) * NOTE_SPEED_STEP;
+}
+export function getNoteSpawnRate(level) {
+    if (level <= NOTE_SPAWN_RATES.length) {
+        return NOTE_SPAWN_RATES[level - 1];
+    }
+    const rate = NOTE_SPAWN_RATES[NOTE_SPAWN_RATES.length - 1] - (level - NOTE_SPAWN_RATES.length) * NOTE_SPAWN_RATE_STEP;
+    return Math.max(MIN_NOTE_SPAWN_RATE, rate);
+}
+export function getDynamicsInPlay(level) {
+    return level <= DYNAMICS_BY_LEVEL.length ? DYNAMICS_BY_LEVEL[level - 1] : Object.keys(DYNAMIC_CENTERS);
+}
+/**
+ * Velocities (1-127) that answer a marking: up to halfway to the centers of the markings on each side
+ */
+export function getVelocityBand(marking, markings) {
+    const index = markings.indexOf(marking);
+    const center = DYNAMIC_CENTERS[marking];
+    const low = index > 0 ? Math.floor((DYNAMIC_CENTERS[markings[index - 1]] + center) / 2) + 1 : 1;
+    const high = index < markings.length - 1 ? Math.floor((center + DYNAMIC_CENTERS[markings[index + 1]]) / 2) : 127;
+    return [low, high];
+}
+export function getHeldValuesInPlay(level) {
+    return HELD_VALUES_BY_LEVEL[level - 1] || Object.keys(HELD_NOTE_BEATS);
+}
+/**
+ * Interval from a lower note to an upper one, given the staff steps and semitones between them, e.g.
+ * (2, 3) is a minor 3rd; null for unisons, compound intervals and doubly altered ones
+ */
+export function getInterval(steps, semitones) {
+    const number = steps + 1;
+    if (!INTERVAL_SEMITONES[number])
+        return null;
+    const qualities = PERFECT_INTERVALS.includes(number)
+        ? { [-1]: 'd', 0: 'P', 1: 'A' }
+        : { [-2]: 'd', [-1]: 'm', 0: 'M', 1: 'A' };
+    const quality = qualities[semitones - INTERVAL_SEMITONES[number]];
+    return quality ? { number: number, quality: quality } : null;
+}
+/**
+ * Pitch class (0-11) of a note name such as 'C', 'F#', 'Bb' or 'E♭'
+ */
+export function getPitchClass(noteName) {
+    let pitchClass = SEMITONES[noteName.charAt(0).toUpperCase()];
+    for (const symbol of noteName.slice(1)) {
+        if (symbol === '#' || symbol === '♯')
+            pitchClass++;
+        if (symbol === 'b' || symbol === '♭')
+            pitchClass--;
+    }
+    return (pitchClass + 12) % 12;
+}
+/**
+ * MIDI number, name and staff position of a scientific note name on a clef, or null if it is not one
+ */
+export function describeNote(scientific, clef) {
+    const parsed = parseNoteName(scientific);
+    const staffPosition = getStaffPosition(scientific, clef);
+    if (!parsed || parsed.octave === null || staffPosition === null)
+        return null;
+    return {
+        note: scientific.replace(/-?\d+$/, ''),
+        octave: parsed.octave,
+        midi: (parsed.octave + 1) * 12 + SEMITONES[parsed.letter] + parsed.alter,
+        staffPosition: staffPosition
+    };
+}
+/**
+ * Whether an input note name is the same pitch class as a note (enharmonics match: F# answers Gb)
+ */
+export function noteMatchesInput(midi, userNote) {
+    return midi % 12 === getPitchClass(userNote);
+}
+/**
+ * Octave a note actually sounds in (differs from the written octave for B# and Cb)
+ */
+export function getSoundingOctave(midi) {
+    return Math.floor(midi / 12) - 1;
+}
+//# sourceMappingURL=engine-utils.js.map
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * Headless Game Engine for Note Reading Game
+ * The note-reading rules without the canvas, sounds or page: notes move towards the collision line in
+ * fixed time steps, and each input destroys or misses the leftmost note. script.js creates one engine
+ * per game (dist/engine/engine-integration.js puts it on window), drives it with tick() and input(),
+ * and draws and plays what its events report
+ *
+ * Features:
+ * - Injectable clock and random number generator, so a game can be simulated step by step
+ * - Chords with a grace period, and a forgiveness window for wrong notes in chords
+ * - Piano Mode hand scores, strict octaves and hard mode clef targeting
+ * - Intervals, ear training, dynamics and held notes
+ * - Levels every 10 correct answers with faster notes, and bonus lives at levels 4 and 8
+ * - Event-based architecture matching the MIDI and microphone managers
+ */
+import { EngineNote, EnginePianoMode, GameEngineEvents, GameEngineOptions, InputResult } from './engine-types.js';
+export declare const DEFAULT_SPAWN_X = 700;
+export declare const DEFAULT_COLLISION_X = 120;
+export declare class GameEngine {
+    private clef;
+    private pianoMode;
+    private pickNote;
+    private random;
+    private clock;
+    private spawnX;
+    private collisionX;
+    private intervalStyle;
+    private earTraining;
+    private dynamics;
+    private heldNotes;
+    private movingNotes;
+    private currentLives;
+    private currentLevel;
+    private currentScore;
+    private destroyedCount;
+    private correctAnswers;
+    private leftHandScore;
+    private rightHandScore;
+    private running;
+    private chordProgress;
+    private simulatedTime;
+    private simulationLag;
+    private lastNoteSpawn;
+    private noteSpawnRate;
+    private pendingSpawnTime;
+    private previousNoteType;
+    private wrongNoteWindow;
+    private nextId;
+    private eventListeners;
+    constructor(options: GameEngineOptions);
+    get notes(): readonly EngineNote[];
+    get lives(): number;
+    get level(): number;
+    get score(): number;
+    get notesDestroyed(): number;
+    get handScores(): {
+        left: number;
+        right: number;
+    };
+    /**
+     * Chord notes found so far by chord ID (copies)
+     */
+    get chords(): Map<number, {
+        pressedNotes: string[];
+        firstPressTime: number;
+    }>;
+    get isRunning(): boolean;
+    get time(): number;
+    /**
+     * How far the time not yet simulated goes into the next step (0 to 1), for drawing notes between steps
+     */
+    get stepProgress(): number;
+    /**
+     * Switch the clef, e.g. when Piano Mode moves the game to the grand staff
+     */
+    setClef(clef: string): void;
+    setPianoMode(pianoMode: EnginePianoMode | null): void;
+    /**
+     * Advance the game by dt milliseconds, in fixed simulation steps (the rest carries over to the next tick)
+     */
+    tick(dt: number): void;
+    /**
+     * Answer with a note name such as 'F#' or 'Bb'. The octave comes with played notes (MIDI, microphone)
+     * and only matters in strict mode and ear training; targetClef is the clef a hard mode input is aimed
+     * at; velocity is the MIDI velocity, which dynamics mode needs; hasKeyUp tells whether release() will
+     * follow, which held notes without one do not wait for
+     */
+    input(userNote: string, userOctave?: number | null, targetClef?: string | null, velocity?: number | null, hasKeyUp?: boolean): InputResult;
+    /**
+     * The held note a key-up lets go of: played notes let go of the note held by that exact key, note
+     * names without an octave (the computer keyboard) of the note held by that letter, whatever
+     * accidental was held with it
+     */
+    getHeldNote(userNote: string, userOctave?: number | null): EngineNote | null;
+    /**
+     * Key up: the held note it lets go of is shot down, scored on how long it was held
+     */
+    release(userNote: string, userOctave?: number | null): boolean;
+    /**
+     * Answer the leftmost interval with its number (2-8), and its quality when qualities are asked for
+     * (null when they are not). The interval leaves the staff either way
+     */
+    answerInterval(number: number, quality?: string | null): InputResult;
+    /**
+     * Score a note judged away from the moving notes (rhythm mode's timeline) like any right answer
+     */
+    scoreHit(points: number, clef: string): void;
+    /**
+     * A note missed away from the moving notes costs a life
+     */
+    loseLife(): void;
+    /**
+     * Register an event listener
+     */
+    on<T extends keyof GameEngineEvents>(event: T, listener: GameEngineEvents[T]): void;
+    /**
+     * Remove an event listener
+     */
+    off<T extends keyof GameEngineEvents>(event: T, listener: GameEngineEvents[T]): void;
+    /**
+     * Emit an event to all registered listeners
+     */
+    private emit;
+    private isDualClef;
+    private isActiveHandClef;
+    private getSpawnX;
+    private getCollisionX;
+    /**
+     * Whether an input can answer or destroy a note. In hard mode an input aimed at a clef only reaches
+     * that clef, and an input without one (a letter key) answers nothing, though it still counts as wrong
+     */
+    private canReach;
+    /**
+     * Add a note to its chord's progress; true once every note of the chord has been found
+     */
+    private pressChordNote;
+    private scoreCorrectAnswer;
+    /**
+     * Level up every 10 correct answers; in Piano Mode on two staves, once each active hand has 10
+     */
+    private checkLevelProgression;
+    /**
+     * A wrong note destroys the leftmost note it can reach and costs a life, except for repeated wrong
+     * notes in quick succession on a chord (or on the note just after one)
+     */
+    private handleWrongNote;
+    private cleanupStaleChordProgress;
+    private removeNotes;
+    /**
+     * One note or chord on the staff at a time; in hard mode with both hands, one per clef
+     */
+    private canSpawnNote;
+    private spawnNote;
+    private createNote;
+    /**
+     * Marking and velocity band for a new note, fixed when it spawns
+     */
+    private pickDynamic;
+    private pickHeldValue;
+    private forceSpawnNote;
+    /**
+     * The next note comes straight away, or after a short pause when the last one was a chord
+     */
+    private forceSpawnNoteWithTransitionDelay;
+    /**
+     * Shoot down a held note, scored on how long its key was down against the note's length
+     */
+    private releaseHeldNote;
+    /**
+     * A key still down at HELD_NOTE_LATE_LIMIT times its note's length lets go by itself, late. Input
+     * without a key-up lets go once the note's length is up, in time
+     */
+    private releaseDueNotes;
+    /**
+     * Move the notes on by one simulation step; a note reaching the collision line costs a life
+     */
+    private updateMovingNotes;
+    private gameOver;
+}
@@ -0,0 +1,681 @@
+/**
+ * Headless Game Engine for Note Reading Game
+ * The note-reading rules without the canvas, sounds or page: notes move towards the collision line in
+ * fixed time steps, and each input destroys or misses the leftmost note. script.js creates one engine
+ * per game (dist/engine/engine-integration.js puts it on window), drives it with tick() and input(),
+ * and draws and plays what its events report
+ *
+ * Features:
+ * - Injectable clock and random number generator, so a game can be simulated step by step
+ * - Chords with a grace period, and a forgiveness window for wrong notes in chords
+ * - Piano Mode hand scores, strict octaves and hard mode clef targeting
+ * - Intervals, ear training, dynamics and held notes
+ * - Levels every 10 correct answers with faster notes, and bonus lives at levels 4 and 8
+ * - Event-based architecture matching the MIDI and microphone managers
+ */
+import { BONUS_LIFE_LEVELS, CHORD_GRACE_MS, CHORD_PROGRESS_MAX_AGE_MS, CHORD_TRANSITION_DELAY_MS, CORRECT_ANSWERS_PER_LEVEL, HELD_NOTE_BEATS, HELD_NOTE_BEAT_MS, HELD_NOTE_LATE_LIMIT, HELD_NOTE_POINTS, HELD_NOTE_TOLERANCE, INTERVAL_SEQUENCE_SPACING, MAX_FRAME_MS, MAX_LIVES, SIMULATION_STEP_MS, STARTING_LIVES, WRONG_NOTE_WINDOW_MS, describeNote, getDynamicsInPlay, getHeldValuesInPlay, getInterval, getNoteSpawnRate, getNoteSpeed, getSoundingOctave, getVelocityBand, noteMatchesInput } from './engine-utils.js';
+export const DEFAULT_SPAWN_X = 700;
+export const DEFAULT_COLLISION_X = 120;
+export class GameEngine {
+    constructor(options) {
+        this.movingNotes = [];
+        this.currentLives = STARTING_LIVES;
+        this.currentLevel = 1;
+        this.currentScore = 0;
+        this.destroyedCount = 0;
+        this.correctAnswers = 0;
+        this.leftHandScore = 0;
+        this.rightHandScore = 0;
+        this.running = true;
+        this.chordProgress = new Map();
+        this.simulatedTime = 0;
+        this.simulationLag = 0;
+        this.lastNoteSpawn = -Infinity;
+        this.noteSpawnRate = getNoteSpawnRate(1);
+        this.pendingSpawnTime = null;
+        this.previousNoteType = 'melody';
+        this.wrongNoteWindow = { lastWrongNoteTime: -Infinity, hasCountedError: false };
+        this.nextId = 1;
+        this.eventListeners = new Map();
+        this.clef = options.clef || 'treble';
+        this.pianoMode = options.pianoMode || null;
+        this.random = options.random || Math.random;
+        this.clock = options.clock || (() => this.simulatedTime);
+        this.spawnX = options.spawnX ?? DEFAULT_SPAWN_X;
+        this.collisionX = options.collisionX ?? DEFAULT_COLLISION_X;
+        this.intervalStyle = options.intervals || null;
+        this.earTraining = options.earTraining === true;
+        this.dynamics = options.dynamics === true;
+        this.heldNotes = options.heldNotes === true;
+        if (options.pickNote) {
+            this.pickNote = options.pickNote;
+        }
+        else if (options.notes && options.notes.length > 0) {
+            const pool = options.notes;
+            this.pickNote = random => pool[Math.floor(random() * pool.length)];
+        }
+        else {
+            throw new Error('GameEngine needs a note pool or a pickNote function');
+        }
+    }
+    get notes() {
+        return this.movingNotes;
+    }
+    get lives() {
+        return this.currentLives;
+    }
+    get level() {
+        return this.currentLevel;
+    }
+    get score() {
+        return this.currentScore;
+    }
+    get notesDestroyed() {
+        return this.destroyedCount;
+    }
+    get handScores() {
+        return { left: this.leftHandScore, right: this.rightHandScore };
+    }
+    /**
+     * Chord notes found so far by chord ID (copies)
+     */
+    get chords() {
+        const chords = new Map();
+        this.chordProgress.forEach((progress, chordId) => {
+            chords.set(chordId, { pressedNotes: [...progress.pressedNotes], firstPressTime: progress.firstPressTime });
+        });
+        return chords;
+    }
+    get isRunning() {
+        return this.running;
+    }
+    get time() {
+        return this.clock();
+    }
+    /**
+     * How far the time not yet simulated goes into the next step (0 to 1), for drawing notes between steps
+     */
+    get stepProgress() {
+        return this.simulationLag / SIMULATION_STEP_MS;
+    }
+    /**
+     * Switch the clef, e.g. when Piano Mode moves the game to the grand staff
+     */
+    setClef(clef) {
+        this.clef = clef;
+    }
+    setPianoMode(pianoMode) {
+        this.pianoMode = pianoMode;
+    }
+    /**
+     * Advance the game by dt milliseconds, in fixed simulation steps (the rest carries over to the next tick)
+     */
+    tick(dt) {
+        if (!this.running)
+            return;
+        this.simulatedTime += dt;
+        this.simulationLag += Math.min(dt, MAX_FRAME_MS);
+        if (this.pendingSpawnTime !== null && this.clock() >= this.pendingSpawnTime) {
+            this.pendingSpawnTime = null;
+            this.forceSpawnNote();
+        }
+        while (this.running && this.simulationLag >= SIMULATION_STEP_MS) {
+            this.spawnNote();
+            this.releaseDueNotes();
+            this.updateMovingNotes(SIMULATION_STEP_MS / 1000);
+            this.simulationLag -= SIMULATION_STEP_MS;
+        }
+    }
+    /**
+     * Answer with a note name such as 'F#' or 'Bb'. The octave comes with played notes (MIDI, microphone)
+     * and only matters in strict mode and ear training; targetClef is the clef a hard mode input is aimed
+     * at; velocity is the MIDI velocity, which dynamics mode needs; hasKeyUp tells whether release() will
+     * follow, which held notes without one do not wait for
+     */
+    input(userNote, userOctave = null, targetClef = null, velocity = null, hasKeyUp = false) {
+        if (!this.running)
+            return 'ignored';
+        // Interval mode: played notes answer through the chord rules, note names would give the answer away
+        if (this.intervalStyle && userOctave === null)
+            return 'ignored';
+        this.cleanupStaleChordProgress();
+        // The leftmost matching note the input can reach
+        let leftmostNote = null;
+        this.movingNotes.forEach(note => {
+            if (noteMatchesInput(note.midi, userNote) && this.canReach(note, targetClef, true) &&
+                (!leftmostNote || note.x < leftmostNote.x)) {
+                leftmostNote = note;
+            }
+        });
+        const found = leftmostNote;
+        const candidates = found && found.isChord
+            ? this.movingNotes.filter(note => note.chordId === found.chordId)
+            : found ? [found] : [];
+        const piano = this.pianoMode;
+        const strict = (this.earTraining || !!(piano && piano.strictMode)) && userOctave !== null;
+        let matchedNote = null;
+        let dynamicMiss = null;
+        for (const note of candidates) {
+            if (!noteMatchesInput(note.midi, userNote) || (strict && getSoundingOctave(note.midi) !== userOctave)) {
+                continue;
+            }
+            // Dynamics mode: the right key too soft or too loud does not count, and neither does input
+            // without a velocity (computer keyboard, buttons, microphone)
+            const band = note.velocityBand;
+            if (band && (velocity === null || velocity < band[0] || velocity > band[1])) {
+                dynamicMiss = { marking: note.dynamic, tooLoud: velocity === null ? null : velocity > band[1] };
+                continue;
+            }
+            matchedNote = note;
+            break;
+        }
+        if (!matchedNote) {
+            this.handleWrongNote(targetClef, { note: userNote, octave: userOctave, interval: null, dynamicMiss: dynamicMiss, foundNotes: [] });
+            return 'wrong';
+        }
+        const answer = { note: userNote, octave: userOctave, interval: null, points: 1, hold: null };
+        if (matchedNote.isChord) {
+            const chordId = matchedNote.chordId;
+            const chordNotes = this.movingNotes.filter(note => note.isChord && note.chordId === chordId);
+            if (!this.pressChordNote(matchedNote, chordNotes)) {
+                return 'chordProgress';
+            }
+            this.removeNotes(chordNotes);
+            this.chordProgress.delete(chordId);
+            this.scoreCorrectAnswer(matchedNote.clef, 1);
+            this.emit('correct', chordNotes, answer);
+            this.forceSpawnNoteWithTransitionDelay(true);
+        }
+        else if (matchedNote.duration) {
+            // Held notes: answered now, shot down when the key comes up (a second press changes nothing)
+            if (!matchedNote.heldInput) {
+                matchedNote.holdStart = this.clock();
+                matchedNote.heldInput = { note: userNote, octave: userOctave, hasKeyUp: hasKeyUp };
+                this.emit('hold', matchedNote);
+            }
+            return 'held';
+        }
+        else {
+            this.removeNotes([matchedNote]);
+            this.scoreCorrectAnswer(matchedNote.clef, 1);
+            this.emit('correct', [matchedNote], answer);
+            this.forceSpawnNoteWithTransitionDelay(false);
+        }
+        this.checkLevelProgression();
+        return 'correct';
+    }
+    /**
+     * The held note a key-up lets go of: played notes let go of the note held by that exact key, note
+     * names without an octave (the computer keyboard) of the note held by that letter, whatever
+     * accidental was held with it
+     */
+    getHeldNote(userNote, userOctave = null) {
+        return this.movingNotes.find(note => {
+            const held = note.heldInput;
+            return !!held && (userOctave === null
+                ? held.note.charAt(0) === userNote.charAt(0)
+                : held.note === userNote && held.octave === userOctave);
+        }) || null;
+    }
+    /**
+     * Key up: the held note it lets go of is shot down, scored on how long it was held
+     */
+    release(userNote, userOctave = null) {
+        if (!this.running)
+            return false;
+        const note = this.getHeldNote(userNote, userOctave);
+        if (!note)
+            return false;
+        this.releaseHeldNote(note, this.clock() - note.holdStart);
+        return true;
+    }
+    /**
+     * Answer the leftmost interval with its number (2-8), and its quality when qualities are asked for
+     * (null when they are not). The interval leaves the staff either way
+     */
+    answerInterval(number, quality = null) {
+        if (!this.running)
+            return 'ignored';
+        const target = this.movingNotes
+            .filter(note => note.interval)
+            .reduce((leftmost, note) => (!leftmost || note.x < leftmost.x ? note : leftmost), null);
+        if (!target)
+            return 'ignored';
+        const interval = target.interval;
+        const correct = number === interval.number && (quality === null || quality === interval.quality);
+        const intervalNotes = this.movingNotes.filter(note => note.chordId === target.chordId);
+        this.removeNotes(intervalNotes);
+        this.chordProgress.delete(target.chordId);
+        this.forceSpawnNoteWithTransitionDelay(true);
+        const given = { number: number, quality: quality };
+        if (correct) {
+            this.scoreCorrectAnswer(target.clef, 1);
+            this.emit('correct', intervalNotes, { note: null, octave: null, interval: given, points: 1, hold: null });
+            this.checkLevelProgression();
+            return 'correct';
+        }
+        this.currentLives--;
+        this.emit('wrong', intervalNotes, true, { note: null, octave: null, interval: given, dynamicMiss: null, foundNotes: [] });
+        if (this.currentLives <= 0) {
+            this.gameOver();
+        }
+        return 'wrong';
+    }
+    /**
+     * Score a note judged away from the moving notes (rhythm mode's timeline) like any right answer
+     */
+    scoreHit(points, clef) {
+        if (!this.running)
+            return;
+        this.scoreCorrectAnswer(clef, points);
+        this.checkLevelProgression();
+    }
+    /**
+     * A note missed away from the moving notes costs a life
+     */
+    loseLife() {
+        if (!this.running)
+            return;
+        this.currentLives--;
+        if (this.currentLives <= 0) {
+            this.gameOver();
+        }
+    }
+    /**
+     * Register an event listener
+     */
+    on(event, listener) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(listener);
+    }
+    /**
+     * Remove an event listener
+     */
+    off(event, listener) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            const index = listeners.indexOf(listener);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+    /**
+     * Emit an event to all registered listeners
+     */
+    emit(event, ...args) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            listeners.forEach(listener => {
+                try {
+                    listener(...args);
+                }
+                catch (error) {
+                    console.error(`Error in game engine event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+    isDualClef() {
+        return this.clef === 'grand' || this.clef === 'hardMode';
+    }
+    isActiveHandClef(clef) {
+        const piano = this.pianoMode;
+        return (clef === 'bass' && piano.leftHand !== 'none') || (clef === 'treble' && piano.rightHand !== 'none');
+    }
+    getSpawnX(clef) {
+        return typeof this.spawnX === 'function' ? this.spawnX(clef) : this.spawnX;
+    }
+    getCollisionX(clef) {
+        return typeof this.collisionX === 'function' ? this.collisionX(clef) : this.collisionX;
+    }
+    /**
+     * Whether an input can answer or destroy a note. In hard mode an input aimed at a clef only reaches
+     * that clef, and an input without one (a letter key) answers nothing, though it still counts as wrong
+     */
+    canReach(note, targetClef, answering) {
+        const piano = this.pianoMode;
+        if (piano && piano.hardMode && targetClef)
+            return note.clef === targetClef;
+        if (piano && piano.hardMode && answering)
+            return false;
+        if (piano && this.isDualClef())
+            return this.isActiveHandClef(note.clef);
+        return true;
+    }
+    /**
+     * Add a note to its chord's progress; true once every note of the chord has been found
+     */
+    pressChordNote(note, chordNotes) {
+        const chordId = note.chordId;
+        const now = this.clock();
+        if (!this.chordProgress.has(chordId)) {
+            this.chordProgress.set(chordId, { pressedNotes: new Set(), firstPressTime: now });
+        }
+        const progress = this.chordProgress.get(chordId);
+        // Progress survives a slow chord, but not a long pause in the middle of one
+        if (progress.pressedNotes.size > 0 && now - progress.firstPressTime > CHORD_GRACE_MS * 3) {
+            progress.pressedNotes.clear();
+            progress.firstPressTime = now;
+        }
+        progress.pressedNotes.add(note.note);
+        const chordNames = new Set(chordNotes.map(chordNote => chordNote.note));
+        const allPressed = [...chordNames].every(name => progress.pressedNotes.has(name));
+        if (progress.pressedNotes.size > chordNames.size) {
+            progress.pressedNotes = new Set([note.note]);
+            progress.firstPressTime = now;
+        }
+        if (!allPressed) {
+            this.emit('chordProgress', chordId, progress.pressedNotes.size, chordNames.size);
+        }
+        return allPressed;
+    }
+    scoreCorrectAnswer(clef, points) {
+        this.currentScore += points;
+        this.destroyedCount++;
+        this.correctAnswers++;
+        if (this.pianoMode && this.isDualClef()) {
+            if (clef === 'bass') {
+                this.leftHandScore++;
+            }
+            else if (clef === 'treble') {
+                this.rightHandScore++;
+            }
+        }
+    }
+    /**
+     * Level up every 10 correct answers; in Piano Mode on two staves, once each active hand has 10
+     */
+    checkLevelProgression() {
+        let canAdvanceLevel = false;
+        const piano = this.pianoMode;
+        if (piano && this.isDualClef() && (piano.leftHand !== 'none' || piano.rightHand !== 'none')) {
+            const leftDone = piano.leftHand === 'none' || this.leftHandScore >= CORRECT_ANSWERS_PER_LEVEL;
+            const rightDone = piano.rightHand === 'none' || this.rightHandScore >= CORRECT_ANSWERS_PER_LEVEL;
+            if (leftDone && rightDone) {
+                canAdvanceLevel = true;
+                this.leftHandScore = 0;
+                this.rightHandScore = 0;
+            }
+        }
+        else if (this.correctAnswers >= CORRECT_ANSWERS_PER_LEVEL) {
+            canAdvanceLevel = true;
+        }
+        if (!canAdvanceLevel)
+            return;
+        this.currentLevel++;
+        this.correctAnswers = 0;
+        this.movingNotes = []; // The new level starts on an empty staff
+        const bonusLife = BONUS_LIFE_LEVELS.includes(this.currentLevel) && this.currentLives < MAX_LIVES;
+        if (bonusLife) {
+            this.currentLives++;
+        }
+        this.emit('levelUp', this.currentLevel, bonusLife);
+        if (bonusLife) {
+            this.emit('lifeGained', this.currentLives);
+        }
+    }
+    /**
+     * A wrong note destroys the leftmost note it can reach and costs a life, except for repeated wrong
+     * notes in quick succession on a chord (or on the note just after one)
+     */
+    handleWrongNote(targetClef, mistake) {
+        const now = this.clock();
+        const isChordError = this.movingNotes.some(note => note.isChord);
+        let shouldCountError = true;
+        if (isChordError || this.previousNoteType === 'chord') {
+            if (now - this.wrongNoteWindow.lastWrongNoteTime < WRONG_NOTE_WINDOW_MS) {
+                if (this.wrongNoteWindow.hasCountedError) {
+                    shouldCountError = false;
+                }
+            }
+            else {
+                this.wrongNoteWindow.hasCountedError = false;
+            }
+            this.wrongNoteWindow.lastWrongNoteTime = now;
+            if (shouldCountError) {
+                this.wrongNoteWindow.hasCountedError = true;
+            }
+        }
+        let noteToDestroy = null;
+        this.movingNotes.forEach(note => {
+            if (this.canReach(note, targetClef, false) && (!noteToDestroy || note.x < noteToDestroy.x)) {
+                noteToDestroy = note;
+            }
+        });
+        let destroyed = [];
+        const target = noteToDestroy;
+        if (target) {
+            destroyed = target.isChord
+                ? this.movingNotes.filter(note => note.isChord && note.chordId === target.chordId)
+                : [target];
+            this.removeNotes(destroyed);
+            if (target.isChord) {
+                const progress = this.chordProgress.get(target.chordId);
+                mistake.foundNotes = progress ? [...progress.pressedNotes] : [];
+                this.chordProgress.delete(target.chordId);
+            }
+        }
+        if (shouldCountError) {
+            this.currentLives--;
+        }
+        this.emit('wrong', destroyed, shouldCountError, mistake);
+        if (target) {
+            this.forceSpawnNoteWithTransitionDelay(isChordError);
+        }
+        if (this.currentLives <= 0) {
+            this.gameOver();
+        }
+    }
+    cleanupStaleChordProgress() {
+        const now = this.clock();
+        for (const [chordId, progress] of this.chordProgress.entries()) {
+            const isStale = now - progress.firstPressTime > CHORD_PROGRESS_MAX_AGE_MS;
+            const chordStillExists = this.movingNotes.some(note => note.isChord && note.chordId === chordId);
+            if (isStale || !chordStillExists) {
+                this.chordProgress.delete(chordId);
+            }
+        }
+    }
+    removeNotes(notes) {
+        this.movingNotes = this.movingNotes.filter(note => !notes.includes(note));
+    }
+    /**
+     * One note or chord on the staff at a time; in hard mode with both hands, one per clef
+     */
+    canSpawnNote() {
+        const piano = this.pianoMode;
+        if (piano && piano.hardMode && this.clef === 'hardMode' && piano.leftHand !== 'none' && piano.rightHand !== 'none') {
+            return !this.movingNotes.some(note => note.clef === 'bass') || !this.movingNotes.some(note => note.clef === 'treble');
+        }
+        return this.movingNotes.length === 0;
+    }
+    spawnNote() {
+        const now = this.clock();
+        if (now - this.lastNoteSpawn <= this.noteSpawnRate || !this.canSpawnNote())
+            return;
+        const choice = this.pickNote(this.random);
+        if (!choice)
+            return;
+        const speed = getNoteSpeed(this.currentLevel);
+        let spawned;
+        if (Array.isArray(choice)) {
+            const chordId = this.nextId++;
+            spawned = choice.map(spec => this.createNote(spec, speed, now, chordId));
+            // Interval mode: the pair is stacked (harmonic) or spread out to be read in sequence (melodic),
+            // rising or falling
+            let interval = null;
+            if (this.intervalStyle && spawned.length === 2) {
+                const [lower, upper] = spawned[0].staffPosition <= spawned[1].staffPosition ? spawned : [spawned[1], spawned[0]];
+                interval = getInterval(upper.staffPosition - lower.staffPosition, upper.midi - lower.midi);
+            }
+            const melodic = interval && (this.intervalStyle === 'melodic' || (this.intervalStyle === 'both' && this.random() < 0.5));
+            const sequenceOrder = this.random() < 0.5 ? [0, 1] : [1, 0];
+            const dynamic = this.pickDynamic(); // One marking for the whole chord
+            spawned.forEach((note, index) => {
+                if (melodic) {
+                    note.x += sequenceOrder[index] * INTERVAL_SEQUENCE_SPACING;
+                }
+                else if (index > 0 && Math.abs(note.staffPosition - spawned[index - 1].staffPosition) === 1) {
+                    // Notes a step apart are pushed sideways so both noteheads show
+                    note.x += index % 2 === 0 ? -8 : 8;
+                }
+                note.previousX = note.x;
+                note.interval = interval;
+                Object.assign(note, dynamic);
+                note.showDynamic = index === 0;
+            });
+        }
+        else {
+            const note = this.createNote(choice, speed, now, null);
+            note.hidden = this.earTraining;
+            Object.assign(note, this.pickDynamic());
+            note.duration = this.pickHeldValue();
+            note.holdMs = note.duration ? HELD_NOTE_BEATS[note.duration] * HELD_NOTE_BEAT_MS : null;
+            spawned = [note];
+        }
+        this.movingNotes.push(...spawned);
+        this.lastNoteSpawn = now;
+        this.noteSpawnRate = getNoteSpawnRate(this.currentLevel);
+        this.emit('spawn', spawned);
+    }
+    createNote(spec, speed, now, chordId) {
+        const scientific = typeof spec === 'string' ? spec : spec.scientific;
+        const clef = typeof spec === 'string' ? this.clef : spec.clef;
+        const described = describeNote(scientific, clef);
+        if (!described) {
+            throw new Error(`${scientific} is not a note on the ${clef} clef`);
+        }
+        const x = this.getSpawnX(clef);
+        return {
+            ...(typeof spec === 'string' ? {} : spec),
+            id: this.nextId++,
+            note: described.note,
+            scientific: scientific,
+            octave: described.octave,
+            midi: described.midi,
+            clef: clef,
+            staffPosition: described.staffPosition,
+            x: x,
+            previousX: x,
+            speed: speed,
+            spawnTime: now,
+            isChord: chordId !== null,
+            chordId: chordId,
+            hidden: false,
+            interval: null,
+            dynamic: null,
+            velocityBand: null,
+            showDynamic: true,
+            duration: null,
+            holdMs: null,
+            holdStart: null,
+            heldInput: null
+        };
+    }
+    /**
+     * Marking and velocity band for a new note, fixed when it spawns
+     */
+    pickDynamic() {
+        if (!this.dynamics) {
+            return { dynamic: null, velocityBand: null };
+        }
+        const markings = getDynamicsInPlay(this.currentLevel);
+        const marking = markings[Math.floor(this.random() * markings.length)];
+        return { dynamic: marking, velocityBand: getVelocityBand(marking, markings) };
+    }
+    pickHeldValue() {
+        if (!this.heldNotes)
+            return null;
+        const values = getHeldValuesInPlay(this.currentLevel);
+        return values[Math.floor(this.random() * values.length)];
+    }
+    forceSpawnNote() {
+        this.lastNoteSpawn = -Infinity;
+        this.spawnNote();
+    }
+    /**
+     * The next note comes straight away, or after a short pause when the last one was a chord
+     */
+    forceSpawnNoteWithTransitionDelay(currentNoteWasChord) {
+        if (this.previousNoteType === 'chord') {
+            this.pendingSpawnTime = this.clock() + CHORD_TRANSITION_DELAY_MS;
+        }
+        else {
+            this.forceSpawnNote();
+        }
+        this.previousNoteType = currentNoteWasChord ? 'chord' : 'melody';
+    }
+    /**
+     * Shoot down a held note, scored on how long its key was down against the note's length
+     */
+    releaseHeldNote(note, heldMs) {
+        const input = note.heldInput;
+        const ratio = heldMs / note.holdMs;
+        const hold = Math.abs(ratio - 1) <= HELD_NOTE_TOLERANCE ? 'inTime' : ratio < 1 ? 'early' : 'late';
+        const points = hold === 'inTime' ? HELD_NOTE_POINTS : 1;
+        note.heldInput = null;
+        this.removeNotes([note]);
+        this.scoreCorrectAnswer(note.clef, points);
+        this.emit('correct', [note], { note: input.note, octave: input.octave, interval: null, points: points, hold: hold });
+        this.forceSpawnNoteWithTransitionDelay(false);
+        this.checkLevelProgression();
+    }
+    /**
+     * A key still down at HELD_NOTE_LATE_LIMIT times its note's length lets go by itself, late. Input
+     * without a key-up lets go once the note's length is up, in time
+     */
+    releaseDueNotes() {
+        const now = this.clock();
+        this.movingNotes.filter(note => note.heldInput).forEach(note => {
+            if (!this.running || !this.movingNotes.includes(note))
+                return;
+            const heldMs = now - note.holdStart;
+            const holdMs = note.holdMs;
+            if (!note.heldInput.hasKeyUp) {
+                if (heldMs >= holdMs) {
+                    this.releaseHeldNote(note, holdMs);
+                }
+            }
+            else if (heldMs >= holdMs * HELD_NOTE_LATE_LIMIT) {
+                this.releaseHeldNote(note, heldMs);
+            }
+        });
+    }
+    /**
+     * Move the notes on by one simulation step; a note reaching the collision line costs a life
+     */
+    updateMovingNotes(seconds) {
+        [...this.movingNotes].forEach(note => {
+            if (!this.running || !this.movingNotes.includes(note))
+                return;
+            note.previousX = note.x;
+            if (note.heldInput)
+                return; // Held notes stay where they were answered
+            note.x -= note.speed * seconds;
+            if (note.x >= this.getCollisionX(note.clef))
+                return;
+            if (note.isChord) {
+                this.chordProgress.delete(note.chordId);
+            }
+            this.removeNotes([note]);
+            // An interval is one question: its other note goes with it instead of costing a second life
+            if (note.interval) {
+                this.removeNotes(this.movingNotes.filter(other => other.chordId === note.chordId));
+            }
+            this.currentLives--;
+            this.emit('miss', note);
+            this.forceSpawnNoteWithTransitionDelay(note.isChord);
+            if (this.currentLives <= 0) {
+                this.gameOver();
+            }
+        });
+    }
+    gameOver() {
+        this.running = false;
+        this.emit('gameOver', this.currentScore, this.currentLevel, this.destroyedCount);
+    }
+}
+//# sourceMappingURL=game-engine.js.map
\ No newline at end of file
@@ -4,17 +4,23 @@
  */
 declare global {
     interface Window {
-        handleNoteInput: (userNote: string) => Promise<void>;
-        handleNoteInputWithOctave: (userNote: string, userOctave: number | null) => Promise<void>;
+        handleNoteInput: (userNote: string, timestamp?: number, hasKeyUp?: boolean) => Promise<void>;
+        handleNoteInputWithOctave: (userNote: string, userOctave: number | null, targetClef?: string | null, timestamp?: number, velocity?: number | null, hasKeyUp?: boolean) => Promise<void>;
+        handleNoteRelease: (userNote: string, userOctave?: number | null) => void;
         handleDeviceSelection: (deviceId: string) => void;
         updatePianoModeUI: () => void;
         isPianoModeActive: () => boolean;
         getPianoModeSettings: () => PianoModeSettings;
         reinitializeMidiAfterRestart: () => void;
         updateMidiPianoModeSettings: (settings: Partial<PianoModeSettings>) => void;
+        pauseGame: (reason?: string) => void;
+        togglePause: () => void;
+        playMidiOutputHint: (notes: number[], delaySeconds?: number) => void;
+        playMidiOutputEcho: (notes: number[], delaySeconds?: number) => void;
+        setMidiKeyLights: (keys: MidiKeyLight[]) => void;
     }
 }
-import { MidiDevice, MidiConnectionStatus, PianoModeSettings } from './midi-types.js';
+import { MidiDevice, MidiConnectionStatus, MidiKeyLight, PianoModeSettings } from './midi-types.js';
 /**
  * Reinitialize MIDI connections after game restart
  * Call this function when the game restarts to ensure MIDI stays active
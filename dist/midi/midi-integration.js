@@ -3,7 +3,8 @@
  * Connects the MIDI manager to the existing game input system
  */
 import { midiManager } from './midi-manager.js';
-import { getNaturalNoteForGame, getClefForMidiNote } from './midi-utils.js';
+import { getNoteNameForGame, getClefForMidiNote, isPedalPress, calibrateVelocity } from './midi-utils.js';
+import { MidiOutputPlayer, readMidiOutputSettings } from './midi-output.js';
 // Piano Mode state
 let pianoModeSettings = {
     isActive: false,
@@ -13,6 +14,13 @@ let pianoModeSettings = {
     rightHand: 'none',
     hardMode: false
 };
+// Controller number of the pedal chosen in the menu to pause the game (null for none), and its last value
+let pausePedal = null;
+let pausePedalValue = 0;
+// Touch calibration of each keyboard, by device name (made in the menu's options)
+let velocityCalibrations = {};
+// Hints, echoes and key lights sent to the output chosen in the menu (settings in loadSavedMidiSettings)
+const outputPlayer = new MidiOutputPlayer(midiManager);
 /**
  * Reinitialize MIDI connections after game restart
  * Call this function when the game restarts to ensure MIDI stays active
@@ -33,9 +41,12 @@ export function reinitializeMidiAfterRestart() {
  * Register the MIDI note input handler with proper hard mode logic
  */
 function registerMidiNoteHandler() {
-    midiManager.onNoteInput((noteMapping) => {
-        // Get the appropriate note for the game based on Piano Mode settings
-        const noteForGame = getNaturalNoteForGame(noteMapping.midiNote);
+    midiManager.onNoteInput((noteMapping, midiNote) => {
+        // Get the note name for the game (black keys arrive as sharps, e.g. "F#")
+        const noteForGame = getNoteNameForGame(noteMapping.midiNote);
+        // Velocity on the full range for this keyboard's touch (dynamics mode)
+        const device = midiManager.getSelectedDevice();
+        const velocity = calibrateVelocity(midiNote.velocity, device ? velocityCalibrations[device.name] || null : null);
         // In hard mode, determine which clef this MIDI note should affect
         let shouldProcessInput = true;
         let targetClef = null;
@@ -51,20 +62,20 @@ function registerMidiNoteHandler() {
         if (shouldProcessInput) {
             // Call the octave-aware game input handler for Piano Mode strict mode support
             if (typeof window.handleNoteInputWithOctave === 'function') {
-                // Pass the target clef information for hard mode
+                // Pass the target clef information for hard mode, the event time for rhythm mode, and that a note-off follows
                 if (pianoModeSettings.hardMode && targetClef) {
-                    window.handleNoteInputWithOctave(noteForGame, noteMapping.octave, targetClef);
+                    window.handleNoteInputWithOctave(noteForGame, noteMapping.octave, targetClef, midiNote.timestamp, velocity, true);
                 }
                 else {
-                    window.handleNoteInputWithOctave(noteForGame, noteMapping.octave);
+                    window.handleNoteInputWithOctave(noteForGame, noteMapping.octave, null, midiNote.timestamp, velocity, true);
                 }
             }
             else if (typeof window.handleNoteInput === 'function') {
                 // Fallback to regular handler if octave-aware version not available
-                window.handleNoteInput(noteForGame);
+                window.handleNoteInput(noteForGame, midiNote.timestamp, true);
             }
-            // Visual feedback for MIDI input
-            highlightMidiInput(noteForGame);
+            // Visual feedback for MIDI input (black keys light up their letter button)
+            highlightMidiInput(noteMapping.noteName);
         }
         else {
             console.log(`MIDI input filtered out: note=${noteForGame}, midi=${noteMapping.midiNote}, hardMode=${pianoModeSettings.hardMode}`);
@@ -88,8 +99,12 @@ export function initializeMidiIntegration() {
         updateMidiUI();
         showMidiNotification(`Piano Mode Activated: ${device.name}`, 'success');
     });
-    midiManager.on('deviceDisconnected', (device) => {
+    midiManager.on('deviceDisconnected', (device, wasSelected) => {
         console.log(`MIDI device disconnected: ${device.name}`);
+        // Stop the game until the player is back on their keyboard
+        if (wasSelected && typeof window.pauseGame === 'function') {
+            window.pauseGame(`${device.name} was disconnected`);
+        }
         // Check if any devices are still connected
         const status = midiManager.getStatus();
         if (status.connectedDevices.length === 0) {
@@ -102,10 +117,26 @@ export function initializeMidiIntegration() {
     midiManager.on('statusChanged', (status) => {
         updateMidiUI();
     });
+    midiManager.on('controlChange', (change) => {
+        if (change.controller !== pausePedal)
+            return;
+        if (isPedalPress(pausePedalValue, change.value) && typeof window.togglePause === 'function') {
+            window.togglePause();
+        }
+        pausePedalValue = change.value;
+    });
+    // Key-up lets go of a held note (held notes mode scores how long the key was down)
+    midiManager.on('noteOff', (midiNote, mapping) => {
+        if (typeof window.handleNoteRelease === 'function') {
+            window.handleNoteRelease(getNoteNameForGame(mapping.midiNote), mapping.octave);
+        }
+    });
     // Initialize UI
     setTimeout(updateMidiUI, 1000); // Allow time for initial device scan
     // Load saved MIDI settings
     setTimeout(loadSavedMidiSettings, 1500);
+    // Lit keys go dark when the player leaves the game
+    window.addEventListener('pagehide', () => outputPlayer.clearKeyLights());
 }
 /**
  * Highlight the corresponding on-screen button when MIDI input is received
@@ -229,6 +260,15 @@ function loadSavedMidiSettings() {
         try {
             const settings = JSON.parse(saved);
             console.log('Loading saved MIDI settings:', settings);
+            pausePedal = typeof settings.pausePedal === 'number' ? settings.pausePedal : null;
+            outputPlayer.updateSettings(readMidiOutputSettings(settings.output));
+            velocityCalibrations = settings.velocityCalibrations && typeof settings.velocityCalibrations === 'object'
+                ? settings.velocityCalibrations
+                : {};
+            // Outputs are only used when chosen in the menu
+            if (settings.selectedOutputId && !midiManager.selectOutput(settings.selectedOutputId)) {
+                console.log(`Could not restore MIDI output: ${settings.selectedOutputName} (device not available)`);
+            }
             // If there was a previously selected device, try to select it again
             if (settings.selectedDeviceId) {
                 const success = midiManager.selectDevice(settings.selectedDeviceId);
@@ -252,6 +292,7 @@ function loadSavedMidiSettings() {
  * Clean up MIDI integration
  */
 export function destroyMidiIntegration() {
+    outputPlayer.clearKeyLights();
     midiManager.destroy();
     // Clean up UI elements
     const notification = document.getElementById('midiNotification');
@@ -378,4 +419,7 @@ window.getPianoModeSettings = getPianoModeSettings;
 window.getMenuMidiStatus = () => midiManager.getStatus();
 window.reinitializeMidiAfterRestart = reinitializeMidiAfterRestart;
 window.updateMidiPianoModeSettings = updatePianoModeSettings;
+window.playMidiOutputHint = (notes, delaySeconds = 0) => outputPlayer.playHint(notes, delaySeconds * 1000);
+window.playMidiOutputEcho = (notes, delaySeconds = 0) => outputPlayer.playEcho(notes, delaySeconds * 1000);
+window.setMidiKeyLights = keys => outputPlayer.setKeyLights(keys);
 //# sourceMappingURL=midi-integration.js.map
\ No newline at end of file
@@ -6,13 +6,16 @@
  * - Automatic MIDI device detection and connection
  * - MIDI note to musical note conversion
  * - Event-based architecture for easy integration
+ * - Output port selection for sending notes back to the keyboard
  * - Error handling and fallback support
  */
-import { MidiDevice, MidiConnectionStatus, MidiInputCallback, MidiManagerEvents } from './midi-types.js';
-export declare class MidiManager {
+import { MidiDevice, MidiConnectionStatus, MidiInputCallback, MidiManagerEvents, MidiOutputPort } from './midi-types.js';
+export declare class MidiManager implements MidiOutputPort {
     private midiAccess;
     private connectedDevices;
     private selectedDeviceId;
+    private connectedOutputs;
+    private selectedOutputId;
     private inputCallbacks;
     private eventListeners;
     constructor();
@@ -25,7 +28,7 @@ export declare class MidiManager {
      */
     private setupDeviceMonitoring;
     /**
-     * Scan for currently connected MIDI input devices
+     * Scan for currently connected MIDI input and output devices
      */
     private scanForDevices;
     /**
@@ -56,13 +59,31 @@ export declare class MidiManager {
      * Disconnect from a MIDI device
      */
     private disconnectDevice;
+    /**
+     * Add a connected MIDI output (public for testing with a mock output).
+     * Outputs are never picked automatically: notes only go where the player chose
+     */
+    addOutputDevice(output: MIDIOutput): void;
+    /**
+     * Remove a disconnected MIDI output
+     */
+    private removeOutputDevice;
+    private describeOutput;
+    /**
+     * Select the MIDI output notes are sent to, or null to send nothing
+     */
+    selectOutput(outputId: string | null): boolean;
+    /**
+     * Send a MIDI message to the selected output, at a performance.now() time or straight away
+     */
+    send(data: number[], timestamp?: number): void;
     /**
      * Handle incoming MIDI messages
      */
     private handleMidiMessage;
     /**
      * Convert MIDI note number to musical note mapping
-     * Uses utility function for consistent conversion
+     * Uses utility function for consistent conversion (black keys keep their accidental)
      */
     private midiNoteToMapping;
     /**
@@ -97,6 +118,14 @@ export declare class MidiManager {
      * Get list of connected devices
      */
     getConnectedDevices(): MidiDevice[];
+    /**
+     * Get list of connected outputs
+     */
+    getConnectedOutputs(): MidiDevice[];
+    /**
+     * Get currently selected output
+     */
+    getSelectedOutput(): MidiDevice | null;
     /**
      * Get currently selected device
      */
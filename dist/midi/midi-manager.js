@@ -6,14 +6,17 @@
  * - Automatic MIDI device detection and connection
  * - MIDI note to musical note conversion
  * - Event-based architecture for easy integration
+ * - Output port selection for sending notes back to the keyboard
  * - Error handling and fallback support
  */
-import { midiNoteToMapping, getClosestNaturalNote } from './midi-utils.js';
+import { midiNoteToMapping } from './midi-utils.js';
 export class MidiManager {
     constructor() {
         this.midiAccess = null;
         this.connectedDevices = new Map();
         this.selectedDeviceId = null;
+        this.connectedOutputs = new Map();
+        this.selectedOutputId = null;
         this.inputCallbacks = [];
         this.eventListeners = new Map();
         this.initializeMidi();
@@ -53,10 +56,18 @@ export class MidiManager {
                     this.removeDevice(port.id);
                 }
             }
+            else if (port && port.type === 'output') {
+                if (port.state === 'connected') {
+                    this.addOutputDevice(port);
+                }
+                else if (port.state === 'disconnected') {
+                    this.removeOutputDevice(port.id);
+                }
+            }
         };
     }
     /**
-     * Scan for currently connected MIDI input devices
+     * Scan for currently connected MIDI input and output devices
      */
     scanForDevices() {
         if (!this.midiAccess)
@@ -66,6 +77,11 @@ export class MidiManager {
                 this.addDeviceInternal(input);
             }
         });
+        this.midiAccess.outputs.forEach((output) => {
+            if (output.state === 'connected') {
+                this.addOutputDevice(output);
+            }
+        });
     }
     /**
      * Add a newly connected MIDI device (public for testing)
@@ -228,12 +244,13 @@ export class MidiManager {
             return;
         this.connectedDevices.delete(deviceId);
         // If selected device was removed, try to select another one
-        if (this.selectedDeviceId === deviceId) {
+        const wasSelected = this.selectedDeviceId === deviceId;
+        if (wasSelected) {
             this.selectedDeviceId = null;
             // Auto-select next best device if available
             this.selectBestAvailableDevice();
         }
-        this.emit('deviceDisconnected', device);
+        this.emit('deviceDisconnected', device, wasSelected);
         this.emitStatusChange();
         console.log(`MIDI device disconnected: ${device.name}`);
     }
@@ -286,6 +303,69 @@ export class MidiManager {
             input.onmidimessage = null;
         }
     }
+    /**
+     * Add a connected MIDI output (public for testing with a mock output).
+     * Outputs are never picked automatically: notes only go where the player chose
+     */
+    addOutputDevice(output) {
+        this.connectedOutputs.set(output.id, output);
+        this.emit('outputConnected', this.describeOutput(output));
+        this.emitStatusChange();
+        console.log(`MIDI output connected: ${output.name}`);
+    }
+    /**
+     * Remove a disconnected MIDI output
+     */
+    removeOutputDevice(outputId) {
+        const output = this.connectedOutputs.get(outputId);
+        if (!output)
+            return;
+        this.connectedOutputs.delete(outputId);
+        const wasSelected = this.selectedOutputId === outputId;
+        if (wasSelected) {
+            this.selectedOutputId = null;
+        }
+        this.emit('outputDisconnected', this.describeOutput(output), wasSelected);
+        this.emitStatusChange();
+        console.log(`MIDI output disconnected: ${output.name}`);
+    }
+    describeOutput(output) {
+        return {
+            id: output.id,
+            name: output.name || 'Unknown MIDI Device',
+            manufacturer: output.manufacturer || 'Unknown',
+            state: output.state,
+            connection: output.connection
+        };
+    }
+    /**
+     * Select the MIDI output notes are sent to, or null to send nothing
+     */
+    selectOutput(outputId) {
+        if (outputId !== null && !this.connectedOutputs.has(outputId)) {
+            return false;
+        }
+        this.selectedOutputId = outputId;
+        this.emitStatusChange();
+        if (outputId) {
+            console.log(`Selected MIDI output: ${this.connectedOutputs.get(outputId)?.name}`);
+        }
+        return true;
+    }
+    /**
+     * Send a MIDI message to the selected output, at a performance.now() time or straight away
+     */
+    send(data, timestamp) {
+        const output = this.selectedOutputId ? this.connectedOutputs.get(this.selectedOutputId) : undefined;
+        if (!output)
+            return;
+        try {
+            output.send(data, timestamp);
+        }
+        catch (error) {
+            console.error('Failed to send to MIDI output:', error);
+        }
+    }
     /**
      * Handle incoming MIDI messages
      */
@@ -307,7 +387,7 @@ export class MidiManager {
             // Emit events
             this.emit('noteOn', midiNote, mapping);
             // Call registered callbacks
-            this.inputCallbacks.forEach(callback => callback(mapping));
+            this.inputCallbacks.forEach(callback => callback(mapping, midiNote));
         }
         // Handle note-off messages (note-on with velocity 0 or explicit note-off)
         else if ((messageType === 0x90 && velocity === 0) || messageType === 0x80) {
@@ -320,15 +400,23 @@ export class MidiManager {
             const mapping = this.midiNoteToMapping(note);
             this.emit('noteOff', midiNote, mapping);
         }
+        // Control change messages (pedals, knobs)
+        else if (messageType === 0xB0) {
+            const change = {
+                controller: note,
+                value: velocity,
+                channel,
+                timestamp: event.timeStamp
+            };
+            this.emit('controlChange', change);
+        }
     }
     /**
      * Convert MIDI note number to musical note mapping
-     * Uses utility function for consistent conversion
+     * Uses utility function for consistent conversion (black keys keep their accidental)
      */
     midiNoteToMapping(midiNote) {
-        // Get closest natural note for the game (no sharps/flats)
-        const naturalMidiNote = getClosestNaturalNote(midiNote);
-        return midiNoteToMapping(naturalMidiNote);
+        return midiNoteToMapping(midiNote);
     }
     /**
      * Register a callback for MIDI note input
@@ -381,10 +469,7 @@ export class MidiManager {
      */
     emitStatusChange(additionalProps = {}) {
         const status = {
-            isSupported: !!navigator.requestMIDIAccess,
-            isEnabled: !!this.midiAccess,
-            selectedDeviceId: this.selectedDeviceId || undefined,
-            connectedDevices: Array.from(this.connectedDevices.values()),
+            ...this.getStatus(),
             ...additionalProps
         };
         this.emit('statusChanged', status);
@@ -397,7 +482,9 @@ export class MidiManager {
             isSupported: !!navigator.requestMIDIAccess,
             isEnabled: !!this.midiAccess,
             selectedDeviceId: this.selectedDeviceId || undefined,
-            connectedDevices: Array.from(this.connectedDevices.values())
+            connectedDevices: Array.from(this.connectedDevices.values()),
+            selectedOutputId: this.selectedOutputId || undefined,
+            connectedOutputs: this.getConnectedOutputs()
         };
     }
     /**
@@ -406,6 +493,19 @@ export class MidiManager {
     getConnectedDevices() {
         return Array.from(this.connectedDevices.values());
     }
+    /**
+     * Get list of connected outputs
+     */
+    getConnectedOutputs() {
+        return Array.from(this.connectedOutputs.values()).map(output => this.describeOutput(output));
+    }
+    /**
+     * Get currently selected output
+     */
+    getSelectedOutput() {
+        const output = this.selectedOutputId ? this.connectedOutputs.get(this.selectedOutputId) : undefined;
+        return output ? this.describeOutput(output) : null;
+    }
     /**
      * Get currently selected device
      */
@@ -435,6 +535,8 @@ export class MidiManager {
             this.disconnectDevice(this.selectedDeviceId);
         }
         this.connectedDevices.clear();
+        this.connectedOutputs.clear();
+        this.selectedOutputId = null;
         this.inputCallbacks = [];
         this.eventListeners.clear();
         this.midiAccess = null;
@@ -3,6 +3,14 @@
  * Handles MIDI device selection in the menu/options
  */
 import { midiManager } from './midi-manager.js';
+import { MidiOutputPlayer, readMidiOutputSettings } from './midi-output.js';
+import { MIN_CALIBRATION_RANGE } from './midi-utils.js';
+const OUTPUT_TEST_NOTES = [60, 64, 67]; // C major chord
+const CALIBRATION_PRESSES = 3; // Keys played for each of the soft and loud touch
+// Touch calibration of each keyboard, by device name
+let velocityCalibrations = {};
+// Calibration in progress: the touch being measured and the velocities played so far
+let calibration = null;
 /**
  * Initialize MIDI integration for the menu page
  */
@@ -36,6 +44,28 @@ export function initializeMenuMidiIntegration() {
             }
         });
     }
+    // Output selector: notes are only sent once the player picks an output
+    midiManager.on('outputConnected', () => updateMenuMidiUI());
+    midiManager.on('outputDisconnected', () => updateMenuMidiUI());
+    const outputSelector = document.getElementById('midiOutputMenuSelector');
+    if (outputSelector) {
+        outputSelector.addEventListener('change', function () {
+            midiManager.selectOutput(this.value || null);
+        });
+    }
+    // Touch calibration: a few soft keys, then a few loud ones, on the selected keyboard
+    midiManager.on('noteOn', (note) => recordCalibrationPress(note.velocity));
+    const calibrateBtn = document.getElementById('midiCalibrateBtn');
+    if (calibrateBtn) {
+        calibrateBtn.addEventListener('click', startCalibration);
+    }
+    // Play a chord on the chosen output and channel to check the connection
+    const outputTestBtn = document.getElementById('midiOutputTestBtn');
+    if (outputTestBtn) {
+        outputTestBtn.addEventListener('click', () => {
+            new MidiOutputPlayer(midiManager, getMenuOutputSettings()).playNotes(OUTPUT_TEST_NOTES);
+        });
+    }
     // Initialize UI after a delay to allow initial device scan
     setTimeout(updateMenuMidiUI, 1000);
 }
@@ -60,6 +90,21 @@ function updateMenuMidiUI() {
         });
         deviceSelector.disabled = devices.length === 0;
     }
+    updateCalibrationStatus();
+    // Update output selector
+    const outputSelector = document.getElementById('midiOutputMenuSelector');
+    if (outputSelector) {
+        const outputs = midiManager.getConnectedOutputs();
+        outputSelector.innerHTML = '<option value="">None</option>';
+        outputs.forEach(output => {
+            const option = document.createElement('option');
+            option.value = output.id;
+            option.textContent = `${output.name} (${output.manufacturer})`;
+            option.selected = output.id === status.selectedOutputId;
+            outputSelector.appendChild(option);
+        });
+        outputSelector.disabled = outputs.length === 0;
+    }
     // Update status indicator
     const statusIndicator = document.getElementById('midiStatusMenu');
     if (statusIndicator) {
@@ -82,22 +127,136 @@ function updateMenuMidiUI() {
         }
     }
 }
+function showCalibrationStatus(text) {
+    const status = document.getElementById('midiCalibrationStatus');
+    if (status) {
+        status.textContent = text;
+    }
+}
+/**
+ * Show the selected keyboard's calibration (unless one is in progress)
+ */
+function updateCalibrationStatus() {
+    if (calibration)
+        return;
+    const device = midiManager.getSelectedDevice();
+    const saved = device ? velocityCalibrations[device.name] : undefined;
+    const calibrateBtn = document.getElementById('midiCalibrateBtn');
+    if (calibrateBtn) {
+        calibrateBtn.disabled = !device;
+    }
+    showCalibrationStatus(saved ? `Soft ${saved.soft}, loud ${saved.loud}` : 'Not calibrated');
+}
+function startCalibration() {
+    if (!midiManager.getSelectedDevice())
+        return;
+    calibration = { touch: 'soft', velocities: [], soft: 0 };
+    showCalibrationStatus(`Play ${CALIBRATION_PRESSES} keys as softly as you can`);
+}
+function recordCalibrationPress(velocity) {
+    if (!calibration)
+        return;
+    calibration.velocities.push(velocity);
+    if (calibration.velocities.length < CALIBRATION_PRESSES)
+        return;
+    const average = Math.round(calibration.velocities.reduce((sum, value) => sum + value, 0) / calibration.velocities.length);
+    if (calibration.touch === 'soft') {
+        calibration = { touch: 'loud', velocities: [], soft: average };
+        showCalibrationStatus(`Now play ${CALIBRATION_PRESSES} keys as loudly as you can`);
+        return;
+    }
+    const soft = calibration.soft;
+    calibration = null;
+    const device = midiManager.getSelectedDevice();
+    if (!device)
+        return;
+    if (average - soft < MIN_CALIBRATION_RANGE) {
+        showCalibrationStatus('The loud keys were not much louder than the soft ones. Try again');
+        return;
+    }
+    velocityCalibrations[device.name] = { soft: soft, loud: average };
+    saveVelocityCalibrations();
+    updateCalibrationStatus();
+}
+/**
+ * Store the calibrations straight away, keeping the rest of the saved MIDI settings as they are
+ */
+function saveVelocityCalibrations() {
+    let settings = {};
+    try {
+        settings = JSON.parse(localStorage.getItem('noteGameMidiSettings') || '{}') || {};
+    }
+    catch (error) {
+        console.error('Failed to read MIDI settings:', error);
+    }
+    settings.velocityCalibrations = velocityCalibrations;
+    localStorage.setItem('noteGameMidiSettings', JSON.stringify(settings));
+}
 /**
  * Get MIDI connection status for menu display
  */
 export function getMenuMidiStatus() {
     return midiManager.getStatus();
 }
+/**
+ * Controller number of the pedal chosen to pause the game, or null
+ */
+function getSelectedPausePedal() {
+    const pedalSelector = document.getElementById('midiPausePedalSelector');
+    return pedalSelector && pedalSelector.value ? parseInt(pedalSelector.value, 10) : null;
+}
+/**
+ * What to send to the output, from the option controls (channels are shown as 1-16)
+ */
+function getMenuOutputSettings() {
+    const checked = (id) => document.getElementById(id)?.checked === true;
+    const channel = (id) => parseInt(document.getElementById(id)?.value || '', 10) - 1;
+    return readMidiOutputSettings({
+        hint: checked('midiHintToggle'),
+        echo: checked('midiEchoToggle'),
+        keyLights: checked('midiKeyLightsToggle'),
+        lightChannels: {
+            treble: channel('midiLightTrebleChannel'),
+            bass: channel('midiLightBassChannel')
+        }
+    });
+}
+/**
+ * Show saved output settings in the option controls
+ */
+function showMenuOutputSettings(settings) {
+    const setChecked = (id, value) => {
+        const toggle = document.getElementById(id);
+        if (toggle)
+            toggle.checked = value;
+    };
+    const setChannel = (id, value) => {
+        const input = document.getElementById(id);
+        if (input)
+            input.value = String(value + 1);
+    };
+    setChecked('midiHintToggle', settings.hint);
+    setChecked('midiEchoToggle', settings.echo);
+    setChecked('midiKeyLightsToggle', settings.keyLights);
+    setChannel('midiLightTrebleChannel', settings.lightChannels.treble);
+    setChannel('midiLightBassChannel', settings.lightChannels.bass);
+}
 /**
  * Save MIDI settings to localStorage for the game
  */
 export function saveMidiSettings() {
     const status = midiManager.getStatus();
     const selectedDevice = midiManager.getSelectedDevice();
+    const selectedOutput = midiManager.getSelectedOutput();
     const midiSettings = {
         enabled: !!status.selectedDeviceId,
         selectedDeviceId: status.selectedDeviceId || null,
-        selectedDeviceName: selectedDevice?.name || null
+        selectedDeviceName: selectedDevice?.name || null,
+        pausePedal: getSelectedPausePedal(),
+        selectedOutputId: status.selectedOutputId || null,
+        selectedOutputName: selectedOutput?.name || null,
+        output: getMenuOutputSettings(),
+        velocityCalibrations: velocityCalibrations
     };
     localStorage.setItem('noteGameMidiSettings', JSON.stringify(midiSettings));
     console.log('MIDI settings saved:', midiSettings);
@@ -111,6 +270,14 @@ export function loadMidiSettings() {
         try {
             const settings = JSON.parse(saved);
             console.log('Loaded MIDI settings:', settings);
+            const pedalSelector = document.getElementById('midiPausePedalSelector');
+            if (pedalSelector) {
+                pedalSelector.value = typeof settings.pausePedal === 'number' ? String(settings.pausePedal) : '';
+            }
+            showMenuOutputSettings(readMidiOutputSettings(settings.output));
+            velocityCalibrations = settings.velocityCalibrations && typeof settings.velocityCalibrations === 'object'
+                ? settings.velocityCalibrations
+                : {};
             // If there was a previously selected device, try to select it again
             if (settings.selectedDeviceId) {
                 setTimeout(() => {
@@ -124,6 +291,12 @@ export function loadMidiSettings() {
                     updateMenuMidiUI();
                 }, 1500);
             }
+            if (settings.selectedOutputId) {
+                setTimeout(() => {
+                    midiManager.selectOutput(settings.selectedOutputId);
+                    updateMenuMidiUI();
+                }, 1500);
+            }
         }
         catch (error) {
             console.error('Failed to load MIDI settings:', error);
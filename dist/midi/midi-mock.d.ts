@@ -0,0 +1,27 @@
+/**
+ * Mock MIDI output for tests
+ * Records what is sent instead of playing it; can stand in for a Web MIDI output port
+ * (midiManager.addOutputDevice) or be given straight to a MidiOutputPlayer
+ */
+import { MidiOutputPort } from './midi-types.js';
+export interface SentMidiMessage {
+    data: number[];
+    timestamp: number | undefined;
+}
+export declare class MockMidiOutput implements MidiOutputPort {
+    readonly id: string;
+    readonly name: string;
+    readonly manufacturer: string;
+    readonly type = "output";
+    state: 'connected' | 'disconnected';
+    connection: 'open' | 'closed' | 'pending';
+    sent: SentMidiMessage[];
+    constructor(id?: string, name?: string, manufacturer?: string);
+    send(data: number[], timestamp?: number): void;
+    /**
+     * Notes held down on a channel after everything sent up to a time (all of it by default),
+     * in the order they started. Messages sent without a time count as sent at time 0
+     */
+    notesOn(channel: number, time?: number): number[];
+    clear(): void;
+}
@@ -0,0 +1,45 @@
+/**
+ * Mock MIDI output for tests
+ * Records what is sent instead of playing it; can stand in for a Web MIDI output port
+ * (midiManager.addOutputDevice) or be given straight to a MidiOutputPlayer
+ */
+export class MockMidiOutput {
+    constructor(id = 'mock-output', name = 'Mock MIDI Output', manufacturer = 'Test') {
+        this.id = id;
+        this.name = name;
+        this.manufacturer = manufacturer;
+        this.type = 'output';
+        this.state = 'connected';
+        this.connection = 'open';
+        this.sent = [];
+    }
+    send(data, timestamp) {
+        this.sent.push({ data: Array.from(data), timestamp: timestamp });
+    }
+    /**
+     * Notes held down on a channel after everything sent up to a time (all of it by default),
+     * in the order they started. Messages sent without a time count as sent at time 0
+     */
+    notesOn(channel, time = Infinity) {
+        const held = new Set();
+        this.sent
+            .filter(message => (message.timestamp ?? 0) <= time)
+            .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0))
+            .forEach(({ data: [status, note, velocity] }) => {
+            if ((status & 0x0F) !== channel)
+                return;
+            const type = status & 0xF0;
+            if (type === 0x90 && velocity > 0) {
+                held.add(note);
+            }
+            else if (type === 0x80 || type === 0x90) {
+                held.delete(note);
+            }
+        });
+        return Array.from(held);
+    }
+    clear() {
+        this.sent = [];
+    }
+}
+//# sourceMappingURL=midi-mock.js.map
\ No newline at end of file
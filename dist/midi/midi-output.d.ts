@@ -0,0 +1,47 @@
+/**
+ * MIDI Output for Note Reading Game
+ * Plays notes on the player's keyboard (hints and echoes) and drives key lights
+ *
+ * Key lights: keyboards with lit keys light a key for a note-on received on one of their light
+ * channels and turn it off again with the note-off. The channels differ between keyboards, so they
+ * are settings (one for each hand).
+ */
+import { MidiKeyLight, MidiOutputPort, MidiOutputSettings } from './midi-types.js';
+export declare const DEFAULT_MIDI_OUTPUT_SETTINGS: MidiOutputSettings;
+export declare function noteOnMessage(channel: number, note: number, velocity: number): number[];
+export declare function noteOffMessage(channel: number, note: number): number[];
+/**
+ * Saved output settings with anything missing or out of range replaced by the defaults
+ */
+export declare function readMidiOutputSettings(saved: any): MidiOutputSettings;
+export declare class MidiOutputPlayer {
+    private port;
+    private now;
+    private settings;
+    private litKeys;
+    constructor(port: MidiOutputPort, settings?: Partial<MidiOutputSettings>, now?: () => number);
+    getSettings(): MidiOutputSettings;
+    /**
+     * Change the settings; keys lit on a channel that is no longer used (or with key lights
+     * turned off) go dark
+     */
+    updateSettings(settings: Partial<MidiOutputSettings>): void;
+    /**
+     * The notes of a new target, played on the keyboard when hints are on
+     */
+    playHint(notes: number[], delayMs?: number): void;
+    /**
+     * The right notes after a miss, played on the keyboard when echoes are on
+     */
+    playEcho(notes: number[], delayMs?: number): void;
+    /**
+     * Play notes together; the note-offs are scheduled with the note-ons, so no timers are needed
+     */
+    playNotes(notes: number[], delayMs?: number): void;
+    /**
+     * Light exactly these keys: new ones are turned on and the rest of the lit keys turned off
+     */
+    setKeyLights(keys: MidiKeyLight[]): void;
+    clearKeyLights(): void;
+    private lightKey;
+}
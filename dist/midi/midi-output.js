@@ -0,0 +1,128 @@
+/**
+ * MIDI Output for Note Reading Game
+ * Plays notes on the player's keyboard (hints and echoes) and drives key lights
+ *
+ * Key lights: keyboards with lit keys light a key for a note-on received on one of their light
+ * channels and turn it off again with the note-off. The channels differ between keyboards, so they
+ * are settings (one for each hand).
+ */
+export const DEFAULT_MIDI_OUTPUT_SETTINGS = {
+    hint: false,
+    echo: false,
+    keyLights: false,
+    channel: 0,
+    velocity: 80,
+    noteLength: 600,
+    lightChannels: { treble: 3, bass: 2 }
+};
+const LIGHT_VELOCITY = 1; // Quiet, in case the keyboard also sounds its light channels
+export function noteOnMessage(channel, note, velocity) {
+    return [0x90 | (channel & 0x0F), note & 0x7F, velocity & 0x7F];
+}
+export function noteOffMessage(channel, note) {
+    return [0x80 | (channel & 0x0F), note & 0x7F, 0];
+}
+/**
+ * Saved output settings with anything missing or out of range replaced by the defaults
+ */
+export function readMidiOutputSettings(saved) {
+    const channel = (value, fallback) => Number.isInteger(value) && value >= 0 && value <= 15 ? value : fallback;
+    const defaults = DEFAULT_MIDI_OUTPUT_SETTINGS;
+    const settings = saved && typeof saved === 'object' ? saved : {};
+    const lightChannels = settings.lightChannels && typeof settings.lightChannels === 'object' ? settings.lightChannels : {};
+    return {
+        hint: settings.hint === true,
+        echo: settings.echo === true,
+        keyLights: settings.keyLights === true,
+        channel: channel(settings.channel, defaults.channel),
+        velocity: Number.isInteger(settings.velocity) && settings.velocity >= 1 && settings.velocity <= 127
+            ? settings.velocity
+            : defaults.velocity,
+        noteLength: typeof settings.noteLength === 'number' && settings.noteLength > 0 ? settings.noteLength : defaults.noteLength,
+        lightChannels: {
+            treble: channel(lightChannels.treble, defaults.lightChannels.treble),
+            bass: channel(lightChannels.bass, defaults.lightChannels.bass)
+        }
+    };
+}
+export class MidiOutputPlayer {
+    constructor(port, settings = {}, now = () => performance.now()) {
+        this.port = port;
+        this.now = now;
+        this.litKeys = new Map(); // 'channel:note' -> key
+        this.settings = { ...DEFAULT_MIDI_OUTPUT_SETTINGS, ...settings };
+    }
+    getSettings() {
+        return { ...this.settings, lightChannels: { ...this.settings.lightChannels } };
+    }
+    /**
+     * Change the settings; keys lit on a channel that is no longer used (or with key lights
+     * turned off) go dark
+     */
+    updateSettings(settings) {
+        const lit = Array.from(this.litKeys.values());
+        this.clearKeyLights();
+        this.settings = { ...this.settings, ...settings };
+        if (this.settings.keyLights) {
+            lit.forEach(key => this.lightKey(key.channel, key.note));
+        }
+    }
+    /**
+     * The notes of a new target, played on the keyboard when hints are on
+     */
+    playHint(notes, delayMs = 0) {
+        if (this.settings.hint) {
+            this.playNotes(notes, delayMs);
+        }
+    }
+    /**
+     * The right notes after a miss, played on the keyboard when echoes are on
+     */
+    playEcho(notes, delayMs = 0) {
+        if (this.settings.echo) {
+            this.playNotes(notes, delayMs);
+        }
+    }
+    /**
+     * Play notes together; the note-offs are scheduled with the note-ons, so no timers are needed
+     */
+    playNotes(notes, delayMs = 0) {
+        const start = this.now() + delayMs;
+        notes.forEach(note => {
+            this.port.send(noteOnMessage(this.settings.channel, note, this.settings.velocity), start);
+            this.port.send(noteOffMessage(this.settings.channel, note), start + this.settings.noteLength);
+        });
+    }
+    /**
+     * Light exactly these keys: new ones are turned on and the rest of the lit keys turned off
+     */
+    setKeyLights(keys) {
+        if (!this.settings.keyLights)
+            return;
+        const wanted = new Map();
+        keys.forEach(key => {
+            const channel = key.clef === 'bass' ? this.settings.lightChannels.bass : this.settings.lightChannels.treble;
+            wanted.set(`${channel}:${key.midi}`, { channel: channel, note: key.midi });
+        });
+        Array.from(this.litKeys.entries()).forEach(([id, key]) => {
+            if (!wanted.has(id)) {
+                this.port.send(noteOffMessage(key.channel, key.note));
+                this.litKeys.delete(id);
+            }
+        });
+        wanted.forEach((key, id) => {
+            if (!this.litKeys.has(id)) {
+                this.lightKey(key.channel, key.note);
+            }
+        });
+    }
+    clearKeyLights() {
+        this.litKeys.forEach(key => this.port.send(noteOffMessage(key.channel, key.note)));
+        this.litKeys.clear();
+    }
+    lightKey(channel, note) {
+        this.port.send(noteOnMessage(channel, note, LIGHT_VELOCITY));
+        this.litKeys.set(`${channel}:${note}`, { channel: channel, note: note });
+    }
+}
+//# sourceMappingURL=midi-output.js.map
\ No newline at end of file
@@ -18,6 +18,7 @@ export interface MidiNote {
 export interface MidiNoteMapping {
     midiNote: number;
     noteName: string;
+    accidental: 'sharp' | null;
     octave: number;
     scientific: string;
 }
@@ -34,15 +35,61 @@ export interface MidiConnectionStatus {
     isEnabled: boolean;
     selectedDeviceId?: string;
     connectedDevices: MidiDevice[];
+    selectedOutputId?: string;
+    connectedOutputs: MidiDevice[];
     lastError?: string;
     pianoMode?: PianoModeSettings;
 }
-export type MidiInputCallback = (noteMapping: MidiNoteMapping) => void;
+export interface MidiControlChange {
+    controller: number;
+    value: number;
+    channel: number;
+    timestamp: number;
+}
+/**
+ * The velocities a keyboard sends for the player's softest and loudest touch (see calibrateVelocity)
+ */
+export interface VelocityCalibration {
+    soft: number;
+    loud: number;
+}
+/**
+ * Anything notes can be sent to: a Web MIDI output port, the MIDI manager's selected output or a mock
+ */
+export interface MidiOutputPort {
+    send(data: number[], timestamp?: number): void;
+}
+/**
+ * What the game sends to the player's keyboard
+ */
+export interface MidiOutputSettings {
+    hint: boolean;
+    echo: boolean;
+    keyLights: boolean;
+    channel: number;
+    velocity: number;
+    noteLength: number;
+    lightChannels: {
+        treble: number;
+        bass: number;
+    };
+}
+/**
+ * A key to light: its MIDI note and the clef it is read on (which picks the light channel)
+ */
+export interface MidiKeyLight {
+    midi: number;
+    clef: string;
+}
+export type MidiInputCallback = (noteMapping: MidiNoteMapping, note: MidiNote) => void;
 export interface MidiManagerEvents {
     'deviceConnected': (device: MidiDevice) => void;
-    'deviceDisconnected': (device: MidiDevice) => void;
+    'deviceDisconnected': (device: MidiDevice, wasSelected: boolean) => void;
+    'outputConnected': (device: MidiDevice) => void;
+    'outputDisconnected': (device: MidiDevice, wasSelected: boolean) => void;
     'noteOn': (note: MidiNote, mapping: MidiNoteMapping) => void;
     'noteOff': (note: MidiNote, mapping: MidiNoteMapping) => void;
+    'controlChange': (change: MidiControlChange) => void;
     'statusChanged': (status: MidiConnectionStatus) => void;
     'pianoModeChanged': (settings: PianoModeSettings) => void;
 }
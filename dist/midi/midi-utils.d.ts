@@ -2,7 +2,7 @@
  * MIDI Utility Functions
  * Helper functions for MIDI note conversion and processing
  */
-import { MidiNoteMapping } from './midi-types.js';
+import { MidiNoteMapping, VelocityCalibration } from './midi-types.js';
 /**
  * Convert scientific notation (letter + octave) to MIDI note number
  * @param letter Note letter (A-G)
@@ -32,13 +32,6 @@ export declare function midiNoteToMapping(midiNote: number): MidiNoteMapping;
  * @returns True if natural note, false if sharp/flat
  */
 export declare function isNaturalNote(midiNote: number): boolean;
-/**
- * Get the closest natural note for a given MIDI note
- * Useful for mapping sharp/flat notes to natural notes for the game
- * @param midiNote MIDI note number
- * @returns MIDI note number of closest natural note
- */
-export declare function getClosestNaturalNote(midiNote: number): number;
 /**
  * Check if a MIDI note is in the playable range for the game
  * Based on typical piano range and note reading difficulty
@@ -53,12 +46,32 @@ export declare function isInPlayableRange(midiNote: number): boolean;
  */
 export declare function formatNoteForDisplay(mapping: MidiNoteMapping): string;
 /**
- * Get the natural note name from a MIDI note for game input
- * Maps sharps/flats to closest natural
+ * Get the note name from a MIDI note for game input
+ * Black keys are spelled as sharps; the game matches input by pitch class,
+ * so C# also answers a written Db
  * @param midiNote MIDI note number
- * @returns Natural note name for game input
+ * @returns Note name for game input (e.g. "C", "C#")
+ */
+export declare function getNoteNameForGame(midiNote: number): string;
+export declare const MIN_CALIBRATION_RANGE = 10;
+/**
+ * Spread a keyboard's velocities over the full range, so that soft and hard key actions reach the
+ * same dynamics: the calibrated soft touch becomes 1 and the loud touch 127
+ * @param velocity Velocity received (1-127)
+ * @param calibration The keyboard's calibration, or null to keep the velocity as it is
+ * @returns Velocity on the full 1-127 range
+ */
+export declare function calibrateVelocity(velocity: number, calibration: VelocityCalibration | null): number;
+export declare const PAUSE_PEDALS: Record<string, number>;
+export declare const PEDAL_DOWN_VALUE = 64;
+/**
+ * Whether a pedal's new controller value presses it down; pedals that report half positions send many
+ * values while moving, and only crossing the middle counts as one press
+ * @param previousValue Last value received from the pedal
+ * @param value New value
+ * @returns True when the pedal went from up to down
  */
-export declare function getNaturalNoteForGame(midiNote: number): string;
+export declare function isPedalPress(previousValue: number, value: number): boolean;
 /**
  * Determine which clef a MIDI note belongs to for hard mode split input
  * @param midiNote MIDI note number
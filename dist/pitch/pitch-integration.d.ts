@@ -0,0 +1,5 @@
+/**
+ * Microphone Integration for Note Reading Game
+ * Connects the microphone pitch detector to the existing game input system
+ */
+export declare function initializeMicrophoneIntegration(): Promise<void>;
@@ -0,0 +1,96 @@
+/**
+ * Microphone Integration for Note Reading Game
+ * Connects the microphone pitch detector to the existing game input system
+ */
+import { microphoneManager, DEFAULT_MICROPHONE_SETTINGS } from './pitch-manager.js';
+import { getNoteNameForGame } from '../midi/midi-utils.js';
+/**
+ * Load microphone settings saved by the main menu
+ */
+function loadMicrophoneSettings() {
+    const saved = localStorage.getItem('noteGameSettings');
+    if (saved) {
+        try {
+            const gameSettings = JSON.parse(saved);
+            return { ...DEFAULT_MICROPHONE_SETTINGS, ...(gameSettings.microphone || {}) };
+        }
+        catch (e) {
+            console.warn('Could not load microphone settings from menu:', e);
+        }
+    }
+    return { ...DEFAULT_MICROPHONE_SETTINGS };
+}
+/**
+ * Forward a detected note to the game as letter + octave
+ */
+function handleDetectedNote(note) {
+    const noteForGame = getNoteNameForGame(note.midiNote);
+    const octave = Math.floor(note.midiNote / 12) - 1;
+    console.log(`Microphone input: ${noteForGame}${octave} (${note.frequency.toFixed(1)} Hz, ${note.cents >= 0 ? '+' : ''}${note.cents} cents, confidence ${note.confidence.toFixed(2)})`);
+    if (typeof window.handleNoteInputWithOctave === 'function') {
+        window.handleNoteInputWithOctave(noteForGame, octave);
+    }
+    // Visual feedback (sharps light up their letter button, like MIDI input)
+    const button = document.querySelector(`.pitch-btn[data-note="${noteForGame.charAt(0)}"]`);
+    if (button) {
+        button.classList.add('midi-highlight');
+        setTimeout(() => {
+            button.classList.remove('midi-highlight');
+        }, 200);
+    }
+}
+/**
+ * Update the microphone status indicator
+ */
+function updateMicrophoneUI(status) {
+    const statusIndicator = document.getElementById('microphoneStatus');
+    if (!statusIndicator)
+        return;
+    if (!status.isSupported) {
+        statusIndicator.textContent = 'Microphone not supported';
+        statusIndicator.className = 'midi-status error';
+    }
+    else if (status.lastError) {
+        statusIndicator.textContent = status.lastError;
+        statusIndicator.className = 'midi-status error';
+    }
+    else if (status.isListening) {
+        statusIndicator.textContent = `Listening (A4 = ${microphoneManager.getSettings().tuningReference} Hz)`;
+        statusIndicator.className = 'midi-status success';
+    }
+    else {
+        statusIndicator.textContent = 'Microphone off';
+        statusIndicator.className = 'midi-status info';
+    }
+}
+export async function initializeMicrophoneIntegration() {
+    const settings = loadMicrophoneSettings();
+    const microphoneControl = document.getElementById('microphoneControlGame');
+    if (!settings.enabled) {
+        if (microphoneControl)
+            microphoneControl.style.display = 'none';
+        return;
+    }
+    if (microphoneControl)
+        microphoneControl.style.display = '';
+    microphoneManager.configure(settings);
+    microphoneManager.on('statusChanged', updateMicrophoneUI);
+    microphoneManager.onNoteInput(handleDetectedNote);
+    // Browsers keep new audio contexts suspended until the page receives a user gesture
+    const resumeOnGesture = () => {
+        microphoneManager.resume();
+    };
+    document.addEventListener('click', resumeOnGesture);
+    document.addEventListener('keydown', resumeOnGesture);
+    await microphoneManager.start();
+}
+// Auto-initialize when script loads
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        initializeMicrophoneIntegration();
+    });
+}
+else {
+    initializeMicrophoneIntegration();
+}
+//# sourceMappingURL=pitch-integration.js.map
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Microphone Manager for Note Reading Game
+ * Captures microphone audio and runs monophonic pitch detection in an AudioWorklet
+ *
+ * Features:
+ * - Pitch detection off the main thread (see pitch-worklet.ts)
+ * - Onset detection so repeated notes are reported once per attack
+ * - Adjustable confidence threshold and tuning reference (A4 frequency)
+ * - Event-based architecture matching the MIDI manager
+ */
+import { MicrophoneManagerEvents, MicrophoneNoteCallback, MicrophoneSettings, MicrophoneStatus } from './pitch-types.js';
+export declare const DEFAULT_MICROPHONE_SETTINGS: MicrophoneSettings;
+export declare class MicrophoneManager {
+    private audioContext;
+    private mediaStream;
+    private sourceNode;
+    private detectorNode;
+    private settings;
+    private inputCallbacks;
+    private eventListeners;
+    /**
+     * Check whether the browser supports microphone capture and AudioWorklet
+     */
+    isSupported(): boolean;
+    /**
+     * Request microphone access and start pitch detection
+     * @returns True if the microphone is listening
+     */
+    start(): Promise<boolean>;
+    /**
+     * Stop pitch detection and release the microphone
+     */
+    stop(): void;
+    /**
+     * Resume the audio context (browsers suspend it until a user gesture)
+     */
+    resume(): Promise<void>;
+    /**
+     * Update tuning reference and confidence threshold (applied live if listening)
+     */
+    configure(settings: Partial<MicrophoneSettings>): void;
+    /**
+     * Forget the current note so the next detection is reported even if it repeats
+     */
+    reset(): void;
+    /**
+     * Get the active settings
+     */
+    getSettings(): MicrophoneSettings;
+    /**
+     * Send a command to the worklet if it is running
+     */
+    private postCommand;
+    /**
+     * Process a message posted by the pitch detector worklet
+     */
+    private handleWorkletMessage;
+    /**
+     * Register a callback for detected notes
+     */
+    onNoteInput(callback: MicrophoneNoteCallback): void;
+    /**
+     * Clear all note input callbacks
+     */
+    clearNoteInputCallbacks(): void;
+    /**
+     * Register an event listener
+     */
+    on<T extends keyof MicrophoneManagerEvents>(event: T, listener: MicrophoneManagerEvents[T]): void;
+    /**
+     * Emit an event to all registered listeners
+     */
+    private emit;
+    /**
+     * Emit status change event
+     */
+    private emitStatusChange;
+    /**
+     * Get current microphone status
+     */
+    getStatus(): MicrophoneStatus;
+    /**
+     * Release the microphone and clear listeners
+     */
+    destroy(): void;
+}
+export declare const microphoneManager: MicrophoneManager;
@@ -0,0 +1,223 @@
+/**
+ * Microphone Manager for Note Reading Game
+ * Captures microphone audio and runs monophonic pitch detection in an AudioWorklet
+ *
+ * Features:
+ * - Pitch detection off the main thread (see pitch-worklet.ts)
+ * - Onset detection so repeated notes are reported once per attack
+ * - Adjustable confidence threshold and tuning reference (A4 frequency)
+ * - Event-based architecture matching the MIDI manager
+ */
+import { PITCH_PROCESSOR_NAME } from './pitch-utils.js';
+export const DEFAULT_MICROPHONE_SETTINGS = {
+    enabled: false,
+    tuningReference: 440,
+    confidenceThreshold: 0.85
+};
+export class MicrophoneManager {
+    constructor() {
+        this.audioContext = null;
+        this.mediaStream = null;
+        this.sourceNode = null;
+        this.detectorNode = null;
+        this.settings = { ...DEFAULT_MICROPHONE_SETTINGS };
+        this.inputCallbacks = [];
+        this.eventListeners = new Map();
+    }
+    /**
+     * Check whether the browser supports microphone capture and AudioWorklet
+     */
+    isSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia) &&
+            typeof AudioWorkletNode !== 'undefined';
+    }
+    /**
+     * Request microphone access and start pitch detection
+     * @returns True if the microphone is listening
+     */
+    async start() {
+        if (this.detectorNode)
+            return true;
+        if (!this.isSupported()) {
+            console.warn('Microphone pitch detection not supported in this browser');
+            this.emitStatusChange({ lastError: 'Microphone input not supported' });
+            return false;
+        }
+        try {
+            // Disable voice processing: it distorts sustained instrument tones
+            this.mediaStream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+            });
+            this.audioContext = new AudioContext();
+            await this.audioContext.audioWorklet.addModule(new URL('./pitch-worklet.js', import.meta.url).href);
+            this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+            this.detectorNode = new AudioWorkletNode(this.audioContext, PITCH_PROCESSOR_NAME, {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                processorOptions: {
+                    tuningReference: this.settings.tuningReference,
+                    confidenceThreshold: this.settings.confidenceThreshold
+                }
+            });
+            this.detectorNode.port.onmessage = (event) => {
+                this.handleWorkletMessage(event.data);
+            };
+            this.sourceNode.connect(this.detectorNode);
+            console.log('Microphone pitch detection started');
+            this.emitStatusChange();
+            return true;
+        }
+        catch (error) {
+            console.error('Failed to start microphone input:', error);
+            this.stop();
+            this.emitStatusChange({ lastError: `Microphone unavailable: ${error.message}` });
+            return false;
+        }
+    }
+    /**
+     * Stop pitch detection and release the microphone
+     */
+    stop() {
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        if (this.detectorNode) {
+            this.detectorNode.port.onmessage = null;
+            this.detectorNode = null;
+        }
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.emitStatusChange();
+    }
+    /**
+     * Resume the audio context (browsers suspend it until a user gesture)
+     */
+    async resume() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+    }
+    /**
+     * Update tuning reference and confidence threshold (applied live if listening)
+     */
+    configure(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.postCommand({
+            type: 'configure',
+            options: {
+                tuningReference: this.settings.tuningReference,
+                confidenceThreshold: this.settings.confidenceThreshold
+            }
+        });
+    }
+    /**
+     * Forget the current note so the next detection is reported even if it repeats
+     */
+    reset() {
+        this.postCommand({ type: 'reset' });
+    }
+    /**
+     * Get the active settings
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+    /**
+     * Send a command to the worklet if it is running
+     */
+    postCommand(command) {
+        if (this.detectorNode) {
+            this.detectorNode.port.postMessage(command);
+        }
+    }
+    /**
+     * Process a message posted by the pitch detector worklet
+     */
+    handleWorkletMessage(message) {
+        if (message.type === 'note') {
+            const note = message.note;
+            this.inputCallbacks.forEach(callback => {
+                try {
+                    callback(note);
+                }
+                catch (error) {
+                    console.error('Error in microphone input callback:', error);
+                }
+            });
+            this.emit('note', note);
+        }
+        else if (message.type === 'silence') {
+            this.emit('silence');
+        }
+    }
+    /**
+     * Register a callback for detected notes
+     */
+    onNoteInput(callback) {
+        this.inputCallbacks.push(callback);
+    }
+    /**
+     * Clear all note input callbacks
+     */
+    clearNoteInputCallbacks() {
+        this.inputCallbacks = [];
+    }
+    /**
+     * Register an event listener
+     */
+    on(event, listener) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(listener);
+    }
+    /**
+     * Emit an event to all registered listeners
+     */
+    emit(event, ...args) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            listeners.forEach(listener => {
+                try {
+                    listener(...args);
+                }
+                catch (error) {
+                    console.error(`Error in microphone event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+    /**
+     * Emit status change event
+     */
+    emitStatusChange(additionalProps = {}) {
+        this.emit('statusChanged', { ...this.getStatus(), ...additionalProps });
+    }
+    /**
+     * Get current microphone status
+     */
+    getStatus() {
+        return {
+            isSupported: this.isSupported(),
+            isListening: !!this.detectorNode
+        };
+    }
+    /**
+     * Release the microphone and clear listeners
+     */
+    destroy() {
+        this.stop();
+        this.inputCallbacks = [];
+        this.eventListeners.clear();
+    }
+}
+// Export singleton instance for easy use across the application
+export const microphoneManager = new MicrophoneManager();
+//# sourceMappingURL=pitch-manager.js.map
\ No newline at end of file
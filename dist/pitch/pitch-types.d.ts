@@ -0,0 +1,61 @@
+/**
+ * TypeScript type definitions for microphone pitch detection
+ * Shared by the AudioWorklet processor, the microphone manager and the test harness
+ */
+export interface PitchDetectorOptions {
+    windowSize: number;
+    hopSize: number;
+    minFrequency: number;
+    maxFrequency: number;
+    confidenceThreshold: number;
+    tuningReference: number;
+    silenceThreshold: number;
+    onsetRatio: number;
+    stableFrames: number;
+}
+export interface PitchEstimate {
+    frequency: number;
+    confidence: number;
+}
+export interface DetectedNote {
+    midiNote: number;
+    frequency: number;
+    cents: number;
+    confidence: number;
+    time: number;
+}
+export interface MicrophoneSettings {
+    enabled: boolean;
+    tuningReference: number;
+    confidenceThreshold: number;
+}
+export interface MicrophoneStatus {
+    isSupported: boolean;
+    isListening: boolean;
+    lastError?: string;
+}
+/**
+ * Messages sent from the main thread to the pitch detector worklet
+ */
+export type PitchWorkletCommand = {
+    type: 'configure';
+    options: Partial<PitchDetectorOptions>;
+} | {
+    type: 'reset';
+};
+/**
+ * Messages sent from the pitch detector worklet to the main thread
+ */
+export type PitchWorkletMessage = {
+    type: 'note';
+    note: DetectedNote;
+} | {
+    type: 'silence';
+    time: number;
+};
+export type MicrophoneNoteCallback = (note: DetectedNote) => void;
+export interface MicrophoneManagerEvents {
+    'note': (note: DetectedNote) => void;
+    'silence': () => void;
+    'statusChanged': (status: MicrophoneStatus) => void;
+}
@@ -0,0 +1,6 @@
+/**
+ * TypeScript type definitions for microphone pitch detection
+ * Shared by the AudioWorklet processor, the microphone manager and the test harness
+ */
+export {};
+//# sourceMappingURL=pitch-types.js.map
\ No newline at end of file
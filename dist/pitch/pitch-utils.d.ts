@@ -0,0 +1,81 @@
+/**
+ * Pitch Detection Utility Functions
+ * Monophonic pitch estimation (YIN), onset tracking and frequency/MIDI conversion.
+ * Kept free of DOM and Web Audio APIs so the same code runs inside the AudioWorklet
+ * and in the synthesized-buffer test harness.
+ */
+import { PitchDetectorOptions, PitchEstimate, PitchWorkletMessage } from './pitch-types.js';
+export declare const PITCH_PROCESSOR_NAME = "pitch-detector";
+export declare const DEFAULT_PITCH_DETECTOR_OPTIONS: PitchDetectorOptions;
+/**
+ * Convert a frequency to a (fractional) MIDI note number
+ * @param frequency Frequency in Hz
+ * @param tuningReference Frequency of A4 in Hz
+ * @returns MIDI note number, e.g. 69.0 for A4 or 69.5 for a quarter tone above
+ */
+export declare function frequencyToMidi(frequency: number, tuningReference?: number): number;
+/**
+ * Convert a MIDI note number to its frequency
+ * @param midiNote MIDI note number (may be fractional)
+ * @param tuningReference Frequency of A4 in Hz
+ * @returns Frequency in Hz
+ */
+export declare function midiToFrequency(midiNote: number, tuningReference?: number): number;
+/**
+ * Root-mean-square level of a block of samples
+ * @param samples Audio samples (-1 to 1)
+ * @returns RMS level (0 to 1)
+ */
+export declare function calculateRms(samples: Float32Array): number;
+/**
+ * Estimate the fundamental frequency of a monophonic signal with the YIN algorithm
+ * @param samples Analysis window
+ * @param sampleRate Sample rate in Hz
+ * @param minFrequency Lowest pitch to search for in Hz
+ * @param maxFrequency Highest pitch to search for in Hz
+ * @returns Frequency and confidence, or null if no period was found in range
+ */
+export declare function detectPitchYin(samples: Float32Array, sampleRate: number, minFrequency: number, maxFrequency: number): PitchEstimate | null;
+/**
+ * Streaming monophonic note tracker
+ * Buffers incoming audio, estimates pitch every hop and reports each new note once:
+ * after an onset (attack out of silence or a sudden level jump) or a legato pitch change,
+ * once the same note has been detected with enough confidence for `stableFrames` hops.
+ */
+export declare class PitchTracker {
+    private sampleRate;
+    private options;
+    private history;
+    private frame;
+    private writeIndex;
+    private bufferedSamples;
+    private samplesSinceAnalysis;
+    private totalSamples;
+    private sounding;
+    private previousRms;
+    private candidateNote;
+    private candidateFrames;
+    private reportedNote;
+    constructor(sampleRate: number, options?: Partial<PitchDetectorOptions>);
+    /**
+     * Update detector options (window size changes clear the buffered audio)
+     */
+    configure(options: Partial<PitchDetectorOptions>): void;
+    /**
+     * Get the active detector options
+     */
+    getOptions(): PitchDetectorOptions;
+    /**
+     * Forget buffered audio and note state
+     */
+    reset(): void;
+    /**
+     * Feed a block of samples (any length, e.g. 128-sample render quanta)
+     * @returns Note and silence messages produced while processing the block
+     */
+    process(samples: Float32Array): PitchWorkletMessage[];
+    /**
+     * Analyse the most recent window (oldest sample first)
+     */
+    private analyzeFrame;
+}
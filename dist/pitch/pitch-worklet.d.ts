@@ -0,0 +1,6 @@
+/**
+ * Pitch Detector AudioWorklet Processor
+ * Runs the PitchTracker on the audio rendering thread and posts detected notes
+ * to the main thread. Loaded with audioWorklet.addModule('dist/pitch/pitch-worklet.js').
+ */
+export {};
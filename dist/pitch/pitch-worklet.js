@@ -0,0 +1,31 @@
+/**
+ * Pitch Detector AudioWorklet Processor
+ * Runs the PitchTracker on the audio rendering thread and posts detected notes
+ * to the main thread. Loaded with audioWorklet.addModule('dist/pitch/pitch-worklet.js').
+ */
+import { PitchTracker, PITCH_PROCESSOR_NAME } from './pitch-utils.js';
+class PitchDetectorProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super(options);
+        const detectorOptions = (options?.processorOptions || {});
+        this.tracker = new PitchTracker(sampleRate, detectorOptions);
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'configure') {
+                this.tracker.configure(event.data.options);
+            }
+            else if (event.data.type === 'reset') {
+                this.tracker.reset();
+            }
+        };
+    }
+    process(inputs) {
+        // Mono analysis: the first channel of the first input is enough for a single instrument
+        const channel = inputs[0] && inputs[0][0];
+        if (channel) {
+            this.tracker.process(channel).forEach(message => this.port.postMessage(message));
+        }
+        return true; // Keep the processor alive while the microphone is connected
+    }
+}
+registerProcessor(PITCH_PROCESSOR_NAME, PitchDetectorProcessor);
+//# sourceMappingURL=pitch-worklet.js.map
\ No newline at end of file
@@ -0,0 +1,6 @@
+/**
+ * Note Range Menu Integration
+ * Editor for choosing the exact notes to practise on each clef, with a staff and a small keyboard
+ */
+export declare function renderRangeEditor(): void;
+export declare function initializeRangeMenuIntegration(): void;
@@ -0,0 +1,256 @@
+/**
+ * Note Range Menu Integration
+ * Editor for choosing the exact notes to practise on each clef, with a staff and a small keyboard
+ */
+import { getClefNotes, getNotesBetween, getStaffNotes, toggleNote, describeSelection, loadNoteRange, saveNoteRange } from './range-utils.js';
+const CLEF_LABELS = {
+    treble: 'Treble',
+    bass: 'Bass',
+    soprano: 'Soprano',
+    mezzoSoprano: 'Mezzo-Soprano',
+    alto: 'Alto',
+    tenor: 'Tenor',
+    baritone: 'Baritone'
+};
+// Bravura clef glyph and the staff position it is centred on (matches CLEFS in script.js)
+const CLEF_GLYPHS = {
+    treble: { glyph: '\uE050', staffPosition: 2 },
+    bass: { glyph: '\uE062', staffPosition: 6 },
+    soprano: { glyph: '\uE058', staffPosition: 0 },
+    mezzoSoprano: { glyph: '\uE058', staffPosition: 2 },
+    alto: { glyph: '\uE058', staffPosition: 4 },
+    tenor: { glyph: '\uE058', staffPosition: 6 },
+    baritone: { glyph: '\uE058', staffPosition: 8 }
+};
+const NOTEHEAD_GLYPH = '\uE0A4';
+const STAFF_STEP = 6; // Pixels per staff position (half a staff space)
+const STAFF_LEFT = 70; // Room for the clef before the first note
+const SELECTED_COLOR = '#4378ff';
+const UNSELECTED_COLOR = '#bbb';
+let noteRange = { enabled: false, clefs: {} };
+let editedClef = 'treble';
+function getSelection() {
+    return noteRange.clefs[editedClef] || [];
+}
+function setSelection(selection) {
+    noteRange.clefs[editedClef] = selection;
+    saveNoteRange(noteRange);
+    renderRangeEditor();
+}
+function getColumnX(canvas, index, count) {
+    const columnWidth = (canvas.width - STAFF_LEFT - 10) / count;
+    return STAFF_LEFT + index * columnWidth + columnWidth / 2;
+}
+function drawStaff(canvas) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx)
+        return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const notes = getClefNotes(editedClef);
+    const chosen = new Set(getSelection());
+    const labelY = canvas.height - 10;
+    const positionY = (position) => labelY - 24 - (position - notes[0].staffPosition) * STAFF_STEP;
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    for (let line = 0; line <= 8; line += 2) {
+        ctx.beginPath();
+        ctx.moveTo(10, positionY(line));
+        ctx.lineTo(canvas.width - 10, positionY(line));
+        ctx.stroke();
+    }
+    ctx.fillStyle = '#333';
+    ctx.font = `${STAFF_STEP * 8}px Bravura`;
+    ctx.textAlign = 'left';
+    ctx.fillText(CLEF_GLYPHS[editedClef].glyph, 16, positionY(CLEF_GLYPHS[editedClef].staffPosition));
+    notes.forEach((note, index) => {
+        const x = getColumnX(canvas, index, notes.length);
+        const y = positionY(note.staffPosition);
+        const color = chosen.has(note.name) ? SELECTED_COLOR : UNSELECTED_COLOR;
+        // Ledger lines below and above the staff
+        ctx.strokeStyle = color;
+        for (let line = -2; line >= note.staffPosition; line -= 2) {
+            ctx.beginPath();
+            ctx.moveTo(x - 11, positionY(line));
+            ctx.lineTo(x + 11, positionY(line));
+            ctx.stroke();
+        }
+        for (let line = 10; line <= note.staffPosition; line += 2) {
+            ctx.beginPath();
+            ctx.moveTo(x - 11, positionY(line));
+            ctx.lineTo(x + 11, positionY(line));
+            ctx.stroke();
+        }
+        ctx.fillStyle = color;
+        ctx.font = `${STAFF_STEP * 8}px Bravura`;
+        ctx.textAlign = 'center';
+        ctx.fillText(NOTEHEAD_GLYPH, x, y);
+        ctx.font = '10px Arial';
+        ctx.fillStyle = chosen.has(note.name) ? SELECTED_COLOR : '#555';
+        ctx.fillText(note.name, x, labelY);
+    });
+}
+/**
+ * One white key per staff position; the black keys only show where the sharps and flats are
+ */
+function drawKeyboard(canvas) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx)
+        return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const notes = getClefNotes(editedClef);
+    const chosen = new Set(getSelection());
+    const keyWidth = (canvas.width - STAFF_LEFT - 10) / notes.length;
+    notes.forEach((note, index) => {
+        const x = STAFF_LEFT + index * keyWidth;
+        ctx.fillStyle = chosen.has(note.name) ? SELECTED_COLOR : '#fff';
+        ctx.fillRect(x, 0, keyWidth, canvas.height);
+        ctx.strokeStyle = '#333';
+        ctx.strokeRect(x, 0, keyWidth, canvas.height);
+        if (note.letter === 'C') {
+            ctx.fillStyle = chosen.has(note.name) ? '#fff' : '#555';
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(note.name, x + keyWidth / 2, canvas.height - 6);
+        }
+    });
+    ctx.fillStyle = '#222';
+    notes.forEach((note, index) => {
+        const hasBlackKeyAbove = note.letter !== 'E' && note.letter !== 'B';
+        if (hasBlackKeyAbove && index < notes.length - 1) {
+            const x = STAFF_LEFT + (index + 1) * keyWidth;
+            ctx.fillRect(x - keyWidth * 0.3, 0, keyWidth * 0.6, canvas.height * 0.6);
+        }
+    });
+}
+/**
+ * Note in the column (or on the white key) under a click
+ */
+function getClickedNote(canvas, event) {
+    const notes = getClefNotes(editedClef);
+    const rect = canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (canvas.width / rect.width);
+    const index = Math.floor((x - STAFF_LEFT) / ((canvas.width - STAFF_LEFT - 10) / notes.length));
+    return index >= 0 && index < notes.length ? notes[index].name : null;
+}
+function fillBoundSelect(select, value) {
+    select.innerHTML = '';
+    getClefNotes(editedClef).forEach(note => {
+        const option = document.createElement('option');
+        option.value = note.name;
+        option.textContent = note.name;
+        select.appendChild(option);
+    });
+    select.value = value;
+}
+function updateRangeStatus() {
+    const status = document.getElementById('noteRangeStatus');
+    if (!status)
+        return;
+    const clefs = Object.keys(noteRange.clefs).filter(clef => noteRange.clefs[clef].length > 0);
+    if (!noteRange.enabled || clefs.length === 0) {
+        status.textContent = 'From Difficulty';
+        return;
+    }
+    status.textContent = clefs
+        .map(clef => `${CLEF_LABELS[clef]}: ${describeSelection(clef, noteRange.clefs[clef])}`)
+        .join(', ');
+}
+export function renderRangeEditor() {
+    const notes = getClefNotes(editedClef);
+    const selection = getSelection();
+    const toggle = document.getElementById('noteRangeToggle');
+    if (toggle)
+        toggle.checked = noteRange.enabled;
+    const lowSelect = document.getElementById('rangeLowSelect');
+    const highSelect = document.getElementById('rangeHighSelect');
+    if (lowSelect && highSelect) {
+        fillBoundSelect(lowSelect, selection[0] || notes[0].name);
+        fillBoundSelect(highSelect, selection[selection.length - 1] || notes[notes.length - 1].name);
+    }
+    const staffCanvas = document.getElementById('rangeStaffCanvas');
+    if (staffCanvas)
+        drawStaff(staffCanvas);
+    const keyboardCanvas = document.getElementById('rangeKeyboardCanvas');
+    if (keyboardCanvas)
+        drawKeyboard(keyboardCanvas);
+    const summary = document.getElementById('rangeSummary');
+    if (summary) {
+        summary.textContent = `${CLEF_LABELS[editedClef]} clef: ${describeSelection(editedClef, selection)}`;
+    }
+    updateRangeStatus();
+}
+export function initializeRangeMenuIntegration() {
+    noteRange = loadNoteRange();
+    updateRangeStatus();
+    const clefSelect = document.getElementById('rangeClefSelect');
+    if (clefSelect) {
+        Object.entries(CLEF_LABELS).forEach(([clef, label]) => {
+            const option = document.createElement('option');
+            option.value = clef;
+            option.textContent = label;
+            clefSelect.appendChild(option);
+        });
+        clefSelect.addEventListener('change', () => {
+            editedClef = clefSelect.value;
+            renderRangeEditor();
+        });
+    }
+    const rangeButton = document.getElementById('noteRangeBtn');
+    const rangeModal = document.getElementById('noteRangeModal');
+    if (rangeButton && rangeModal) {
+        rangeButton.addEventListener('click', () => {
+            // Start on the clef being played (treble for the grand staff)
+            const settings = JSON.parse(localStorage.getItem('noteGameSettings') || '{}');
+            editedClef = CLEF_LABELS[settings.clef] ? settings.clef : 'treble';
+            if (clefSelect)
+                clefSelect.value = editedClef;
+            rangeModal.style.display = 'block';
+            renderRangeEditor();
+        });
+    }
+    const toggle = document.getElementById('noteRangeToggle');
+    if (toggle) {
+        toggle.addEventListener('change', () => {
+            noteRange.enabled = toggle.checked;
+            saveNoteRange(noteRange);
+            updateRangeStatus();
+        });
+    }
+    const lowSelect = document.getElementById('rangeLowSelect');
+    const highSelect = document.getElementById('rangeHighSelect');
+    if (lowSelect && highSelect) {
+        const selectBetween = () => setSelection(getNotesBetween(editedClef, lowSelect.value, highSelect.value));
+        lowSelect.addEventListener('change', selectBetween);
+        highSelect.addEventListener('change', selectBetween);
+    }
+    document.querySelectorAll('.range-preset-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            const preset = button.dataset.preset;
+            if (preset === 'lines' || preset === 'spaces' || preset === 'all') {
+                setSelection(getStaffNotes(editedClef, preset));
+            }
+            else {
+                setSelection([]);
+            }
+        });
+    });
+    ['rangeStaffCanvas', 'rangeKeyboardCanvas'].forEach(id => {
+        const canvas = document.getElementById(id);
+        if (!canvas)
+            return;
+        canvas.addEventListener('click', (event) => {
+            const name = getClickedNote(canvas, event);
+            if (name) {
+                setSelection(toggleNote(editedClef, getSelection(), name));
+            }
+        });
+    });
+}
+// Auto-initialize when script loads
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeRangeMenuIntegration);
+}
+else {
+    initializeRangeMenuIntegration();
+}
+//# sourceMappingURL=range-menu-integration.js.map
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * TypeScript type definitions for custom note ranges
+ */
+/**
+ * Notes chosen per clef (localStorage 'noteGameNoteRange'), read by pickRandomNote in script.js
+ */
+export interface NoteRange {
+    enabled: boolean;
+    clefs: Record<string, string[]>;
+}
+/**
+ * A staff position a clef can show, lowest first
+ */
+export interface RangeNote {
+    name: string;
+    letter: string;
+    octave: number;
+    staffPosition: number;
+    midi: number;
+}
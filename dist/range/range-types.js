@@ -0,0 +1,5 @@
+/**
+ * TypeScript type definitions for custom note ranges
+ */
+export {};
+//# sourceMappingURL=range-types.js.map
\ No newline at end of file
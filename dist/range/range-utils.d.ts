@@ -0,0 +1,33 @@
+/**
+ * Note Range Utility Functions
+ * Lists the notes each clef can show and keeps the player's chosen notes in order
+ */
+import { NoteRange, RangeNote } from './range-types.js';
+export declare const NOTE_RANGE_STORAGE_KEY = "noteGameNoteRange";
+export declare const LOWEST_STAFF_POSITION = -4;
+export declare const HIGHEST_STAFF_POSITION = 10;
+/**
+ * Every staff position a clef can show, lowest first
+ */
+export declare function getClefNotes(clef: string): RangeNote[];
+/**
+ * Names of the notes from low to high (either order), inclusive
+ */
+export declare function getNotesBetween(clef: string, low: string, high: string): string[];
+/**
+ * Notes on the five staff lines, or in the four spaces (F-A-C-E in treble clef)
+ */
+export declare function getStaffNotes(clef: string, part: 'lines' | 'spaces' | 'all'): string[];
+/**
+ * Add or remove one note, keeping the selection lowest first
+ */
+export declare function toggleNote(clef: string, selection: string[], name: string): string[];
+/**
+ * 'C4–A5' for a run of neighbouring notes, otherwise the notes themselves
+ */
+export declare function describeSelection(clef: string, selection: string[]): string;
+export declare function loadNoteRange(): NoteRange;
+/**
+ * Save the range, leaving out clefs with nothing chosen (they use the ledger line setting)
+ */
+export declare function saveNoteRange(noteRange: NoteRange): void;
@@ -0,0 +1,5 @@
+/**
+ * Replay Menu Integration
+ * Watch the last game again, or a replay file someone sent
+ */
+export declare function initializeReplayMenuIntegration(): void;
@@ -0,0 +1,47 @@
+/**
+ * Replay Menu Integration
+ * Watch the last game again, or a replay file someone sent
+ */
+import { describeReplay, loadLastReplay, parseReplay, watchReplay } from './replay-utils.js';
+function showReplayStatus(message, isError = false) {
+    const status = document.getElementById('replayMenuStatus');
+    if (status) {
+        status.textContent = message;
+        status.className = isError ? 'backup-status error' : 'backup-status';
+    }
+}
+export function initializeReplayMenuIntegration() {
+    const lastReplay = loadLastReplay();
+    const watchButton = document.getElementById('watchLastReplayBtn');
+    if (watchButton) {
+        watchButton.disabled = lastReplay === null;
+        if (lastReplay) {
+            watchButton.title = describeReplay(lastReplay);
+            watchButton.addEventListener('click', () => watchReplay(lastReplay));
+        }
+    }
+    showReplayStatus(lastReplay ? `Last game: ${describeReplay(lastReplay)}` : 'No game recorded yet');
+    const fileInput = document.getElementById('openReplayInput');
+    if (fileInput) {
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file)
+                return;
+            try {
+                watchReplay(parseReplay(await file.text()));
+            }
+            catch (error) {
+                showReplayStatus(error.message, true);
+            }
+            fileInput.value = ''; // Allow choosing the same file again
+        });
+    }
+}
+// Auto-initialize when script loads
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeReplayMenuIntegration);
+}
+else {
+    initializeReplayMenuIntegration();
+}
+//# sourceMappingURL=replay-menu-integration.js.map
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * TypeScript type definitions for game replays
+ */
+/**
+ * Input or outside change recorded between two frames: [frame, ms since game start, type, ...arguments].
+ * 'note' has the note, octave, clef, velocity and whether a key-up follows, as given to
+ * handleNoteInputWithOctave, 'release' the note and octave of a key-up, 'interval' the number and
+ * quality, 'piano' the Piano Mode settings and 'resize' the canvas width and height
+ */
+export type ReplayEvent = [number, number, ReplayEventType, ...unknown[]];
+export type ReplayEventType = 'note' | 'release' | 'interval' | 'piano' | 'resize';
+export interface ReplayResult {
+    score: number;
+    level: number;
+    notesDestroyed: number;
+}
+/**
+ * A recorded game (localStorage 'noteGameLastReplay', or a downloaded file), written by script.js
+ */
+export interface Replay {
+    format: string;
+    version: number;
+    recordedAt: string;
+    player: string | null;
+    seed: string;
+    search: string;
+    storage: Record<string, string | null>;
+    frames: number[];
+    events: ReplayEvent[];
+    result: ReplayResult | null;
+}
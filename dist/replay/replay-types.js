@@ -0,0 +1,5 @@
+/**
+ * TypeScript type definitions for game replays
+ */
+export {};
+//# sourceMappingURL=replay-types.js.map
\ No newline at end of file
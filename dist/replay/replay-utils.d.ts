@@ -0,0 +1,27 @@
+/**
+ * Replay Utility Functions
+ * Checks replay files and hands a replay over to game.html
+ */
+import { Replay } from './replay-types.js';
+export declare const REPLAY_FORMAT = "stave-wars-replay";
+export declare const REPLAY_VERSION = 2;
+export declare const LAST_REPLAY_STORAGE_KEY = "noteGameLastReplay";
+export declare const REPLAY_STORAGE_KEY = "noteGameReplay";
+export declare const REPLAY_URL = "game.html?replay";
+/**
+ * Read a replay file, throwing an Error that can be shown to the player when it is not one
+ */
+export declare function parseReplay(text: string): Replay;
+/**
+ * Number of answers the player gave
+ */
+export declare function countReplayInputs(replay: Replay): number;
+/**
+ * 'Ana, 2026-03-02 16:00, 2:14 min, 48 answers, score 320'
+ */
+export declare function describeReplay(replay: Replay): string;
+export declare function loadLastReplay(): Replay | null;
+/**
+ * Open game.html on a replay
+ */
+export declare function watchReplay(replay: Replay): void;
@@ -0,0 +1,46 @@
+/**
+ * Standard MIDI File Parser
+ * Reads the note-ons of format 0 and 1 .mid files (running status, tempo, key and time
+ * signature meta events) and turns them into a score: each track is read on the staff of
+ * the hand it is assigned to, and notes starting together are grouped into chords.
+ */
+import { MidiFile, ParsedScore, TrackHand } from './score-types.js';
+/**
+ * Check whether a file starts with a MIDI header chunk ("MThd")
+ */
+export declare function isMidiFile(buffer: ArrayBuffer): boolean;
+/**
+ * Parse a Standard MIDI File
+ * @param buffer Contents of the .mid file
+ * @returns Tracks with notes, tempo map and signatures
+ * @throws Error for format 2 files and damaged or non-MIDI files
+ */
+export declare function parseMidiFile(buffer: ArrayBuffer): MidiFile;
+/**
+ * Convert a tick position to seconds using the tempo map
+ */
+export declare function tickToSeconds(file: MidiFile, tick: number): number;
+/**
+ * Spell a MIDI note in a key: scale notes as the key signature writes them,
+ * other notes as sharps in sharp keys (and C major) and as flats in flat keys
+ * @param midiNote MIDI note number
+ * @param keyFifths Key signature: positive = sharps, negative = flats
+ */
+export declare function spellMidiNote(midiNote: number, keyFifths: number): {
+    step: string;
+    alter: number;
+    octave: number;
+};
+/**
+ * Suggested hand for each track: percussion is left out, a single melodic track is split
+ * at middle C, otherwise the lowest track is the left hand and the rest the right hand
+ */
+export declare function getDefaultTrackHands(file: MidiFile): TrackHand[];
+/**
+ * Build a score from the tracks assigned to a hand
+ * @param file Parsed MIDI file
+ * @param hands Hand for each track (see getDefaultTrackHands)
+ * @param title Title to use when the file has no sequence name
+ * @returns Notes grouped into chords by onset, spelled in the file's first key signature
+ */
+export declare function midiFileToScore(file: MidiFile, hands: TrackHand[], title?: string): ParsedScore;
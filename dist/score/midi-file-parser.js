@@ -0,0 +1,328 @@
+/**
+ * Standard MIDI File Parser
+ * Reads the note-ons of format 0 and 1 .mid files (running status, tempo, key and time
+ * signature meta events) and turns them into a score: each track is read on the staff of
+ * the hand it is assigned to, and notes starting together are grouped into chords.
+ */
+import { getClefForMidiNote, midiNoteToMapping } from '../midi/midi-utils.js';
+// Tempo until the first tempo event (120 BPM)
+const DEFAULT_MICROSECONDS_PER_QUARTER = 500000;
+// General MIDI percussion channel (channel 10, zero-based)
+const PERCUSSION_CHANNEL = 9;
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+const NATURAL_PITCH_CLASSES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+/**
+ * Bounds-checked big-endian reader over one chunk of the file
+ */
+class ChunkReader {
+    constructor(view, position, end) {
+        this.view = view;
+        this.position = position;
+        this.end = end;
+    }
+    atEnd() {
+        return this.position >= this.end;
+    }
+    uint8() {
+        if (this.position >= this.end) {
+            throw new Error('The MIDI file is truncated');
+        }
+        return this.view.getUint8(this.position++);
+    }
+    skip(length) {
+        if (this.position + length > this.end) {
+            throw new Error('The MIDI file is truncated');
+        }
+        this.position += length;
+    }
+    bytes(length) {
+        const start = this.position;
+        this.skip(length);
+        return new Uint8Array(this.view.buffer, this.view.byteOffset + start, length);
+    }
+    /**
+     * Variable-length quantity: 7 bits per byte, high bit set on all but the last byte
+     */
+    variableLength() {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = this.uint8();
+            value = (value << 7) | (byte & 0x7F);
+            if (!(byte & 0x80))
+                return value;
+        }
+        throw new Error('The MIDI file has an invalid variable-length number');
+    }
+}
+/**
+ * Check whether a file starts with a MIDI header chunk ("MThd")
+ */
+export function isMidiFile(buffer) {
+    return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0) === 0x4D546864;
+}
+/**
+ * Read the events of one MTrk chunk
+ * Tempo, key and time signature events are added to the file-wide lists
+ */
+function parseTrack(reader, file) {
+    const notes = [];
+    let name = '';
+    let tick = 0;
+    let runningStatus = 0;
+    while (!reader.atEnd()) {
+        tick += reader.variableLength();
+        let status = reader.uint8();
+        if (status < 0x80) {
+            // Running status: the byte just read is the first data byte of a repeated message type
+            if (!runningStatus) {
+                throw new Error('The MIDI file has a data byte without a status byte');
+            }
+            reader.position--;
+            status = runningStatus;
+        }
+        if (status === 0xFF) {
+            const type = reader.uint8();
+            const data = reader.bytes(reader.variableLength());
+            runningStatus = 0; // Meta and system exclusive events cancel running status
+            if (type === 0x03 && !name) {
+                name = new TextDecoder('latin1').decode(data).trim();
+            }
+            else if (type === 0x51 && data.length >= 3) {
+                file.tempos.push({ tick: tick, microsecondsPerQuarter: (data[0] << 16) | (data[1] << 8) | data[2] });
+            }
+            else if (type === 0x58 && data.length >= 2) {
+                file.timeSignatures.push({ tick: tick, numerator: data[0], denominator: Math.pow(2, data[1]) });
+            }
+            else if (type === 0x59 && data.length >= 2) {
+                file.keySignatures.push({ tick: tick, fifths: (data[0] << 24) >> 24, minor: data[1] === 1 });
+            }
+            else if (type === 0x2F) {
+                break; // End of track
+            }
+        }
+        else if (status === 0xF0 || status === 0xF7) {
+            reader.skip(reader.variableLength());
+            runningStatus = 0;
+        }
+        else {
+            runningStatus = status;
+            const messageType = status & 0xF0;
+            const data1 = reader.uint8();
+            // Program change and channel pressure have one data byte, the others two
+            const data2 = messageType === 0xC0 || messageType === 0xD0 ? 0 : reader.uint8();
+            // Note-on with velocity 0 is a note-off
+            if (messageType === 0x90 && data2 > 0) {
+                notes.push({ tick: tick, midiNote: data1, velocity: data2, channel: status & 0x0F });
+            }
+        }
+    }
+    return { name: name, notes: notes };
+}
+/**
+ * Parse a Standard MIDI File
+ * @param buffer Contents of the .mid file
+ * @returns Tracks with notes, tempo map and signatures
+ * @throws Error for format 2 files and damaged or non-MIDI files
+ */
+export function parseMidiFile(buffer) {
+    if (!isMidiFile(buffer) || buffer.byteLength < 14) {
+        throw new Error('The file is not a Standard MIDI File');
+    }
+    const view = new DataView(buffer);
+    const headerLength = view.getUint32(4);
+    const format = view.getUint16(8);
+    const trackCount = view.getUint16(10);
+    const division = view.getUint16(12);
+    if (format === 2) {
+        throw new Error('MIDI format 2 files (independent sequences) are not supported');
+    }
+    if (format !== 0 && format !== 1) {
+        throw new Error(`Unknown MIDI file format ${format}`);
+    }
+    const file = {
+        format: format,
+        title: '',
+        ticksPerQuarter: 0,
+        ticksPerSecond: 0,
+        tracks: [],
+        tempos: [],
+        keySignatures: [],
+        timeSignatures: []
+    };
+    if (division & 0x8000) {
+        // SMPTE timing: negative frames per second in the high byte, ticks per frame in the low byte
+        const framesPerSecond = -((division >> 8) << 24 >> 24);
+        file.ticksPerSecond = (framesPerSecond === 29 ? 29.97 : framesPerSecond) * (division & 0xFF);
+    }
+    else {
+        file.ticksPerQuarter = division;
+    }
+    if (file.ticksPerQuarter === 0 && file.ticksPerSecond === 0) {
+        throw new Error('The MIDI file has no timing information');
+    }
+    // Chunks after the header; unknown chunk types are skipped as the specification requires
+    let position = 8 + headerLength;
+    const parsedTracks = [];
+    while (position + 8 <= buffer.byteLength && parsedTracks.length < trackCount) {
+        const chunkType = view.getUint32(position);
+        const chunkLength = view.getUint32(position + 4);
+        const chunkEnd = Math.min(position + 8 + chunkLength, buffer.byteLength);
+        if (chunkType === 0x4D54726B) { // "MTrk"
+            parsedTracks.push(parseTrack(new ChunkReader(view, position + 8, chunkEnd), file));
+        }
+        position += 8 + chunkLength;
+    }
+    if (parsedTracks.length === 0) {
+        throw new Error('The MIDI file has no tracks');
+    }
+    file.title = parsedTracks[0].name;
+    const byTick = (a, b) => a.tick - b.tick;
+    file.tempos.sort(byTick);
+    file.keySignatures.sort(byTick);
+    file.timeSignatures.sort(byTick);
+    if (format === 0) {
+        // One track holds every part: split it by channel so each can go to a hand
+        const channels = Array.from(new Set(parsedTracks[0].notes.map(note => note.channel))).sort((a, b) => a - b);
+        file.tracks = channels.map(channel => ({
+            name: channels.length > 1 ? `Channel ${channel + 1}` : (parsedTracks[0].name || 'Track 1'),
+            channels: [channel],
+            notes: parsedTracks[0].notes.filter(note => note.channel === channel)
+        }));
+    }
+    else {
+        file.tracks = parsedTracks
+            .map((track, index) => ({
+            name: track.name || `Track ${index + 1}`,
+            channels: Array.from(new Set(track.notes.map(note => note.channel))).sort((a, b) => a - b),
+            notes: track.notes
+        }))
+            .filter(track => track.notes.length > 0);
+    }
+    return file;
+}
+/**
+ * Convert a tick position to seconds using the tempo map
+ */
+export function tickToSeconds(file, tick) {
+    if (file.ticksPerSecond) {
+        return tick / file.ticksPerSecond;
+    }
+    let seconds = 0;
+    let lastTick = 0;
+    let microsecondsPerQuarter = DEFAULT_MICROSECONDS_PER_QUARTER;
+    for (const tempo of file.tempos) {
+        if (tempo.tick >= tick)
+            break;
+        seconds += ((tempo.tick - lastTick) / file.ticksPerQuarter) * microsecondsPerQuarter / 1000000;
+        lastTick = tempo.tick;
+        microsecondsPerQuarter = tempo.microsecondsPerQuarter;
+    }
+    return seconds + ((tick - lastTick) / file.ticksPerQuarter) * microsecondsPerQuarter / 1000000;
+}
+/**
+ * Convert a tick position to quarter notes (SMPTE files count quarters at 120 BPM)
+ */
+function tickToQuarters(file, tick) {
+    return file.ticksPerQuarter ? tick / file.ticksPerQuarter : tickToSeconds(file, tick) * 2;
+}
+/**
+ * Spell a MIDI note in a key: scale notes as the key signature writes them,
+ * other notes as sharps in sharp keys (and C major) and as flats in flat keys
+ * @param midiNote MIDI note number
+ * @param keyFifths Key signature: positive = sharps, negative = flats
+ */
+export function spellMidiNote(midiNote, keyFifths) {
+    const pitchClass = midiNote % 12;
+    for (const step of Object.keys(NATURAL_PITCH_CLASSES)) {
+        const alter = SHARP_ORDER.indexOf(step) < keyFifths ? 1 : FLAT_ORDER.indexOf(step) < -keyFifths ? -1 : 0;
+        if ((NATURAL_PITCH_CLASSES[step] + alter + 12) % 12 === pitchClass) {
+            // The written octave follows the letter: Cb4 sounds as B3, B#3 as C4
+            return { step: step, alter: alter, octave: Math.floor((midiNote - alter) / 12) - 1 };
+        }
+    }
+    if (keyFifths < 0) {
+        const name = FLAT_NAMES[pitchClass];
+        return { step: name.charAt(0), alter: name.length > 1 ? -1 : 0, octave: Math.floor(midiNote / 12) - 1 };
+    }
+    const mapping = midiNoteToMapping(midiNote);
+    return { step: mapping.noteName, alter: mapping.accidental === 'sharp' ? 1 : 0, octave: mapping.octave };
+}
+/**
+ * Suggested hand for each track: percussion is left out, a single melodic track is split
+ * at middle C, otherwise the lowest track is the left hand and the rest the right hand
+ */
+export function getDefaultTrackHands(file) {
+    const isPercussion = (track) => track.channels.every(channel => channel === PERCUSSION_CHANNEL);
+    const averagePitch = (track) => track.notes.reduce((total, note) => total + note.midiNote, 0) / track.notes.length;
+    const melodic = file.tracks.filter(track => !isPercussion(track));
+    const lowest = melodic.reduce((low, track) => !low || averagePitch(track) < averagePitch(low) ? track : low, null);
+    return file.tracks.map(track => {
+        if (isPercussion(track))
+            return 'none';
+        if (melodic.length === 1)
+            return 'split';
+        return track === lowest ? 'bass' : 'treble';
+    });
+}
+/**
+ * Build a score from the tracks assigned to a hand
+ * @param file Parsed MIDI file
+ * @param hands Hand for each track (see getDefaultTrackHands)
+ * @param title Title to use when the file has no sequence name
+ * @returns Notes grouped into chords by onset, spelled in the file's first key signature
+ */
+export function midiFileToScore(file, hands, title = 'Untitled') {
+    const firstKey = file.keySignatures[0];
+    const keyFifths = firstKey ? Math.max(-7, Math.min(7, firstKey.fifths)) : 0;
+    const assigned = [];
+    file.tracks.forEach((track, index) => {
+        const hand = hands[index] || 'none';
+        if (hand === 'none')
+            return;
+        track.notes.forEach(note => {
+            assigned.push({ note: note, clef: hand === 'split' ? getClefForMidiNote(note.midiNote) : hand });
+        });
+    });
+    assigned.sort((a, b) => a.note.tick - b.note.tick || a.note.midiNote - b.note.midiNote);
+    // Onsets this close to the first note of a chord belong to it (recorded chords are rarely exact):
+    // a 64th note, or 30 ms with SMPTE timing
+    const chordTolerance = file.ticksPerQuarter ? file.ticksPerQuarter / 16 : file.ticksPerSecond * 0.03;
+    const events = [];
+    let chordTick = -Infinity;
+    const chordPitches = [];
+    assigned.forEach(({ note, clef }) => {
+        if (note.tick - chordTick > chordTolerance) {
+            chordTick = note.tick;
+            events.push({ time: Math.round(tickToQuarters(file, note.tick) * 1000) / 1000, notes: [] });
+            chordPitches.push([]);
+        }
+        const scoreNote = { ...spellMidiNote(note.midiNote, keyFifths), clef: clef };
+        const event = events[events.length - 1];
+        // Doublings (the same key in two tracks) are one note on the screen
+        const duplicate = event.notes.some(existing => existing.step === scoreNote.step &&
+            existing.alter === scoreNote.alter && existing.octave === scoreNote.octave && existing.clef === scoreNote.clef);
+        if (!duplicate) {
+            event.notes.push(scoreNote);
+            chordPitches[chordPitches.length - 1].push(note.midiNote);
+        }
+    });
+    // Chord notes from low to high (a late note of a rolled chord may be lower than the first)
+    events.forEach((event, index) => {
+        const pitches = chordPitches[index];
+        event.notes = event.notes
+            .map((scoreNote, noteIndex) => ({ scoreNote: scoreNote, pitch: pitches[noteIndex] }))
+            .sort((a, b) => a.pitch - b.pitch)
+            .map(entry => entry.scoreNote);
+    });
+    return {
+        title: file.title || title,
+        parts: file.tracks.map((track, index) => ({ id: String(index), name: track.name })),
+        partIndex: -1,
+        keyFifths: keyFifths,
+        events: events,
+        skipped: { doubleAccidentals: 0, unsupportedClefs: 0 }
+    };
+}
+//# sourceMappingURL=midi-file-parser.js.map
\ No newline at end of file
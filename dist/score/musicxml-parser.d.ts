@@ -0,0 +1,15 @@
+/**
+ * MusicXML Parser
+ * Reads the notes of one part of a partwise MusicXML score in playing order.
+ * Notes starting together (chords, and notes on other staves or voices of the part)
+ * are grouped into one event. Repeats are not expanded: the piece is read as written.
+ */
+import { ParsedScore } from './score-types.js';
+/**
+ * Parse a MusicXML document
+ * @param xml MusicXML text (score-partwise)
+ * @param partIndex Part to read (0 = first part in the score)
+ * @returns Parsed notes grouped by onset
+ * @throws Error if the text is not a partwise MusicXML score
+ */
+export declare function parseMusicXml(xml: string, partIndex?: number): ParsedScore;
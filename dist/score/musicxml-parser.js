@@ -0,0 +1,191 @@
+/**
+ * MusicXML Parser
+ * Reads the notes of one part of a partwise MusicXML score in playing order.
+ * Notes starting together (chords, and notes on other staves or voices of the part)
+ * are grouped into one event. Repeats are not expanded: the piece is read as written.
+ */
+// MusicXML clef sign + line -> game clef
+const CLEF_SIGNS = {
+    'G2': 'treble',
+    'F4': 'bass',
+    'F3': 'baritone', // Same staff positions as the C clef on the fifth line
+    'C1': 'soprano',
+    'C2': 'mezzoSoprano',
+    'C3': 'alto',
+    'C4': 'tenor',
+    'C5': 'baritone'
+};
+// Octave clefs (sign + line + clef-octave-change) read on another game clef. A treble 8vb (tenor voice,
+// guitar) sounds an octave down, on about the staff of the tenor clef; other octave clefs keep their clef
+const OCTAVE_CLEF_SIGNS = {
+    'G2:-1': 'tenor'
+};
+/**
+ * Get the text of the first matching descendant element
+ */
+function childText(element, selector) {
+    const child = element.querySelector(selector);
+    return child && child.textContent !== null ? child.textContent.trim() : null;
+}
+/**
+ * Get the number in the first matching descendant element
+ */
+function childNumber(element, selector, fallback) {
+    const text = childText(element, selector);
+    const value = text !== null ? parseFloat(text) : NaN;
+    return isNaN(value) ? fallback : value;
+}
+/**
+ * Map a MusicXML <clef> element to a game clef. clef-octave-change only says how the clef is drawn:
+ * the pitches of the notes are already the sounding ones
+ */
+function parseClef(clefElement) {
+    const sign = childText(clefElement, 'sign') || '';
+    const line = childText(clefElement, 'line') || (sign === 'G' ? '2' : sign === 'F' ? '4' : '3');
+    const octaveChange = childNumber(clefElement, 'clef-octave-change', 0);
+    return {
+        clef: OCTAVE_CLEF_SIGNS[`${sign}${line}:${octaveChange}`] || CLEF_SIGNS[sign + line] || null
+    };
+}
+/**
+ * Title from the work, movement or first credit text
+ */
+function parseTitle(root) {
+    return childText(root, 'work > work-title') ||
+        childText(root, 'movement-title') ||
+        childText(root, 'credit > credit-words') ||
+        'Untitled';
+}
+/**
+ * Diatonic position of a note, for ordering chord notes from low to high
+ */
+function diatonicNumber(note) {
+    return note.octave * 7 + 'CDEFGAB'.indexOf(note.step);
+}
+/**
+ * Parse a MusicXML document
+ * @param xml MusicXML text (score-partwise)
+ * @param partIndex Part to read (0 = first part in the score)
+ * @returns Parsed notes grouped by onset
+ * @throws Error if the text is not a partwise MusicXML score
+ */
+export function parseMusicXml(xml, partIndex = 0) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not valid XML');
+    }
+    const root = doc.documentElement;
+    if (root.nodeName === 'score-timewise') {
+        throw new Error('Timewise MusicXML is not supported, please export the piece as partwise MusicXML');
+    }
+    if (root.nodeName !== 'score-partwise') {
+        throw new Error('The file is not a MusicXML score');
+    }
+    const partElements = Array.from(root.children).filter(element => element.nodeName === 'part');
+    if (partElements.length === 0) {
+        throw new Error('The score has no parts');
+    }
+    const parts = partElements.map((partElement, index) => {
+        const id = partElement.getAttribute('id') || `P${index + 1}`;
+        const scorePart = Array.from(root.querySelectorAll('part-list > score-part'))
+            .find(element => element.getAttribute('id') === id);
+        return {
+            id: id,
+            name: (scorePart && childText(scorePart, 'part-name')) || `Part ${index + 1}`
+        };
+    });
+    const part = partElements[Math.max(0, Math.min(partIndex, partElements.length - 1))];
+    const score = {
+        title: parseTitle(root),
+        parts: parts,
+        partIndex: partElements.indexOf(part),
+        keyFifths: 0,
+        events: [],
+        skipped: { doubleAccidentals: 0, unsupportedClefs: 0 }
+    };
+    const eventsByTime = new Map();
+    const staffClefs = new Map([[1, { clef: 'treble' }]]);
+    let divisions = 1; // Duration units per quarter note
+    let keyFound = false;
+    let measureStart = 0; // In quarter notes
+    let position = 0; // In divisions, relative to the measure start
+    let lastOnset = 0; // Onset of the previous note, for <chord/> notes
+    Array.from(part.children).filter(element => element.nodeName === 'measure').forEach(measure => {
+        position = 0;
+        let measureLength = 0;
+        Array.from(measure.children).forEach(element => {
+            switch (element.nodeName) {
+                case 'attributes':
+                    divisions = childNumber(element, 'divisions', divisions);
+                    if (!keyFound && element.querySelector('key > fifths')) {
+                        score.keyFifths = childNumber(element, 'key > fifths', 0);
+                        keyFound = true;
+                    }
+                    Array.from(element.children).filter(child => child.nodeName === 'clef').forEach(clefElement => {
+                        staffClefs.set(parseInt(clefElement.getAttribute('number') || '1', 10), parseClef(clefElement));
+                    });
+                    break;
+                case 'backup':
+                    position -= childNumber(element, 'duration', 0);
+                    break;
+                case 'forward':
+                    position += childNumber(element, 'duration', 0);
+                    measureLength = Math.max(measureLength, position);
+                    break;
+                case 'note': {
+                    // Grace notes take no time and are left out
+                    if (element.querySelector('grace'))
+                        break;
+                    const duration = childNumber(element, 'duration', 0);
+                    const isChordNote = element.querySelector('chord') !== null;
+                    const onset = isChordNote ? lastOnset : position;
+                    if (!isChordNote) {
+                        lastOnset = position;
+                        position += duration;
+                        measureLength = Math.max(measureLength, position);
+                    }
+                    // Rests, cue notes, unpitched notes and tied continuations are not played again
+                    const pitch = element.querySelector('pitch');
+                    const tiedFrom = Array.from(element.querySelectorAll('tie'))
+                        .some(tie => tie.getAttribute('type') === 'stop');
+                    if (!pitch || element.querySelector('cue') || tiedFrom)
+                        break;
+                    const staffClef = staffClefs.get(childNumber(element, 'staff', 1)) || staffClefs.get(1);
+                    if (!staffClef.clef) {
+                        score.skipped.unsupportedClefs++;
+                        break;
+                    }
+                    const alter = Math.round(childNumber(pitch, 'alter', 0));
+                    if (Math.abs(alter) > 1) {
+                        score.skipped.doubleAccidentals++;
+                        break;
+                    }
+                    const note = {
+                        step: (childText(pitch, 'step') || 'C').toUpperCase(),
+                        alter: alter,
+                        octave: childNumber(pitch, 'octave', 4),
+                        clef: staffClef.clef
+                    };
+                    const time = Math.round((measureStart + onset / divisions) * 1000) / 1000;
+                    let event = eventsByTime.get(time);
+                    if (!event) {
+                        event = { time: time, notes: [] };
+                        eventsByTime.set(time, event);
+                    }
+                    // Unisons between voices are one note on the screen
+                    const duplicate = event.notes.some(existing => existing.step === note.step &&
+                        existing.alter === note.alter && existing.octave === note.octave && existing.clef === note.clef);
+                    if (!duplicate) {
+                        event.notes.push(note);
+                    }
+                    break;
+                }
+            }
+        });
+        measureStart += measureLength / divisions;
+    });
+    score.events = Array.from(eventsByTime.values()).sort((a, b) => a.time - b.time);
+    score.events.forEach(event => event.notes.sort((a, b) => diatonicNumber(a) - diatonicNumber(b)));
+    return score;
+}
+//# sourceMappingURL=musicxml-parser.js.map
\ No newline at end of file
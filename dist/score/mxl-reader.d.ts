@@ -0,0 +1,20 @@
+/**
+ * Compressed MusicXML (.mxl) Reader
+ * An .mxl file is a ZIP archive whose META-INF/container.xml names the score inside it.
+ * Entries are stored or deflated; deflate is undone with the browser's DecompressionStream.
+ */
+/**
+ * Check whether a file starts with a ZIP local file header ("PK\3\4")
+ */
+export declare function isZipArchive(buffer: ArrayBuffer): boolean;
+/**
+ * Decode XML bytes, honouring a UTF-16 byte order mark (some editors export UTF-16 MusicXML)
+ */
+export declare function decodeXmlBytes(bytes: Uint8Array): string;
+/**
+ * Get the MusicXML text of the main score in an .mxl archive
+ * @param buffer Contents of the .mxl file
+ * @returns MusicXML text
+ * @throws Error if the archive is damaged or holds no score
+ */
+export declare function readMxl(buffer: ArrayBuffer): Promise<string>;
@@ -0,0 +1,5 @@
+/**
+ * Score Import for Menu Page
+ * Lets the player choose a MusicXML or MIDI file whose notes the game spawns in order
+ */
+export declare function initializeScoreMenuIntegration(): void;
@@ -0,0 +1,190 @@
+/**
+ * Score Import for Menu Page
+ * Lets the player choose a MusicXML or MIDI file whose notes the game spawns in order
+ */
+import { clearPracticeScore, loadPracticeScore, readMusicXmlFile, savePracticeScore, toPracticeScore } from './score-utils.js';
+import { parseMusicXml } from './musicxml-parser.js';
+import { getDefaultTrackHands, isMidiFile, midiFileToScore, parseMidiFile } from './midi-file-parser.js';
+const CLEF_LABELS = {
+    treble: 'treble clef',
+    bass: 'bass clef',
+    soprano: 'soprano clef',
+    mezzoSoprano: 'mezzo-soprano clef',
+    alto: 'alto clef',
+    tenor: 'tenor clef',
+    baritone: 'baritone clef',
+    grand: 'grand staff'
+};
+const HAND_LABELS = {
+    treble: 'Right hand (treble)',
+    bass: 'Left hand (bass)',
+    split: 'Both hands (split at middle C)',
+    none: 'Leave out'
+};
+// Last imported file, kept so another part or hand assignment can be picked without re-reading it
+let importedXml = null;
+let importedMidi = null;
+/**
+ * Show the loaded piece (or random mode) in the menu
+ */
+function updateScoreUI(practiceScore, warning = '') {
+    const status = document.getElementById('scoreStatus');
+    const clearButton = document.getElementById('clearScoreBtn');
+    if (status) {
+        status.textContent = practiceScore
+            ? `♪ ${practiceScore.title}: ${practiceScore.noteCount} notes, ${CLEF_LABELS[practiceScore.clef]}${warning}`
+            : 'Random notes';
+        status.className = practiceScore ? 'score-status loaded' : 'score-status';
+    }
+    if (clearButton) {
+        clearButton.style.display = practiceScore ? '' : 'none';
+    }
+}
+/**
+ * Show an import error without losing the previously loaded piece
+ */
+function showScoreError(message) {
+    const status = document.getElementById('scoreStatus');
+    if (status) {
+        status.textContent = message;
+        status.className = 'score-status error';
+    }
+}
+/**
+ * Fill the part selector for multi-part scores
+ */
+function updatePartSelector(parts, partIndex) {
+    const partSelect = document.getElementById('scorePartSelect');
+    if (!partSelect)
+        return;
+    partSelect.innerHTML = '';
+    parts.forEach((part, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = part.name;
+        option.selected = index === partIndex;
+        partSelect.appendChild(option);
+    });
+    partSelect.style.display = parts.length > 1 ? '' : 'none';
+}
+/**
+ * List the tracks of an imported MIDI file with a hand selector for each
+ */
+function updateTrackList() {
+    const trackList = document.getElementById('scoreTrackList');
+    if (!trackList)
+        return;
+    trackList.innerHTML = '';
+    trackList.style.display = importedMidi ? '' : 'none';
+    if (!importedMidi)
+        return;
+    const midi = importedMidi;
+    midi.file.tracks.forEach((track, index) => {
+        const row = document.createElement('label');
+        row.className = 'score-track';
+        row.textContent = `${track.name} (${track.notes.length} notes) `;
+        const handSelect = document.createElement('select');
+        Object.keys(HAND_LABELS).forEach(hand => {
+            const option = document.createElement('option');
+            option.value = hand;
+            option.textContent = HAND_LABELS[hand];
+            option.selected = midi.hands[index] === hand;
+            handSelect.appendChild(option);
+        });
+        handSelect.addEventListener('change', () => {
+            midi.hands[index] = handSelect.value;
+            try {
+                applyParsedScore(midiFileToScore(midi.file, midi.hands, midi.fileName));
+            }
+            catch (error) {
+                showScoreError(error.message);
+            }
+        });
+        row.appendChild(handSelect);
+        trackList.appendChild(row);
+    });
+}
+/**
+ * Save the parsed part for the game and report what was left out
+ */
+function applyParsedScore(score) {
+    const practiceScore = toPracticeScore(score);
+    if (practiceScore.noteCount === 0) {
+        showScoreError('No playable notes found in this part');
+        return;
+    }
+    savePracticeScore(practiceScore);
+    if (score.partIndex >= 0) {
+        updatePartSelector(score.parts, score.partIndex); // MIDI tracks have their own hand selectors
+    }
+    const skipped = score.skipped.doubleAccidentals + score.skipped.unsupportedClefs;
+    updateScoreUI(practiceScore, skipped > 0 ? ` (${skipped} notes skipped)` : '');
+    console.log(`Imported "${practiceScore.title}": ${practiceScore.noteCount} notes`, score.skipped);
+}
+export function initializeScoreMenuIntegration() {
+    updateScoreUI(loadPracticeScore());
+    const fileInput = document.getElementById('scoreFileInput');
+    if (fileInput) {
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file)
+                return;
+            try {
+                const buffer = await file.arrayBuffer();
+                if (isMidiFile(buffer)) {
+                    const midiFile = parseMidiFile(buffer);
+                    const fileName = file.name.replace(/\.[^.]+$/, '');
+                    importedXml = null;
+                    importedMidi = { file: midiFile, hands: getDefaultTrackHands(midiFile), fileName: fileName };
+                    updatePartSelector([], 0);
+                    updateTrackList();
+                    applyParsedScore(midiFileToScore(midiFile, importedMidi.hands, fileName));
+                }
+                else {
+                    const { xml, score } = await readMusicXmlFile(new Blob([buffer]));
+                    importedXml = xml;
+                    importedMidi = null;
+                    updateTrackList();
+                    applyParsedScore(score);
+                }
+            }
+            catch (error) {
+                console.error('Failed to import score:', error);
+                showScoreError(error.message);
+            }
+            fileInput.value = ''; // Allow choosing the same file again after editing it
+        });
+    }
+    const partSelect = document.getElementById('scorePartSelect');
+    if (partSelect) {
+        partSelect.addEventListener('change', () => {
+            if (!importedXml)
+                return;
+            try {
+                applyParsedScore(parseMusicXml(importedXml, parseInt(partSelect.value, 10)));
+            }
+            catch (error) {
+                showScoreError(error.message);
+            }
+        });
+    }
+    const clearButton = document.getElementById('clearScoreBtn');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            clearPracticeScore();
+            importedXml = null;
+            importedMidi = null;
+            updatePartSelector([], 0);
+            updateTrackList();
+            updateScoreUI(null);
+        });
+    }
+}
+// Auto-initialize when script loads
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeScoreMenuIntegration);
+}
+else {
+    initializeScoreMenuIntegration();
+}
+//# sourceMappingURL=score-menu-integration.js.map
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * TypeScript type definitions for imported scores
+ * Shared by the file parsers, the menu integration and the test harness
+ */
+export type ScoreClef = 'treble' | 'bass' | 'soprano' | 'mezzoSoprano' | 'alto' | 'tenor' | 'baritone';
+export interface ScoreNote {
+    step: string;
+    alter: number;
+    octave: number;
+    clef: ScoreClef;
+}
+export interface ScoreEvent {
+    time: number;
+    notes: ScoreNote[];
+}
+export interface ScorePart {
+    id: string;
+    name: string;
+}
+export interface ScoreSkipCounts {
+    doubleAccidentals: number;
+    unsupportedClefs: number;
+}
+export interface ParsedScore {
+    title: string;
+    parts: ScorePart[];
+    partIndex: number;
+    keyFifths: number;
+    events: ScoreEvent[];
+    skipped: ScoreSkipCounts;
+}
+/**
+ * Piece saved for the game (localStorage 'noteGameScore'), spawned in order instead of random notes
+ */
+export interface PracticeScore {
+    title: string;
+    clef: ScoreClef | 'grand';
+    keyFifths: number;
+    noteCount: number;
+    events: ScoreNote[][];
+}
+export interface MidiFileNote {
+    tick: number;
+    midiNote: number;
+    velocity: number;
+    channel: number;
+}
+export interface MidiFileTrack {
+    name: string;
+    channels: number[];
+    notes: MidiFileNote[];
+}
+export interface MidiTempoChange {
+    tick: number;
+    microsecondsPerQuarter: number;
+}
+export interface MidiKeySignature {
+    tick: number;
+    fifths: number;
+    minor: boolean;
+}
+export interface MidiTimeSignature {
+    tick: number;
+    numerator: number;
+    denominator: number;
+}
+/**
+ * Standard MIDI File contents. Format 0 files are split into one track per channel
+ */
+export interface MidiFile {
+    format: 0 | 1;
+    title: string;
+    ticksPerQuarter: number;
+    ticksPerSecond: number;
+    tracks: MidiFileTrack[];
+    tempos: MidiTempoChange[];
+    keySignatures: MidiKeySignature[];
+    timeSignatures: MidiTimeSignature[];
+}
+export type TrackHand = 'treble' | 'bass' | 'split' | 'none';
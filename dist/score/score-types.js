@@ -0,0 +1,6 @@
+/**
+ * TypeScript type definitions for imported scores
+ * Shared by the file parsers, the menu integration and the test harness
+ */
+export {};
+//# sourceMappingURL=score-types.js.map
\ No newline at end of file
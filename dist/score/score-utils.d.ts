@@ -0,0 +1,37 @@
+/**
+ * Score Import Utility Functions
+ * Reads score files and turns them into the practice queue the game spawns notes from
+ */
+import { ParsedScore, PracticeScore, ScoreClef } from './score-types.js';
+export declare const PRACTICE_SCORE_STORAGE_KEY = "noteGameScore";
+/**
+ * Read a MusicXML file (.musicxml, .xml or compressed .mxl)
+ * @param file File chosen by the user
+ * @param partIndex Part to read
+ * @returns The MusicXML text and the parsed part
+ */
+export declare function readMusicXmlFile(file: Blob, partIndex?: number): Promise<{
+    xml: string;
+    score: ParsedScore;
+}>;
+/**
+ * Game staff layout for a piece: its only clef, or the grand staff when it uses several
+ */
+export declare function getPracticeClef(score: ParsedScore): ScoreClef | 'grand';
+/**
+ * Build the practice queue saved for the game
+ */
+export declare function toPracticeScore(score: ParsedScore): PracticeScore;
+/**
+ * Save a practice score for the game
+ * @throws Error if the piece does not fit in localStorage
+ */
+export declare function savePracticeScore(practiceScore: PracticeScore): void;
+/**
+ * Get the saved practice score, if any
+ */
+export declare function loadPracticeScore(): PracticeScore | null;
+/**
+ * Forget the saved practice score (the game goes back to random notes)
+ */
+export declare function clearPracticeScore(): void;
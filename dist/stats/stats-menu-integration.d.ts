@@ -0,0 +1,9 @@
+/**
+ * Statistics Screen for Menu Page
+ * Draws the accuracy heatmap, confusion matrix, reaction-time trend and Piano Mode hand breakdown
+ */
+/**
+ * Redraw the statistics screen from the attempt log
+ */
+export declare function renderStatistics(): void;
+export declare function initializeStatsMenuIntegration(): void;
@@ -0,0 +1,45 @@
+/**
+ * TypeScript type definitions for the attempt log and the statistics screen
+ */
+export type AttemptMode = 'notes' | 'piano' | 'piece' | 'intervals' | 'rhythm' | 'ear';
+/**
+ * One answer, as logged by script.js (localStorage 'noteGameAttempts')
+ */
+export interface Attempt {
+    time: number;
+    session: number;
+    mode: AttemptMode;
+    type: 'note' | 'interval';
+    clef: string;
+    target: string;
+    pressed: string | null;
+    pressedOctave: number | null;
+    correct: boolean;
+    reactionMs: number | null;
+    hand: 'left' | 'right' | null;
+}
+export interface AttemptSummary {
+    attempts: number;
+    correct: number;
+    accuracy: number;
+    averageReactionMs: number | null;
+}
+/**
+ * Results for one written note, placed on a staff for the heatmap
+ */
+export interface TargetStats extends AttemptSummary {
+    target: string;
+    staffPosition: number;
+    accidental: 'sharp' | 'flat' | null;
+}
+/**
+ * Which answer was given for which target: counts[row][column] for targets[row] and answers[column]
+ */
+export interface ConfusionMatrix {
+    targets: string[];
+    answers: string[];
+    counts: number[][];
+}
+export interface SessionTrend extends AttemptSummary {
+    session: number;
+}
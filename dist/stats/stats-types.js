@@ -0,0 +1,5 @@
+/**
+ * TypeScript type definitions for the attempt log and the statistics screen
+ */
+export {};
+//# sourceMappingURL=stats-types.js.map
\ No newline at end of file
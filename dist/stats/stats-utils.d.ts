@@ -0,0 +1,54 @@
+/**
+ * Statistics Utility Functions
+ * Reads the attempt log written by the game and aggregates it for the statistics screen
+ */
+import { Attempt, AttemptSummary, ConfusionMatrix, SessionTrend, TargetStats } from './stats-types.js';
+export declare const ATTEMPTS_STORAGE_KEY = "noteGameAttempts";
+export declare const TIMEOUT_ANSWER = "Too slow";
+export declare const CLEF_BOTTOM_LINES: Record<string, {
+    letter: string;
+    octave: number;
+}>;
+/**
+ * Get the logged attempts, oldest first
+ */
+export declare function loadAttempts(): Attempt[];
+/**
+ * Forget all logged attempts
+ */
+export declare function clearAttempts(): void;
+/**
+ * Split a note name such as 'F#4', 'Bb' or 'C' into letter, accidental offset and octave (null if absent)
+ */
+export declare function parseNoteName(name: string): {
+    letter: string;
+    alter: number;
+    octave: number | null;
+} | null;
+/**
+ * Diatonic steps of a scientific note name above a clef's bottom line (0 = bottom line, 8 = top line)
+ */
+export declare function getStaffPosition(scientific: string, clef: string): number | null;
+/**
+ * Totals for a set of attempts
+ */
+export declare function summarizeAttempts(attempts: Attempt[]): AttemptSummary;
+/**
+ * Results per written note on one clef, from the lowest staff position to the highest
+ */
+export declare function getTargetStats(attempts: Attempt[], clef: string): TargetStats[];
+/**
+ * Which note name was given for which target note name (octaves ignored)
+ */
+export declare function getConfusionMatrix(attempts: Attempt[]): ConfusionMatrix;
+/**
+ * Accuracy and reaction time per game, for the most recent games
+ */
+export declare function getSessionTrends(attempts: Attempt[], maxSessions?: number): SessionTrend[];
+/**
+ * Piano Mode results per hand (null for a hand that was never played)
+ */
+export declare function getHandBreakdown(attempts: Attempt[]): {
+    left: AttemptSummary | null;
+    right: AttemptSummary | null;
+};
@@ -4,6 +4,38 @@ let gameSettings = {
   soundEffects: true,
   clef: 'treble',
   ledgerLines: 0,  // Default to none (easy)
+  accidentals: false,  // Include sharps and flats
+  keySignature: 'C',  // Major tonic of the key signature (C = no sharps or flats)
+  adaptive: false,  // Draw the notes the player misses or answers slowly more often
+  seed: '',  // Same seed and settings give the same notes on every device ('' = new notes every game)
+  notePlayback: {
+    onSpawn: false,  // Play each note as it appears
+    onCorrect: false,  // Play the note after a right answer
+    onMistake: false  // Play the right note, then the wrong one, after a mistake
+  },
+  microphone: {
+    enabled: false,  // Acoustic instrument input via pitch detection
+    tuningReference: 440,  // Frequency of A4 in Hz
+    confidenceThreshold: 0.85  // 0-1, lower accepts noisier pitch estimates
+  },
+  rhythm: {
+    enabled: false,  // Read note durations on a metronome timeline
+    timeSignature: '4/4',
+    tempo: 72  // Metronome clicks per minute at level 1
+  },
+  intervals: {
+    enabled: false,  // Name the interval between two notes instead of the notes
+    style: 'both'  // 'harmonic' (stacked), 'melodic' (in sequence) or 'both'
+  },
+  earTraining: {
+    enabled: false  // Notes are heard, not seen, until answered
+  },
+  dynamics: {
+    enabled: false  // Notes carry dynamic markings played with the MIDI key velocity
+  },
+  heldNotes: {
+    enabled: false  // Single notes have lengths, held from key-down to key-up
+  },
   pianoMode: {
     enabled: false,
     active: false,  // New property for user activation
@@ -29,7 +61,12 @@ let currentDifficultyLevel = 0;
 let highScores = {
   treble: 0,
   bass: 0,
-  grand: 0
+  grand: 0,
+  alto: 0,
+  tenor: 0,
+  soprano: 0,
+  mezzoSoprano: 0,
+  baritone: 0
 };
 
 // Load high scores from localStorage
@@ -48,28 +85,209 @@ function saveHighScores() {
 
 // Update the high scores display
 function updateHighScoresDisplay() {
-  // Update modal display (if modal still exists)
-  if (document.getElementById('trebleHighScore')) {
-    document.getElementById('trebleHighScore').textContent = highScores.treble;
-    document.getElementById('bassHighScore').textContent = highScores.bass;
-    document.getElementById('grandHighScore').textContent = highScores.grand;
-  }
-  
-  // Update always-visible display
-  if (document.getElementById('trebleHighScoreDisplay')) {
-    document.getElementById('trebleHighScoreDisplay').textContent = highScores.treble;
-    document.getElementById('bassHighScoreDisplay').textContent = highScores.bass;
-    document.getElementById('grandHighScoreDisplay').textContent = highScores.grand;
-  }
+  Object.keys(highScores).forEach(clef => {
+    // Update modal display (if modal still exists)
+    const modalScore = document.getElementById(`${clef}HighScore`);
+    if (modalScore) {
+      modalScore.textContent = highScores[clef];
+    }
+    
+    // Update always-visible display
+    const scoreDisplay = document.getElementById(`${clef}HighScoreDisplay`);
+    if (scoreDisplay) {
+      scoreDisplay.textContent = highScores[clef];
+    }
+  });
 }
 
 // Reset high scores
 function resetHighScores() {
-  highScores = { treble: 0, bass: 0, grand: 0 };
+  Object.keys(highScores).forEach(clef => {
+    highScores[clef] = 0;
+  });
   saveHighScores();
   updateHighScoresDisplay();
 }
 
+// Player profiles. The active player's data lives in the usual storage keys, so the game and
+// the MIDI, score and statistics modules need not know about profiles; the other players' data
+// is parked under PROFILE_DATA_KEY_PREFIX + id until they are switched to
+const PROFILES_STORAGE_KEY = 'noteGameProfiles';
+const PROFILE_DATA_KEY_PREFIX = 'noteGameProfile_';
+const PROFILE_STORAGE_KEYS = [
+  'noteGameSettings',
+  'noteGameHighScores',
+  'noteGameMidiSettings',
+  'pianoModeSettings',
+  'noteGameScore',
+  'noteGameAttempts',
+  'noteGameAdaptive',
+  'noteGameNoteRange',
+  'noteGameAssignment',
+  'noteGameAssignmentSavedSettings',
+  'noteGameAssignmentResults'
+];
+const PROFILE_AVATARS = ['🎹', '🎻', '🎸', '🎺', '🎷', '🥁', '🎤', '🦉', '🐱', '🐶', '🦊', '🐸', '🚀', '⭐'];
+const MAX_PROFILE_NAME_LENGTH = 24;
+
+let profileState = {
+  activeId: null,
+  profiles: []  // { id, name, avatar } ('' for no avatar)
+};
+
+// Load the profile list, turning existing progress into the first player's on first run
+function loadProfiles() {
+  const saved = localStorage.getItem(PROFILES_STORAGE_KEY);
+  if (saved) {
+    try {
+      profileState = { ...profileState, ...JSON.parse(saved) };
+    } catch (e) {
+      console.warn('Could not load player profiles:', e);
+    }
+  }
+
+  if (profileState.profiles.length === 0) {
+    profileState.profiles = [{ id: createProfileId(), name: 'Player 1', avatar: '' }];
+  }
+  if (!profileState.profiles.some(profile => profile.id === profileState.activeId)) {
+    profileState.activeId = profileState.profiles[0].id;
+  }
+  saveProfiles();
+  updateProfileDisplay();
+}
+
+function saveProfiles() {
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profileState));
+}
+
+function createProfileId() {
+  return 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function getActiveProfile() {
+  return profileState.profiles.find(profile => profile.id === profileState.activeId);
+}
+
+// Park the active player's storage keys under their profile
+function stashProfileData(profileId) {
+  const data = {};
+  PROFILE_STORAGE_KEYS.forEach(key => {
+    const value = localStorage.getItem(key);
+    if (value !== null) {
+      data[key] = value;
+    }
+  });
+  localStorage.setItem(PROFILE_DATA_KEY_PREFIX + profileId, JSON.stringify(data));
+}
+
+// Move a player's parked data into the storage keys (a new player has none, so starts from defaults)
+function restoreProfileData(profileId) {
+  let data = {};
+  const saved = localStorage.getItem(PROFILE_DATA_KEY_PREFIX + profileId);
+  if (saved) {
+    try {
+      data = JSON.parse(saved);
+    } catch (e) {
+      console.warn('Could not load the player\'s saved data:', e);
+    }
+  }
+
+  PROFILE_STORAGE_KEYS.forEach(key => {
+    if (typeof data[key] === 'string') {
+      localStorage.setItem(key, data[key]);
+    } else {
+      localStorage.removeItem(key);
+    }
+  });
+  localStorage.removeItem(PROFILE_DATA_KEY_PREFIX + profileId);
+}
+
+// Make another player active. Reloads the menu, since settings, high scores and the
+// modules' own settings are read from storage once on load
+function switchProfile(profileId, stashCurrent = true) {
+  if (profileId === profileState.activeId) return;
+
+  if (stashCurrent) {
+    stashProfileData(profileState.activeId);
+  }
+  restoreProfileData(profileId);
+  profileState.activeId = profileId;
+  saveProfiles();
+  window.location.reload();
+}
+
+// Ask for a player name (null if cancelled or empty)
+function promptProfileName(message, defaultName) {
+  const name = prompt(message, defaultName);
+  if (name === null || !name.trim()) return null;
+  return name.trim().slice(0, MAX_PROFILE_NAME_LENGTH);
+}
+
+function createProfile() {
+  const name = promptProfileName('Name of the new player:', `Player ${profileState.profiles.length + 1}`);
+  if (!name) return;
+
+  const profile = { id: createProfileId(), name: name, avatar: '' };
+  profileState.profiles.push(profile);
+  switchProfile(profile.id);
+}
+
+function renameProfile() {
+  const profile = getActiveProfile();
+  const name = promptProfileName('New name for this player:', profile.name);
+  if (!name) return;
+
+  profile.name = name;
+  saveProfiles();
+  updateProfileDisplay();
+}
+
+function setProfileAvatar(avatar) {
+  getActiveProfile().avatar = avatar;
+  saveProfiles();
+  updateProfileDisplay();
+}
+
+// Delete the active player and everything saved for them, then switch to the first remaining one
+function deleteProfile() {
+  const profile = getActiveProfile();
+  if (profileState.profiles.length <= 1) {
+    alert('The only player cannot be deleted. Create another player first.');
+    return;
+  }
+  if (!confirm(`Delete ${profile.name} with all their settings, high scores and statistics? This cannot be undone.`)) {
+    return;
+  }
+
+  profileState.profiles = profileState.profiles.filter(other => other.id !== profile.id);
+  switchProfile(profileState.profiles[0].id, false); // Restoring replaces the deleted player's keys
+}
+
+// Update the player selector and avatar picker
+function updateProfileDisplay() {
+  const profileSelect = document.getElementById('profileSelect');
+  if (profileSelect) {
+    profileSelect.innerHTML = '';
+    profileState.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.avatar ? `${profile.avatar} ${profile.name}` : profile.name;
+      option.selected = profile.id === profileState.activeId;
+      profileSelect.appendChild(option);
+    });
+  }
+
+  const avatarSelect = document.getElementById('profileAvatarSelect');
+  if (avatarSelect) {
+    avatarSelect.value = getActiveProfile().avatar;
+  }
+
+  const deleteButton = document.getElementById('deleteProfileBtn');
+  if (deleteButton) {
+    deleteButton.disabled = profileState.profiles.length <= 1;
+  }
+}
+
 // Load settings from localStorage if available
 function loadSettings() {
   const saved = localStorage.getItem('noteGameSettings');
@@ -77,6 +295,55 @@ function loadSettings() {
     const savedSettings = JSON.parse(saved);
     gameSettings = { ...gameSettings, ...savedSettings };
     
+    // Fill in any missing microphone properties
+    gameSettings.microphone = {
+      enabled: false,
+      tuningReference: 440,
+      confidenceThreshold: 0.85,
+      ...gameSettings.microphone
+    };
+    
+    // Fill in any missing rhythm mode properties
+    gameSettings.rhythm = {
+      enabled: false,
+      timeSignature: '4/4',
+      tempo: 72,
+      ...gameSettings.rhythm
+    };
+    
+    // Fill in any missing note playback properties
+    gameSettings.notePlayback = {
+      onSpawn: false,
+      onCorrect: false,
+      onMistake: false,
+      ...gameSettings.notePlayback
+    };
+    
+    // Fill in any missing interval mode properties
+    gameSettings.intervals = {
+      enabled: false,
+      style: 'both',
+      ...gameSettings.intervals
+    };
+    
+    // Fill in any missing ear training properties
+    gameSettings.earTraining = {
+      enabled: false,
+      ...gameSettings.earTraining
+    };
+    
+    // Fill in any missing dynamics mode properties
+    gameSettings.dynamics = {
+      enabled: false,
+      ...gameSettings.dynamics
+    };
+    
+    // Fill in any missing held notes properties
+    gameSettings.heldNotes = {
+      enabled: false,
+      ...gameSettings.heldNotes
+    };
+    
     // Ensure pianoMode object has all required properties
     if (!gameSettings.pianoMode) {
       gameSettings.pianoMode = {
@@ -119,9 +386,39 @@ function updateSettingsDisplay() {
   if (musicToggle) musicToggle.checked = gameSettings.music;
   if (soundEffectsToggle) soundEffectsToggle.checked = gameSettings.soundEffects;
   
+  const playNoteOnSpawnToggle = document.getElementById('playNoteOnSpawnToggle');
+  const playNoteOnCorrectToggle = document.getElementById('playNoteOnCorrectToggle');
+  const playNoteOnMistakeToggle = document.getElementById('playNoteOnMistakeToggle');
+  if (playNoteOnSpawnToggle) playNoteOnSpawnToggle.checked = gameSettings.notePlayback.onSpawn;
+  if (playNoteOnCorrectToggle) playNoteOnCorrectToggle.checked = gameSettings.notePlayback.onCorrect;
+  if (playNoteOnMistakeToggle) playNoteOnMistakeToggle.checked = gameSettings.notePlayback.onMistake;
+  
   // Update difficulty dropdown
   updateDifficultyDisplay();
   
+  const accidentalsToggle = document.getElementById('accidentalsToggle');
+  if (accidentalsToggle) accidentalsToggle.checked = gameSettings.accidentals;
+  
+  const adaptiveToggle = document.getElementById('adaptiveToggle');
+  if (adaptiveToggle) adaptiveToggle.checked = gameSettings.adaptive;
+  
+  const keySignatureSelect = document.getElementById('keySignatureSelect');
+  if (keySignatureSelect) keySignatureSelect.value = gameSettings.keySignature;
+  
+  const seedInput = document.getElementById('seedInput');
+  if (seedInput) seedInput.value = gameSettings.seed;
+  
+  updateMicrophoneSettingsDisplay();
+  updateRhythmSettingsDisplay();
+  updateIntervalSettingsDisplay();
+  updateEarTrainingSettingsDisplay();
+  
+  const dynamicsModeToggle = document.getElementById('dynamicsModeToggle');
+  if (dynamicsModeToggle) dynamicsModeToggle.checked = gameSettings.dynamics.enabled;
+  
+  const heldNotesToggle = document.getElementById('heldNotesToggle');
+  if (heldNotesToggle) heldNotesToggle.checked = gameSettings.heldNotes.enabled;
+  
   // Update clef buttons
   updateClefButtons();
   
@@ -373,6 +670,51 @@ function updateDropdownLabelColor(selectElement) {
   }
 }
 
+// Update the microphone input controls
+function updateMicrophoneSettingsDisplay() {
+  const microphoneToggle = document.getElementById('microphoneToggle');
+  const tuningInput = document.getElementById('tuningReferenceInput');
+  const confidenceInput = document.getElementById('confidenceThresholdInput');
+  const confidenceValue = document.getElementById('confidenceThresholdValue');
+  const microphoneOptions = document.getElementById('microphoneOptions');
+  
+  if (microphoneToggle) microphoneToggle.checked = gameSettings.microphone.enabled;
+  if (tuningInput) tuningInput.value = gameSettings.microphone.tuningReference;
+  if (confidenceInput) confidenceInput.value = gameSettings.microphone.confidenceThreshold;
+  if (confidenceValue) confidenceValue.textContent = `${Math.round(gameSettings.microphone.confidenceThreshold * 100)}%`;
+  if (microphoneOptions) microphoneOptions.style.display = gameSettings.microphone.enabled ? 'flex' : 'none';
+}
+
+// Update the rhythm mode controls
+function updateRhythmSettingsDisplay() {
+  const rhythmModeToggle = document.getElementById('rhythmModeToggle');
+  const timeSignatureSelect = document.getElementById('timeSignatureSelect');
+  const tempoInput = document.getElementById('tempoInput');
+  const rhythmOptions = document.getElementById('rhythmOptions');
+  
+  if (rhythmModeToggle) rhythmModeToggle.checked = gameSettings.rhythm.enabled;
+  if (timeSignatureSelect) timeSignatureSelect.value = gameSettings.rhythm.timeSignature;
+  if (tempoInput) tempoInput.value = gameSettings.rhythm.tempo;
+  if (rhythmOptions) rhythmOptions.style.display = gameSettings.rhythm.enabled ? 'flex' : 'none';
+}
+
+// Update the interval mode controls
+function updateIntervalSettingsDisplay() {
+  const intervalModeToggle = document.getElementById('intervalModeToggle');
+  const intervalStyleSelect = document.getElementById('intervalStyleSelect');
+  const intervalOptions = document.getElementById('intervalOptions');
+  
+  if (intervalModeToggle) intervalModeToggle.checked = gameSettings.intervals.enabled;
+  if (intervalStyleSelect) intervalStyleSelect.value = gameSettings.intervals.style;
+  if (intervalOptions) intervalOptions.style.display = gameSettings.intervals.enabled ? 'flex' : 'none';
+}
+
+// Update the ear training control
+function updateEarTrainingSettingsDisplay() {
+  const earTrainingToggle = document.getElementById('earTrainingToggle');
+  if (earTrainingToggle) earTrainingToggle.checked = gameSettings.earTraining.enabled;
+}
+
 // Update clef buttons for Piano Mode (disable/enable other clefs)
 function updateClefButtonsForPianoMode(pianoModeActive) {
   const clefButtons = document.querySelectorAll('.clef-btn');
@@ -417,15 +759,39 @@ function updateClefButtons() {
 
 // Initialize menu functionality
 document.addEventListener('DOMContentLoaded', function() {
+  // Player profiles (avatar options first, so the active player's avatar can be selected)
+  const profileAvatarSelect = document.getElementById('profileAvatarSelect');
+  PROFILE_AVATARS.forEach(avatar => {
+    const option = document.createElement('option');
+    option.value = avatar;
+    option.textContent = avatar;
+    profileAvatarSelect.appendChild(option);
+  });
+  loadProfiles();
+
+  document.getElementById('profileSelect').addEventListener('change', function() {
+    switchProfile(this.value);
+  });
+  profileAvatarSelect.addEventListener('change', function() {
+    setProfileAvatar(this.value);
+  });
+  document.getElementById('newProfileBtn').addEventListener('click', createProfile);
+  document.getElementById('renameProfileBtn').addEventListener('click', renameProfile);
+  document.getElementById('deleteProfileBtn').addEventListener('click', deleteProfile);
+
   loadSettings();
   loadHighScores(); // Load high scores
-  
+
   // Hide MIDI-related elements on mobile devices
   if (isMobileDevice()) {
     const midiDeviceOptionGroup = document.getElementById('midiDeviceOptionGroup');
     if (midiDeviceOptionGroup) {
       midiDeviceOptionGroup.style.display = 'none';
     }
+    const midiPausePedalOptionGroup = document.getElementById('midiPausePedalOptionGroup');
+    if (midiPausePedalOptionGroup) {
+      midiPausePedalOptionGroup.style.display = 'none';
+    }
   }
   
   // Initialize Piano Mode UI
@@ -556,6 +922,121 @@ document.addEventListener('DOMContentLoaded', function() {
     saveSettings(); // Auto-save difficulty selection
   });
   
+  // Key signature dropdown handler
+  document.getElementById('keySignatureSelect').addEventListener('change', function() {
+    gameSettings.keySignature = this.value;
+    saveSettings();
+  });
+  
+  // Accidentals toggle handler
+  document.getElementById('accidentalsToggle').addEventListener('change', function() {
+    gameSettings.accidentals = this.checked;
+    saveSettings();
+  });
+  
+  document.getElementById('adaptiveToggle').addEventListener('change', function() {
+    gameSettings.adaptive = this.checked;
+    saveSettings();
+  });
+  
+  document.getElementById('seedInput').addEventListener('change', function() {
+    gameSettings.seed = this.value.trim();
+    this.value = gameSettings.seed;
+    saveSettings();
+  });
+  
+  // Microphone input handlers
+  document.getElementById('microphoneToggle').addEventListener('change', function() {
+    gameSettings.microphone.enabled = this.checked;
+    updateMicrophoneSettingsDisplay();
+    saveSettings();
+  });
+  
+  document.getElementById('tuningReferenceInput').addEventListener('change', function() {
+    const tuningReference = parseFloat(this.value);
+    // Keep within a semitone either side of A440 (covers baroque A415 and modern orchestral pitch)
+    if (tuningReference >= 415 && tuningReference <= 466) {
+      gameSettings.microphone.tuningReference = tuningReference;
+      saveSettings();
+    }
+    updateMicrophoneSettingsDisplay();
+  });
+  
+  document.getElementById('confidenceThresholdInput').addEventListener('input', function() {
+    gameSettings.microphone.confidenceThreshold = parseFloat(this.value);
+    updateMicrophoneSettingsDisplay();
+    saveSettings();
+  });
+  
+  // Rhythm mode handlers
+  document.getElementById('rhythmModeToggle').addEventListener('change', function() {
+    gameSettings.rhythm.enabled = this.checked;
+    if (this.checked) {
+      gameSettings.intervals.enabled = false; // One exercise mode at a time
+      gameSettings.earTraining.enabled = false;
+      updateIntervalSettingsDisplay();
+      updateEarTrainingSettingsDisplay();
+    }
+    updateRhythmSettingsDisplay();
+    saveSettings();
+  });
+  
+  document.getElementById('timeSignatureSelect').addEventListener('change', function() {
+    gameSettings.rhythm.timeSignature = this.value;
+    saveSettings();
+  });
+  
+  document.getElementById('tempoInput').addEventListener('change', function() {
+    const tempo = parseInt(this.value, 10);
+    if (tempo >= 40 && tempo <= 160) {
+      gameSettings.rhythm.tempo = tempo;
+      saveSettings();
+    }
+    updateRhythmSettingsDisplay();
+  });
+  
+  // Interval mode handlers
+  document.getElementById('intervalModeToggle').addEventListener('change', function() {
+    gameSettings.intervals.enabled = this.checked;
+    if (this.checked) {
+      gameSettings.rhythm.enabled = false; // One exercise mode at a time
+      gameSettings.earTraining.enabled = false;
+      updateRhythmSettingsDisplay();
+      updateEarTrainingSettingsDisplay();
+    }
+    updateIntervalSettingsDisplay();
+    saveSettings();
+  });
+  
+  document.getElementById('intervalStyleSelect').addEventListener('change', function() {
+    gameSettings.intervals.style = this.value;
+    saveSettings();
+  });
+  
+  // Dynamics mode handler (works with note reading and ear training)
+  document.getElementById('dynamicsModeToggle').addEventListener('change', function() {
+    gameSettings.dynamics.enabled = this.checked;
+    saveSettings();
+  });
+  
+  // Held notes handler (works with note reading and ear training)
+  document.getElementById('heldNotesToggle').addEventListener('change', function() {
+    gameSettings.heldNotes.enabled = this.checked;
+    saveSettings();
+  });
+  
+  // Ear training handler
+  document.getElementById('earTrainingToggle').addEventListener('change', function() {
+    gameSettings.earTraining.enabled = this.checked;
+    if (this.checked) {
+      gameSettings.rhythm.enabled = false; // One exercise mode at a time
+      gameSettings.intervals.enabled = false;
+      updateRhythmSettingsDisplay();
+      updateIntervalSettingsDisplay();
+    }
+    saveSettings();
+  });
+  
   // Hard mode toggle - removed, so remove this event listener
   // document.getElementById('hardModeToggle')?.addEventListener('change', function() {
   //   gameSettings.ledgerLines = this.checked;
@@ -600,6 +1081,11 @@ document.addEventListener('DOMContentLoaded', function() {
     // Update settings from form
     gameSettings.music = document.getElementById('musicToggle').checked;
     gameSettings.soundEffects = document.getElementById('soundEffectsToggle').checked;
+    gameSettings.notePlayback = {
+      onSpawn: document.getElementById('playNoteOnSpawnToggle').checked,
+      onCorrect: document.getElementById('playNoteOnCorrectToggle').checked,
+      onMistake: document.getElementById('playNoteOnMistakeToggle').checked
+    };
     if (document.getElementById('ledgerLinesToggle')) {
       gameSettings.ledgerLines = document.getElementById('ledgerLinesToggle').checked;
     }
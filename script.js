@@ -4,6 +4,7 @@
 // Global variables for staff positioning  
 let currentTrebleStave = null;
 let currentBassStave = null;
+let currentCClefStave = null; // Single-staff alto, tenor, soprano, mezzo-soprano or baritone
 
 // Ledger line settings
 let maxLedgerLines = 4; // Default maximum ledger lines each side
@@ -15,10 +16,186 @@ const BRAVURA_SYMBOLS = {
   cClef: '\uE058',        // C clef
   noteheadBlack: '\uE0A4', // Black note head (quarter note)
   noteheadWhole: '\uE0A2', // Whole note head (semibreve)
+  noteheadHalf: '\uE0A3',  // Half note head (minim)
+  flag8thUp: '\uE240',     // Eighth note flag, stem up
+  flag8thDown: '\uE241',   // Eighth note flag, stem down
+  augmentationDot: '\uE1E7', // Dot for dotted values
+  restWhole: '\uE4E3',     // Whole rest
+  restHalf: '\uE4E4',      // Half rest
+  restQuarter: '\uE4E5',   // Quarter rest
+  rest8th: '\uE4E6',       // Eighth rest
+  timeSig0: '\uE080',      // Time signature digit 0 (digits 1-9 follow consecutively)
   staff5Lines: '\uE014',   // Five-line staff
-  ledgerLine: '\uE022'     // Ledger line
+  ledgerLine: '\uE022',    // Ledger line
+  accidentalFlat: '\uE260',    // Flat
+  accidentalNatural: '\uE261', // Natural
+  accidentalSharp: '\uE262',   // Sharp
+  dynamicPP: '\uE52B',         // Dynamics: pianissimo
+  dynamicPiano: '\uE520',      // piano
+  dynamicMP: '\uE52C',         // mezzo-piano
+  dynamicMF: '\uE52D',         // mezzo-forte
+  dynamicForte: '\uE522',      // forte
+  dynamicFF: '\uE52F'          // fortissimo
 };
 
+// Accidental metadata: semitone offset, ASCII suffix used in note names and the Bravura glyph
+const ACCIDENTALS = {
+  sharp: { semitones: 1, suffix: '#', glyph: BRAVURA_SYMBOLS.accidentalSharp, display: '♯' },
+  flat: { semitones: -1, suffix: 'b', glyph: BRAVURA_SYMBOLS.accidentalFlat, display: '♭' },
+  natural: { semitones: 0, suffix: '', glyph: BRAVURA_SYMBOLS.accidentalNatural, display: '♮' }
+};
+
+// The 15 key signatures, keyed by major tonic. Positive fifths = sharps, negative = flats
+const KEY_SIGNATURES = {
+  'Cb': { fifths: -7, name: 'C♭ major / A♭ minor' },
+  'Gb': { fifths: -6, name: 'G♭ major / E♭ minor' },
+  'Db': { fifths: -5, name: 'D♭ major / B♭ minor' },
+  'Ab': { fifths: -4, name: 'A♭ major / F minor' },
+  'Eb': { fifths: -3, name: 'E♭ major / C minor' },
+  'Bb': { fifths: -2, name: 'B♭ major / G minor' },
+  'F': { fifths: -1, name: 'F major / D minor' },
+  'C': { fifths: 0, name: 'C major / A minor' },
+  'G': { fifths: 1, name: 'G major / E minor' },
+  'D': { fifths: 2, name: 'D major / B minor' },
+  'A': { fifths: 3, name: 'A major / F♯ minor' },
+  'E': { fifths: 4, name: 'E major / C♯ minor' },
+  'B': { fifths: 5, name: 'B major / G♯ minor' },
+  'F#': { fifths: 6, name: 'F♯ major / D♯ minor' },
+  'C#': { fifths: 7, name: 'C♯ major / A♯ minor' }
+};
+
+// Order in which sharps and flats are added to a key signature
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+// Clef registry. bottomLine is the pitch written on the bottom staff line, glyphIndex the staff-local
+// index the glyph is anchored to (G line, F line or middle-C line) and keySignature the staff-local
+// indices (bottom line = 0) of each key signature accidental, in SHARP_ORDER / FLAT_ORDER
+const CLEFS = {
+  treble: {
+    name: 'Treble Clef', family: 'G', glyph: BRAVURA_SYMBOLS.gClef,
+    bottomLine: { letter: 'E', octave: 4 }, glyphIndex: 2,
+    keySignature: { sharp: [8, 5, 9, 6, 3, 7, 4], flat: [4, 7, 3, 6, 2, 5, 1] }
+  },
+  bass: {
+    name: 'Bass Clef', family: 'F', glyph: BRAVURA_SYMBOLS.fClef,
+    bottomLine: { letter: 'G', octave: 2 }, glyphIndex: 6,
+    keySignature: { sharp: [6, 3, 7, 4, 1, 5, 2], flat: [2, 5, 1, 4, 0, 3, -1] }
+  },
+  soprano: {
+    name: 'Soprano Clef', family: 'C', glyph: BRAVURA_SYMBOLS.cClef,
+    bottomLine: { letter: 'C', octave: 4 }, glyphIndex: 0,
+    keySignature: { sharp: [3, 7, 4, 8, 5, 2, 6], flat: [6, 2, 5, 1, 4, 0, 3] }
+  },
+  mezzoSoprano: {
+    name: 'Mezzo-Soprano Clef', family: 'C', glyph: BRAVURA_SYMBOLS.cClef,
+    bottomLine: { letter: 'A', octave: 3 }, glyphIndex: 2,
+    keySignature: { sharp: [5, 2, 6, 3, 0, 4, 1], flat: [1, 4, 0, 3, 6, 2, 5] }
+  },
+  alto: {
+    name: 'Alto Clef', family: 'C', glyph: BRAVURA_SYMBOLS.cClef,
+    bottomLine: { letter: 'F', octave: 3 }, glyphIndex: 4,
+    keySignature: { sharp: [7, 4, 8, 5, 2, 6, 3], flat: [3, 6, 2, 5, 1, 4, 0] }
+  },
+  tenor: {
+    name: 'Tenor Clef', family: 'C', glyph: BRAVURA_SYMBOLS.cClef,
+    bottomLine: { letter: 'D', octave: 3 }, glyphIndex: 6,
+    keySignature: { sharp: [2, 6, 3, 7, 4, 8, 5], flat: [5, 8, 4, 7, 3, 6, 2] }
+  },
+  baritone: {
+    name: 'Baritone Clef', family: 'C', glyph: BRAVURA_SYMBOLS.cClef,
+    bottomLine: { letter: 'B', octave: 2 }, glyphIndex: 8,
+    keySignature: { sharp: [4, 1, 5, 2, 6, 3, 0], flat: [7, 3, 6, 2, 5, 1, 4] }
+  }
+};
+
+const KEY_SIGNATURE_SPACING = 13; // Horizontal pixels between key signature accidentals
+
+// Rhythm mode note values. Lengths are in quarter-note beats; restIndex is the staff-local
+// index the rest glyph's baseline sits on (the whole rest hangs from the fourth line)
+const NOTE_VALUES = {
+  whole: { beats: 4, notehead: BRAVURA_SYMBOLS.noteheadWhole, stem: false, flag: false, rest: BRAVURA_SYMBOLS.restWhole, restIndex: 6 },
+  half: { beats: 2, notehead: BRAVURA_SYMBOLS.noteheadHalf, stem: true, flag: false, rest: BRAVURA_SYMBOLS.restHalf, restIndex: 4 },
+  quarter: { beats: 1, notehead: BRAVURA_SYMBOLS.noteheadBlack, stem: true, flag: false, rest: BRAVURA_SYMBOLS.restQuarter, restIndex: 4 },
+  eighth: { beats: 0.5, notehead: BRAVURA_SYMBOLS.noteheadBlack, stem: true, flag: true, rest: BRAVURA_SYMBOLS.rest8th, restIndex: 4 }
+};
+
+// Rhythm mode time signatures. measureLength is in quarter-note beats; beatLength is the
+// metronome click and beaming unit (a dotted quarter in compound 6/8)
+const TIME_SIGNATURES = {
+  '2/4': { numerator: 2, denominator: 4, measureLength: 2, beatLength: 1 },
+  '3/4': { numerator: 3, denominator: 4, measureLength: 3, beatLength: 1 },
+  '4/4': { numerator: 4, denominator: 4, measureLength: 4, beatLength: 1 },
+  '6/8': { numerator: 6, denominator: 8, measureLength: 3, beatLength: 1.5 }
+};
+
+// Rhythm cells a measure is built from, per beat type. Eighth note cells are beamed together
+const RHYTHM_CELLS = {
+  simple: [
+    { minLevel: 1, notes: [{ value: 'quarter' }] },
+    { minLevel: 1, notes: [{ value: 'half' }] },
+    { minLevel: 1, notes: [{ value: 'half', dotted: true }] },
+    { minLevel: 1, notes: [{ value: 'whole' }] },
+    { minLevel: 2, notes: [{ value: 'eighth' }, { value: 'eighth' }], beamed: true },
+    { minLevel: 2, notes: [{ value: 'quarter', dotted: true }, { value: 'eighth' }] }
+  ],
+  compound: [
+    { minLevel: 1, notes: [{ value: 'quarter', dotted: true }] },
+    { minLevel: 1, notes: [{ value: 'quarter' }, { value: 'eighth' }] },
+    { minLevel: 1, notes: [{ value: 'half', dotted: true }] },
+    { minLevel: 2, notes: [{ value: 'eighth' }, { value: 'eighth' }, { value: 'eighth' }], beamed: true }
+  ]
+};
+
+// Onset accuracy windows in seconds (either side of the beat)
+const RHYTHM_WINDOWS = {
+  perfect: 0.05,
+  good: 0.12,
+  miss: 0.25 // Inputs further out than this are ignored as stray taps
+};
+
+const RHYTHM_PIXELS_PER_BEAT = 120; // Horizontal pixels per quarter note
+const RHYTHM_REST_CHANCE = 0.15; // Chance of an unbeamed value becoming a rest
+const RHYTHM_TEMPO_STEP = 6; // Clicks per minute added per level
+const RHYTHM_SCHEDULE_AHEAD = 0.15; // Seconds of metronome clicks scheduled in advance
+
+// Interval mode names (the intervals themselves are worked out by gameRules.getInterval)
+const INTERVAL_NUMBER_NAMES = { 2: '2nd', 3: '3rd', 4: '4th', 5: '5th', 6: '6th', 7: '7th', 8: 'octave' };
+const INTERVAL_QUALITY_NAMES = { m: 'minor', M: 'major', P: 'perfect', A: 'augmented', d: 'diminished' };
+const INTERVAL_QUALITY_KEYS = { m: 'm', M: 'M', p: 'P', P: 'P', a: 'A', A: 'A', d: 'd', D: 'd' };
+
+// Adaptive practice (Leitner boxes): a note moves up a box when answered correctly and quickly and
+// back to box 1 when missed; notes in lower boxes are drawn more often
+const LEITNER_BOX_WEIGHTS = [8, 4, 2, 1, 0.5]; // Draw weight of boxes 1-5
+const ADAPTIVE_SLOW_FACTOR = 1.5; // Correct answers slower than this times the clef's average stay in their box
+const ADAPTIVE_STORAGE_KEY = 'noteGameAdaptive';
+
+// Attempt log read by the statistics screen in the menu (oldest attempts are dropped first)
+const ATTEMPTS_STORAGE_KEY = 'noteGameAttempts';
+const MAX_STORED_ATTEMPTS = 3000;
+
+// Teacher assignment loaded in the menu, and the completion records written when one ends
+const ASSIGNMENT_STORAGE_KEY = 'noteGameAssignment';
+const ASSIGNMENT_RECORDS_KEY = 'noteGameAssignmentResults';
+const MAX_ASSIGNMENT_RECORDS = 200;
+
+// Notes chosen per clef in the menu's note range editor
+const NOTE_RANGE_STORAGE_KEY = 'noteGameNoteRange';
+
+// Daily challenge results, shared by every player on this device (read by the menu's leaderboard)
+const DAILY_SCORES_KEY = 'noteGameDailyScores';
+const MAX_DAILY_SCORES = 500;
+
+// Session replays: the last game is kept for the menu's "Watch last game", and the menu puts the replay
+// to watch under REPLAY_STORAGE_KEY before opening game.html?replay
+const LAST_REPLAY_STORAGE_KEY = 'noteGameLastReplay';
+const REPLAY_STORAGE_KEY = 'noteGameReplay';
+const REPLAY_FORMAT = 'stave-wars-replay';
+const REPLAY_VERSION = 2; // Version 1 moved notes once per frame instead of in fixed steps
+const MAX_REPLAY_FRAMES = 72000; // About 20 minutes at 60 frames per second
+// Storage the game starts from; a replay carries a copy so that it plays with the recorded settings
+const REPLAY_SNAPSHOT_KEYS = ['noteGameSettings', 'noteGameScore', ASSIGNMENT_STORAGE_KEY, NOTE_RANGE_STORAGE_KEY, ADAPTIVE_STORAGE_KEY];
+
 // Helper function to draw text with Bravura font
 function drawBravuraText(ctx, text, x, y, size = 40, color = '#000') {
   ctx.save();
@@ -30,18 +207,60 @@ function drawBravuraText(ctx, text, x, y, size = 40, color = '#000') {
   ctx.restore();
 }
 
-// Draw treble clef using Bravura font
-function drawTrebleClef(ctx, x, y, scale = 1) {
+// Draw a clef glyph from the registry using Bravura font
+function drawClef(ctx, clef, x, y, scale = 1) {
   const size = 60 * scale; // Reduced size for better proportion to staff
-  drawBravuraText(ctx, BRAVURA_SYMBOLS.gClef, x, y, size, '#FFFFFF'); // White color
+  drawBravuraText(ctx, CLEFS[clef].glyph, x, y, size, '#FFFFFF'); // White color
+}
+
+// Get the accidental the current key signature applies to a letter ('sharp', 'flat' or null)
+function getKeyAccidental(letter, keySignature = currentKeySignature) {
+  const fifths = KEY_SIGNATURES[keySignature] ? KEY_SIGNATURES[keySignature].fifths : 0;
+  if (fifths > 0 && SHARP_ORDER.slice(0, fifths).includes(letter)) return 'sharp';
+  if (fifths < 0 && FLAT_ORDER.slice(0, -fifths).includes(letter)) return 'flat';
+  return null;
+}
+
+// Draw the key signature after the clef and return the horizontal space it takes
+function drawKeySignature(ctx, clef, x, staffLines) {
+  const key = KEY_SIGNATURES[currentKeySignature];
+  if (!key || key.fifths === 0 || !CLEFS[clef]) return 0;
+  
+  const accidental = key.fifths > 0 ? 'sharp' : 'flat';
+  const positions = CLEFS[clef].keySignature[accidental];
+  const count = Math.abs(key.fifths);
+  
+  for (let i = 0; i < count; i++) {
+    const y = staffLines.top + ((8 - positions[i]) * (staffLines.spacing / 2));
+    drawBravuraText(ctx, ACCIDENTALS[accidental].glyph, x + i * KEY_SIGNATURE_SPACING, y, 60, '#FFFFFF');
+  }
+  
+  return count * KEY_SIGNATURE_SPACING;
+}
+
+// Staff currently drawn for a single-staff clef (null in grand staff and Hard Mode)
+function getStaffForClef(clef) {
+  if (clef === 'treble') return currentTrebleStave;
+  if (clef === 'bass') return currentBassStave;
+  return currentCClefStave && currentCClefStave.clef === clef ? currentCClefStave : null;
 }
 
-// Draw bass clef using Bravura font  
-function drawBassClef(ctx, x, y, scale = 1) {
-  const size = 60 * scale; // Reduced size to match treble clef proportion
-  drawBravuraText(ctx, BRAVURA_SYMBOLS.fClef, x, y, size, '#FFFFFF'); // White color
+// Draw a rhythm mode time signature (stacked Bravura digits) and return the horizontal space it takes
+function drawTimeSignature(ctx, timeSignature, x, staffLines) {
+  const toDigits = number => String(number).split('').map(digit => String.fromCharCode(BRAVURA_SYMBOLS.timeSig0.charCodeAt(0) + Number(digit))).join('');
+  const numeratorY = staffLines.top + staffLines.spacing; // Centred on the fourth line
+  const denominatorY = staffLines.top + staffLines.spacing * 3; // Centred on the second line
+  
+  drawBravuraText(ctx, toDigits(timeSignature.numerator), x + 12, numeratorY, 64, '#FFFFFF');
+  drawBravuraText(ctx, toDigits(timeSignature.denominator), x + 12, denominatorY, 64, '#FFFFFF');
+  
+  return 30;
 }
 
+// X position of the green collision line for a staff (right of the clef, key and time signature)
+function getCollisionX(staff) {
+  return staff.clefX + 35 + (staff.keySignatureWidth || 0) + (staff.timeSignatureWidth || 0); // 35px buffer from clef for better visual separation
+}
 
 // Draw staff lines (keeping traditional approach for proper width, but adjusting for Bravura symbols)
 function drawStaffLines(ctx, x, y, width, lineCount = 5) {
@@ -73,15 +292,18 @@ function createStaff(clef, x, y, width) {
   
   // Draw clef symbol with proper positioning for Bravura font
   const clefX = x + 30;
-  let clefY;
+  // Anchor the glyph on its reference line: treble wraps around the G line, the bass clef dots
+  // straddle the F line and a C clef is centred on middle C
+  const clefY = y + ((8 - CLEFS[clef].glyphIndex) * (staffLines.spacing / 2));
+  drawClef(ctx, clef, clefX, clefY, 1.0); // Standard scale for Bravura
   
-  if (clef === 'treble') {
-    clefY = y + 48; // Treble clef positioned so it wraps around line 3 (the G line)
-    drawTrebleClef(ctx, clefX, clefY, 1.0); // Standard scale for Bravura
-  } else if (clef === 'bass') {
-    clefY = y + 16; // Bass clef positioned so F line (line 1) is between the two dots
-    drawBassClef(ctx, clefX, clefY, 1.0); // Standard scale for Bravura
-  }
+  // Key signature sits between the clef and the collision line
+  const keySignatureWidth = drawKeySignature(ctx, clef, clefX + 32, staffLines);
+  
+  // Rhythm mode shows the time signature after the key signature
+  const timeSignatureWidth = rhythmModeActive
+    ? drawTimeSignature(ctx, TIME_SIGNATURES[rhythmState.timeSignature], clefX + 32 + keySignatureWidth, staffLines)
+    : 0;
   
   return {
     clef: clef,
@@ -90,14 +312,27 @@ function createStaff(clef, x, y, width) {
     width: width,
     staffLines: staffLines,
     clefX: clefX,
-    clefY: clefY
+    clefY: clefY,
+    keySignatureWidth: keySignatureWidth,
+    timeSignatureWidth: timeSignatureWidth
   };
 }
 
 // Helper functions for pitch conversion and staff positioning
-function scientificToMidi(letter, octave) {
+function scientificToMidi(letter, octave, accidental = null) {
   const noteValues = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
-  return (octave + 1) * 12 + noteValues[letter.toUpperCase()];
+  const offset = accidental ? ACCIDENTALS[accidental].semitones : 0;
+  return (octave + 1) * 12 + noteValues[letter.toUpperCase()] + offset;
+}
+
+// Build a game note name from a letter and accidental (e.g. 'F' + 'sharp' -> 'F#')
+function buildNoteName(letter, accidental = null) {
+  return letter.toUpperCase() + (accidental ? ACCIDENTALS[accidental].suffix : '');
+}
+
+// Format a note name for on-screen feedback using real accidental symbols
+function formatNoteName(noteName) {
+  return noteName.charAt(0) + noteName.slice(1).replace('#', ACCIDENTALS.sharp.display).replace('b', ACCIDENTALS.flat.display);
 }
 
 function midiToScientific(midi) {
@@ -108,105 +343,91 @@ function midiToScientific(midi) {
 }
 
 function getStaffLocalIndex(letter, octave, clef) {
-  if (clef === 'treble') {
-    // Treble staff diatonic positions: E4=0 (bottom line), F4=1 (space), G4=2 (line), etc.
-    // Calculate position relative to E4 using diatonic steps, not chromatic semitones
-    const letterOrder = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
-    const noteIndex = letterOrder.indexOf(letter.toUpperCase());
-    const e4Index = letterOrder.indexOf('E'); // E = index 2
-    
-    // Calculate diatonic steps from E4
-    const octaveDiff = octave - 4;
-    const letterDiff = noteIndex - e4Index;
-    return octaveDiff * 7 + letterDiff; // 7 letters per octave
-  } else if (clef === 'bass') {
-    // Bass staff diatonic positions: G2=0 (bottom line), A2=1 (space), B2=2 (line), etc.
-    // Calculate position relative to G2 using diatonic steps
-    const letterOrder = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
-    const noteIndex = letterOrder.indexOf(letter.toUpperCase());
-    const g2Index = letterOrder.indexOf('G'); // G = index 4
-    
-    // Calculate diatonic steps from G2
-    const octaveDiff = octave - 2;
-    const letterDiff = noteIndex - g2Index;
-    return octaveDiff * 7 + letterDiff; // 7 letters per octave
-  }
-  return 0;
+  if (!CLEFS[clef]) return 0;
+  
+  // Diatonic steps (not chromatic semitones) from the clef's bottom line pitch,
+  // e.g. treble E4=0 (bottom line), F4=1 (space), G4=2 (line)
+  const letterOrder = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const bottomLine = CLEFS[clef].bottomLine;
+  const octaveDiff = octave - bottomLine.octave;
+  const letterDiff = letterOrder.indexOf(letter.toUpperCase()) - letterOrder.indexOf(bottomLine.letter);
+  return octaveDiff * 7 + letterDiff; // 7 letters per octave
+}
+
+// Written pitch at a staff-local index of a clef (inverse of getStaffLocalIndex)
+function getPitchAtStaffIndex(staffLocalIndex, clef) {
+  const letterOrder = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+  const bottomLine = CLEFS[clef].bottomLine;
+  const steps = bottomLine.octave * 7 + letterOrder.indexOf(bottomLine.letter) + staffLocalIndex;
+  return { letter: letterOrder[steps % 7], octave: Math.floor(steps / 7) };
+}
+
+// Create a note definition for a written pitch on a clef
+function createNoteDefinition(letter, octave, clef, accidental = null) {
+  const staffLocalIndex = getStaffLocalIndex(letter, octave, clef);
+  const noteName = buildNoteName(letter, accidental);
+  return {
+    note: noteName,
+    letter: letter,
+    accidental: accidental, // null for plain naturals, otherwise 'sharp', 'flat' or 'natural'
+    octave: octave,
+    midi: scientificToMidi(letter, octave, accidental),
+    scientific: noteName + octave,
+    clef: clef,
+    staffLocalIndex: staffLocalIndex,
+    // Keep legacy line property for gradual migration
+    line: staffLocalIndex
+  };
+}
+
+// Accidentals generated for each staff position (E#, B#, Fb and Cb are left out).
+// Naturals only survive applyKeySignature when the key alters that letter
+function getAccidentalsForLetter(letter) {
+  const accidentals = [null, 'natural'];
+  if (letter !== 'E' && letter !== 'B') accidentals.push('sharp');
+  if (letter !== 'C' && letter !== 'F') accidentals.push('flat');
+  return accidentals;
+}
+
+// Spell a note definition in the current key: unmarked notes take the key signature's alteration,
+// accidentals the key makes redundant (F# in G major, F natural in C major) are dropped (null)
+function applyKeySignature(notePos) {
+  const keyAccidental = getKeyAccidental(notePos.letter);
+  
+  if (notePos.accidental === 'natural') {
+    return keyAccidental ? notePos : null;
+  }
+  if (notePos.accidental) {
+    return notePos.accidental === keyAccidental ? null : notePos;
+  }
+  if (!keyAccidental) {
+    return notePos;
+  }
+  
+  const noteName = buildNoteName(notePos.letter, keyAccidental);
+  return {
+    ...notePos,
+    note: noteName,
+    midi: scientificToMidi(notePos.letter, notePos.octave, keyAccidental),
+    scientific: noteName + notePos.octave
+  };
 }
 
 function buildNoteDefinitions() {
   const definitions = {
-    treble: [],
-    bass: [],
     grand: []
   };
   
-  // Treble clef notes: E4 to F5 + ledger lines
-  const trebleNotes = [
-    { letter: 'A', octave: 5 }, // Ledger line above
-    { letter: 'G', octave: 5 }, // Space above staff
-    { letter: 'F', octave: 5 }, // Top staff line
-    { letter: 'E', octave: 5 }, // Space
-    { letter: 'D', octave: 5 }, // Staff line
-    { letter: 'C', octave: 5 }, // Space
-    { letter: 'B', octave: 4 }, // Staff line
-    { letter: 'A', octave: 4 }, // Space
-    { letter: 'G', octave: 4 }, // Staff line (G4)
-    { letter: 'F', octave: 4 }, // Space
-    { letter: 'E', octave: 4 }, // Bottom staff line
-    { letter: 'D', octave: 4 }, // Space below staff
-    { letter: 'C', octave: 4 }, // Middle C - ledger line below
-    { letter: 'B', octave: 3 }, // Space below
-    { letter: 'A', octave: 3 }  // Ledger line below
-  ];
-  
-  trebleNotes.forEach(note => {
-    const staffLocalIndex = getStaffLocalIndex(note.letter, note.octave, 'treble');
-    definitions.treble.push({
-      note: note.letter,
-      letter: note.letter,
-      octave: note.octave,
-      midi: scientificToMidi(note.letter, note.octave),
-      scientific: note.letter + note.octave,
-      clef: 'treble',
-      staffLocalIndex: staffLocalIndex,
-      // Keep legacy line property for gradual migration
-      line: staffLocalIndex
-    });
-  });
-  
-  // Bass clef notes: G2 to A3 + ledger lines  
-  const bassNotes = [
-    { letter: 'C', octave: 4 }, // Middle C - ledger line above
-    { letter: 'B', octave: 3 }, // Space above staff
-    { letter: 'A', octave: 3 }, // Top staff line
-    { letter: 'G', octave: 3 }, // Space
-    { letter: 'F', octave: 3 }, // Staff line
-    { letter: 'E', octave: 3 }, // Space
-    { letter: 'D', octave: 3 }, // Middle staff line
-    { letter: 'C', octave: 3 }, // Space
-    { letter: 'B', octave: 2 }, // Staff line
-    { letter: 'A', octave: 2 }, // Space
-    { letter: 'G', octave: 2 }, // Bottom staff line
-    { letter: 'F', octave: 2 }, // Space below staff
-    { letter: 'E', octave: 2 }, // Ledger line below
-    { letter: 'D', octave: 2 }, // Space below
-    { letter: 'C', octave: 2 }  // Ledger line below
-  ];
-  
-  bassNotes.forEach(note => {
-    const staffLocalIndex = getStaffLocalIndex(note.letter, note.octave, 'bass');
-    definitions.bass.push({
-      note: note.letter,
-      letter: note.letter,
-      octave: note.octave,
-      midi: scientificToMidi(note.letter, note.octave),
-      scientific: note.letter + note.octave,
-      clef: 'bass',
-      staffLocalIndex: staffLocalIndex,
-      // Keep legacy line property for gradual migration
-      line: staffLocalIndex
-    });
+  // Every clef covers its staff plus one ledger line above and two below:
+  // treble A5 down to A3, bass C4 down to C2, alto B4 down to B2, ...
+  Object.keys(CLEFS).forEach(clef => {
+    definitions[clef] = [];
+    for (let staffLocalIndex = 10; staffLocalIndex >= -4; staffLocalIndex--) {
+      const { letter, octave } = getPitchAtStaffIndex(staffLocalIndex, clef);
+      getAccidentalsForLetter(letter).forEach(accidental => {
+        definitions[clef].push(createNoteDefinition(letter, octave, clef, accidental));
+      });
+    }
   });
   
   // Grand staff: combine both but maintain separate clef identification
@@ -256,8 +477,10 @@ function updateSpaceshipPosition() {
 }
 
 function resizeCanvas() {
-  canvas.width = window.innerWidth;
-  canvas.height = window.innerHeight;
+  // A replay keeps the recorded size, so that notes travel as far as they did
+  canvas.width = replay && replayState.width ? replayState.width : window.innerWidth;
+  canvas.height = replay && replayState.height ? replayState.height : window.innerHeight;
+  recordSessionEvent('resize', canvas.width, canvas.height);
   
   // Update spaceship position based on clef type
   spaceship.x = canvas.width / 2;
@@ -289,53 +512,8 @@ function isDualClefMode() {
   return currentClef === 'grand' || currentClef === 'hardMode';
 }
 
-// Chord completion tracking for Piano Mode with grace period
-let chordProgress = new Map(); // chordId -> { pressedNotes: Set, timestamps: Map, firstPressTime: number }
-
-// Chord mode wrong note forgiveness tracking
-let chordWrongNoteWindow = {
-  lastWrongNoteTime: 0,
-  windowDuration: 150, // 150ms forgiveness window
-  hasCountedError: false // Track if we already counted an error in this window
-};
-
-// Track previous note type for chord-to-melody transition handling
-let previousNoteType = 'melody'; // 'chord' or 'melody' - tracks the type of the note that was just completed/destroyed
-
-// Clean up stale chord progress entries to prevent input registration failures
-// FIXED: Now called immediately on every input event instead of being throttled
-function cleanupStaleChordProgress() {
-  const currentTime = Date.now();
-  const maxAge = 5000; // 5 seconds - reduced from 10 seconds to prevent excessive accumulation
-  
-  for (const [chordId, chordData] of chordProgress.entries()) {
-    // Remove entries that are too old or reference notes that no longer exist
-    const isStale = (currentTime - chordData.firstPressTime) > maxAge;
-    const chordStillExists = movingNotes.some(note => note.isChord && note.chordId === chordId);
-    
-    if (isStale || !chordStillExists) {
-      chordProgress.delete(chordId);
-    }
-  }
-  
-  // Additional safety check: if chordProgress gets too large, clear the oldest entries
-  if (chordProgress.size > 10) {
-    // Convert to array, sort by firstPressTime, keep only the 5 most recent
-    const entries = Array.from(chordProgress.entries());
-    entries.sort((a, b) => b[1].firstPressTime - a[1].firstPressTime);
-    
-    chordProgress.clear();
-    entries.slice(0, 5).forEach(([id, data]) => {
-      chordProgress.set(id, data);
-    });
-  }
-}
-
-// FIXED: Remove throttling mechanism to allow immediate cleanup after every MIDI input
-// let lastChordCleanup = 0; // REMOVED - was causing chord input registration failures
-
 function loadGameSettings() {
-  const saved = localStorage.getItem('noteGameSettings');
+  const saved = readStartupStorage('noteGameSettings');
   if (saved) {
     const settings = JSON.parse(saved);
     gameSettings = { ...gameSettings, ...settings };
@@ -352,6 +530,43 @@ function loadGameSettings() {
     
     currentClef = settings.clef || 'treble';
     maxLedgerLines = settings.ledgerLines !== undefined ? settings.ledgerLines : 4;
+    includeAccidentals = settings.accidentals === true;
+    adaptivePracticeActive = settings.adaptive === true;
+    notePlayback = { ...notePlayback, ...settings.notePlayback };
+    currentKeySignature = KEY_SIGNATURES[settings.keySignature] ? settings.keySignature : 'C';
+    gameSeed = typeof settings.seed === 'string' && settings.seed.trim() ? settings.seed.trim() : null;
+    if (gameSeed) {
+      adaptivePracticeActive = false; // The same seed has to give everyone the same notes
+    }
+    
+    // Rhythm mode settings
+    if (settings.rhythm) {
+      rhythmModeActive = settings.rhythm.enabled === true;
+      rhythmState.timeSignature = TIME_SIGNATURES[settings.rhythm.timeSignature] ? settings.rhythm.timeSignature : '4/4';
+      rhythmState.baseTempo = settings.rhythm.tempo || 72;
+      rhythmState.tempo = rhythmState.baseTempo;
+    }
+    
+    // Interval mode settings (rhythm mode has its own timeline and takes priority)
+    if (settings.intervals) {
+      intervalModeActive = settings.intervals.enabled === true && !rhythmModeActive;
+      intervalStyle = ['harmonic', 'melodic', 'both'].includes(settings.intervals.style) ? settings.intervals.style : 'both';
+    }
+    
+    // Ear training settings (one exercise mode at a time)
+    if (settings.earTraining) {
+      earTrainingActive = settings.earTraining.enabled === true && !rhythmModeActive && !intervalModeActive;
+    }
+    
+    // Dynamics mode settings (note reading and ear training only)
+    if (settings.dynamics) {
+      dynamicsModeActive = settings.dynamics.enabled === true && !rhythmModeActive && !intervalModeActive;
+    }
+    
+    // Held notes settings (single notes in note reading and ear training)
+    if (settings.heldNotes) {
+      heldNotesActive = settings.heldNotes.enabled === true && !rhythmModeActive && !intervalModeActive;
+    }
     
     // Validate hardMode clef: only allow hardMode if Piano Mode is active
     if (currentClef === 'hardMode' && !gameSettings.pianoMode.active) {
@@ -371,8 +586,83 @@ function loadGameSettings() {
   }
 }
 
+// Load the piece imported in the menu, if any. Its clef and key signature replace the menu's
+function loadScorePractice() {
+  const saved = readStartupStorage('noteGameScore');
+  if (!saved || assignment || dailyChallenge) return; // Assignments and the daily challenge bring their own notes
+  
+  let practiceScore;
+  try {
+    practiceScore = JSON.parse(saved);
+  } catch (e) {
+    console.warn('Could not load the imported piece:', e);
+    return;
+  }
+  if (!practiceScore.events || practiceScore.events.length === 0) return;
+  
+  scorePractice = { ...practiceScore, position: 0 };
+  intervalModeActive = false; // The piece's own notes and chords are read instead
+  earTrainingActive = false;
+  heldNotesActive = false;
+  if (!pianoModeActive) {
+    currentClef = practiceScore.clef; // Piano Mode keeps its own two-staff layout
+  }
+  currentKeySignature = Object.keys(KEY_SIGNATURES).find(key => KEY_SIGNATURES[key].fifths === practiceScore.keyFifths) || 'C';
+  
+  // Draw as many ledger lines as the piece needs, whatever the menu's ledger line setting
+  practiceScore.events.forEach(notes => notes.forEach(scoreNote => {
+    maxLedgerLines = Math.max(maxLedgerLines, getLedgerLinesForIndex(createScoreNoteDefinition(scoreNote).staffLocalIndex));
+  }));
+  
+  updateSpaceshipPosition();
+}
+
+// Number of ledger lines a note needs below or above its staff
+function getLedgerLinesForIndex(staffLocalIndex) {
+  return staffLocalIndex < 0 ? Math.floor(-staffLocalIndex / 2) : Math.floor(Math.max(0, staffLocalIndex - 8) / 2);
+}
+
+// Load the note range chosen in the menu, if switched on (an assignment or imported piece brings its own notes)
+function loadNoteRange() {
+  const saved = readStartupStorage(NOTE_RANGE_STORAGE_KEY);
+  if (!saved || assignment || scorePractice || dailyChallenge) return;
+  
+  let noteRange;
+  try {
+    noteRange = JSON.parse(saved);
+  } catch (e) {
+    console.warn('Could not load the note range:', e);
+    return;
+  }
+  if (!noteRange.enabled || !noteRange.clefs) return;
+  
+  noteRangeSelection = {};
+  Object.entries(noteRange.clefs).forEach(([clef, names]) => {
+    if (Array.isArray(names) && names.length > 0) {
+      noteRangeSelection[clef] = new Set(names);
+    }
+  });
+  
+  // Draw as many ledger lines as the chosen notes need, whatever the ledger line setting
+  notePositions[currentClef].forEach(notePos => {
+    if (isInNoteRange(notePos)) {
+      maxLedgerLines = Math.max(maxLedgerLines, getLedgerLinesForIndex(notePos.staffLocalIndex));
+    }
+  });
+}
+
+// Whether a note was chosen in the note range of its clef
+function isInNoteRange(notePos) {
+  const selection = noteRangeSelection && noteRangeSelection[notePos.clef];
+  return selection ? selection.has(notePos.letter + notePos.octave) : false;
+}
+
 // Piano Mode UI update function (called by MIDI integration)
 function onPianoModeChanged(settings) {
+  if (dailyChallenge) return; // The daily challenge is played without Piano Mode, the same for everyone
+  if (isLiveInputBlocked()) return; // A replay plays the recorded changes
+  recordSessionEvent('piano', settings);
+  
   pianoModeActive = settings.isActive;
   
   // Update Piano Mode settings from MIDI integration
@@ -415,6 +705,8 @@ function onPianoModeChanged(settings) {
     }
   }
   
+  updateEnginePianoMode();
+  
   // Update hand score visibility
   updateHandScoreVisibility();
 }
@@ -429,6 +721,7 @@ function updateGamePianoModeSettings(settings) {
   }
   
   console.log('Game Piano mode settings updated:', pianoModeSettings);
+  updateEnginePianoMode();
   
   // Also update the MIDI integration settings if available
   if (typeof window.updateMidiPianoModeSettings === 'function') {
@@ -440,167 +733,211 @@ function updateGamePianoModeSettings(settings) {
 window.onPianoModeChanged = onPianoModeChanged;
 window.updateGamePianoModeSettings = updateGamePianoModeSettings;
 
-// Audio system - Layered music system where all tracks play simultaneously
-const audioFiles = {
-  // Level music tracks - all play simultaneously and get unmuted as levels progress
-  // Using correct file names that match the actual files in audio directory
-  musicLevel2: new Audio('audio/level 2.wav'),
-  musicLevel3: new Audio('audio/level 3.wav'),
-  musicLevel4: new Audio('audio/level 4.wav'),
-  musicLevel5: new Audio('audio/level 5.wav'),
-  musicLevel6: new Audio('audio/level 6.wav'),
+// ===== Sound engine =====
+// Everything plays through one AudioContext from decoded buffers. The level music is five stems started
+// together on the audio clock, each with its own gain, so they never drift apart. Effects get a new
+// source for every sound and overlap freely. Stems feed the music bus, then the ducking gain; effects
+// feed the effects bus; both meet in the master gain
+const SOUND_FILES = {
+  // Level music stems - all play together and are faded in as levels progress
+  musicLevel2: 'audio/level 2.wav',
+  musicLevel3: 'audio/level 3.wav',
+  musicLevel4: 'audio/level 4.wav',
+  musicLevel5: 'audio/level 5.wav',
+  musicLevel6: 'audio/level 6.wav',
   
   // Sound effects
-  laser: new Audio('audio/laser.wav'),
-  meteorExplosion: new Audio('audio/meteor explosion.wav'),
-  explosionLoseLive: new Audio('audio/explosion lose live.wav'),
-  gameOver: new Audio('audio/game over.wav')
+  laser: 'audio/laser.wav',
+  meteorExplosion: 'audio/meteor explosion.wav',
+  explosionLoseLive: 'audio/explosion lose live.wav',
+  gameOver: 'audio/game over.wav'
 };
 
-// Set all music tracks to loop and start them muted
 const musicTracks = ['musicLevel2', 'musicLevel3', 'musicLevel4', 'musicLevel5', 'musicLevel6'];
-musicTracks.forEach(trackName => {
-  if (audioFiles[trackName]) {
-    audioFiles[trackName].loop = true;
-    audioFiles[trackName].volume = 0; // Start muted
-    audioFiles[trackName].preload = 'auto'; // Ensure tracks are preloaded for synchronization
-  }
-});
+
+const MUSIC_START_DELAY = 0.1; // Seconds ahead the stems are scheduled, so that they all start on time
+const MUSIC_CROSSFADE_SECONDS = 1; // A stem fading in or out at a level change
+const MUSIC_FADE_MS = 500; // Fade of everything when the game pauses or resumes
+const MUSIC_DUCK_LEVEL = 0.35; // Music level under a level popup
+const MUSIC_DUCK_SECONDS = 0.2; // Time to duck, and to come back up at the end of the popup
+
+let soundEngine = {
+  context: null,
+  master: null,
+  musicBus: null,
+  duck: null,
+  effectsBus: null,
+  buffers: {}, // Decoded AudioBuffers by sound name
+  loading: null, // Promise of all buffers
+  stems: {}, // { source, gain } by stem name while the music plays
+  pauseTimer: null // Suspends the context at the end of the pause fade
+};
 
 // Track which music tracks are currently active
 let activeMusicTracks = [];
 
+// The shared AudioContext and its buses, created on first use (null without Web Audio)
+function getSoundContext() {
+  if (soundEngine.context) return soundEngine.context;
+  
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  
+  const context = new AudioContextClass();
+  soundEngine.context = context;
+  soundEngine.master = context.createGain();
+  soundEngine.master.connect(context.destination);
+  soundEngine.duck = context.createGain();
+  soundEngine.duck.connect(soundEngine.master);
+  soundEngine.musicBus = context.createGain();
+  soundEngine.musicBus.connect(soundEngine.duck);
+  soundEngine.effectsBus = context.createGain();
+  soundEngine.effectsBus.connect(soundEngine.master);
+  updateBusVolumes();
+  loadSoundBuffers();
+  return context;
+}
+
+// Decode every sound file once; a file that fails to load stays silent
+function loadSoundBuffers() {
+  if (!soundEngine.loading) {
+    const context = soundEngine.context;
+    soundEngine.loading = Promise.all(Object.entries(SOUND_FILES).map(([name, path]) =>
+      fetch(path)
+        .then(response => response.arrayBuffer())
+        .then(data => new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject)))
+        .then(buffer => { soundEngine.buffers[name] = buffer; })
+        .catch(e => console.log(`Failed to load sound ${name}:`, e))
+    ));
+  }
+  return soundEngine.loading;
+}
+
+// Browsers keep a new context suspended until the player has interacted with the page
+function resumeSoundContext() {
+  const context = getSoundContext();
+  if (context && context.state === 'suspended' && !gamePaused) {
+    context.resume().catch(e => console.log('Audio resume failed:', e));
+  }
+  return context;
+}
+
+// Music and effects volumes from the sliders on the game screen
+function updateBusVolumes() {
+  if (!soundEngine.context) return;
+  
+  const musicVolumeSlider = document.getElementById('musicVolume');
+  const effectsVolumeSlider = document.getElementById('effectsVolume');
+  const now = soundEngine.context.currentTime;
+  soundEngine.musicBus.gain.setTargetAtTime(musicVolumeSlider ? parseFloat(musicVolumeSlider.value) : 0.7, now, 0.02);
+  soundEngine.effectsBus.gain.setTargetAtTime(effectsVolumeSlider ? parseFloat(effectsVolumeSlider.value) : 1, now, 0.02);
+}
+
+// Move a gain to a value in a straight line from wherever it is now
+function rampGain(param, value, seconds) {
+  const now = soundEngine.context.currentTime;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+  param.linearRampToValueAtTime(value, now + seconds);
+}
+
+const LEVEL_POPUP_MS = 3000; // Length of the popup animation
+
 // Show level progression popup
 function showLevelPopup(levelNumber) {
+  showPopup(`Level ${levelNumber}!`);
+  duckMusic(LEVEL_POPUP_MS / 1000);
+}
+
+// Show a message in the animated popup over the staff
+function showPopup(text) {
   const levelPopup = document.getElementById('levelPopup');
   if (levelPopup) {
-    levelPopup.textContent = `Level ${levelNumber}!`;
+    levelPopup.textContent = text;
     levelPopup.style.display = 'block';
     
-    // Hide the popup after animation completes (3 seconds)
+    // Hide the popup after animation completes
     setTimeout(() => {
       levelPopup.style.display = 'none';
-    }, 3000);
+    }, LEVEL_POPUP_MS);
   }
 }
 
-// Layered music system - all tracks play simultaneously, unmuted based on level
+// Lower the music under a popup and bring it back as the popup ends
+function duckMusic(seconds) {
+  if (!soundEngine.context) return;
+  
+  const gain = soundEngine.duck.gain;
+  const now = soundEngine.context.currentTime;
+  rampGain(gain, MUSIC_DUCK_LEVEL, MUSIC_DUCK_SECONDS);
+  gain.setValueAtTime(MUSIC_DUCK_LEVEL, now + Math.max(seconds - MUSIC_DUCK_SECONDS, MUSIC_DUCK_SECONDS));
+  gain.linearRampToValueAtTime(1, now + Math.max(seconds, 2 * MUSIC_DUCK_SECONDS));
+}
+
+// Layered music system - all stems play together, faded in based on level
 function updateMusicForLevel(currentLevel) {
-  if (!gameSettings.music) {
-    // If music is disabled, mute all tracks
-    musicTracks.forEach(trackName => {
-      if (audioFiles[trackName]) {
-        audioFiles[trackName].volume = 0;
-      }
-    });
-    return;
-  }
+  // Level 1 has no music; each later level adds a stem, up to all five from level 6
+  // (level 2: level 2 music, level 3: level 2 + level 3 music, ...)
+  const tracksToUnmute = gameSettings.music ? musicTracks.slice(0, Math.max(0, currentLevel - 1)) : [];
   
-  // Get current music volume from slider (if it exists)
-  const musicVolumeSlider = document.getElementById('musicVolume');
-  const baseVolume = musicVolumeSlider ? parseFloat(musicVolumeSlider.value) : 0.7;
-  
-  // Level 1: No music (all tracks muted)
-  if (currentLevel === 1) {
-    musicTracks.forEach(trackName => {
-      if (audioFiles[trackName]) {
-        audioFiles[trackName].volume = 0;
-      }
-    });
-    activeMusicTracks = [];
-    return;
-  }
-  
-  // For levels 2-6: Unmute tracks progressively (only using available tracks)
-  // Level 2: only level 2 music
-  // Level 3: level 2 + level 3 music  
-  // Level 4: level 2 + level 3 + level 4 music
-  // Level 5: level 2 + level 3 + level 4 + level 5 music
-  // Level 6+: level 2 + level 3 + level 4 + level 5 + level 6 music (keeps looping)
-  const tracksToUnmute = [];
-  if (currentLevel >= 2) tracksToUnmute.push('musicLevel2');
-  if (currentLevel >= 3) tracksToUnmute.push('musicLevel3');
-  if (currentLevel >= 4) tracksToUnmute.push('musicLevel4');
-  if (currentLevel >= 5) tracksToUnmute.push('musicLevel5');
-  if (currentLevel >= 6) tracksToUnmute.push('musicLevel6');
-  
-  // Update volume for all tracks
-  musicTracks.forEach(trackName => {
-    if (audioFiles[trackName]) {
-      if (tracksToUnmute.includes(trackName)) {
-        audioFiles[trackName].volume = baseVolume;
-      } else {
-        audioFiles[trackName].volume = 0;
-      }
-    }
+  Object.entries(soundEngine.stems).forEach(([trackName, stem]) => {
+    rampGain(stem.gain.gain, tracksToUnmute.includes(trackName) ? 1 : 0, MUSIC_CROSSFADE_SECONDS);
   });
   
   activeMusicTracks = tracksToUnmute;
 }
 
 async function startAllMusicTracks() {
-  if (!gameSettings.music) return;
-  
-  // Ensure all tracks are loaded and ready before starting
-  const trackPromises = musicTracks.map(trackName => {
-    const track = audioFiles[trackName];
-    if (track) {
-      return new Promise((resolve) => {
-        const checkReady = () => {
-          if (track.readyState >= 3) { // HAVE_FUTURE_DATA or better
-            track.currentTime = 0;
-            resolve(track);
-          } else {
-            track.addEventListener('canplay', () => {
-              track.currentTime = 0;
-              resolve(track);
-            }, { once: true });
-          }
-        };
-        checkReady();
-      });
-    }
-    return Promise.resolve(null);
-  });
+  if (!gameSettings.music || !gameRunning) return;
   
-  try {
-    // Wait for all tracks to be ready
-    const readyTracks = await Promise.all(trackPromises);
-    
-    // Start all tracks at exactly the same moment
-    const playPromises = readyTracks.map(track => {
-      if (track && track.paused) {
-        return track.play().catch(e => console.log(`Failed to start track:`, e));
-      }
-      return Promise.resolve();
-    });
-    
-    // Wait for all play() calls to complete
-    await Promise.all(playPromises);
+  const context = resumeSoundContext();
+  if (!context) return;
+  await loadSoundBuffers();
+  
+  // The game may have ended, or the music been switched off, while the sounds loaded
+  if (!gameRunning || !gameSettings.music) return;
+  if (Object.keys(soundEngine.stems).length > 0) return; // Already playing
+  
+  // Start every stem on the same sample, silent until updateMusicForLevel fades it in
+  const startTime = context.currentTime + MUSIC_START_DELAY;
+  musicTracks.forEach(trackName => {
+    const buffer = soundEngine.buffers[trackName];
+    if (!buffer) return;
     
-    console.log('All music tracks started synchronously');
-  } catch (error) {
-    console.log('Error starting music tracks:', error);
-  }
+    const source = context.createBufferSource();
+    const gain = context.createGain();
+    source.buffer = buffer;
+    source.loop = true;
+    gain.gain.value = 0;
+    source.connect(gain).connect(soundEngine.musicBus);
+    source.start(startTime);
+    soundEngine.stems[trackName] = { source: source, gain: gain };
+  });
+  
+  console.log('All music tracks started synchronously');
 }
 
 function stopAllMusic() {
-  musicTracks.forEach(trackName => {
-    const track = audioFiles[trackName];
-    if (track) {
-      track.pause();
-      track.currentTime = 0;
-      track.volume = 0;
-    }
+  Object.values(soundEngine.stems).forEach(stem => {
+    stem.source.stop();
+    stem.source.disconnect();
   });
+  soundEngine.stems = {};
   activeMusicTracks = [];
 }
 
-function playSound(soundName) {
-  if (gameSettings.soundEffects && audioFiles[soundName]) {
-    audioFiles[soundName].currentTime = 0;
-    audioFiles[soundName].play().catch(e => console.log('Audio play failed:', e));
-  }
+// Play an effect, optionally a little later (seconds) on the audio clock; repeated effects overlap
+function playSound(soundName, delay = 0) {
+  if (!gameSettings.soundEffects) return;
+  
+  const context = resumeSoundContext();
+  const buffer = soundEngine.buffers[soundName];
+  if (!context || !buffer) return;
+  
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(soundEngine.effectsBus);
+  source.start(context.currentTime + delay);
 }
 
 // Try to start music on first user interaction
@@ -608,7 +945,7 @@ let musicStarted = false;
 async function tryStartMusic() {
   if (!musicStarted && gameSettings.music) {
     await startAllMusicTracks();
-    updateMusicForLevel(level);
+    updateMusicForLevel(engine.level);
     musicStarted = true;
   }
 }
@@ -616,14 +953,151 @@ async function tryStartMusic() {
 async function startBackgroundMusic() {
   if (gameSettings.music) {
     await startAllMusicTracks();
-    updateMusicForLevel(level);
+    updateMusicForLevel(engine.level);
   }
 }
 
 function stopBackgroundMusic() {
+  cancelSoundFade();
   stopAllMusic();
 }
 
+// Music button: the level's music off, or back on where the game is
+async function toggleMusic(button) {
+  gameSettings.music = !gameSettings.music;
+  if (gameSettings.music) {
+    await startAllMusicTracks();
+    updateMusicForLevel(engine.level);
+    button.textContent = '🎵';
+  } else {
+    stopBackgroundMusic();
+    button.textContent = '🔇';
+  }
+}
+
+// Pausing fades all sound out and then suspends the context, which holds the stems on the sample they
+// reached; resuming picks them up together and fades back in
+function fadeOutMusic() {
+  if (!soundEngine.context) return;
+  
+  cancelSoundFade();
+  rampGain(soundEngine.master.gain, 0, MUSIC_FADE_MS / 1000);
+  soundEngine.pauseTimer = setTimeout(() => {
+    soundEngine.pauseTimer = null;
+    soundEngine.context.suspend();
+  }, MUSIC_FADE_MS);
+}
+
+function fadeInMusic() {
+  if (!soundEngine.context) return;
+  
+  clearTimeout(soundEngine.pauseTimer);
+  soundEngine.pauseTimer = null;
+  resumeSoundContext();
+  rampGain(soundEngine.master.gain, 1, MUSIC_FADE_MS / 1000);
+}
+
+// Stop a pause fade part way and bring the sound back at once (restart, music switched off)
+function cancelSoundFade() {
+  if (!soundEngine.context) return;
+  
+  clearTimeout(soundEngine.pauseTimer);
+  soundEngine.pauseTimer = null;
+  soundEngine.master.gain.cancelScheduledValues(soundEngine.context.currentTime);
+  soundEngine.master.gain.value = 1;
+}
+
+// ===== Note playback =====
+// The notes can be heard as well as read: a piano-like tone made of a few harmonics that die away, the
+// higher ones sooner. It plays when a note appears, after a right answer, or after a mistake (the right
+// note, then the one played). Rhythm mode stays silent so that the metronome can be heard
+const PITCH_HARMONICS = [1, 0.5, 0.3, 0.2, 0.1]; // Loudness of harmonics 1-5
+const PITCH_VOLUME = 0.2;
+const PITCH_SECONDS = 1.5; // Time for the fundamental to die away
+const PITCH_GAP_SECONDS = 0.6; // Between notes heard one after another
+
+let notePlayback = { onSpawn: false, onCorrect: false, onMistake: false }; // Loaded from settings
+
+function playPitch(midi, delay = 0) {
+  const context = resumeSoundContext();
+  if (!context) return;
+  
+  const start = context.currentTime + delay;
+  const frequency = 440 * Math.pow(2, (midi - 69) / 12);
+  PITCH_HARMONICS.forEach((loudness, index) => {
+    const partialFrequency = frequency * (index + 1);
+    if (partialFrequency > context.sampleRate / 2) return;
+    
+    const decaySeconds = PITCH_SECONDS / (1 + index * 0.6);
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = partialFrequency;
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(PITCH_VOLUME * loudness, start + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + decaySeconds);
+    oscillator.connect(gain).connect(soundEngine.effectsBus);
+    oscillator.start(start);
+    oscillator.stop(start + decaySeconds);
+  });
+}
+
+// Play moving notes as they are written: stacked notes together, a melodic interval one after the
+// other. Returns the delay of the last note
+function playNotePitches(notes, delay = 0) {
+  const leftX = Math.min(...notes.map(note => note.x));
+  let lastDelay = delay;
+  notes.forEach(note => {
+    const noteDelay = note.x - leftX > gameRules.INTERVAL_SEQUENCE_SPACING / 2 ? delay + PITCH_GAP_SECONDS : delay;
+    playPitch(note.midi, noteDelay);
+    lastDelay = Math.max(lastDelay, noteDelay);
+  });
+  return lastDelay;
+}
+
+// MIDI output (dist/midi/midi-integration.js): the player's keyboard can play each new note, play
+// the right note after a miss and light the keys to play, as chosen in the menu's options.
+// No hints in ear training: the keyboard would play the hidden note on its own key
+function sendMidiHint(notes) {
+  if (earTrainingActive) return;
+  if (typeof window.playMidiOutputHint === 'function') {
+    window.playMidiOutputHint(notes.map(note => note.midi));
+  }
+}
+
+function sendMidiEcho(notes) {
+  if (typeof window.playMidiOutputEcho === 'function') {
+    window.playMidiOutputEcho(notes.map(note => note.midi));
+  }
+}
+
+// The leftmost note (or its whole chord) is lit; nothing is lit in ear training, where that would
+// give the answer away, or once the game is over
+function updateMidiKeyLights() {
+  if (typeof window.setMidiKeyLights !== 'function') return;
+  let targets = [];
+  if (gameRunning && !earTrainingActive && engine.notes.length > 0) {
+    const leftmost = engine.notes.reduce((left, note) => note.x < left.x ? note : left);
+    targets = leftmost.isChord ? engine.notes.filter(note => note.chordId === leftmost.chordId) : [leftmost];
+  }
+  window.setMidiKeyLights(targets.map(note => ({ midi: note.midi, clef: note.clef })));
+}
+
+// The right notes, then the note played (in the octave played, or else the one nearest the right note)
+function playMistakePitches(expectedNotes, userNote, userOctave) {
+  const lastDelay = playNotePitches(expectedNotes);
+  if (!userNote) return;
+  
+  let playedMidi;
+  if (userOctave !== null) {
+    playedMidi = (userOctave + 1) * 12 + gameRules.getPitchClass(userNote);
+  } else {
+    const near = expectedNotes[0].midi;
+    const up = (gameRules.getPitchClass(userNote) - near % 12 + 12) % 12;
+    playedMidi = near + (up > 6 ? up - 12 : up);
+  }
+  playPitch(playedMidi, lastDelay + PITCH_GAP_SECONDS);
+}
+
 // Image loading system (only for non-musical images)
 const images = {};
 const imagePaths = {
@@ -789,17 +1263,17 @@ function drawFluctuatingLine() {
   // Calculate line length fluctuation using sine wave
   const lengthFluctuation = Math.sin(fluctuatingLine.phase) * fluctuatingLine.amplitude;
   
-  // Position line to the right of the clef (collision point) with more spacing
-  const collisionX = (currentTrebleStave ? currentTrebleStave.clefX : currentBassStave ? currentBassStave.clefX : 65) + 35; // 35px buffer from clef for better visual separation
-  
+  // Position line to the right of the clef and key signature (collision point)
   if (currentTrebleStave && currentBassStave) {
     // Grand staff - draw green lines for both treble and bass staves
-    drawStaffGreenLine(collisionX, currentTrebleStave, lengthFluctuation);
-    drawStaffGreenLine(collisionX, currentBassStave, lengthFluctuation);
+    drawStaffGreenLine(getCollisionX(currentTrebleStave), currentTrebleStave, lengthFluctuation);
+    drawStaffGreenLine(getCollisionX(currentBassStave), currentBassStave, lengthFluctuation);
   } else if (currentTrebleStave) {
-    drawStaffGreenLine(collisionX, currentTrebleStave, lengthFluctuation);
+    drawStaffGreenLine(getCollisionX(currentTrebleStave), currentTrebleStave, lengthFluctuation);
   } else if (currentBassStave) {
-    drawStaffGreenLine(collisionX, currentBassStave, lengthFluctuation);
+    drawStaffGreenLine(getCollisionX(currentBassStave), currentBassStave, lengthFluctuation);
+  } else if (currentCClefStave) {
+    drawStaffGreenLine(getCollisionX(currentCClefStave), currentCClefStave, lengthFluctuation);
   }
 }
 
@@ -831,7 +1305,7 @@ function drawStaffGreenLine(collisionX, staff, lengthFluctuation) {
 function updateLifeDisplay() {
   for (let i = 1; i <= 3; i++) {
     const lifeElement = document.getElementById(`life${i}`);
-    if (i <= lives) {
+    if (i <= engine.lives) {
       // Life is still active
       lifeElement.className = 'life-icon';
     } else {
@@ -852,24 +1326,125 @@ const notesDestroyedDisplay = document.getElementById('meteorsDestroyed'); // Wi
 const leftHandDisplay = document.getElementById('leftHandScore');
 const rightHandDisplay = document.getElementById('rightHandScore');
 
-// Game state
+// Game state. The rules (moving notes, answers, score, lives and levels) are the GameEngine's
+// (src/engine/game-engine.ts, on window from dist/engine/engine-integration.js); this page draws and
+// plays what it reports
 let currentClef = 'treble';
+let currentKeySignature = 'C'; // Key of KEY_SIGNATURES, loaded from settings
 let currentNoteIdx = 0;
-let score = 0;
-let lives = 3; // Changed from 5 to 3 lives
-let notesDestroyed = 0; // Changed from meteorsDestroyed
-let level = 1; // Add level system
-let correctAnswers = 0; // Track correct answers for level progression
-// Piano Mode separate hand scoring
-let leftHandScore = 0; // Bass clef score
-let rightHandScore = 0; // Treble clef score
+let engine = null; // GameEngine of the current game, created by startEngine()
 let gameRunning = true;
+let gamePaused = false; // Paused with Esc, the pause button or a MIDI pedal, or when the tab is hidden
+let pauseStartedAt = 0; // Date.now() when the current pause began
+let pausedTotalMs = 0; // Time spent paused, left out of gameClock()
+let pausedReleases = []; // Held notes let go of while paused: [note, octave], let go of on resume
+let animationFrameId = null;
 let gameStartTime = Date.now();
 let gameInitialized = false;
 let includeLedgerLines = false; // Will be loaded from settings
+let includeAccidentals = false; // Will be loaded from settings
+
+// Accidental applied to the next letter input: held arrow keys take priority over the on-screen toggle
+let heldAccidental = null; // 'sharp' while ArrowUp is held, 'flat' while ArrowDown is held
+let selectedAccidental = null; // Set by the accidental buttons, cleared after one note
+
+// Rhythm mode: notes sit on a metronome timeline instead of flying one at a time
+let rhythmModeActive = false; // Loaded from settings
+let rhythmState = {
+  timeSignature: '4/4',
+  baseTempo: 72, // Metronome clicks per minute at level 1
+  tempo: 72,
+  clockStarted: false, // Set by the first key press or click; the clock is the shared audio context's
+  startTime: null, // Audio clock time of beat 0 (set once the clock is running)
+  nextClickBeat: 0,
+  measuresGenerated: 0,
+  nextBeamGroup: 1,
+  events: [], // Notes and rests in beat order
+  stats: { perfect: 0, good: 0, miss: 0 },
+  lastJudgement: null // { text, color, time } shown at the collision line
+};
+
+// Adaptive practice: per-clef answer history, recorded whether or not the weighted draw is switched on:
+// { [clef]: { averageMs, notes: { [scientific]: { box, correct, wrong, averageMs } } } }
+let adaptivePracticeActive = false; // Loaded from settings
+let adaptiveModel = {};
+
+// Every answer, oldest first (see logAttempt)
+let attemptLog = [];
+
+// Interval mode: two notes arrive together and are answered with the interval buttons (or played on MIDI)
+let intervalModeActive = false; // Loaded from settings
+let intervalStyle = 'both'; // 'harmonic' (stacked), 'melodic' (in sequence) or 'both'
+let selectedIntervalQuality = null; // Set by the quality buttons or keys, cleared after one answer
+
+// Ear training: each note is heard but not shown until it has been answered. The notes come from the
+// usual range, and each one is at most EAR_TRAINING_JUMPS[level - 1] semitones from the one before
+// (no limit after the last level listed)
+let earTrainingActive = false; // Loaded from settings
+let lastEarTrainingMidi = null;
+let revealedNotes = []; // Answered notes left on the staff for a moment: { note, color, revealedAt }
+const EAR_TRAINING_JUMPS = [4, 7, 9, 12];
+const EAR_REVEAL_MS = 1500;
+
+// Dynamics mode: each note carries a marking, and a key played on MIDI only answers it at a velocity
+// in the marking's band (gameRules.getVelocityBand). Velocities arrive calibrated to the keyboard's touch
+// (dist/midi/midi-integration.js)
+let dynamicsModeActive = false; // Loaded from settings
+const DYNAMIC_GLYPHS = {
+  pp: BRAVURA_SYMBOLS.dynamicPP,
+  p: BRAVURA_SYMBOLS.dynamicPiano,
+  mp: BRAVURA_SYMBOLS.dynamicMP,
+  mf: BRAVURA_SYMBOLS.dynamicMF,
+  f: BRAVURA_SYMBOLS.dynamicForte,
+  ff: BRAVURA_SYMBOLS.dynamicFF
+};
+
+// Held notes: single notes are drawn as half, whole or tied notes and stop while their key is held
+// down. The note is shot down when the key comes up, scored on how long it was held against its length
+// (the timing rules are in gameRules: HELD_NOTE_BEAT_MS, HELD_NOTE_TOLERANCE, HELD_NOTE_LATE_LIMIT).
+// Buttons and the microphone have no key-up: their notes let go by themselves once held their length
+let heldNotesActive = false; // Loaded from settings
+const HELD_NOTE_VALUES = {
+  half: ['half'],
+  whole: ['whole'],
+  tied: ['whole', 'half'] // Tied together, held for both
+};
+const HELD_TIE_SPACING = 44; // Pixels from a tied note to the note it is tied to
+const SUSTAIN_BAR_PIXELS_PER_BEAT = 12;
+
+// Piece imported in the menu (localStorage 'noteGameScore'), spawned in order instead of random notes:
+// { title, clef, keyFifths, noteCount, events: [[{ step, alter, octave, clef }]], position }
+let scorePractice = null;
+
+// Teacher assignment (localStorage 'noteGameAssignment'). Its clef, mode and Piano Mode roles arrive as
+// ordinary settings; the note pool, goal and time limit are applied here
+let assignment = null;
+let assignmentNotePool = null; // Set of scientific names, or null for every note in the ledger range
+let assignmentProgress = { correct: 0, attempts: 0, secondsLeft: null, finished: false };
+let lastAssignmentRecord = null;
+
+// Note range chosen in the menu (localStorage 'noteGameNoteRange'): { clef: Set of natural names ('F4') }.
+// Clefs without a selection keep the ledger line range
+let noteRangeSelection = null;
+
+// Seed text for a repeatable note sequence (menu seed field, assignment or daily challenge), or null
+let gameSeed = null;
+let randomSource = Math.random; // Replaced by a seeded generator at the start of each game
+
+// Daily challenge started from the menu (game.html?daily=YYYY-MM-DD&clef=...&ledgerLines=...), or null
+let dailyChallenge = null;
+
+// Recording of the game being played: { format, version, recordedAt, player, seed, search, storage,
+// frames: [ms since the previous frame], events: [[frame, ms since game start, type, ...arguments]], result }
+let sessionRecording = null;
+let lastRecordedFrameTime = 0;
+
+// Replay being watched (game.html?replay), with the next frame and event to play and its own clock.
+// speed is 1 or 2 (times as fast as recorded), or 0 while paused between steps
+let replay = null;
+let replayState = { frame: 0, event: 0, inputsPlayed: 0, inputCount: 0, elapsed: 0, clock: 0, speed: 1, stepFrom: null, applying: false, timer: null, width: 0, height: 0 };
 
 // Game objects
-let movingNotes = []; // Notes that move from right to left
 let flashEffect = { active: false, startTime: 0 };
 let shakeEffect = { active: false, startTime: 0, intensity: 0, duration: 0 };
 let fluctuatingLine = { phase: 0, baseThickness: 3, amplitude: 15 };
@@ -885,9 +1460,13 @@ let spaceship = {
   targetRotation: 0 // Target rotation angle
 };
 
-// Game settings
-let lastNoteSpawn = 0;
-let noteSpawnRate = 2200; // Initial spawn rate for level 1
+let lastFrameClock = 0; // gameClock() at the previous frame
+
+// Where to draw a note: between its positions after the last two simulation steps
+function getNoteDrawX(note) {
+  if (note.previousX === undefined) return note.x;
+  return note.previousX + (note.x - note.previousX) * engine.stepProgress;
+}
 
 // Draw staff and clef using enhanced canvas-based musical notation
 function drawStaff(clef) {
@@ -945,21 +1524,23 @@ function drawStaff(clef) {
     currentTrebleStave = createStaff('treble', staffX, staffTop, staffWidth);
     currentBassStave = createStaff('bass', staffX, staffTop + grandStaffSpacing, staffWidth);
   } else {
-    // Draw single staff
-    if (clef === 'treble') {
-      currentTrebleStave = createStaff('treble', staffX, staffTop + 50, staffWidth);
-      currentBassStave = null;
-    } else if (clef === 'bass') {
-      currentBassStave = createStaff('bass', staffX, staffTop + 50, staffWidth);
-      currentTrebleStave = null;
-    }
+    // Draw single staff (treble, bass or one of the C clefs)
+    const stave = createStaff(clef, staffX, staffTop + 50, staffWidth);
+    currentTrebleStave = clef === 'treble' ? stave : null;
+    currentBassStave = clef === 'bass' ? stave : null;
+    currentCClefStave = CLEFS[clef] && CLEFS[clef].family === 'C' ? stave : null;
   }
   
   // Draw fluctuating line in front of clef
   drawFluctuatingLine();
   
   // Draw moving notes AFTER staff so they appear on top
-  drawMovingNotes();
+  if (rhythmModeActive) {
+    drawRhythmNotes();
+  } else if (engine) { // Piano Mode can redraw the staves before the game starts
+    drawMovingNotes();
+    drawRevealedNotes();
+  }
   
   // Draw explosions (on top of everything)
   drawExplosions();
@@ -1120,7 +1701,7 @@ function getNoteY(note, staffInfo) {
 }
 
 function drawMovingNotes() {
-  movingNotes.forEach(note => {
+  engine.notes.forEach(note => {
     // Handle flashing animation for wrong answer notes
     if (note.flashing) {
       const elapsed = Date.now() - note.flashStartTime;
@@ -1150,18 +1731,24 @@ function drawMovingNotes() {
         noteY = getNoteY(note, staffInfo);
       }
     } else {
-      if (currentClef === 'treble' && currentTrebleStave) {
-        staffInfo = currentTrebleStave;
-        noteY = getNoteY(note, staffInfo);
-      } else if (currentClef === 'bass' && currentBassStave) {
-        staffInfo = currentBassStave;
+      staffInfo = getStaffForClef(currentClef);
+      if (staffInfo) {
         noteY = getNoteY(note, staffInfo);
       }
     }
     
-    if (staffInfo && noteY !== undefined) {
+    if (staffInfo && note.dynamic && note.showDynamic) {
+      drawDynamicMarking(getNoteDrawX(note), note, staffInfo);
+    }
+    if (staffInfo && note.duration) {
+      drawSustainBar(getNoteDrawX(note), note, staffInfo);
+    }
+    if (staffInfo && note.hidden) {
+      // Ear training: a question mark on the middle line until the note is answered
+      drawHiddenNote(getNoteDrawX(note), staffInfo);
+    } else if (staffInfo && noteY !== undefined) {
       // Draw note with professional styling
-      drawCanvasNote(note.x, noteY, note.note, note.staffLocalIndex, staffInfo, note);
+      drawCanvasNote(getNoteDrawX(note), noteY, note.note, note.staffLocalIndex, staffInfo, note);
       
       // Add debug pitch overlay if enabled
       if (debugPitchOverlay && note.scientific) {
@@ -1170,39 +1757,132 @@ function drawMovingNotes() {
         ctx.fillStyle = '#00FF00';
         ctx.font = '12px Arial';
         
-        ctx.fillText(note.scientific, note.x + 10, noteY - 4);
+        ctx.fillText(note.scientific, getNoteDrawX(note) + 10, noteY - 4);
         ctx.restore();
       }
     }
   });
 }
 
-// Draw a single note using Bravura font
-function drawCanvasNote(x, y, noteName, staffLocalIndex, staffInfo, noteObj) {
-  ctx.save();
-  
-  // Determine note color based on flashing state
-  let noteColor = '#FF0000'; // Default red
+// Dynamics mode: the marking under the staff, or under the note when it is lower
+// (the bottom of the chord, for chords, and the staff itself for hidden notes)
+function drawDynamicMarking(x, note, staffInfo) {
+  const bottomY = getNoteY({ staffLocalIndex: note.hidden ? 0 : Math.min(0, note.staffLocalIndex) }, staffInfo);
+  drawBravuraText(ctx, DYNAMIC_GLYPHS[note.dynamic], x, bottomY + staffInfo.staffLines.spacing * 2, 48, '#FFFFFF');
+}
+
+// Held notes: the note's length as an outline above the staff (or above the note and its stem), with
+// the in-time window shaded. It fills while the key is held: yellow is too soon to let go, green is in
+// time and orange is too long
+function drawSustainBar(x, note, staffInfo) {
+  const { HELD_NOTE_BEAT_MS, HELD_NOTE_TOLERANCE, HELD_NOTE_LATE_LIMIT } = gameRules;
+  const width = note.holdMs / HELD_NOTE_BEAT_MS * SUSTAIN_BAR_PIXELS_PER_BEAT;
+  const topIndex = note.hidden ? 8 : Math.max(8, note.staffLocalIndex + (note.staffLocalIndex < 4 ? 7 : 1));
+  const barY = getNoteY({ staffLocalIndex: topIndex }, staffInfo) - staffInfo.staffLines.spacing * 1.5;
+  const barX = x - 10;
+  const barHeight = 8;
   
-  if (noteObj && noteObj.flashing) {
-    if (noteObj.isFlashVisible) {
-      noteColor = '#FF6666'; // Lighter red for flash effect
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 255, 0, 0.25)';
+  ctx.fillRect(barX + width * (1 - HELD_NOTE_TOLERANCE), barY, width * HELD_NOTE_TOLERANCE * 2, barHeight);
+  if (note.heldInput) {
+    const ratio = (engine.time - note.holdStart) / note.holdMs;
+    if (ratio < 1 - HELD_NOTE_TOLERANCE) {
+      ctx.fillStyle = '#FFFF00';
+    } else if (ratio <= 1 + HELD_NOTE_TOLERANCE) {
+      ctx.fillStyle = '#00FF00';
     } else {
-      noteColor = '#CC0000'; // Darker red for flash effect
+      ctx.fillStyle = '#FF8800';
     }
+    ctx.fillRect(barX, barY, width * Math.min(ratio, HELD_NOTE_LATE_LIMIT), barHeight);
   }
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(barX, barY, width, barHeight);
+  ctx.restore();
+}
+
+function drawHiddenNote(x, staffInfo) {
+  ctx.save();
+  ctx.fillStyle = '#FF0000';
+  ctx.font = 'bold 32px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('?', x, getNoteY({ staffLocalIndex: 4 }, staffInfo));
+  ctx.restore();
+}
+
+// Ear training answers: the note shown where it was answered, green if right, fading out
+function drawRevealedNotes() {
+  const now = Date.now();
+  revealedNotes = revealedNotes.filter(revealed => now - revealed.revealedAt < EAR_REVEAL_MS);
+  revealedNotes.forEach(revealed => {
+    const staffInfo = getStaffForNote(revealed.note);
+    if (!staffInfo) return;
+    
+    ctx.save();
+    ctx.globalAlpha = 1 - (now - revealed.revealedAt) / EAR_REVEAL_MS;
+    drawCanvasNote(revealed.note.x, getNoteY(revealed.note, staffInfo), revealed.note.note,
+      revealed.note.staffLocalIndex, staffInfo, { ...revealed.note, revealColor: revealed.color });
+    ctx.restore();
+  });
+}
+
+// Draw a single note using Bravura font
+function drawCanvasNote(x, y, noteName, staffLocalIndex, staffInfo, noteObj) {
+  ctx.save();
   
-  // Check if this note has an accidental and draw it
-  // (Accidental functionality removed)
+  // Determine note color based on flashing state
+  let noteColor = '#FF0000'; // Default red
+  
+  if (noteObj && noteObj.revealColor) {
+    noteColor = noteObj.revealColor;
+  } else if (noteObj && noteObj.flashing) {
+    if (noteObj.isFlashVisible) {
+      noteColor = '#FF6666'; // Lighter red for flash effect
+    } else {
+      noteColor = '#CC0000'; // Darker red for flash effect
+    }
+  }
   
-  // Draw red semibreve (whole note) using Bravura font
   const noteSize = 60; // Increased size for better visibility
-  drawBravuraText(ctx, BRAVURA_SYMBOLS.noteheadWhole, x, y, noteSize, noteColor);
   
-  // No stem for semibreves (whole notes)
+  // Draw the accidental (if any) just left of the notehead
+  if (noteObj && noteObj.accidental) {
+    drawBravuraText(ctx, ACCIDENTALS[noteObj.accidental].glyph, x - 26, y, noteSize, noteColor);
+  }
   
-  // Draw ledger lines if needed
-  drawCanvasLedgerLines(x, y, staffLocalIndex, staffInfo);
+  // Red semibreves (whole notes), or the value of a held note: a tied note is a whole note and the
+  // half note it is tied to. Stems go down from the middle line up, otherwise up, and ties curve away
+  // from the stem
+  const values = noteObj && noteObj.duration ? HELD_NOTE_VALUES[noteObj.duration] : ['whole'];
+  const stemUp = staffLocalIndex < 4;
+  values.forEach((value, index) => {
+    const headX = x + index * HELD_TIE_SPACING;
+    drawBravuraText(ctx, NOTE_VALUES[value].notehead, headX, y, noteSize, noteColor);
+    
+    if (NOTE_VALUES[value].stem) {
+      const stemX = stemUp ? headX + 8 : headX - 8;
+      ctx.strokeStyle = noteColor;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(stemX, y);
+      ctx.lineTo(stemX, stemUp ? y - 56 : y + 56);
+      ctx.stroke();
+    }
+    if (index > 0) {
+      const tieY = stemUp ? y + 8 : y - 8;
+      ctx.strokeStyle = noteColor;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(headX - HELD_TIE_SPACING + 10, tieY);
+      ctx.quadraticCurveTo(headX - HELD_TIE_SPACING / 2, stemUp ? tieY + 10 : tieY - 10, headX - 10, tieY);
+      ctx.stroke();
+    }
+    
+    // Draw ledger lines if needed
+    drawCanvasLedgerLines(headX, y, staffLocalIndex, staffInfo);
+  });
   
   ctx.restore();
 }
@@ -1280,335 +1960,1583 @@ function drawExplosions() {
   });
 }
 
-// Check if there's enough space to spawn a new note without overlap
-function canSpawnNote(minDistance = 100) {
-  // In hard mode, allow up to 2 notes (one per clef) for independent completion
-  if (pianoModeActive && pianoModeSettings.hardMode && currentClef === 'hardMode') {
-    const leftHandActive = pianoModeSettings.leftHand !== 'none';
-    const rightHandActive = pianoModeSettings.rightHand !== 'none';
+// ===== Game engine =====
+// Each game's rules run in a GameEngine: it moves the notes, judges the answers and keeps the score,
+// lives and level. The page picks the notes (pickRandomNote), tells it where the staves are, and turns
+// what it reports into drawing, sound and feedback
+
+// Start the rules of a new game
+function startEngine() {
+  engine = new GameEngine({
+    clef: currentClef,
+    pianoMode: pianoModeActive ? pianoModeSettings : null,
+    pickNote: () => pickRandomNote(),
+    clock: gameClock,
+    random: gameRandom,
+    spawnX: getSpawnX,
+    collisionX: clef => {
+      const staff = getStaffForNote({ clef: clef });
+      return staff ? getCollisionX(staff) : 120;
+    },
+    intervals: intervalModeActive ? intervalStyle : null,
+    earTraining: earTrainingActive,
+    dynamics: dynamicsModeActive,
+    heldNotes: heldNotesActive
+  });
+  
+  engine.on('spawn', onNotesSpawned);
+  engine.on('correct', onNotesAnswered);
+  engine.on('hold', onNoteHeld);
+  engine.on('chordProgress', onChordProgress);
+  engine.on('wrong', onWrongAnswer);
+  engine.on('miss', onNoteMissed);
+  engine.on('levelUp', onLevelUp);
+  engine.on('lifeGained', updateLifeDisplay);
+  engine.on('gameOver', gameOver);
+}
+
+// Piano Mode switched or changed during the game
+function updateEnginePianoMode() {
+  if (!engine) return;
+  engine.setClef(currentClef);
+  engine.setPianoMode(pianoModeActive ? pianoModeSettings : null);
+}
+
+// Notes appear at the right edge of their staff
+function getSpawnX(clef) {
+  const staff = getStaffForNote({ clef: clef });
+  return staff ? staff.x + staff.width : canvas.width + 20;
+}
+
+// Clef symbol position of a note's staff (of the current staff without a note), where explosions go
+function getClefPosition(note) {
+  const staff = note ? getStaffForNote(note) : getStaffForClef(currentClef);
+  return staff ? { x: staff.clefX, y: staff.clefY } : { x: 35, y: canvas.height * 0.2 + 60 };
+}
+
+function onNotesSpawned(notes) {
+  if (notePlayback.onSpawn || notes[0].hidden) {
+    playNotePitches(notes); // Ear training notes are always heard
+  }
+  sendMidiHint(notes);
+}
+
+// Laser from the spaceship and an explosion where a note was shot down
+function shootNote(note) {
+  const staff = getStaffForNote(note);
+  if (!staff) return;
+  
+  const noteY = getNoteY(note, staff);
+  lasers.push({ startX: spaceship.x, startY: spaceship.y, targetX: note.x, targetY: noteY, startTime: Date.now(), duration: 300 });
+  explosions.push({ x: note.x, y: noteY, size: 50, startTime: Date.now(), duration: 400, frames: generateExplosionFrames(), currentFrameIndex: 0 });
+}
+
+// A note, chord, held note or interval answered right and shot down
+function onNotesAnswered(notes, answer) {
+  if (answer.interval) {
+    onIntervalAnswered(notes, answer.interval, true);
+    return;
+  }
+  
+  const note = notes[0];
+  if (note.interval) {
+    logIntervalAttempt(notes, answer.note, true); // Played on the keyboard
+  } else if (note.isChord) {
+    notes.forEach(chordNote => recordNoteResult(chordNote, true, chordNote.note,
+      answer.octave !== null && gameRules.getSoundingOctave(chordNote.midi) === answer.octave ? answer.octave : null));
+  } else {
+    recordNoteResult(note, true, answer.note, answer.octave);
+    revealNote(note, true);
+  }
+  if (notePlayback.onCorrect) {
+    playNotePitches(notes);
+  }
+  shootNote(note);
+  
+  feedback.style.color = '#00ff00';
+  feedback.style.fontSize = '16px';
+  if (note.isChord) {
+    feedback.textContent = `Chord Complete! +1 point!`;
+  } else if (answer.hold) {
+    const value = `${formatNoteName(note.note)} was a ${note.duration} note`;
+    if (answer.hold === 'inTime') {
+      feedback.textContent = `Held in time! ${value}: +${answer.points} points`;
+    } else {
+      feedback.textContent = `${answer.hold === 'early' ? 'Let go too soon' : 'Held too long'}! ${value}: +1 point`;
+      feedback.style.color = '#ffff00';
+    }
+  } else {
+    feedback.textContent = `Correct! The note was ${formatNoteName(note.note)}`;
+  }
+  showHandProgress();
+  
+  playSound('laser');
+  playSound('meteorExplosion', 0.1);
+  updateDisplays();
+}
+
+// Held notes: answered, and waiting for the key to come up
+function onNoteHeld(note) {
+  feedback.textContent = `${formatNoteName(note.note)} - hold it!`;
+  feedback.style.color = '#00ff00';
+  feedback.style.fontSize = '16px';
+}
+
+function onChordProgress(chordId, pressed, total) {
+  feedback.textContent = `Chord progress: ${pressed}/${total} notes pressed`;
+  feedback.style.color = '#ffff00';
+  feedback.style.fontSize = '16px';
+}
+
+// A wrong note (or interval): the note or chord it destroyed, if any, is shown and heard as it was
+function onWrongAnswer(destroyed, lifeLost, mistake) {
+  if (mistake.interval) {
+    onIntervalAnswered(destroyed, mistake.interval, false);
+    return;
+  }
+  
+  const target = destroyed[0];
+  if (target) {
+    if (notePlayback.onMistake) {
+      playMistakePitches(destroyed, mistake.note, mistake.octave);
+    }
+    sendMidiEcho(destroyed);
     
-    if (leftHandActive && rightHandActive) {
-      // Count notes per clef
-      const bassNotes = movingNotes.filter(note => note.clef === 'bass');
-      const trebleNotes = movingNotes.filter(note => note.clef === 'treble');
+    const dynamicMiss = mistake.dynamicMiss;
+    if (target.interval) {
+      logIntervalAttempt(destroyed, mistake.note, false);
+    }
+    if (target.isChord) {
+      // The chord notes that had not been found yet count as missed
+      destroyed
+        .filter(note => !mistake.foundNotes.includes(note.note))
+        .forEach(note => recordNoteResult(note, false, mistake.note, mistake.octave));
       
-      // Allow one note per active clef
-      return bassNotes.length === 0 || trebleNotes.length === 0;
+      if (dynamicMiss) {
+        feedback.textContent = `Right notes, but ${describeDynamicMiss(dynamicMiss)}! Chord deleted for ${target.clef} clef.`;
+      } else if (lifeLost) {
+        feedback.textContent = `Wrong note! Chord deleted for ${target.clef} clef.`;
+      } else {
+        feedback.textContent = `Wrong note in chord (still learning)`;
+      }
+    } else {
+      recordNoteResult(target, false, mistake.note, mistake.octave);
+      revealNote(target, false);
+      feedback.textContent = dynamicMiss
+        ? `Right note, but ${describeDynamicMiss(dynamicMiss)}! Note deleted.`
+        : `Wrong note! Note deleted. The note was ${formatNoteName(target.note)}`;
     }
+    feedback.style.color = '#d0021b';
+    feedback.style.fontSize = '16px';
   }
   
-  // For normal modes, only allow one note/chord at a time
-  if (movingNotes.length > 0) {
-    return false;
+  if (lifeLost) {
+    triggerShake(3, 200); // Light intensity, short duration
   }
+  const clefPosition = getClefPosition(target);
+  createClefExplosion(clefPosition.x, clefPosition.y, 65, 500);
   
-  return true;
+  // Flash screen red
+  flashEffect.active = true;
+  flashEffect.startTime = Date.now();
+  
+  playSound('explosionLoseLive');
+  updateLifeDisplay();
+  updateDisplays();
 }
 
-// Spawn moving note only (no meteors) - continuous spawning
-function spawnNote() {
-  const now = Date.now();
+// A note reached the green line because the player was too slow
+function onNoteMissed(note) {
+  if (note.interval) {
+    logIntervalAttempt([note], null, false); // Its other note left with it
+  }
+  recordNoteResult(note, false);
+  revealNote(note, false);
+  if (notePlayback.onMistake) {
+    playNotePitches([note]);
+  }
+  sendMidiEcho([note]);
   
-  // Piano Mode now uses the same spawn timing as normal mode
-  let effectiveSpawnRate = noteSpawnRate;
+  // Explosion at the clef, not at the note
+  const clefPosition = getClefPosition(note);
+  createClefExplosion(clefPosition.x, clefPosition.y, 60, 500);
+  triggerShake(8, 500); // Stronger shake for losing a life
+  playSound('explosionLoseLive');
+  updateLifeDisplay();
   
-  if (now - lastNoteSpawn > effectiveSpawnRate) {
-    // Check if there's enough space to spawn a new note without overlap
-    // Use consistent 120px spacing for both modes since we're now spawning one at a time
-    if (!canSpawnNote(120)) {
-      return; // Don't spawn if there would be overlap
+  feedback.textContent = `Too slow! The note was ${formatNoteName(note.note)}`;
+  feedback.style.color = '#d0021b';
+  feedback.style.fontSize = '16px';
+}
+
+// Piano Mode on two staves: each hand in play needs 10 right answers for the next level
+function showHandProgress() {
+  if (!pianoModeActive || !isDualClefMode()) return;
+  
+  const leftHandActive = pianoModeSettings.leftHand !== 'none';
+  const rightHandActive = pianoModeSettings.rightHand !== 'none';
+  const handScores = engine.handScores;
+  if (leftHandActive && rightHandActive) {
+    let progressText = `Left: ${handScores.left}/10, Right: ${handScores.right}/10`;
+    if (handScores.left >= 10) {
+      progressText = `🏆 Left hand ready! Right: ${handScores.right}/10`;
+    } else if (handScores.right >= 10) {
+      progressText = `Left: ${handScores.left}/10 🏆 Right hand ready!`;
     }
-    
-    const noteData = pickRandomNote(); // Now returns note object directly or array for chords
-    
-    // Handle case where no note should be spawned (e.g., hard mode with both clefs full)
-    if (!noteData) {
-      return; // Don't spawn if pickRandomNote returns null
+    feedback.textContent = progressText;
+  } else if (leftHandActive) {
+    feedback.textContent = `Left Hand: ${handScores.left}/10`;
+  } else if (rightHandActive) {
+    feedback.textContent = `Right Hand: ${handScores.right}/10`;
+  }
+}
+
+// Every 10 right answers (in Piano Mode, 10 for each hand in play): faster notes, more music and a bonus
+// life at levels 4 and 8. The staff is cleared for the new level
+function onLevelUp(newLevel, bonusLife) {
+  showLevelPopup(newLevel);
+  updateMusicForLevel(newLevel);
+  if (rhythmModeActive) {
+    setRhythmTempo(rhythmState.tempo + RHYTHM_TEMPO_STEP); // Faster metronome, and from level 2 eighths and dotted values
+  }
+  
+  // Rhythm and interval feedback keeps showing the answer
+  if (!rhythmModeActive && !intervalModeActive) {
+    if (pianoModeActive && currentClef === 'grand') {
+      const leftHandActive = pianoModeSettings.leftHand !== 'none';
+      const rightHandActive = pianoModeSettings.rightHand !== 'none';
+      const hands = leftHandActive && rightHandActive ? 'Both hands' : leftHandActive ? 'Left hand' : 'Right hand';
+      feedback.textContent = `Level ${newLevel}! ${hands} mastered!`;
+    } else {
+      feedback.textContent = `Level ${newLevel}! Speed increased!`;
+    }
+    if (bonusLife) {
+      feedback.textContent = `Level ${newLevel}! Bonus life gained!`;
+    }
+    feedback.style.color = '#ffff00';
+  }
+}
+
+// ===== Adaptive practice =====
+function loadAdaptiveModel() {
+  const saved = readStartupStorage(ADAPTIVE_STORAGE_KEY);
+  if (saved) {
+    try {
+      adaptiveModel = JSON.parse(saved);
+    } catch (e) {
+      console.warn('Could not load the adaptive practice history:', e);
+    }
+  }
+}
+
+function saveAdaptiveModel() {
+  if (replay) return; // A replay only repeats answers that were already counted
+  try {
+    localStorage.setItem(ADAPTIVE_STORAGE_KEY, JSON.stringify(adaptiveModel));
+  } catch (e) {
+    console.warn('Could not save the adaptive practice history:', e);
+  }
+}
+
+// History of a note on its clef (notes never answered start in box 1)
+function getNoteRecord(note) {
+  if (!adaptiveModel[note.clef]) {
+    adaptiveModel[note.clef] = { averageMs: null, notes: {} };
+  }
+  const clefModel = adaptiveModel[note.clef];
+  if (!clefModel.notes[note.scientific]) {
+    clefModel.notes[note.scientific] = { box: 1, correct: 0, wrong: 0, averageMs: null };
+  }
+  return clefModel.notes[note.scientific];
+}
+
+// Record an answer to a moving note (pressedNote is null when it reached the clef) for the statistics
+// screen and adaptive practice. Correct answers move the note up a box unless they were slow for this
+// player on this clef; misses send it back to box 1
+function recordNoteResult(note, correct, pressedNote = null, pressedOctave = null) {
+  if (note.interval) return; // Interval mode trains intervals, not note names (logIntervalAttempt)
+  
+  const answeredAt = note.holdStart || gameClock(); // Held notes were read at key-down
+  const responseMs = note.spawnTime ? answeredAt - note.spawnTime : null;
+  logAttempt({
+    type: 'note',
+    clef: note.clef,
+    target: note.scientific,
+    pressed: pressedNote,
+    pressedOctave: pressedOctave,
+    correct: correct,
+    reactionMs: responseMs
+  });
+  
+  const record = getNoteRecord(note);
+  const clefModel = adaptiveModel[note.clef];
+  
+  if (correct) {
+    record.correct++;
+    const slow = responseMs !== null && clefModel.averageMs !== null && responseMs > clefModel.averageMs * ADAPTIVE_SLOW_FACTOR;
+    if (!slow) {
+      record.box = Math.min(record.box + 1, LEITNER_BOX_WEIGHTS.length);
+    }
+    if (responseMs !== null) {
+      // Exponential moving averages, so old habits fade out
+      record.averageMs = record.averageMs === null ? responseMs : Math.round(record.averageMs * 0.7 + responseMs * 0.3);
+      clefModel.averageMs = clefModel.averageMs === null ? responseMs : Math.round(clefModel.averageMs * 0.9 + responseMs * 0.1);
+    }
+  } else {
+    record.wrong++;
+    record.box = 1;
+  }
+  
+  saveAdaptiveModel();
+}
+
+// A replay starts from an empty log: the history is not in its storage copy, and nothing it logs is saved
+function loadAttemptLog() {
+  const saved = readStartupStorage(ATTEMPTS_STORAGE_KEY);
+  if (saved) {
+    try {
+      attemptLog = JSON.parse(saved);
+    } catch (e) {
+      console.warn('Could not load the attempt log:', e);
+    }
+  }
+}
+
+// Mode an attempt was made in, for the statistics screen
+function getAttemptMode() {
+  if (rhythmModeActive) return 'rhythm';
+  if (intervalModeActive) return 'intervals';
+  if (earTrainingActive) return 'ear';
+  if (scorePractice) return 'piece';
+  if (pianoModeActive) return 'piano';
+  return 'notes';
+}
+
+// Store one answer: { type: 'note' | 'interval', clef, target, pressed, pressedOctave, correct, reactionMs }.
+// Note targets are scientific names ('F#4') answered with note names ('F#'); interval targets are
+// quality + number ('m3') answered with the same ('M3', or just '3' without qualities)
+function logAttempt(attempt) {
+  attemptLog.push({
+    time: Date.now(),
+    session: gameStartTime,
+    mode: getAttemptMode(),
+    hand: pianoModeActive && isDualClefMode() ? (attempt.clef === 'bass' ? 'left' : 'right') : null,
+    ...attempt
+  });
+  if (attemptLog.length > MAX_STORED_ATTEMPTS) {
+    attemptLog.splice(0, attemptLog.length - MAX_STORED_ATTEMPTS);
+  }
+  if (assignment) {
+    updateAssignmentProgress(attempt.correct);
+  }
+  if (replay) return;
+  
+  try {
+    localStorage.setItem(ATTEMPTS_STORAGE_KEY, JSON.stringify(attemptLog));
+  } catch (e) {
+    console.warn('Could not save the attempt log:', e);
+  }
+}
+
+// Draw a note from a pool: uniformly, or weighted by Leitner box in adaptive practice
+function pickWeightedNote(notes) {
+  if (!adaptivePracticeActive) {
+    return notes[Math.floor(gameRandom() * notes.length)];
+  }
+  
+  const weights = notes.map(note => {
+    const clefModel = adaptiveModel[note.clef];
+    const record = clefModel && clefModel.notes[note.scientific];
+    return LEITNER_BOX_WEIGHTS[(record ? record.box : 1) - 1];
+  });
+  let target = gameRandom() * weights.reduce((total, weight) => total + weight, 0);
+  for (let i = 0; i < notes.length; i++) {
+    target -= weights[i];
+    if (target < 0) return notes[i];
+  }
+  return notes[notes.length - 1];
+}
+
+// ===== Seeded randomness =====
+// Every random choice about the notes goes through gameRandom(), so a seed gives the same note sequence
+// on every device. Explosions and screen shake keep Math.random: they do not change what is played
+
+// Turn the seed text into a 32-bit number (FNV-1a)
+function hashSeed(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32: a small generator with 32 bits of state, returning numbers from 0 to 1 like Math.random
+function createSeededRandom(seed) {
+  let state = hashSeed(String(seed));
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Start the game's random choices from the beginning of a seed's sequence and return the seed. Without
+// a seed from the player, each game gets a random one so that its recording can be replayed
+function seedGameRandom() {
+  const seed = replay ? replay.seed : gameSeed || Math.random().toString(36).slice(2, 10);
+  randomSource = createSeededRandom(seed);
+  return seed;
+}
+
+function gameRandom() {
+  return randomSource();
+}
+
+// ===== Daily challenge =====
+
+// Read the daily challenge from the address; its settings replace the player's for this game
+function loadDailyChallenge() {
+  const params = new URLSearchParams(replay ? replay.search : window.location.search);
+  const date = params.get('daily');
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return;
+  
+  const clef = params.get('clef');
+  const ledgerLines = parseInt(params.get('ledgerLines'), 10);
+  dailyChallenge = {
+    date: date,
+    clef: CLEFS[clef] || clef === 'grand' ? clef : 'treble',
+    ledgerLines: ledgerLines >= 0 && ledgerLines <= 4 ? ledgerLines : 1
+  };
+  
+  gameSeed = `daily-${date}`;
+  currentClef = dailyChallenge.clef;
+  maxLedgerLines = dailyChallenge.ledgerLines;
+  includeAccidentals = false;
+  currentKeySignature = 'C';
+  adaptivePracticeActive = false;
+  rhythmModeActive = false;
+  intervalModeActive = false;
+  earTrainingActive = false;
+  dynamicsModeActive = false;
+  heldNotesActive = false;
+  pianoModeActive = false;
+  updateSpaceshipPosition();
+}
+
+// Add this game to the daily leaderboard under the active player's name
+function saveDailyScore() {
+  let scores = [];
+  try {
+    scores = JSON.parse(localStorage.getItem(DAILY_SCORES_KEY)) || [];
+  } catch (e) {
+    console.warn('Could not load the daily scores:', e);
+  }
+  
+  const profile = getActiveProfile();
+  const player = profile ? profile.name : 'Player';
+  const bestToday = scores
+    .filter(entry => entry.date === dailyChallenge.date && entry.player === player)
+    .reduce((best, entry) => Math.max(best, entry.score), 0);
+  
+  scores.push({
+    date: dailyChallenge.date,
+    player: player,
+    avatar: profile ? profile.avatar : '',
+    score: engine.score,
+    level: engine.level,
+    notesDestroyed: engine.notesDestroyed,
+    finishedAt: new Date().toISOString()
+  });
+  localStorage.setItem(DAILY_SCORES_KEY, JSON.stringify(scores.slice(-MAX_DAILY_SCORES)));
+  
+  if (engine.score > bestToday) {
+    feedback.textContent = `NEW BEST TODAY! Level ${engine.level} reached. Notes destroyed: ${engine.notesDestroyed}! Score: ${engine.score}`;
+    feedback.style.color = '#FFD700';
+  }
+}
+
+// ===== Pause =====
+// Pausing stops the game loop and gameClock(), so notes, spawning, the chord windows and assignment time
+// limits all wait. Rhythm mode follows the audio clock, which is suspended at once instead of after the fade
+
+function pauseGame(reason = '') {
+  if (!gameRunning || gamePaused || replay) return;
+  
+  gamePaused = true;
+  pauseStartedAt = Date.now();
+  cancelAnimationFrame(animationFrameId);
+  heldAccidental = null; // The arrow key may be let go while paused
+  if (rhythmModeActive && soundEngine.context && soundEngine.context.state === 'running') {
+    soundEngine.context.suspend();
+  }
+  fadeOutMusic();
+  
+  document.getElementById('pauseReason').textContent = reason;
+  document.getElementById('pauseOverlay').style.display = 'flex';
+}
+
+// Leave the pause without starting the game loop again (restart starts its own)
+function endPause() {
+  if (!gamePaused) return;
+  
+  gamePaused = false;
+  pausedTotalMs += Date.now() - pauseStartedAt;
+  document.getElementById('pauseOverlay').style.display = 'none';
+}
+
+function resumeGame() {
+  if (!gamePaused) return;
+  
+  endPause();
+  
+  // The clock stood still, so these notes were held up to the pause
+  const releases = pausedReleases;
+  pausedReleases = [];
+  releases.forEach(([userNote, userOctave]) => handleNoteRelease(userNote, userOctave));
+  
+  if (rhythmModeActive && rhythmState.startTime !== null) {
+    resumeRhythmClock(); // Before the metronome starts, the first key press still starts it
+  }
+  fadeInMusic();
+  animationFrameId = requestAnimationFrame(gameLoop);
+}
+
+function togglePause() {
+  if (gamePaused) {
+    resumeGame();
+  } else {
+    pauseGame();
+  }
+}
+
+// ===== Session recording and replay =====
+// Every game is recorded as its seed, the storage it started from, the time of each frame and the input
+// between frames. Playing the frames back at the recorded times on a clock of their own repeats the game
+// exactly. Rhythm mode follows the audio clock instead and is not recorded
+
+// Time for game logic: the real clock without the time spent paused, or the recorded one while a
+// replay plays
+function gameClock() {
+  if (replay) return replayState.clock;
+  return (gamePaused ? pauseStartedAt : Date.now()) - pausedTotalMs;
+}
+
+// Storage as it was when the game started (the replay's copy while watching one)
+function readStartupStorage(key) {
+  if (replay) {
+    return replay.storage[key] !== undefined ? replay.storage[key] : null;
+  }
+  return localStorage.getItem(key);
+}
+
+// Keyboard, buttons, MIDI and microphone are ignored while a replay plays its recorded input
+function isLiveInputBlocked() {
+  return replay !== null && !replayState.applying;
+}
+
+function startSessionRecording(seed) {
+  if (replay || rhythmModeActive) {
+    sessionRecording = null;
+    return;
+  }
+  
+  const profile = getActiveProfile();
+  sessionRecording = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    recordedAt: new Date().toISOString(),
+    player: profile ? profile.name : null,
+    seed: seed,
+    search: window.location.search,
+    storage: Object.fromEntries(REPLAY_SNAPSHOT_KEYS.map(key => [key, localStorage.getItem(key)])),
+    frames: [],
+    events: [],
+    result: null
+  };
+  lastRecordedFrameTime = gameStartTime;
+  
+  // Piano Mode may have been switched by a MIDI device since the settings were saved
+  recordSessionEvent('piano', { ...pianoModeSettings, isActive: pianoModeActive });
+  recordSessionEvent('resize', canvas.width, canvas.height);
+}
+
+function recordSessionFrame() {
+  if (!sessionRecording || sessionRecording.frames.length >= MAX_REPLAY_FRAMES) return;
+  
+  const now = gameClock();
+  sessionRecording.frames.push(now - lastRecordedFrameTime);
+  lastRecordedFrameTime = now;
+}
+
+// Input and other outside changes, played back before the frame that followed them
+function recordSessionEvent(type, ...args) {
+  if (!sessionRecording || sessionRecording.result || sessionRecording.frames.length >= MAX_REPLAY_FRAMES) return;
+  sessionRecording.events.push([sessionRecording.frames.length, gameClock() - gameStartTime, type, ...args]);
+}
+
+// Keep the finished game for the menu's "Watch last game" and offer it as a file
+function finishSessionRecording() {
+  if (!sessionRecording || sessionRecording.result) return;
+  
+  sessionRecording.result = { score: engine.score, level: engine.level, notesDestroyed: engine.notesDestroyed };
+  try {
+    localStorage.setItem(LAST_REPLAY_STORAGE_KEY, JSON.stringify(sessionRecording));
+  } catch (e) {
+    console.warn('Could not save the replay:', e);
+  }
+  
+  const downloadReplayBtn = document.getElementById('downloadReplayBtn');
+  if (downloadReplayBtn) {
+    downloadReplayBtn.style.display = 'inline-block';
+  }
+}
+
+// Save the last game as a file, e.g. for a teacher or a bug report
+function downloadReplay() {
+  if (!sessionRecording || !sessionRecording.result) return;
+  
+  const url = URL.createObjectURL(new Blob([JSON.stringify(sessionRecording)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `stave-wars-replay-${sessionRecording.recordedAt.slice(0, 16).replace(':', '')}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Load the replay chosen in the menu (game.html?replay); it brings its own settings, seed and input
+function loadReplay() {
+  if (!new URLSearchParams(window.location.search).has('replay')) return;
+  
+  const saved = localStorage.getItem(REPLAY_STORAGE_KEY);
+  if (!saved) return;
+  try {
+    replay = JSON.parse(saved);
+  } catch (e) {
+    console.warn('Could not load the replay:', e);
+    return;
+  }
+  
+  gameStartTime = Date.now();
+  replayState.clock = gameStartTime;
+  replayState.inputCount = replay.events.filter(isReplayInput).length;
+  
+  document.getElementById('replayControls').style.display = 'flex';
+  document.getElementById('pauseBtn').style.display = 'none'; // Replays pause with Step
+  restartBtn.textContent = 'Watch Again';
+  updateReplayStatus();
+}
+
+function isReplayInput(event) {
+  return event[2] === 'note' || event[2] === 'interval';
+}
+
+// 'F#4' or 'm3' for the status line
+function describeReplayInput(event) {
+  const [, , type, first, second] = event;
+  if (type === 'interval') {
+    return `${second || ''}${first}`;
+  }
+  return `${first}${second !== null ? second : ''}`;
+}
+
+function applyReplayEvent(event) {
+  const [, time, type, ...args] = event;
+  replayState.clock = gameStartTime + time;
+  replayState.applying = true;
+  
+  if (type === 'note') {
+    // Replays from before the key-up was recorded: their keyboard and MIDI notes had one
+    handleNoteInputWithOctave(args[0], args[1], args[2], undefined, args[3] !== undefined ? args[3] : null, args[4] !== undefined ? args[4] : true);
+    replayState.inputsPlayed++;
+  } else if (type === 'release') {
+    handleNoteRelease(args[0], args[1]);
+  } else if (type === 'interval') {
+    setSelectedIntervalQuality(args[1]);
+    handleIntervalInput(args[0]);
+    replayState.inputsPlayed++;
+  } else if (type === 'piano') {
+    onPianoModeChanged(args[0]);
+  } else if (type === 'resize') {
+    replayState.width = args[0];
+    replayState.height = args[1];
+    resizeCanvas();
+  }
+  
+  replayState.applying = false;
+}
+
+// Input recorded before the next frame (or after the last one, such as the answer that lost the last life)
+function applyPendingReplayEvents() {
+  while (gameRunning && replayState.event < replay.events.length && replay.events[replayState.event][0] <= replayState.frame) {
+    applyReplayEvent(replay.events[replayState.event]);
+    replayState.event++;
+  }
+}
+
+// Play the input recorded before the next frame, then the frame itself at its recorded time
+function playReplayFrame() {
+  applyPendingReplayEvents();
+  if (!gameRunning) return;
+  
+  replayState.elapsed += replay.frames[replayState.frame];
+  replayState.clock = gameStartTime + replayState.elapsed;
+  updateGameFrame();
+  replayState.frame++;
+}
+
+function scheduleReplayFrame() {
+  clearTimeout(replayState.timer);
+  if (replayState.speed === 0 && replayState.stepFrom === null) return;
+  
+  const stepping = replayState.stepFrom !== null;
+  const delay = stepping ? 0 : replay.frames[replayState.frame] / replayState.speed;
+  replayState.timer = setTimeout(() => {
+    if (replayState.frame >= replay.frames.length || !gameRunning) {
+      applyPendingReplayEvents();
+      endReplay();
+      return;
     }
     
-    // Speed increases more gradually from level 3 onward
-    let baseSpeed;
-    if (level === 1) {
-      baseSpeed = 0.8; // Starting speed
-    } else if (level === 2) {
-      baseSpeed = 1.4; // 75% faster than level 1
-    } else if (level === 3) {
-      baseSpeed = 1.8; // More gradual increase from level 2
-    } else if (level === 4) {
-      baseSpeed = 2.2; // Gradual increase
-    } else {
-      // Slightly increased progression for higher levels (improved acceleration after level 3)
-      baseSpeed = 2.2 + (level - 4) * 0.4; // Each level adds 0.4 speed (increased from 0.3)
+    // Step: stop just before the next input is played, with the notes where the player saw them
+    const nextEvent = replay.events.slice(replayState.event).find(isReplayInput);
+    if (stepping && replayState.frame !== replayState.stepFrom && nextEvent && nextEvent[0] <= replayState.frame) {
+      replayState.stepFrom = null;
+      updateReplayStatus();
+      return;
     }
     
-    // Piano Mode now uses same movement speed as normal mode
-    // No speed adjustments needed - baseSpeed remains unchanged
+    playReplayFrame();
+    if (!gameRunning) return; // The game ended on this frame
+    updateReplayStatus();
+    scheduleReplayFrame();
+  }, delay);
+}
+
+// '1' or '2' plays on at that speed; 'step' moves on to the next input and pauses there
+function setReplaySpeed(speed) {
+  if (!replay || !gameRunning) return;
+  
+  if (speed === 'step') {
+    replayState.speed = 0;
+    replayState.stepFrom = replayState.frame;
+  } else {
+    replayState.speed = parseInt(speed, 10);
+    replayState.stepFrom = null;
+  }
+  document.querySelectorAll('.replay-speed-btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.speed === speed);
+  });
+  scheduleReplayFrame();
+}
+
+function updateReplayStatus() {
+  const replayStatus = document.getElementById('replayStatus');
+  if (!replayStatus) return;
+  
+  let text = `${replay.player || 'Player'}, ${replay.recordedAt.slice(0, 10)}: input ${replayState.inputsPlayed} of ${replayState.inputCount}`;
+  if (replayState.speed === 0 && replayState.stepFrom === null) {
+    const nextEvent = replay.events.slice(replayState.event).find(isReplayInput);
+    text += nextEvent ? ` | Paused before ${describeReplayInput(nextEvent)}` : ' | Paused';
+  }
+  replayStatus.textContent = text;
+}
+
+// The recording is over: stop where the player stopped
+function endReplay() {
+  clearTimeout(replayState.timer);
+  if (gameRunning) {
+    gameRunning = false;
+    stopBackgroundMusic();
+    restartBtn.style.display = 'inline-block';
+  }
+  const replayStatus = document.getElementById('replayStatus');
+  if (replayStatus) {
+    replayStatus.textContent = `End of replay: ${replayState.inputsPlayed} inputs, score ${engine.score}`;
+  }
+}
+
+// ===== Teacher assignments =====
+// Load the assignment chosen in the menu, if any (before the imported piece, which it replaces)
+function loadAssignment() {
+  const saved = readStartupStorage(ASSIGNMENT_STORAGE_KEY);
+  if (!saved || dailyChallenge) return;
+  
+  try {
+    assignment = JSON.parse(saved);
+  } catch (e) {
+    console.warn('Could not load the assignment:', e);
+    return;
+  }
+  
+  if (assignment.notes) {
+    assignmentNotePool = new Set(assignment.notes);
     
-    // Handle chord mode (multiple notes)
-    if (Array.isArray(noteData)) {
-      // Spawn chord (multiple notes at once)
-      // Calculate spawn position at right edge of stave
-      let spawnX = canvas.width + 20; // Default fallback
-      if (isDualClefMode()) {
-        // For grand staff, use treble stave position (notes will be filtered by clef anyway)
-        if (currentTrebleStave) {
-          spawnX = currentTrebleStave.x + currentTrebleStave.width; // Right edge of stave
-        }
-      } else if (currentClef === 'treble' && currentTrebleStave) {
-        spawnX = currentTrebleStave.x + currentTrebleStave.width; // Right edge of treble stave
-      } else if (currentClef === 'bass' && currentBassStave) {
-        spawnX = currentBassStave.x + currentBassStave.width; // Right edge of bass stave
-      }
-      const baseX = spawnX;
-      const chordId = Date.now();
-      
-      noteData.forEach((singleNote, index) => {
-        // Calculate displacement for adjacent notes (one staff position apart)
-        let xOffset = 0;
-        if (index > 0) {
-          const prevNote = noteData[index - 1];
-          const staffDiff = Math.abs(singleNote.staffLocalIndex - prevNote.staffLocalIndex);
-          if (staffDiff === 1) {
-            // Adjacent notes get displaced slightly
-            xOffset = (index % 2 === 0) ? -8 : 8; // Alternate left/right displacement
-          }
-        }
-        
-        const movingNote = {
-          x: baseX + xOffset, // Stack vertically with displacement for adjacent notes
-          staffLocalIndex: singleNote.staffLocalIndex,
-          note: singleNote.note,
-          letter: singleNote.letter,
-          octave: singleNote.octave,
-          midi: singleNote.midi,
-          scientific: singleNote.scientific,
-          clef: singleNote.clef || currentClef,
-          speed: baseSpeed,
-          id: Date.now() + index,
-          isChord: true,
-          chordId: chordId, // Same chord ID for all notes in the chord
-          // Keep legacy line property for compatibility during transition
-          line: singleNote.line || singleNote.staffLocalIndex
-        };
-        movingNotes.push(movingNote);
-      });
-    } else {
-      // Create single moving note
-      // Calculate spawn position at right edge of stave
-      let spawnX = canvas.width + 20; // Default fallback
-      if (isDualClefMode()) {
-        // For grand staff, determine spawn position based on note's clef
-        if (noteData.clef === 'treble' && currentTrebleStave) {
-          spawnX = currentTrebleStave.x + currentTrebleStave.width; // Right edge of treble stave
-        } else if (noteData.clef === 'bass' && currentBassStave) {
-          spawnX = currentBassStave.x + currentBassStave.width; // Right edge of bass stave
-        }
-      } else if (currentClef === 'treble' && currentTrebleStave) {
-        spawnX = currentTrebleStave.x + currentTrebleStave.width; // Right edge of treble stave
-      } else if (currentClef === 'bass' && currentBassStave) {
-        spawnX = currentBassStave.x + currentBassStave.width; // Right edge of bass stave
-      }
-      
-      const movingNote = {
-        x: spawnX, // Start from right edge of clef
-        staffLocalIndex: noteData.staffLocalIndex,
-        note: noteData.note,
-        letter: noteData.letter,
-        octave: noteData.octave,
-        midi: noteData.midi,
-        scientific: noteData.scientific,
-        clef: noteData.clef || currentClef,
-        speed: baseSpeed,
-        id: Date.now(),
-        // Keep legacy line property for compatibility during transition
-        line: noteData.line || noteData.staffLocalIndex
-      };
-      
-      movingNotes.push(movingNote);
+    // Draw as many ledger lines as the pool needs, whatever the assignment's ledger range
+    notePositions[currentClef].map(applyKeySignature).forEach(notePos => {
+      if (!notePos || !assignmentNotePool.has(notePos.scientific)) return;
+      maxLedgerLines = Math.max(maxLedgerLines, getLedgerLinesForIndex(notePos.staffLocalIndex));
+    });
+  }
+}
+
+// Count an answer towards the assignment; reaching the target number of correct notes ends it
+function updateAssignmentProgress(correct) {
+  if (assignmentProgress.finished) return;
+  
+  assignmentProgress.attempts++;
+  if (correct) {
+    assignmentProgress.correct++;
+  }
+  updateAssignmentDisplay();
+  
+  if (assignment.goal.correctNotes !== null && assignmentProgress.correct >= assignment.goal.correctNotes) {
+    finishAssignment('goal');
+  }
+}
+
+// Called every frame: counts down the time limit and ends the assignment when it runs out
+function updateAssignmentTimer() {
+  if (assignmentProgress.finished || assignment.timeLimitSeconds === null) return;
+  
+  const secondsLeft = Math.max(0, assignment.timeLimitSeconds - Math.floor((gameClock() - gameStartTime) / 1000));
+  if (secondsLeft !== assignmentProgress.secondsLeft) {
+    assignmentProgress.secondsLeft = secondsLeft;
+    updateAssignmentDisplay();
+  }
+  if (secondsLeft === 0) {
+    finishAssignment('time');
+  }
+}
+
+function formatAssignmentTime(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function getAssignmentAccuracy() {
+  return assignmentProgress.attempts > 0 ? Math.round(assignmentProgress.correct / assignmentProgress.attempts * 100) : 0;
+}
+
+function updateAssignmentDisplay() {
+  const assignmentDisplay = document.getElementById('assignmentDisplay');
+  if (!assignmentDisplay || !assignment) return;
+  
+  const correctNotes = assignment.goal.correctNotes;
+  let text = `📋 ${assignmentProgress.correct}${correctNotes !== null ? '/' + correctNotes : ''} correct`;
+  if (assignmentProgress.attempts > 0) {
+    text += ` (${getAssignmentAccuracy()}%)`;
+  }
+  if (assignment.timeLimitSeconds !== null) {
+    const secondsLeft = assignmentProgress.secondsLeft !== null ? assignmentProgress.secondsLeft : assignment.timeLimitSeconds;
+    text += ` | ${formatAssignmentTime(secondsLeft)} left`;
+  }
+  assignmentDisplay.textContent = text;
+  assignmentDisplay.style.display = 'block';
+}
+
+// End the assignment ('goal' reached, 'time' ran out or out of 'lives'), store its completion record and show it
+function finishAssignment(reason) {
+  assignmentProgress.finished = true;
+  
+  const accuracy = getAssignmentAccuracy();
+  const goal = assignment.goal;
+  const profile = getActiveProfile();
+  const finishedAt = gameClock();
+  lastAssignmentRecord = {
+    format: 'stave-wars-assignment-record',
+    assignment: assignment.title,
+    player: profile ? profile.name : null,
+    startedAt: new Date(gameStartTime).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    seconds: Math.round((finishedAt - gameStartTime) / 1000),
+    correct: assignmentProgress.correct,
+    attempts: assignmentProgress.attempts,
+    accuracy: accuracy,
+    goal: goal,
+    timeLimitSeconds: assignment.timeLimitSeconds,
+    goalMet: assignmentProgress.attempts > 0 &&
+      (goal.correctNotes === null || assignmentProgress.correct >= goal.correctNotes) &&
+      (goal.accuracy === null || accuracy >= goal.accuracy),
+    reason: reason
+  };
+  
+  if (!replay) {
+    let records = [];
+    try {
+      records = JSON.parse(localStorage.getItem(ASSIGNMENT_RECORDS_KEY)) || [];
+    } catch (e) {
+      console.warn('Could not load assignment results:', e);
     }
+    records.push(lastAssignmentRecord);
+    localStorage.setItem(ASSIGNMENT_RECORDS_KEY, JSON.stringify(records.slice(-MAX_ASSIGNMENT_RECORDS)));
+  }
+  
+  if (gameRunning) {
+    gameRunning = false;
+    stopBackgroundMusic();
+    restartBtn.style.display = 'inline-block';
+    finishSessionRecording();
+  }
+  
+  const reasons = { goal: 'Target reached', time: 'Time is up', lives: 'Out of lives' };
+  document.getElementById('assignmentResultText').textContent =
+    `${lastAssignmentRecord.goalMet ? '✅ Assignment complete!' : '❌ Assignment not passed yet'} ` +
+    `${reasons[reason]}: ${assignmentProgress.correct} correct out of ${assignmentProgress.attempts} (${accuracy}%) ` +
+    `in ${formatAssignmentTime(lastAssignmentRecord.seconds)}`;
+  document.getElementById('assignmentResult').style.display = 'block';
+}
+
+// Save the last completion record as a file to hand in
+function downloadAssignmentRecord() {
+  if (!lastAssignmentRecord) return;
+  
+  const url = URL.createObjectURL(new Blob([JSON.stringify(lastAssignmentRecord, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `stave-wars-assignment-record-${lastAssignmentRecord.finishedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ===== Interval mode =====
+// Name of an interval for feedback, e.g. 'minor 3rd' (just '3rd' while qualities are not asked for)
+function formatInterval(interval) {
+  const numberName = INTERVAL_NUMBER_NAMES[interval.number];
+  return includeAccidentals ? `${INTERVAL_QUALITY_NAMES[interval.quality]} ${numberName}` : numberName;
+}
+
+// Pick two notes a 2nd to an octave apart on one staff, lower note first
+function generateInterval(availableNotes) {
+  for (let attempts = 0; attempts < 50; attempts++) {
+    const lower = availableNotes[Math.floor(gameRandom() * availableNotes.length)];
+    const uppers = availableNotes.filter(note =>
+      note.clef === lower.clef && note.staffLocalIndex > lower.staffLocalIndex &&
+      gameRules.getInterval(note.staffLocalIndex - lower.staffLocalIndex, note.midi - lower.midi)
+    );
+    if (uppers.length > 0) {
+      return [lower, uppers[Math.floor(gameRandom() * uppers.length)]];
+    }
+  }
+  
+  // Range too narrow for any interval (e.g. a single note): fall back to single notes
+  return availableNotes[Math.floor(gameRandom() * availableNotes.length)];
+}
+
+// Answer the leftmost interval with an interval number (2-8); with accidentals enabled the
+// selected quality must match too
+function handleIntervalInput(number) {
+  if (!gameRunning || gamePaused || isLiveInputBlocked()) return;
+  recordSessionEvent('interval', number, selectedIntervalQuality);
+  if (!engine.notes.some(note => note.interval)) return;
+  
+  if (includeAccidentals && !selectedIntervalQuality) {
+    showPopup('Pick a quality first');
+    return;
+  }
+  const quality = selectedIntervalQuality;
+  setSelectedIntervalQuality(null);
+  
+  engine.answerInterval(number, includeAccidentals ? quality : null);
+  updateDisplays();
+}
+
+// One attempt at an interval for the statistics screen, answered with its name, with a played note
+// or not at all (pressed is null when it reached the clef). Returns its leftmost note
+function logIntervalAttempt(notes, pressed, correct) {
+  const target = notes.reduce((leftmost, note) => (note.x < leftmost.x ? note : leftmost));
+  logAttempt({
+    type: 'interval',
+    clef: target.clef,
+    target: target.interval.quality + target.interval.number,
+    pressed: pressed,
+    pressedOctave: null,
+    correct: correct,
+    reactionMs: gameClock() - target.spawnTime
+  });
+  return target;
+}
+
+// The interval left the staff, answered right or wrong (heard first, if the player wants to hear it)
+function onIntervalAnswered(notes, given, correct) {
+  const target = logIntervalAttempt(notes, (given.quality || '') + given.number, correct);
+  
+  if (correct ? notePlayback.onCorrect : notePlayback.onMistake) {
+    playNotePitches(notes);
+  }
+  
+  if (correct) {
+    shootNote(target);
+    playSound('laser');
+    playSound('meteorExplosion', 0.1);
     
-    lastNoteSpawn = now;
+    feedback.textContent = `Correct! That was a ${formatInterval(target.interval)}`;
+    feedback.style.color = '#00ff00';
+  } else {
+    sendMidiEcho(notes);
+    const clefPosition = getClefPosition(target);
+    createClefExplosion(clefPosition.x, clefPosition.y, 65, 500);
+    triggerShake(3, 200);
+    flashEffect.active = true;
+    flashEffect.startTime = Date.now();
+    playSound('explosionLoseLive');
+    updateLifeDisplay();
     
-    // Spawn rate also increases gradually with level
-    if (level === 1) {
-      noteSpawnRate = 2200; // Starting spawn rate
-    } else if (level === 2) {
-      noteSpawnRate = 1600; // Faster spawning
-    } else if (level === 3) {
-      noteSpawnRate = 1400; // More gradual increase
-    } else if (level === 4) {
-      noteSpawnRate = 1200; // Gradual increase
-    } else {
-      // More gradual spawn rate increase for higher levels
-      noteSpawnRate = Math.max(800, 1200 - (level - 4) * 50); // Each level reduces spawn time by only 50ms
+    // The answer is shown so the mistake teaches something
+    showPopup(`It was a ${formatInterval(target.interval)}`);
+    feedback.textContent = `Wrong! That was a ${formatInterval(target.interval)}`;
+    feedback.style.color = '#d0021b';
+  }
+}
+
+// Select the quality for the next interval answer (null clears it)
+function setSelectedIntervalQuality(quality) {
+  selectedIntervalQuality = quality;
+  document.querySelectorAll('.interval-quality-btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.quality === quality);
+  });
+}
+
+// Swap the pitch buttons for the interval buttons in interval mode; qualities are only asked for
+// once accidentals are part of the game
+function updateIntervalButtonsVisibility() {
+  const intervalButtons = document.getElementById('intervalButtons');
+  const qualityButtons = document.getElementById('intervalQualityButtons');
+  if (intervalButtons) {
+    intervalButtons.style.display = intervalModeActive ? 'flex' : 'none';
+  }
+  if (qualityButtons) {
+    qualityButtons.style.display = includeAccidentals ? 'flex' : 'none';
+  }
+  document.querySelectorAll('.pitch-btn').forEach(button => {
+    button.style.display = intervalModeActive ? 'none' : '';
+  });
+  if (intervalModeActive) {
+    const accidentalButtons = document.getElementById('accidentalButtons');
+    if (accidentalButtons) {
+      accidentalButtons.style.display = 'none';
     }
   }
 }
 
-// Force spawn a new note immediately (for single-note flow)
-function forceSpawnNote() {
-  // Reset spawn timing to allow immediate spawn
-  lastNoteSpawn = 0;
+// ===== Ear training =====
+
+// Largest jump (semitones) from the previous note at the current level, or null for any note
+function getEarTrainingJump() {
+  return engine.level <= EAR_TRAINING_JUMPS.length ? EAR_TRAINING_JUMPS[engine.level - 1] : null;
+}
+
+// A single note within the level's jump of the last one (any note in the range if none is that close)
+function pickEarTrainingNote(availableNotes) {
+  const jump = getEarTrainingJump();
+  let candidates = availableNotes;
+  if (jump !== null && lastEarTrainingMidi !== null) {
+    const nearNotes = availableNotes.filter(note => Math.abs(note.midi - lastEarTrainingMidi) <= jump);
+    if (nearNotes.length > 0) {
+      candidates = nearNotes;
+    }
+  }
   
-  // Spawn the note immediately
-  spawnNote();
+  const note = pickWeightedNote(candidates);
+  lastEarTrainingMidi = note.midi;
+  return note;
 }
 
-// Force spawn with delay for chord mode
-function forceSpawnNoteWithDelay(delayMs = 0) {
-  if (delayMs > 0) {
-    setTimeout(() => {
-      forceSpawnNote();
-    }, delayMs);
-  } else {
-    forceSpawnNote();
+// Show an answered note where it was on the staff, green if it was named right and red if not
+function revealNote(note, correct) {
+  if (!note.hidden) return;
+  revealedNotes.push({
+    note: { ...note, x: getNoteDrawX(note) },
+    color: correct ? '#00CC00' : '#FF0000',
+    revealedAt: Date.now()
+  });
+}
+
+// Play the next note to answer again
+function hearAgain() {
+  if (!earTrainingActive || !gameRunning || gamePaused) return;
+  const hiddenNotes = engine.notes.filter(note => note.hidden);
+  if (hiddenNotes.length === 0) return;
+  const leftmost = hiddenNotes.reduce((left, note) => note.x < left.x ? note : left);
+  resumeSoundContext();
+  playPitch(leftmost.midi);
+}
+
+// ===== Dynamics mode =====
+
+// 'too loud for f', or for input without a velocity, where it has to be played instead
+function describeDynamicMiss(miss) {
+  if (miss.tooLoud === null) {
+    return `${miss.marking} has to be played on a MIDI keyboard`;
   }
+  return `too ${miss.tooLoud ? 'loud' : 'soft'} for ${miss.marking}`;
 }
 
-// Smart spawn function that considers previous note type for proper transition delays
-function forceSpawnNoteWithTransitionDelay(currentNoteWasChord) {
-  // If the previous note was a chord, apply delay regardless of current note type
-  // This ensures smooth transitions and gives users time to adjust from chord to melody mode
-  if (previousNoteType === 'chord') {
-    forceSpawnNoteWithDelay(150);
-  } else {
-    // Previous note was melody, spawn immediately for normal flow
-    forceSpawnNote();
+// ===== Held notes =====
+
+// Key up. MIDI lets go of the note held by that exact key; letters from the computer keyboard come
+// without an octave and let go of the note held by that letter, whatever accidental was held with it.
+// A key let go of while paused lets go of its note when the game resumes
+function handleNoteRelease(userNote, userOctave = null) {
+  if (!gameRunning || isLiveInputBlocked()) return;
+  if (!engine.getHeldNote(userNote, userOctave)) return;
+  if (gamePaused) {
+    pausedReleases.push([userNote, userOctave]);
+    return;
+  }
+  
+  recordSessionEvent('release', userNote, userOctave);
+  engine.release(userNote, userOctave);
+  updateDisplays();
+}
+
+// ===== Rhythm mode =====
+
+// Seconds per quarter note at the current tempo (tempo counts metronome clicks per minute)
+function getRhythmSecondsPerBeat() {
+  return 60 / rhythmState.tempo / TIME_SIGNATURES[rhythmState.timeSignature].beatLength;
+}
+
+// The metronome waits for the first key press or click, which also lets the browser start the audio
+function resumeRhythmClock() {
+  rhythmState.clockStarted = true;
+  resumeSoundContext();
+}
+
+// Convert a performance.now() timestamp (keyboard or MIDI event) to the audio clock as heard
+function getRhythmAudioTime(timestamp = performance.now()) {
+  const context = soundEngine.context;
+  if (context.getOutputTimestamp) {
+    const outputTimestamp = context.getOutputTimestamp();
+    if (outputTimestamp.performanceTime) {
+      return outputTimestamp.contextTime + (timestamp - outputTimestamp.performanceTime) / 1000;
+    }
+  }
+  return context.currentTime - (performance.now() - timestamp) / 1000;
+}
+
+// Current position on the timeline in quarter-note beats (0 until the metronome starts)
+function getRhythmBeat() {
+  if (rhythmState.startTime === null) return 0;
+  return (getRhythmAudioTime() - rhythmState.startTime) / getRhythmSecondsPerBeat();
+}
+
+function getRhythmEventTime(event) {
+  return rhythmState.startTime + event.beat * getRhythmSecondsPerBeat();
+}
+
+// Short oscillator click; the first beat of each measure is accented
+function scheduleMetronomeClick(time, accent) {
+  if (!gameSettings.soundEffects) return;
+  
+  const context = soundEngine.context;
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.frequency.value = accent ? 1500 : 1000;
+  gain.gain.setValueAtTime(0.4, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+  oscillator.connect(gain).connect(soundEngine.effectsBus);
+  oscillator.start(time);
+  oscillator.stop(time + 0.06);
+}
+
+// Pick a single note for the rhythm timeline, optionally from one clef (beamed groups share a staff)
+function pickRhythmNote(clef = null) {
+  let noteData = null;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const picked = pickRandomNote();
+    const candidate = Array.isArray(picked) ? picked[0] : picked;
+    if (candidate && (!clef || (candidate.clef || currentClef) === clef)) {
+      return candidate;
+    }
+    noteData = noteData || candidate;
+  }
+  return noteData;
+}
+
+// Append one measure of notes and rests to the timeline. Measure 0 is an empty count-in
+function generateRhythmMeasure() {
+  const timeSignature = TIME_SIGNATURES[rhythmState.timeSignature];
+  const measureIndex = rhythmState.measuresGenerated++;
+  if (measureIndex === 0) return;
+  
+  const cells = RHYTHM_CELLS[timeSignature.beatLength === 1 ? 'simple' : 'compound']
+    .filter(cell => cell.minLevel <= engine.level);
+  let beat = measureIndex * timeSignature.measureLength;
+  const measureEnd = beat + timeSignature.measureLength;
+  
+  while (beat < measureEnd) {
+    const fitting = cells.filter(cell => {
+      const cellLength = cell.notes.reduce((total, note) => total + NOTE_VALUES[note.value].beats * (note.dotted ? 1.5 : 1), 0);
+      return beat + cellLength <= measureEnd;
+    });
+    const cell = fitting[Math.floor(gameRandom() * fitting.length)];
+    const beamGroup = cell.beamed ? rhythmState.nextBeamGroup++ : null;
+    let beamClef = null;
+    
+    cell.notes.forEach(cellNote => {
+      const beats = NOTE_VALUES[cellNote.value].beats * (cellNote.dotted ? 1.5 : 1);
+      const event = {
+        beat: beat,
+        beats: beats,
+        value: cellNote.value,
+        dotted: cellNote.dotted === true,
+        isRest: !beamGroup && gameRandom() < RHYTHM_REST_CHANCE,
+        beamGroup: beamGroup,
+        judged: false
+      };
+      
+      if (!event.isRest) {
+        const noteData = pickRhythmNote(beamClef);
+        beamClef = beamGroup ? (noteData.clef || currentClef) : null;
+        Object.assign(event, {
+          staffLocalIndex: noteData.staffLocalIndex,
+          note: noteData.note,
+          letter: noteData.letter,
+          accidental: noteData.accidental,
+          octave: noteData.octave,
+          midi: noteData.midi,
+          scientific: noteData.scientific,
+          clef: noteData.clef || currentClef
+        });
+      }
+      
+      rhythmState.events.push(event);
+      beat += beats;
+    });
+  }
+}
+
+// Staves the rhythm timeline is drawn on
+function getRhythmStaves() {
+  if (isDualClefMode()) {
+    return [currentTrebleStave, currentBassStave].filter(staff => staff);
+  }
+  const clefStave = getStaffForClef(currentClef);
+  return clefStave ? [clefStave] : [];
+}
+
+// Advance the rhythm timeline: start the clock, schedule clicks, add measures and expire late notes
+function updateRhythmMode() {
+  const context = getSoundContext();
+  if (!context || !rhythmState.clockStarted || context.state !== 'running') return; // Waiting for the first key press or click
+  
+  const timeSignature = TIME_SIGNATURES[rhythmState.timeSignature];
+  if (rhythmState.startTime === null) {
+    rhythmState.startTime = context.currentTime + 0.1;
+    rhythmState.nextClickBeat = 0;
+  }
+  
+  // Schedule metronome clicks slightly ahead of the audio clock
+  const secondsPerBeat = getRhythmSecondsPerBeat();
+  while (rhythmState.startTime + rhythmState.nextClickBeat * secondsPerBeat < context.currentTime + RHYTHM_SCHEDULE_AHEAD) {
+    const clickTime = rhythmState.startTime + rhythmState.nextClickBeat * secondsPerBeat;
+    scheduleMetronomeClick(clickTime, rhythmState.nextClickBeat % timeSignature.measureLength === 0);
+    rhythmState.nextClickBeat += timeSignature.beatLength;
+  }
+  
+  // Keep measures generated past the right edge of the staff
+  const staves = getRhythmStaves();
+  if (staves.length > 0) {
+    const staff = staves[0];
+    const visibleBeats = (staff.x + staff.width - getCollisionX(staff)) / RHYTHM_PIXELS_PER_BEAT;
+    while (rhythmState.measuresGenerated * timeSignature.measureLength < getRhythmBeat() + visibleBeats + timeSignature.measureLength) {
+      generateRhythmMeasure();
+    }
+  }
+  
+  // Notes nobody played within the miss window
+  const now = getRhythmAudioTime();
+  for (const event of rhythmState.events) {
+    if (!gameRunning) return;
+    if (!event.isRest && !event.judged && now - getRhythmEventTime(event) > RHYTHM_WINDOWS.miss) {
+      judgeRhythmEvent(event, 'miss', `Too late! The note was ${formatNoteName(event.note)}`);
+    }
   }
   
-  // Update the previous note type tracker
-  previousNoteType = currentNoteWasChord ? 'chord' : 'melody';
+  // Drop events that have scrolled past the collision line
+  const currentBeat = getRhythmBeat();
+  rhythmState.events = rhythmState.events.filter(event => event.beat + event.beats > currentBeat - 1);
 }
 
-// Spawn a replacement note when one is destroyed (wrong answer or collision)
-function respawnNote() {
-  // Check if there's enough space to spawn a new note without overlap
-  // Use consistent 120px spacing for both modes since we're now spawning one at a time
-  if (!canSpawnNote(120)) {
-    // Try again shortly if there's not enough space
-    setTimeout(respawnNote, 300); // Try again after 300ms
+// Judge a note, tap or MIDI note-on against the nearest unplayed note on the timeline.
+// userNote is null for spacebar taps, which are scored on timing only
+function handleRhythmInput(userNote, userOctave, timestamp) {
+  resumeRhythmClock();
+  if (!soundEngine.context || rhythmState.startTime === null) return;
+  
+  const inputTime = getRhythmAudioTime(timestamp);
+  const target = rhythmState.events.find(event => !event.isRest && !event.judged &&
+    getRhythmEventTime(event) >= inputTime - RHYTHM_WINDOWS.miss);
+  if (!target) return;
+  
+  const offset = inputTime - getRhythmEventTime(target);
+  const offsetMs = Math.round(offset * 1000);
+  const timing = `${Math.abs(offsetMs)} ms ${offsetMs < 0 ? 'early' : 'late'}`;
+  if (offset < -RHYTHM_WINDOWS.miss) {
+    showRhythmJudgement('Early', '#ffff00'); // Stray tap well ahead of the next note
     return;
   }
   
-  const noteData = pickRandomNote(); // Now returns note object directly
+  if (userNote !== null) {
+    const wrongOctave = pianoModeActive && pianoModeSettings.strictMode && userOctave !== null &&
+      gameRules.getSoundingOctave(target.midi) !== userOctave;
+    if (!gameRules.noteMatchesInput(target.midi, userNote) || wrongOctave) {
+      judgeRhythmEvent(target, 'miss', `Wrong note! The note was ${formatNoteName(target.note)}`, userNote, userOctave);
+      return;
+    }
+  }
   
-  // Use the same speed calculation as spawnNote
-  let baseSpeed;
-  if (level === 1) {
-    baseSpeed = 0.8; // Starting speed
-  } else if (level === 2) {
-    baseSpeed = 1.4; // 75% faster than level 1
-  } else if (level === 3) {
-    baseSpeed = 1.8; // More gradual increase from level 2
-  } else if (level === 4) {
-    baseSpeed = 2.2; // Gradual increase
+  if (Math.abs(offset) <= RHYTHM_WINDOWS.perfect) {
+    judgeRhythmEvent(target, 'perfect', `Perfect! ${formatNoteName(target.note)} (${timing})`, userNote, userOctave);
+  } else if (Math.abs(offset) <= RHYTHM_WINDOWS.good) {
+    judgeRhythmEvent(target, 'good', `Good! ${formatNoteName(target.note)} (${timing})`, userNote, userOctave);
   } else {
-    // Slightly increased progression for higher levels (improved acceleration after level 3)
-    baseSpeed = 2.2 + (level - 4) * 0.4; // Each level adds 0.4 speed (increased from 0.3)
-  }
-  
-  // Create moving note that slides across the staff using new data structure
-  const movingNote = {
-    x: canvas.width + 20, // Start from right side
-    staffLocalIndex: noteData.staffLocalIndex,
-    note: noteData.note,
-    letter: noteData.letter,
-    octave: noteData.octave,
-    midi: noteData.midi,
-    scientific: noteData.scientific,
-    clef: noteData.clef || currentClef,
-    speed: baseSpeed,
-    id: Date.now(),
-    // Keep legacy line property for compatibility during transition
-    line: noteData.line || noteData.staffLocalIndex
-  };
+    judgeRhythmEvent(target, 'miss', `Miss! ${timing}`, userNote, userOctave);
+  }
+}
+
+function showRhythmJudgement(text, color) {
+  rhythmState.lastJudgement = { text: text, color: color, time: Date.now() };
+}
+
+// Score a judged note: perfect and good hits destroy it, misses cost a life
+function judgeRhythmEvent(event, judgement, message, pressedNote = null, pressedOctave = null) {
+  event.judged = true;
+  logAttempt({
+    type: 'note',
+    clef: event.clef,
+    target: event.scientific,
+    pressed: pressedNote,
+    pressedOctave: pressedOctave,
+    correct: judgement !== 'miss',
+    reactionMs: null // Timing is judged against the beat, not from when the note appeared
+  });
+  rhythmState.stats[judgement]++;
+  updateRhythmStatsDisplay();
+  
+  if (judgement === 'miss') {
+    event.missed = true;
+    showRhythmJudgement('Miss', '#d0021b');
+    
+    const staff = isDualClefMode() ? getStaffForNote(event) : getStaffForClef(currentClef);
+    if (staff) {
+      createClefExplosion(staff.clefX, staff.clefY, 60, 500);
+    }
+    triggerShake(3, 200);
+    playSound('explosionLoseLive');
+    
+    feedback.textContent = message;
+    feedback.style.color = '#d0021b';
+    
+    engine.loseLife();
+    updateLifeDisplay();
+    return;
+  }
+  
+  showRhythmJudgement(judgement === 'perfect' ? 'Perfect!' : 'Good', judgement === 'perfect' ? '#00ff00' : '#4a90e2');
+  
+  // Laser and explosion at the collision line, where the note should be when played
+  const staff = getStaffForNote(event);
+  if (staff) {
+    const noteX = getCollisionX(staff);
+    const noteY = getNoteY(event, staff);
+    lasers.push({ startX: spaceship.x, startY: spaceship.y, targetX: noteX, targetY: noteY, startTime: Date.now(), duration: 300 });
+    explosions.push({ x: noteX, y: noteY, size: 50, startTime: Date.now(), duration: 400, frames: generateExplosionFrames(), currentFrameIndex: 0 });
+  }
+  rhythmState.events.splice(rhythmState.events.indexOf(event), 1);
+  playSound('laser');
   
-  movingNotes.push(movingNote);
+  feedback.textContent = message;
+  feedback.style.color = '#00ff00';
+  
+  // Every 10 hits: next level, faster metronome and (from level 2) eighths and dotted values
+  engine.scoreHit(judgement === 'perfect' ? 2 : 1, event.clef);
+  
+  scoreDisplay.textContent = `Score: ${engine.score}`;
+  notesDestroyedDisplay.textContent = `Notes Destroyed: ${engine.notesDestroyed}`;
+}
+
+// Change tempo without jumping: re-anchor beat 0 so the current beat stays where it is
+function setRhythmTempo(tempo) {
+  if (rhythmState.startTime !== null) {
+    const context = soundEngine.context;
+    const currentBeat = (context.currentTime - rhythmState.startTime) / getRhythmSecondsPerBeat();
+    rhythmState.tempo = tempo;
+    rhythmState.startTime = context.currentTime - currentBeat * getRhythmSecondsPerBeat();
+  } else {
+    rhythmState.tempo = tempo;
+  }
+}
+
+// Staff a moving note or rhythm event is drawn on
+function getStaffForNote(note) {
+  if (isDualClefMode()) {
+    return note.clef === 'bass' ? currentBassStave : currentTrebleStave;
+  }
+  return getStaffForClef(currentClef);
 }
 
-// Update moving notes
-function updateMovingNotes() {
-  movingNotes.forEach((note, index) => {
-    note.x -= note.speed;
+function updateRhythmStatsDisplay() {
+  const rhythmStats = document.getElementById('rhythmStats');
+  if (rhythmStats) {
+    rhythmStats.style.display = rhythmModeActive ? 'block' : 'none';
+    rhythmStats.textContent = `Perfect: ${rhythmState.stats.perfect} | Good: ${rhythmState.stats.good} | Miss: ${rhythmState.stats.miss}`;
+  }
+}
+
+// Reset the timeline for a new game (the clock restarts with a fresh count-in)
+function resetRhythmMode() {
+  rhythmState.tempo = rhythmState.baseTempo;
+  rhythmState.startTime = null;
+  rhythmState.nextClickBeat = 0;
+  rhythmState.measuresGenerated = 0;
+  rhythmState.events = [];
+  rhythmState.stats = { perfect: 0, good: 0, miss: 0 };
+  rhythmState.lastJudgement = null;
+  updateRhythmStatsDisplay();
+}
+
+// Draw a Bravura glyph on its SMuFL baseline (flags, rests) rather than centred like noteheads
+function drawBravuraGlyph(ctx, text, x, y, size, color, align = 'center') {
+  ctx.save();
+  ctx.font = `${size}px Bravura`;
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(text, x, y);
+  ctx.restore();
+}
+
+// Draw barlines, notes, rests and beams on each staff at their position on the timeline
+function drawRhythmNotes() {
+  const timeSignature = TIME_SIGNATURES[rhythmState.timeSignature];
+  const currentBeat = getRhythmBeat();
+  
+  getRhythmStaves().forEach(staff => {
+    const collisionX = getCollisionX(staff);
+    const staffRight = staff.x + staff.width;
+    const beatToX = beat => collisionX + (beat - currentBeat) * RHYTHM_PIXELS_PER_BEAT;
     
-    // Check if note reached the green line (collision point) - use dynamic positioning
-    let greenLineCollisionX = 120; // Default fallback
-    let staffClef, clefX, clefY, staffBottomY;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(collisionX - 30, 0, staffRight - collisionX + 30, canvas.height);
+    ctx.clip();
     
-    // Get dynamic staff position based on current staff and note clef
-    if (isDualClefMode()) {
-      if (note.clef === 'treble' && currentTrebleStave) {
-        greenLineCollisionX = currentTrebleStave.clefX + 35; // Green line position
-        staffClef = currentTrebleStave;
-        clefX = currentTrebleStave.clefX;
-        clefY = currentTrebleStave.clefY;
-        staffBottomY = currentTrebleStave.y + 64; // Bottom of treble staff
-      } else if (note.clef === 'bass' && currentBassStave) {
-        greenLineCollisionX = currentBassStave.clefX + 35; // Green line position
-        staffClef = currentBassStave;
-        clefX = currentBassStave.clefX;
-        clefY = currentBassStave.clefY;
-        staffBottomY = currentBassStave.y + 64; // Bottom of bass staff
-      }
-    } else {
-      if (currentClef === 'treble' && currentTrebleStave) {
-        greenLineCollisionX = currentTrebleStave.clefX + 35; // Green line position
-        staffClef = currentTrebleStave;
-        clefX = currentTrebleStave.clefX;
-        clefY = currentTrebleStave.clefY;
-        staffBottomY = currentTrebleStave.y + 64; // Bottom of staff
-      } else if (currentClef === 'bass' && currentBassStave) {
-        greenLineCollisionX = currentBassStave.clefX + 35; // Green line position
-        staffClef = currentBassStave;
-        clefX = currentBassStave.clefX;
-        clefY = currentBassStave.clefY;
-        staffBottomY = currentBassStave.y + 64; // Bottom of staff
-      }
+    // Barlines at the start of every measure after the count-in
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 2;
+    const firstMeasure = Math.max(1, Math.floor(currentBeat / timeSignature.measureLength));
+    for (let measure = firstMeasure; measure < rhythmState.measuresGenerated; measure++) {
+      const barX = beatToX(measure * timeSignature.measureLength) - 20; // Just before the downbeat's notehead
+      if (barX > staffRight) break;
+      ctx.beginPath();
+      ctx.moveTo(barX, staff.staffLines.top);
+      ctx.lineTo(barX, staff.staffLines.bottom);
+      ctx.stroke();
     }
     
-    if (note.x < greenLineCollisionX) {
-      // Note hit the green line because player was too slow - lose a life and create explosion
+    const staffEvents = rhythmState.events.filter(event => event.isRest || getStaffForNote(event) === staff);
+    const beamGroups = new Map();
+    
+    staffEvents.forEach(event => {
+      const x = beatToX(event.beat);
+      if (x > staffRight + 20) return;
+      const color = event.missed ? '#888888' : '#FF0000';
+      const valueInfo = NOTE_VALUES[event.value];
       
-      // Clean up chord progress if this was part of a chord
-      if (note.isChord && chordProgress.has(note.chordId)) {
-        chordProgress.delete(note.chordId);
+      if (event.isRest) {
+        const restY = staff.staffLines.top + (8 - valueInfo.restIndex) * (staff.staffLines.spacing / 2);
+        drawBravuraGlyph(ctx, valueInfo.rest, x, restY, 64, '#FFFFFF');
+        if (event.dotted) {
+          drawBravuraText(ctx, BRAVURA_SYMBOLS.augmentationDot, x + 16, staff.staffLines.top + staff.staffLines.spacing * 1.5, 60, '#FFFFFF');
+        }
+        return;
       }
       
-      movingNotes.splice(index, 1);
-      
-      // Create explosion at clef position, not at note position
-      let explosionX, explosionY;
-      explosionX = clefX; // Use clef X position for explosion
-      explosionY = clefY; // Use clef Y position for explosion
-      
-      createClefExplosion(explosionX, explosionY, 60, 500);
-      
-      lives--;
-      
-      // Add shake effect - stronger shake for losing a life
-      triggerShake(8, 500); // Medium intensity, half second
+      const y = getNoteY(event, staff);
+      if (event.accidental) {
+        drawBravuraText(ctx, ACCIDENTALS[event.accidental].glyph, x - 26, y, 60, color);
+      }
+      drawBravuraText(ctx, valueInfo.notehead, x, y, 60, color);
+      drawCanvasLedgerLines(x, y, event.staffLocalIndex, staff);
       
-      playSound('explosionLoseLive');
-      updateLifeDisplay();
+      if (event.dotted) {
+        // Dots sit in a space: notes on a line move their dot up half a space
+        const dotY = event.staffLocalIndex % 2 === 0 ? y - staff.staffLines.spacing / 2 : y;
+        drawBravuraText(ctx, BRAVURA_SYMBOLS.augmentationDot, x + 16, dotY, 60, color);
+      }
       
-      // Show feedback
-      feedback.textContent = `Too slow! The note was ${note.note}`;
-      feedback.style.color = '#d0021b';
-      feedback.style.fontSize = '16px';
+      if (event.beamGroup) {
+        if (!beamGroups.has(event.beamGroup)) beamGroups.set(event.beamGroup, []);
+        beamGroups.get(event.beamGroup).push({ x: x, y: y, event: event, color: color });
+      } else if (valueInfo.stem) {
+        // Stems go down from the middle line up, otherwise up
+        const stemUp = event.staffLocalIndex < 4;
+        const stemX = stemUp ? x + 8 : x - 8;
+        const stemEndY = stemUp ? y - 56 : y + 56;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(stemX, y);
+        ctx.lineTo(stemX, stemEndY);
+        ctx.stroke();
+        if (valueInfo.flag) {
+          drawBravuraGlyph(ctx, stemUp ? BRAVURA_SYMBOLS.flag8thUp : BRAVURA_SYMBOLS.flag8thDown, stemX - 1, stemEndY, 64, color, 'left');
+        }
+      }
+    });
+    
+    // Beamed groups share one stem direction and a horizontal beam past the outermost note
+    beamGroups.forEach(notes => {
+      const averageIndex = notes.reduce((total, note) => total + note.event.staffLocalIndex, 0) / notes.length;
+      const stemUp = averageIndex < 4;
+      const beamY = stemUp
+        ? Math.min(...notes.map(note => note.y)) - 56
+        : Math.max(...notes.map(note => note.y)) + 56;
       
-      // Spawn next note with transition delay awareness
-      forceSpawnNoteWithTransitionDelay(note.isChord); // Track if the missed note was a chord
+      ctx.strokeStyle = notes[0].color;
+      ctx.fillStyle = notes[0].color;
+      ctx.lineWidth = 2;
+      notes.forEach(note => {
+        const stemX = stemUp ? note.x + 8 : note.x - 8;
+        ctx.beginPath();
+        ctx.moveTo(stemX, note.y);
+        ctx.lineTo(stemX, beamY);
+        ctx.stroke();
+      });
       
-      if (lives <= 0) {
-        gameOver();
-      }
-    }
+      const firstStemX = stemUp ? notes[0].x + 8 : notes[0].x - 8;
+      const lastStemX = stemUp ? notes[notes.length - 1].x + 8 : notes[notes.length - 1].x - 8;
+      ctx.fillRect(firstStemX - 1, stemUp ? beamY : beamY - 8, lastStemX - firstStemX + 2, 8);
+    });
     
-    // Remove notes that are off screen
-    if (note.x < -50) {
-      movingNotes.splice(index, 1);
-    }
+    ctx.restore();
   });
+  
+  // Count-in prompt and judgement text above the collision line
+  const staves = getRhythmStaves();
+  if (staves.length > 0) {
+    const collisionX = getCollisionX(staves[0]);
+    const textY = staves[0].staffLines.top - 30;
+    ctx.save();
+    ctx.font = 'bold 18px Arial';
+    ctx.textAlign = 'left';
+    if (rhythmState.startTime === null) {
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText('Press any key to start the metronome', collisionX, textY);
+    } else if (rhythmState.lastJudgement && Date.now() - rhythmState.lastJudgement.time < 600) {
+      ctx.globalAlpha = 1 - (Date.now() - rhythmState.lastJudgement.time) / 600;
+      ctx.fillStyle = rhythmState.lastJudgement.color;
+      ctx.fillText(rhythmState.lastJudgement.text, collisionX, textY);
+    }
+    ctx.restore();
+  }
 }
 
 // Update spaceship rotation (simplified - no meteors to track)
@@ -1635,6 +3563,7 @@ function updateExplosions() {
 // Game over
 function gameOver() {
   gameRunning = false;
+  updateMidiKeyLights();
   stopBackgroundMusic();
   playSound('gameOver');
   
@@ -1656,24 +3585,30 @@ function gameOver() {
     let clefX = 35; // Default fallback  
     let clefY = canvas.height * 0.2 + 60; // Default fallback
     
-    if (currentClef === 'treble' && currentTrebleStave) {
-      clefX = currentTrebleStave.clefX;
-      clefY = currentTrebleStave.clefY;
-    } else if (currentClef === 'bass' && currentBassStave) {
-      clefX = currentBassStave.clefX;
-      clefY = currentBassStave.clefY;
+    const clefStave = getStaffForClef(currentClef);
+    if (clefStave) {
+      clefX = clefStave.clefX;
+      clefY = clefStave.clefY;
     }
     
     // Create minimal explosions for single staff
     createMinimalExplosions(clefX, clefY);
   }
   
-  // Check and save high score
-  checkAndSaveHighScore();
-  
-  feedback.textContent = `Game Over! Level ${level} reached. Notes destroyed: ${notesDestroyed}! Final Score: ${score}`;
+  feedback.textContent = `Game Over! Level ${engine.level} reached. Notes destroyed: ${engine.notesDestroyed}! Final Score: ${engine.score}`;
   feedback.style.color = '#d0021b';
   feedback.style.fontSize = '24px';
+  
+  // Check and save high score (high scores are kept for random notes only; the daily challenge has its own).
+  // Nothing is saved at the end of a replay
+  if (replay) {
+    endReplay();
+  } else if (dailyChallenge) {
+    saveDailyScore();
+  } else if (!scorePractice && !assignment) {
+    checkAndSaveHighScore();
+  }
+  finishSessionRecording();
   restartBtn.style.display = 'inline-block';
   
   // Add return to menu button
@@ -1688,54 +3623,57 @@ function gameOver() {
     menuBtn.onclick = () => window.location.href = 'menu.html';
     restartBtn.parentNode.appendChild(menuBtn);
   }
+  
+  if (assignment && !assignmentProgress.finished) {
+    finishAssignment('lives');
+  }
 }
 
 // Check and save high score
 function checkAndSaveHighScore() {
   // Load current high scores
-  let highScores = { treble: 0, bass: 0, grand: 0 };
+  let highScores = { treble: 0, bass: 0, grand: 0, alto: 0, tenor: 0, soprano: 0, mezzoSoprano: 0, baritone: 0 };
   const saved = localStorage.getItem('noteGameHighScores');
   if (saved) {
     highScores = { ...highScores, ...JSON.parse(saved) };
   }
   
   // Check if current score is a new high score for the current clef
-  if (score > highScores[currentClef]) {
-    highScores[currentClef] = score;
+  if (engine.score > highScores[currentClef]) {
+    highScores[currentClef] = engine.score;
     localStorage.setItem('noteGameHighScores', JSON.stringify(highScores));
     
     // Show high score message
-    feedback.textContent = `NEW HIGH SCORE! Level ${level} reached. Notes destroyed: ${notesDestroyed}! Score: ${score}`;
+    feedback.textContent = `NEW HIGH SCORE! Level ${engine.level} reached. Notes destroyed: ${engine.notesDestroyed}! Score: ${engine.score}`;
     feedback.style.color = '#FFD700'; // Gold color for high score
   }
 }
 
 // Restart game
 async function restartGame() {
+  if (replay) {
+    window.location.reload(); // Watch the replay again from the start
+    return;
+  }
+  
+  endPause();
+  pausedReleases = [];
   gameRunning = true;
-  lives = 3; // New 3-life system
-  notesDestroyed = 0;
-  score = 0;
-  level = 1;
-  correctAnswers = 0;
-  // Reset Piano Mode hand scores
-  leftHandScore = 0;
-  rightHandScore = 0;
-  
-  // Clear Piano Mode chord progress tracking to prevent input blocking
-  chordProgress.clear();
-  
-  // Reset chord-to-melody transition tracking
-  previousNoteType = 'melody';
-  chordWrongNoteWindow.hasCountedError = false;
-  chordWrongNoteWindow.lastWrongNoteTime = 0;
-  
-  movingNotes = [];
+  startEngine(); // Lives, score, level and notes start over
+  revealedNotes = [];
+  lastEarTrainingMidi = null;
   explosions = [];
   lasers = [];
-  gameStartTime = Date.now();
-  lastNoteSpawn = 0;
-  noteSpawnRate = 2200; // Reset to level 1 spawn rate
+  gameStartTime = gameClock();
+  lastFrameClock = gameStartTime;
+  startSessionRecording(seedGameRandom()); // A seeded game starts its note sequence again
+  
+  // A restart is a new try at the assignment
+  if (assignment) {
+    assignmentProgress = { correct: 0, attempts: 0, secondsLeft: null, finished: false };
+    document.getElementById('assignmentResult').style.display = 'none';
+    updateAssignmentDisplay();
+  }
   flashEffect.active = false;
   
   // Reset spaceship rotation
@@ -1748,15 +3686,15 @@ async function restartGame() {
   }
   
   // Restart music system - start all tracks and then update for current level
+  cancelSoundFade();
   if (gameSettings.music) {
     await startAllMusicTracks();
   }
-  updateMusicForLevel(level);
+  updateMusicForLevel(engine.level);
   
   // Update displays
   updateLifeDisplay();
-  notesDestroyedDisplay.textContent = `Notes Destroyed: ${notesDestroyed}`;
-  scoreDisplay.textContent = `Score: ${score}`;
+  updateDisplays();
   feedback.textContent = '';
   
   // Update clef display
@@ -1764,6 +3702,12 @@ async function restartGame() {
   
   restartBtn.style.display = 'none';
   
+  resetRhythmMode();
+  setSelectedIntervalQuality(null);
+  if (scorePractice) {
+    scorePractice.position = 0;
+  }
+  
   gameLoop();
 }
 
@@ -1795,8 +3739,44 @@ function getNotesForPianoModeHand(hand, clef, availableNotes) {
   return handNotes;
 }
 
+// Note definition for a note of the imported piece, spelled against the piece's key signature
+function createScoreNoteDefinition(scoreNote) {
+  let clef = scoreNote.clef;
+  if (isDualClefMode() && clef !== 'treble' && clef !== 'bass') {
+    clef = scoreNote.octave >= 4 ? 'treble' : 'bass'; // C clef parts in Piano Mode
+  }
+  
+  const soundingAccidental = scoreNote.alter > 0 ? 'sharp' : scoreNote.alter < 0 ? 'flat' : null;
+  if (soundingAccidental === getKeyAccidental(scoreNote.step)) {
+    // Altered by the key signature (or natural in a key that leaves the letter alone): nothing is written
+    return applyKeySignature(createNoteDefinition(scoreNote.step, scoreNote.octave, clef));
+  }
+  return createNoteDefinition(scoreNote.step, scoreNote.octave, clef, soundingAccidental || 'natural');
+}
+
+// Next note (or chord, as an array) of the imported piece; starts again from the top after the last one
+function pickScoreNote() {
+  if (scorePractice.position >= scorePractice.events.length) {
+    scorePractice.position = 0;
+    showPopup('From the top!');
+  }
+  
+  const notes = scorePractice.events[scorePractice.position++].map(createScoreNoteDefinition);
+  return notes.length === 1 ? notes[0] : notes;
+}
+
 function pickRandomNote() {
-  const arr = notePositions[currentClef];
+  // Imported piece: notes come in playing order
+  if (scorePractice) {
+    return pickScoreNote();
+  }
+  
+  // Sharps and flats are only part of the pool when accidentals are enabled;
+  // every note is then spelled in the selected key signature
+  const arr = notePositions[currentClef]
+    .filter(notePos => includeAccidentals || !notePos.accidental)
+    .map(applyKeySignature)
+    .filter(notePos => notePos);
   let availableNotes = arr;
   
   // Piano Mode enhancements
@@ -1830,11 +3810,39 @@ function pickRandomNote() {
     });
   }
   
+  // The menu's note range replaces the ledger line range on the clefs it covers
+  if (noteRangeSelection) {
+    const rangeNotes = arr.filter(notePos => noteRangeSelection[notePos.clef]
+      ? isInNoteRange(notePos)
+      : availableNotes.includes(notePos));
+    if (rangeNotes.length > 0) {
+      availableNotes = rangeNotes;
+    }
+  }
+  
+  // An assignment's note pool replaces the ledger line range
+  if (assignmentNotePool) {
+    const poolNotes = arr.filter(notePos => assignmentNotePool.has(notePos.scientific));
+    if (poolNotes.length > 0) {
+      availableNotes = poolNotes;
+    }
+  }
+  
   // Fallback to all notes if filtering results in empty array
   if (availableNotes.length === 0) {
     availableNotes = arr;
   }
   
+  // Interval mode: a pair of notes on one staff (both hands' staves take turns in Piano Mode)
+  if (intervalModeActive) {
+    return generateInterval(availableNotes);
+  }
+  
+  // Ear training: single notes, within the level's jump of the note before
+  if (earTrainingActive) {
+    return pickEarTrainingNote(availableNotes);
+  }
+  
   // Handle Piano Mode - separate hands with different roles
   if (pianoModeActive) {
     const leftHandMode = pianoModeSettings.leftHand;
@@ -1848,14 +3856,14 @@ function pickRandomNote() {
       // In hard mode with independent clefs, generate notes for individual clefs
       if (pianoModeSettings.hardMode && leftHandActive && rightHandActive) {
         // Check which clef needs a new note
-        const bassNotes = movingNotes.filter(note => note.clef === 'bass');
-        const trebleNotes = movingNotes.filter(note => note.clef === 'treble');
+        const bassNotes = engine.notes.filter(note => note.clef === 'bass');
+        const trebleNotes = engine.notes.filter(note => note.clef === 'treble');
         
         // Prefer clef that has no active notes, or randomly choose if both are empty
         let targetClef = null;
         if (bassNotes.length === 0 && trebleNotes.length === 0) {
           // Both clefs are empty, randomly choose
-          targetClef = Math.random() < 0.5 ? 'bass' : 'treble';
+          targetClef = gameRandom() < 0.5 ? 'bass' : 'treble';
         } else if (bassNotes.length === 0) {
           targetClef = 'bass';
         } else if (trebleNotes.length === 0) {
@@ -1871,8 +3879,7 @@ function pickRandomNote() {
             if (leftHandMode === 'chords' && bassNotesAvailable.length >= 2) {
               return generateChord(bassNotesAvailable);
             } else {
-              const randomBassIndex = Math.floor(Math.random() * bassNotesAvailable.length);
-              return bassNotesAvailable[randomBassIndex];
+              return pickWeightedNote(bassNotesAvailable);
             }
           }
         } else if (targetClef === 'treble') {
@@ -1881,8 +3888,7 @@ function pickRandomNote() {
             if (rightHandMode === 'chords' && trebleNotesAvailable.length >= 2) {
               return generateChord(trebleNotesAvailable);
             } else {
-              const randomTrebleIndex = Math.floor(Math.random() * trebleNotesAvailable.length);
-              return trebleNotesAvailable[randomTrebleIndex];
+              return pickWeightedNote(trebleNotesAvailable);
             }
           }
         }
@@ -1892,7 +3898,7 @@ function pickRandomNote() {
         if (leftHandActive) activeHands.push('left');
         if (rightHandActive) activeHands.push('right');
         
-        const chosenHand = activeHands[Math.floor(Math.random() * activeHands.length)];
+        const chosenHand = activeHands[Math.floor(gameRandom() * activeHands.length)];
         
         if (chosenHand === 'left' && leftHandActive) {
           // Generate for left hand (bass clef)
@@ -1902,8 +3908,7 @@ function pickRandomNote() {
               return generateChord(bassNotes);
             } else {
               // Melody mode or not enough notes for chord
-              const randomIndex = Math.floor(Math.random() * bassNotes.length);
-              return bassNotes[randomIndex];
+              return pickWeightedNote(bassNotes);
             }
           }
         } else if (chosenHand === 'right' && rightHandActive) {
@@ -1914,8 +3919,7 @@ function pickRandomNote() {
               return generateChord(trebleNotes);
             } else {
               // Melody mode or not enough notes for chord
-              const randomIndex = Math.floor(Math.random() * trebleNotes.length);
-              return trebleNotes[randomIndex];
+              return pickWeightedNote(trebleNotes);
             }
           }
         }
@@ -1923,9 +3927,9 @@ function pickRandomNote() {
     }
   }
   
-  // Return a random note from available notes (return the note object directly)
-  const randomIndex = Math.floor(Math.random() * availableNotes.length);
-  return availableNotes[randomIndex];
+  // Return a random note from available notes (return the note object directly),
+  // weighted toward weak notes in adaptive practice
+  return pickWeightedNote(availableNotes);
 }
 
 // Generate a chord (2-4 notes) for Piano Mode chord mode
@@ -1937,14 +3941,10 @@ function generateChord(availableNotes) {
   
   // Enhanced chord range generation - allow spanning up to an octave
   // Sort all available notes by pitch first
-  const sortedNotes = [...availableNotes].sort((a, b) => {
-    const aPitch = scientificToMidi(a.letter, a.octave);
-    const bPitch = scientificToMidi(b.letter, b.octave);
-    return aPitch - bPitch;
-  });
+  const sortedNotes = [...availableNotes].sort((a, b) => a.midi - b.midi);
   
   // Determine chord size (2-4 notes)
-  const chordSize = Math.floor(Math.random() * 3) + 2; // 2, 3, or 4 notes
+  const chordSize = Math.floor(gameRandom() * 3) + 2; // 2, 3, or 4 notes
   const actualChordSize = Math.min(chordSize, sortedNotes.length);
   
   // Select notes that can span up to an octave (12 semitones)
@@ -1952,750 +3952,253 @@ function generateChord(availableNotes) {
   const maxSpread = 12; // One octave in semitones
   
   // Start with a random base note
-  const baseIndex = Math.floor(Math.random() * (sortedNotes.length - actualChordSize + 1));
+  const baseIndex = Math.floor(gameRandom() * (sortedNotes.length - actualChordSize + 1));
   const baseNote = sortedNotes[baseIndex];
-  const basePitch = scientificToMidi(baseNote.letter, baseNote.octave);
+  const basePitch = baseNote.midi;
   selectedNotes.push(baseNote);
-  
-  // Add additional notes within the octave range
-  const usedIndices = new Set([baseIndex]);
-  
-  for (let i = 1; i < actualChordSize; i++) {
-    let attempts = 0;
-    let foundNote = false;
-    
-    // Try to find notes within the octave range
-    while (attempts < 50 && !foundNote) { // Prevent infinite loops
-      const candidateIndex = Math.floor(Math.random() * sortedNotes.length);
-      
-      if (usedIndices.has(candidateIndex)) {
-        attempts++;
-        continue;
-      }
-      
-      const candidateNote = sortedNotes[candidateIndex];
-      const candidatePitch = scientificToMidi(candidateNote.letter, candidateNote.octave);
-      const pitchDiff = Math.abs(candidatePitch - basePitch);
-      
-      // Accept notes within an octave range
-      if (pitchDiff <= maxSpread) {
-        selectedNotes.push(candidateNote);
-        usedIndices.add(candidateIndex);
-        foundNote = true;
-      }
-      
-      attempts++;
-    }
-    
-    // If we couldn't find a note in range, just pick the next available note
-    if (!foundNote && usedIndices.size < sortedNotes.length) {
-      for (let j = 0; j < sortedNotes.length; j++) {
-        if (!usedIndices.has(j)) {
-          selectedNotes.push(sortedNotes[j]);
-          usedIndices.add(j);
-          break;
-        }
-      }
-    }
-  }
-  
-  // Sort final selected notes by pitch (lowest to highest) for better visual presentation
-  selectedNotes.sort((a, b) => {
-    const aPitch = scientificToMidi(a.letter, a.octave);
-    const bPitch = scientificToMidi(b.letter, b.octave);
-    return aPitch - bPitch;
-  });
-  
-  // Return an array of notes instead of a single note
-  return selectedNotes;
-}
-
-// Update clef display in game
-function updateClefDisplay() {
-  const clefDisplay = document.getElementById('clefDisplay');
-  if (clefDisplay) {
-    const clefNames = {
-      'treble': 'Treble Clef',
-      'bass': 'Bass Clef', 
-      'grand': 'Grand Stave',
-      'hardMode': 'Bass & Treble (Hard Mode)'
-    };
-    clefDisplay.textContent = `Clef selected: ${clefNames[currentClef]}`;
-    
-    // Show/hide hard mode help text based on current clef
-    const hardModeHelp = document.getElementById('hardModeHelp');
-    if (hardModeHelp) {
-      hardModeHelp.style.display = (currentClef === 'hardMode') ? 'block' : 'none';
-    }
-  }
-  
-  // Update hand score visibility when clef changes
-  updateHandScoreVisibility();
-}
-
-// Initialize game
-async function initializeGame() {
-  // Settings are already loaded by loadGameSettings() before this function is called
-  
-  // Update clef selector if it exists
-  if (clefSelect) {
-    clefSelect.value = currentClef;
-  }
-  
-  // Update clef display
-  updateClefDisplay();
-  
-  // Load images
-  await loadImages();
-  
-  // Initialize canvas size
-  resizeCanvas();
-  
-  // Start layered background music system (all tracks start muted)
-  if (gameSettings.music) {
-    await startAllMusicTracks();
-    updateMusicForLevel(level);
-  }
-  
-  // Initialize display values
-  updateLifeDisplay();
-  notesDestroyedDisplay.textContent = `Notes Destroyed: ${notesDestroyed}`;
-  scoreDisplay.textContent = `Score: ${score}`;
-  updateHandScoreVisibility(); // Initialize hand score display visibility
-  
-  gameInitialized = true;
-  gameLoop();
-}
-
-// Main game loop
-function gameLoop() {
-  if (gameRunning) {
-    drawStaff(currentClef); // Draw staff first to ensure stave objects exist
-    spawnNote(); // Changed from spawnNoteAndMeteor
-    updateMovingNotes();
-    updateSpaceship();
-    updateExplosions();
-    
-    // FIXED: Remove throttled cleanup from game loop - now runs immediately on MIDI input
-    // Chord cleanup is now handled directly in handleNoteInputWithOctave for responsive input
-    
-    requestAnimationFrame(gameLoop);
-  }
-}
-
-// Handle note input directly from keyboard
-async function handleNoteInput(userNote) {
-  if (!gameRunning) return;
-  
-  // Try to start music on first interaction
-  await tryStartMusic();
-  
-  if (!userNote) return;
-  
-  // For Piano Mode, use more specific note matching
-  await handleNoteInputWithOctave(userNote, null, null); // No octave info from keyboard, no target clef
-}
-
-// Enhanced note input handler with octave support for Piano Mode
-async function handleNoteInputWithOctave(userNote, userOctave, targetClef) {
-  if (!gameRunning) return;
-  
-  // FIXED: Clean up stale chord progress immediately on every input to prevent registration failures
-  // This ensures responsive chord input by removing the 5-second throttling that was blocking new input
-  cleanupStaleChordProgress();
-  
-  // Find the leftmost note (closest to clef) - with special handling for piano mode hand independence
-  let leftmostNote = null;
-  let leftmostIndex = -1;
-  let minDistance = Infinity;
-  
-  // For piano mode with hand independence, only consider notes from active hands' clefs
-  movingNotes.forEach((note, index) => {
-    if (note.note.toUpperCase() === userNote) {
-      // In hard mode with target clef specified, only consider notes from that specific clef
-      if (pianoModeActive && pianoModeSettings.hardMode && targetClef) {
-        if (note.clef !== targetClef) {
-          return; // Skip notes from other clefs in hard mode
-        }
-      }
-      // In hard mode without target clef (keyboard input), disable non-targeted input
-      else if (pianoModeActive && pianoModeSettings.hardMode && !targetClef) {
-        // Skip non-targeted keyboard/button input in hard mode to prevent clef confusion
-        // User must use Shift+key for treble or Ctrl+key for bass clef targeting
-        return; // Skip all notes for non-targeted keyboard input in hard mode
-      }
-      // In piano mode, check if this note belongs to an active hand
-      else if (pianoModeActive && isDualClefMode()) {
-        const leftHandActive = pianoModeSettings.leftHand !== 'none';
-        const rightHandActive = pianoModeSettings.rightHand !== 'none';
-        
-        // Only consider notes from clefs that have active hands
-        const noteIsFromActiveHand = 
-          (note.clef === 'bass' && leftHandActive) || 
-          (note.clef === 'treble' && rightHandActive);
-        
-        if (!noteIsFromActiveHand) {
-          return; // Skip notes from inactive hands
-        }
-      }
-      
-      const distance = note.x;
-      if (distance < minDistance) {
-        minDistance = distance;
-        leftmostNote = note;
-        leftmostIndex = index;
-      }
-    }
-  });
-  
-  // For chord mode, find all notes with the same chord ID
-  let chordNotes = [];
-  let chordIndices = [];
-  
-  // If this is a chord, find all notes with the same chord ID
-  if (leftmostNote && leftmostNote.isChord) {
-    movingNotes.forEach((note, index) => {
-      if (note.chordId === leftmostNote.chordId) {
-        chordNotes.push(note);
-        chordIndices.push(index);
-      }
-    });
-  } else {
-    chordNotes = [leftmostNote];
-    chordIndices = [leftmostIndex];
-  }
-  
-  // Check if user input matches any note in the chord
-  let matchFound = false;
-  let matchedNote = null;
-  let matchedIndex = -1;
-  
-  for (let i = 0; i < chordNotes.length; i++) {
-    const note = chordNotes[i];
-    const index = chordIndices[i];
-    
-    if (note && note.note.toUpperCase() === userNote) {
-      // Check strict mode for Piano Mode
-      if (pianoModeActive && pianoModeSettings.strictMode && userOctave !== null) {
-        // In strict mode, octave must match exactly
-        if (note.octave !== userOctave) {
-          continue; // Try next note in chord
-        }
-      }
-      
-      matchFound = true;
-      matchedNote = note;
-      matchedIndex = index;
-      break;
-    }
-  }
-  
-  if (matchFound && matchedNote) {
-    // For chord handling - require all notes to be pressed
-    if (matchedNote.isChord) {
-      const chordId = matchedNote.chordId;
-      
-      // Get all notes in this chord
-      const allChordNotes = movingNotes.filter(note => 
-        note.isChord && note.chordId === chordId
-      );
-      
-      // Track which notes have been pressed with timestamps for grace period
-      const currentTime = Date.now();
-      const gracePeriodsMs = 300; // Increased to 300ms grace period for more forgiving chord completion
-      
-      if (!chordProgress.has(chordId)) {
-        chordProgress.set(chordId, {
-          pressedNotes: new Set(),
-          timestamps: new Map(),
-          firstPressTime: currentTime
-        });
-      }
-      const chordData = chordProgress.get(chordId);
-      
-      // Check if we're still within the grace period or if this is a continuation of the same chord
-      const timeSinceFirstPress = currentTime - chordData.firstPressTime;
-      if (timeSinceFirstPress > gracePeriodsMs && chordData.pressedNotes.size > 0) {
-        // If grace period expired but we had some progress, be more lenient
-        // Only reset if we've been completely idle for a while
-        if (timeSinceFirstPress > gracePeriodsMs * 3) {
-          chordData.pressedNotes.clear();
-          chordData.timestamps.clear();
-          chordData.firstPressTime = currentTime;
-        }
-      }
-      
-      // Add this note to pressed notes with timestamp
-      const noteKey = matchedNote.note.toUpperCase();
-      chordData.pressedNotes.add(noteKey);
-      chordData.timestamps.set(noteKey, currentTime);
-      
-      // Check if all notes in chord have been pressed within grace period
-      const allNoteLetters = new Set(allChordNotes.map(note => note.note.toUpperCase()));
-      const allPressed = [...allNoteLetters].every(noteLetter => chordData.pressedNotes.has(noteLetter));
-      
-      // Safety check: ensure we don't have more pressed notes than the chord actually contains
-      if (chordData.pressedNotes.size > allNoteLetters.size) {
-        console.warn(`Chord progress has more notes than chord contains. Resetting. ChordId: ${chordId}`);
-        chordData.pressedNotes.clear();
-        chordData.timestamps.clear();
-        chordData.firstPressTime = currentTime;
-        chordData.pressedNotes.add(noteKey);
-        chordData.timestamps.set(noteKey, currentTime);
-      }
-      
-      // Chord lockout timer removed - accept chord completion if all notes are pressed within grace period
-      
-      if (allPressed) {
-        // All notes pressed - complete the chord
-        score++;
-        notesDestroyed++;
-        correctAnswers++;
-        
-        // Piano Mode: Track separate hand scores
-        if (pianoModeActive && isDualClefMode()) {
-          if (matchedNote.clef === 'bass') {
-            leftHandScore++;
-          } else if (matchedNote.clef === 'treble') {
-            rightHandScore++;
-          }
-          updateDisplays(); // Update hand score displays immediately
-        }
-        
-        // Calculate note position for laser effect using first chord note
-        const firstChordNote = allChordNotes[0];
-        let staffInfo;
-        let noteY;
-        
-        if (isDualClefMode()) {
-          if (firstChordNote.clef === 'treble' && currentTrebleStave) {
-            staffInfo = currentTrebleStave;
-            noteY = getNoteY(firstChordNote, staffInfo);
-          } else if (firstChordNote.clef === 'bass' && currentBassStave) {
-            staffInfo = currentBassStave;
-            noteY = getNoteY(firstChordNote, staffInfo);
-          }
-        } else {
-          if (currentClef === 'treble' && currentTrebleStave) {
-            staffInfo = currentTrebleStave;
-            noteY = getNoteY(firstChordNote, staffInfo);
-          } else if (currentClef === 'bass' && currentBassStave) {
-            staffInfo = currentBassStave;
-            noteY = getNoteY(firstChordNote, staffInfo);
-          }
-        }
-        
-        // Create laser effect and explosion
-        if (staffInfo && noteY !== undefined) {
-          lasers.push({
-            startX: spaceship.x,
-            startY: spaceship.y,
-            targetX: firstChordNote.x,
-            targetY: noteY,
-            startTime: Date.now(),
-            duration: 300
-          });
-          
-          explosions.push({
-            x: firstChordNote.x,
-            y: noteY,
-            size: 50,
-            startTime: Date.now(),
-            duration: 400,
-            frames: generateExplosionFrames(),
-            currentFrameIndex: 0
-          });
-        }
-        
-        // Remove all notes in the chord
-        for (let i = movingNotes.length - 1; i >= 0; i--) {
-          if (movingNotes[i].isChord && movingNotes[i].chordId === chordId) {
-            movingNotes.splice(i, 1);
-          }
-        }
-        
-        // Clean up chord progress tracking
-        chordProgress.delete(chordId);
-        
-        // Spawn next note with transition delay awareness
-        forceSpawnNoteWithTransitionDelay(true); // Current note was a chord
-        
-        feedback.textContent = `Chord Complete! +1 point!`;
-        feedback.style.color = '#00ff00';
-        feedback.style.fontSize = '16px';
-        
-        // Play sound effects
-        playSound('laser');
-        setTimeout(() => playSound('meteorExplosion'), 100);
-        
-      } else {
-        // Not all notes pressed yet or not simultaneous - show progress but don't remove notes or count score
-        const remaining = allNoteLetters.size - chordData.pressedNotes.size;
-        let message = `Chord progress: ${chordData.pressedNotes.size}/${allNoteLetters.size} notes pressed`;
-        
-        if (allPressed && !simultaneousPress) {
-          message += ` (not simultaneous - press together!)`;
-        }
-        
-        feedback.textContent = message;
-        feedback.style.color = '#ffff00';
-        feedback.style.fontSize = '16px';
-        // No score increment, no note removal, no laser effects
-        // Return early to skip level progression logic
-        updateDisplays();
-        return;
-      }
-    } else {
-      // Single note (not a chord) - normal processing
-      score++;
-      notesDestroyed++;
-      correctAnswers++;
-      
-      // Piano Mode: Track separate hand scores
-      if (pianoModeActive && isDualClefMode()) {
-        if (matchedNote.clef === 'bass') {
-          leftHandScore++;
-        } else if (matchedNote.clef === 'treble') {
-          rightHandScore++;
-        }
-        updateDisplays(); // Update hand score displays immediately
-      }
-      
-      // Calculate note position for laser target
-      let staffInfo;
-      let noteY;
-      
-      if (isDualClefMode()) {
-        if (matchedNote.clef === 'treble' && currentTrebleStave) {
-          staffInfo = currentTrebleStave;
-          noteY = getNoteY(matchedNote, staffInfo);
-        } else if (matchedNote.clef === 'bass' && currentBassStave) {
-          staffInfo = currentBassStave;
-          noteY = getNoteY(matchedNote, staffInfo);
-        }
-      } else {
-        if (currentClef === 'treble' && currentTrebleStave) {
-          staffInfo = currentTrebleStave;
-          noteY = getNoteY(matchedNote, staffInfo);
-        } else if (currentClef === 'bass' && currentBassStave) {
-          staffInfo = currentBassStave;
-          noteY = getNoteY(matchedNote, staffInfo);
-        }
-      }
-      
-      // Create laser effect and explosion
-      if (staffInfo && noteY !== undefined) {
-        lasers.push({
-          startX: spaceship.x,
-          startY: spaceship.y,
-          targetX: matchedNote.x,
-          targetY: noteY,
-          startTime: Date.now(),
-          duration: 300
-        });
-        
-        explosions.push({
-          x: matchedNote.x,
-          y: noteY,
-          size: 50,
-          startTime: Date.now(),
-          duration: 400,
-          frames: generateExplosionFrames(),
-          currentFrameIndex: 0
-        });
-      }
-      
-      // Remove the single note
-      movingNotes.splice(matchedIndex, 1);
-      
-      // Spawn next note with transition delay awareness
-      forceSpawnNoteWithTransitionDelay(false); // Current note was not a chord
-      
-      feedback.textContent = `Correct! The note was ${matchedNote.note}`;
-      feedback.style.color = '#00ff00';
-      feedback.style.fontSize = '16px';
-      
-      // Play sound effects
-      playSound('laser');
-      setTimeout(() => playSound('meteorExplosion'), 100);
-    }
-    
-    // Check for level progression
-    let canAdvanceLevel = false;
-    
-    if (pianoModeActive && isDualClefMode()) {
-      // Piano Mode: level up when all active hands reach level 10
-      const leftHandActive = pianoModeSettings.leftHand !== 'none';
-      const rightHandActive = pianoModeSettings.rightHand !== 'none';
-      
-      if (leftHandActive && rightHandActive) {
-        // Both hands active - need both to reach 10
-        if (leftHandScore >= 10 && rightHandScore >= 10) {
-          canAdvanceLevel = true;
-          // Reset hand scores for next level
-          leftHandScore = 0;
-          rightHandScore = 0;
-          feedback.textContent = `Level ${level + 1}! Both hands mastered!`;
-        } else {
-          // Show progress for both hands with waiting feedback
-          let progressText = `Left: ${leftHandScore}/10, Right: ${rightHandScore}/10`;
-          if (leftHandScore >= 10) {
-            progressText = `🏆 Left hand ready! Right: ${rightHandScore}/10`;
-          } else if (rightHandScore >= 10) {
-            progressText = `Left: ${leftHandScore}/10 🏆 Right hand ready!`;
-          }
-          feedback.textContent = progressText;
-        }
-      } else if (leftHandActive && !rightHandActive) {
-        // Only left hand active
-        if (leftHandScore >= 10) {
-          canAdvanceLevel = true;
-          leftHandScore = 0;
-          feedback.textContent = `Level ${level + 1}! Left hand mastered!`;
-        } else {
-          feedback.textContent = `Left Hand: ${leftHandScore}/10`;
-        }
-      } else if (!leftHandActive && rightHandActive) {
-        // Only right hand active
-        if (rightHandScore >= 10) {
-          canAdvanceLevel = true;
-          rightHandScore = 0;
-          feedback.textContent = `Level ${level + 1}! Right hand mastered!`;
-        } else {
-          feedback.textContent = `Right Hand: ${rightHandScore}/10`;
-        }
-      } else {
-        // Neither hand active - fallback to normal scoring
-        if (correctAnswers >= 10) {
-          canAdvanceLevel = true;
-        }
-      }
-    } else {
-      // Normal mode: every 10 correct answers
-      if (correctAnswers >= 10) {
-        canAdvanceLevel = true;
-      }
-    }
+  
+  // Add additional notes within the octave range
+  const usedIndices = new Set([baseIndex]);
+  
+  for (let i = 1; i < actualChordSize; i++) {
+    let attempts = 0;
+    let foundNote = false;
     
-    if (canAdvanceLevel) {
-      level++;
-      correctAnswers = 0;
-      
-      // Clear all notes on screen when advancing to new level
-      movingNotes = [];
-      
-      // Show level popup
-      showLevelPopup(level);
+    // Try to find notes within the octave range
+    while (attempts < 50 && !foundNote) { // Prevent infinite loops
+      const candidateIndex = Math.floor(gameRandom() * sortedNotes.length);
       
-      if (!pianoModeActive || currentClef !== 'grand') {
-        feedback.textContent = `Level ${level}! Speed increased!`;
+      if (usedIndices.has(candidateIndex)) {
+        attempts++;
+        continue;
       }
-      feedback.style.color = '#ffff00';
       
-      // Update music layers for the new level
-      updateMusicForLevel(level);
+      const candidateNote = sortedNotes[candidateIndex];
+      const candidatePitch = candidateNote.midi;
+      const pitchDiff = Math.abs(candidatePitch - basePitch);
       
-      // Bonus life at level 4 and 8
-      if (level === 4 || level === 8) {
-        if (lives < 3) { // Only add life if below max
-          lives++;
-          feedback.textContent = `Level ${level}! Bonus life gained!`;
-          updateLifeDisplay();
-        }
-      }
-    }
-    
-  } else {
-    // Wrong answer - no matching note found
-    
-    // Check for chord mode forgiveness window
-    const currentTime = Date.now();
-    let shouldCountError = true;
-    let isChordError = false;
-    
-    // Check if we're in a chord and within the forgiveness window
-    if (movingNotes.some(note => note.isChord)) {
-      isChordError = true;
+      // Two spellings of one staff position (e.g. F and F#) can't share a chord
+      const positionTaken = selectedNotes.some(note => note.staffLocalIndex === candidateNote.staffLocalIndex);
       
-      // Check if we're within the 150ms forgiveness window
-      if (currentTime - chordWrongNoteWindow.lastWrongNoteTime < chordWrongNoteWindow.windowDuration) {
-        // Within window - don't count as additional error if we already counted one
-        if (chordWrongNoteWindow.hasCountedError) {
-          shouldCountError = false;
-        }
-      } else {
-        // Outside window or first error - reset tracking
-        chordWrongNoteWindow.hasCountedError = false;
+      // Accept notes within an octave range
+      if (pitchDiff <= maxSpread && !positionTaken) {
+        selectedNotes.push(candidateNote);
+        usedIndices.add(candidateIndex);
+        foundNote = true;
       }
       
-      // Update tracking
-      chordWrongNoteWindow.lastWrongNoteTime = currentTime;
-      if (shouldCountError) {
-        chordWrongNoteWindow.hasCountedError = true;
-      }
-    } else {
-      // Current note is melody - check if previous note was chord for extended forgiveness
-      if (previousNoteType === 'chord') {
-        // Apply chord forgiveness window to melody notes that follow chords
-        if (currentTime - chordWrongNoteWindow.lastWrongNoteTime < chordWrongNoteWindow.windowDuration) {
-          // Within window - don't count as additional error if we already counted one
-          if (chordWrongNoteWindow.hasCountedError) {
-            shouldCountError = false;
-          }
-        } else {
-          // Outside window or first error - reset tracking
-          chordWrongNoteWindow.hasCountedError = false;
-        }
-        
-        // Update tracking for melody notes following chords
-        chordWrongNoteWindow.lastWrongNoteTime = currentTime;
-        if (shouldCountError) {
-          chordWrongNoteWindow.hasCountedError = true;
-        }
-      }
+      attempts++;
     }
     
-    // Find the leftmost note to destroy (respecting clef boundaries in hard mode)
-    let leftmostNoteToDestroy = null;
-    let minNoteDistance = Infinity;
-    
-    // Find the leftmost note respecting hand boundaries in piano mode
-    movingNotes.forEach((note, index) => {
-      // In hard mode with target clef specified, only consider notes from that specific clef
-      if (pianoModeActive && pianoModeSettings.hardMode && targetClef) {
-        if (note.clef !== targetClef) {
-          return; // Skip notes from other clefs in hard mode
-        }
-      }
-      // In piano mode, check if this note belongs to an active hand
-      else if (pianoModeActive && isDualClefMode()) {
-        const leftHandActive = pianoModeSettings.leftHand !== 'none';
-        const rightHandActive = pianoModeSettings.rightHand !== 'none';
-        
-        // Only consider notes from clefs that have active hands
-        const noteIsFromActiveHand = 
-          (note.clef === 'bass' && leftHandActive) || 
-          (note.clef === 'treble' && rightHandActive);
-        
-        if (!noteIsFromActiveHand) {
-          return; // Skip notes from inactive hands
-        }
-      }
-      
-      // Find the leftmost note regardless of type (chord or single)
-      if (note.x < minNoteDistance) {
-        minNoteDistance = note.x;
-        leftmostNoteToDestroy = note;
-      }
-    });
-    
-    // Destroy the leftmost note if found
-    if (leftmostNoteToDestroy) {
-      if (leftmostNoteToDestroy.isChord) {
-        // For chords: destroy the entire chord
-        const chordId = leftmostNoteToDestroy.chordId;
-        const affectedClef = leftmostNoteToDestroy.clef;
-        
-        // Remove all notes in this chord
-        for (let i = movingNotes.length - 1; i >= 0; i--) {
-          if (movingNotes[i].isChord && movingNotes[i].chordId === chordId) {
-            movingNotes.splice(i, 1);
-          }
-        }
-        
-        // Reset chord progress for this chord
-        chordProgress.delete(chordId);
-        
-        // Update feedback based on forgiveness
-        if (shouldCountError) {
-          feedback.textContent = `Wrong note! Chord deleted for ${affectedClef} clef.`;
-        } else {
-          feedback.textContent = `Wrong note in chord (still learning)`;
-        }
-        feedback.style.color = '#d0021b';
-        feedback.style.fontSize = '16px';
-      } else {
-        // Single note - destroy immediately
-        const noteIndex = movingNotes.indexOf(leftmostNoteToDestroy);
-        if (noteIndex !== -1) {
-          movingNotes.splice(noteIndex, 1);
+    // If we couldn't find a note in range, just pick the next available note
+    if (!foundNote && usedIndices.size < sortedNotes.length) {
+      for (let j = 0; j < sortedNotes.length; j++) {
+        const positionTaken = selectedNotes.some(note => note.staffLocalIndex === sortedNotes[j].staffLocalIndex);
+        if (!usedIndices.has(j) && !positionTaken) {
+          selectedNotes.push(sortedNotes[j]);
+          usedIndices.add(j);
+          break;
         }
-        
-        feedback.textContent = `Wrong note! Note deleted. The note was ${leftmostNoteToDestroy.note}`;
-        feedback.style.color = '#d0021b';
-        feedback.style.fontSize = '16px';
-      }
-      
-      // Spawn next note with transition delay awareness
-      if (isChordError) {
-        forceSpawnNoteWithTransitionDelay(true); // Current note was a chord
-      } else {
-        forceSpawnNoteWithTransitionDelay(false); // Current note was melody
       }
     }
-    
-    // Only decrement lives if we should count this error
-    if (shouldCountError) {
-      lives--;
-      
-      // Add light shake effect for wrong answer
-      triggerShake(3, 200); // Light intensity, short duration
-    }
-    
-    // Add randomized explosion at appropriate clef position
-    let clefX = 35; // Default fallback  
-    let clefY = canvas.height * 0.2 + 60; // Default fallback
+  }
+  
+  // Sort final selected notes by pitch (lowest to highest) for better visual presentation
+  selectedNotes.sort((a, b) => a.midi - b.midi);
+  
+  // Return an array of notes instead of a single note
+  return selectedNotes;
+}
 
-    // Get dynamic clef position based on the note's clef (for grand staff) or current staff
-    if (isDualClefMode() && leftmostNote) {
-      // For grand staff, use the clef that corresponds to the wrong note
-      if (leftmostNote.clef === 'treble' && currentTrebleStave) {
-        clefX = currentTrebleStave.clefX;
-        clefY = currentTrebleStave.clefY;
-      } else if (leftmostNote.clef === 'bass' && currentBassStave) {
-        clefX = currentBassStave.clefX;
-        clefY = currentBassStave.clefY;
-      }
-    } else {
-      if (currentClef === 'treble' && currentTrebleStave) {
-        clefX = currentTrebleStave.clefX;
-        clefY = currentTrebleStave.clefY;
-      } else if (currentClef === 'bass' && currentBassStave) {
-        clefX = currentBassStave.clefX;
-        clefY = currentBassStave.clefY;
-      }
+// Player whose settings and scores are in use ({ id, name, avatar }, managed in the menu), or null
+function getActiveProfile() {
+  const saved = localStorage.getItem('noteGameProfiles');
+  if (!saved) return null;
+  
+  try {
+    const profiles = JSON.parse(saved);
+    return profiles.profiles.find(p => p.id === profiles.activeId) || null;
+  } catch (e) {
+    console.warn('Could not load player profiles:', e);
+    return null;
+  }
+}
+
+function updateProfileDisplay() {
+  const profileDisplay = document.getElementById('profileDisplay');
+  const profile = getActiveProfile();
+  if (profileDisplay && profile) {
+    profileDisplay.textContent = profile.avatar ? `${profile.avatar} ${profile.name}` : profile.name;
+    profileDisplay.style.display = 'block';
+  }
+}
+
+// Update clef display in game
+function updateClefDisplay() {
+  const clefDisplay = document.getElementById('clefDisplay');
+  if (clefDisplay) {
+    const clefNames = {
+      ...Object.fromEntries(Object.entries(CLEFS).map(([clef, def]) => [clef, def.name])),
+      'grand': 'Grand Stave',
+      'hardMode': 'Bass & Treble (Hard Mode)'
+    };
+    clefDisplay.textContent = `Clef selected: ${clefNames[currentClef]}`;
+    if (currentKeySignature !== 'C') {
+      clefDisplay.textContent += ` | Key: ${KEY_SIGNATURES[currentKeySignature].name}`;
+    }
+    if (scorePractice) {
+      clefDisplay.textContent += ` | Piece: ${scorePractice.title}`;
+    }
+    if (intervalModeActive) {
+      clefDisplay.textContent += ' | Intervals';
+    }
+    if (earTrainingActive) {
+      clefDisplay.textContent += ' | Ear training';
+    }
+    if (dynamicsModeActive) {
+      clefDisplay.textContent += ' | Dynamics';
+    }
+    if (heldNotesActive) {
+      clefDisplay.textContent += ' | Held notes';
+    }
+    if (adaptivePracticeActive && !scorePractice) {
+      clefDisplay.textContent += ' | Adaptive';
+    }
+    if (dailyChallenge) {
+      clefDisplay.textContent += ` | Daily Challenge ${dailyChallenge.date}`;
+    } else if (gameSeed) {
+      clefDisplay.textContent += ` | Seed: ${gameSeed}`;
     }
     
-    createClefExplosion(clefX, clefY, 65, 500);
-    
-    // Flash screen red
-    flashEffect.active = true;
-    flashEffect.startTime = Date.now();
-    
-    playSound('explosionLoseLive');
-    updateLifeDisplay();
-    
-    // Don't immediately spawn a new note - let the current one finish flashing
-    
-    if (lives <= 0) {
-      gameOver();
+    // Show/hide hard mode help text based on current clef
+    const hardModeHelp = document.getElementById('hardModeHelp');
+    if (hardModeHelp) {
+      hardModeHelp.style.display = (currentClef === 'hardMode') ? 'block' : 'none';
     }
   }
   
-  // Update displays
-  scoreDisplay.textContent = `Score: ${score}`;
-  notesDestroyedDisplay.textContent = `Notes Destroyed: ${notesDestroyed}`;
+  // Update hand score visibility when clef changes
+  updateHandScoreVisibility();
+}
+
+// Initialize game
+async function initializeGame() {
+  // Settings are already loaded by loadGameSettings() before this function is called
+  startEngine();
+  
+  // Update clef selector if it exists
+  if (clefSelect) {
+    clefSelect.value = currentClef;
+  }
+  
+  // Update clef display
+  updateClefDisplay();
+  
+  // Load images
+  await loadImages();
+  
+  // Initialize canvas size
+  resizeCanvas();
+  
+  // Start layered background music system (all tracks start muted)
+  if (gameSettings.music) {
+    await startAllMusicTracks();
+    updateMusicForLevel(engine.level);
+  }
+  
+  // Initialize display values
+  updateLifeDisplay();
+  updateDisplays();
+  updateHandScoreVisibility(); // Initialize hand score display visibility
+  updateRhythmStatsDisplay();
+  
+  gameInitialized = true;
+  
+  // The game starts now: loading time does not count, and the staves exist before the first note
+  gameStartTime = gameClock();
+  lastFrameClock = gameStartTime;
+  startSessionRecording(seedGameRandom());
+  drawStaff(currentClef);
+  
+  if (replay) {
+    scheduleReplayFrame(); // A replay plays its frames at the recorded pace
+  } else {
+    gameLoop();
+  }
+}
+
+// Main game loop
+function gameLoop() {
+  if (gameRunning && !gamePaused) {
+    updateGameFrame();
+    animationFrameId = requestAnimationFrame(gameLoop);
+  }
+}
+
+// One frame of the game, also played by replays at the recorded times
+function updateGameFrame() {
+  recordSessionFrame();
+  
+  const now = gameClock();
+  if (!rhythmModeActive) {
+    engine.tick(now - lastFrameClock); // Rhythm notes are placed by the metronome's beat, not stepped
+  }
+  lastFrameClock = now;
+  
+  if (rhythmModeActive) {
+    updateRhythmMode();
+  }
+  updateSpaceship();
+  updateExplosions();
+  updateMidiKeyLights();
+  if (assignment) {
+    updateAssignmentTimer();
+  }
+  
+  drawStaff(currentClef); // Staves are first created before the first frame (initializeGame)
+}
+
+// Handle note input directly from keyboard
+// hasKeyUp: a key-up (handleNoteRelease) will follow; buttons have none
+async function handleNoteInput(userNote, timestamp = performance.now(), hasKeyUp = false) {
+  if (!gameRunning || gamePaused) return;
+  
+  // Try to start music on first interaction
+  await tryStartMusic();
+  
+  if (!userNote) return;
+  
+  // For Piano Mode, use more specific note matching
+  await handleNoteInputWithOctave(userNote, null, null, timestamp, null, hasKeyUp); // No octave info from keyboard, no target clef
+}
+
+// Enhanced note input handler with octave support for Piano Mode
+// timestamp (performance.now() time base, e.g. a MIDI event timeStamp) is used to judge rhythm mode onsets
+// velocity: the calibrated MIDI velocity, or null for input without one (a miss in dynamics mode)
+// hasKeyUp: a key-up will follow (keyboard, MIDI); held notes answered without one are held in time
+async function handleNoteInputWithOctave(userNote, userOctave, targetClef, timestamp = performance.now(), velocity = null, hasKeyUp = false) {
+  if (!gameRunning || gamePaused || isLiveInputBlocked()) return;
+  recordSessionEvent('note', userNote, userOctave, targetClef, velocity, hasKeyUp);
+  
+  if (rhythmModeActive) {
+    handleRhythmInput(userNote, userOctave, timestamp);
+    return;
+  }
+  
+  engine.input(userNote, userOctave, targetClef, velocity, hasKeyUp);
+  updateDisplays();
 }
 
 // Helper function to update score displays
 function updateDisplays() {
-  scoreDisplay.textContent = `Score: ${score}`;
-  notesDestroyedDisplay.textContent = `Notes Destroyed: ${notesDestroyed}`;
+  if (!engine) return;
+  scoreDisplay.textContent = `Score: ${engine.score}`;
+  notesDestroyedDisplay.textContent = `Notes Destroyed: ${engine.notesDestroyed}`;
   
   // Update hand scores if Piano Mode is active
   if (pianoModeActive && isDualClefMode()) {
-    leftHandDisplay.textContent = `Left Hand: ${leftHandScore}`;
-    rightHandDisplay.textContent = `Right Hand: ${rightHandScore}`;
+    leftHandDisplay.textContent = `Left Hand: ${engine.handScores.left}`;
+    rightHandDisplay.textContent = `Right Hand: ${engine.handScores.right}`;
   }
 }
 
@@ -2705,19 +4208,90 @@ function updateHandScoreVisibility() {
   leftHandDisplay.style.display = showHandScores ? 'block' : 'none';
   rightHandDisplay.style.display = showHandScores ? 'block' : 'none';
   
-  if (showHandScores) {
-    leftHandDisplay.textContent = `Left Hand: ${leftHandScore}`;
-    rightHandDisplay.textContent = `Right Hand: ${rightHandScore}`;
+  if (showHandScores && engine) {
+    leftHandDisplay.textContent = `Left Hand: ${engine.handScores.left}`;
+    rightHandDisplay.textContent = `Right Hand: ${engine.handScores.right}`;
+  }
+}
+
+// Select the one-shot accidental from the on-screen accidental buttons (null clears it)
+function setSelectedAccidental(accidental) {
+  selectedAccidental = accidental;
+  document.querySelectorAll('.accidental-btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.accidental === accidental);
+  });
+}
+
+// Turn a letter input into a note name using the active accidental modifier
+function applyInputAccidental(letter) {
+  const accidental = heldAccidental || selectedAccidental;
+  if (selectedAccidental) {
+    setSelectedAccidental(null); // Button toggles only apply to the next note
+  }
+  return buildNoteName(letter, accidental === 'natural' ? null : accidental);
+}
+
+// Show the accidental buttons when accidentals or a key signature are part of the game
+function updateAccidentalButtonsVisibility() {
+  const accidentalButtons = document.getElementById('accidentalButtons');
+  if (accidentalButtons) {
+    const needsAccidentals = includeAccidentals || currentKeySignature !== 'C';
+    accidentalButtons.style.display = needsAccidentals ? 'flex' : 'none';
   }
 }
 
 // Add keyboard listener for direct letter input
 document.addEventListener('keydown', function(e) {
-  if (!gameRunning) return;
+  if (!gameRunning || isLiveInputBlocked()) return;
+  
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    togglePause();
+    return;
+  }
+  if (gamePaused) return;
+  
+  // Rhythm mode: the first key press starts the metronome, spacebar taps the rhythm without a pitch
+  if (rhythmModeActive) {
+    resumeRhythmClock();
+    if (e.key === ' ') {
+      e.preventDefault();
+      if (!e.repeat) handleRhythmInput(null, null, e.timeStamp);
+      return;
+    }
+  }
+  
+  // Ear training: spacebar plays the next note again
+  if (earTrainingActive && e.key === ' ') {
+    e.preventDefault();
+    if (!e.repeat) hearAgain();
+    return;
+  }
+  
+  // Interval mode: number keys 2-8 answer (8 = octave), m/M/p/a/d pick the quality
+  if (intervalModeActive) {
+    if (/^[2-8]$/.test(e.key)) {
+      handleIntervalInput(parseInt(e.key, 10));
+    } else if (INTERVAL_QUALITY_KEYS[e.key]) {
+      const quality = INTERVAL_QUALITY_KEYS[e.key];
+      setSelectedIntervalQuality(selectedIntervalQuality === quality ? null : quality);
+    }
+    return;
+  }
+  
+  // Hold ArrowUp for sharp or ArrowDown for flat while pressing a letter
+  if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+    heldAccidental = e.key === 'ArrowUp' ? 'sharp' : 'flat';
+    e.preventDefault();
+    return;
+  }
   
   // Check if it's a letter A-G (case insensitive)
   const key = e.key.toUpperCase();
   if (key.match(/^[A-G]$/)) {
+    if (heldNotesActive && e.repeat) return; // Held notes: a key held down is not pressed again
+    const noteName = applyInputAccidental(key);
+    
     // In hard mode, allow modifier keys to specify target clef
     if (pianoModeActive && pianoModeSettings.hardMode) {
       let targetClef = null;
@@ -2728,26 +4302,81 @@ document.addEventListener('keydown', function(e) {
       }
       // If no modifier keys, don't process input (user must be explicit)
       if (targetClef) {
-        handleNoteInputWithOctave(key, null, targetClef);
+        handleNoteInputWithOctave(noteName, null, targetClef, e.timeStamp, null, true);
       }
     } else {
       // Normal mode - use regular input handling
-      handleNoteInput(key);
+      handleNoteInput(noteName, e.timeStamp, true);
     }
   }
 });
 
+document.addEventListener('keyup', function(e) {
+  if ((e.key === 'ArrowUp' && heldAccidental === 'sharp') || (e.key === 'ArrowDown' && heldAccidental === 'flat')) {
+    heldAccidental = null;
+  }
+  
+  // Held notes: letting go of a letter lets go of the note it is holding
+  const key = e.key.toUpperCase();
+  if (heldNotesActive && key.match(/^[A-G]$/)) {
+    handleNoteRelease(key);
+  }
+});
+
 // Restart button handler
 if (restartBtn) {
   restartBtn.onclick = restartGame;
 }
 
+const downloadRecordBtn = document.getElementById('downloadRecordBtn');
+if (downloadRecordBtn) {
+  downloadRecordBtn.onclick = downloadAssignmentRecord;
+}
+
+const downloadReplayBtn = document.getElementById('downloadReplayBtn');
+if (downloadReplayBtn) {
+  downloadReplayBtn.onclick = downloadReplay;
+}
+
+document.querySelectorAll('.replay-speed-btn').forEach(button => {
+  button.addEventListener('click', function() {
+    setReplaySpeed(this.dataset.speed);
+  });
+});
+
+const pauseBtn = document.getElementById('pauseBtn');
+if (pauseBtn) {
+  pauseBtn.onclick = () => pauseGame();
+}
+document.getElementById('resumeBtn').onclick = resumeGame;
+document.getElementById('pauseRestartBtn').onclick = restartGame;
+document.getElementById('pauseMenuBtn').onclick = () => {
+  window.location.href = 'menu.html';
+};
+
+// Pause when the player switches to another tab or window
+document.addEventListener('visibilitychange', function() {
+  if (document.hidden) {
+    pauseGame('The game paused while you were away');
+  }
+});
+
+// Available to the MIDI integration (pause pedal, disconnected keyboard)
+window.pauseGame = pauseGame;
+window.togglePause = togglePause;
+
+// Keep a game left for the menu half way, so that it can still be watched
+window.addEventListener('pagehide', function() {
+  if (gameRunning) {
+    finishSessionRecording();
+  }
+});
+
 if (clefSelect) {
   clefSelect.onchange = function () {
     if (!gameRunning) {
       currentClef = clefSelect.value;
-      // Clear existing notes and meteors when changing clef
-      movingNotes = [];
+      // Clear existing meteors when changing clef (the next game starts with no notes)
       meteors = [];
       
       // Update clef display
@@ -2768,7 +4397,14 @@ if (clefSelect) {
 
 window.onload = function () {
   // Load settings first
+  loadReplay();
   loadGameSettings();
+  loadDailyChallenge();
+  loadAssignment();
+  loadScorePractice();
+  loadNoteRange();
+  loadAdaptiveModel();
+  loadAttemptLog();
   
   // Hide MIDI-related elements on mobile devices
   if (/Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent)) {
@@ -2782,6 +4418,8 @@ window.onload = function () {
   
   // Update clef display after DOM is ready
   updateClefDisplay();
+  updateProfileDisplay();
+  updateAssignmentDisplay();
   
   // Initialize audio controls
   const musicVolume = document.getElementById('musicVolume');
@@ -2790,34 +4428,16 @@ window.onload = function () {
   const effectsToggle = document.getElementById('effectsToggle');
   
   if (musicVolume) {
-    musicVolume.addEventListener('input', function() {
-      // Update volume for all active music tracks
-      updateMusicForLevel(level);
-    });
+    musicVolume.addEventListener('input', updateBusVolumes);
   }
   
   if (effectsVolume) {
-    effectsVolume.addEventListener('input', function() {
-      const volume = parseFloat(this.value);
-      Object.keys(audioFiles).forEach(key => {
-        if (!key.includes('musicLevel')) {
-          audioFiles[key].volume = volume;
-        }
-      });
-    });
+    effectsVolume.addEventListener('input', updateBusVolumes);
   }
   
   if (musicToggle) {
-    musicToggle.addEventListener('click', async function() {
-      gameSettings.music = !gameSettings.music;
-      if (gameSettings.music) {
-        await startAllMusicTracks();
-        updateMusicForLevel(level);
-        this.textContent = '🎵';
-      } else {
-        stopBackgroundMusic();
-        this.textContent = '🔇';
-      }
+    musicToggle.addEventListener('click', function() {
+      toggleMusic(this);
     });
   }
   
@@ -2828,10 +4448,40 @@ window.onload = function () {
     });
   }
   
+  // Accidental buttons toggle the accidental for the next pitch button or letter key
+  updateAccidentalButtonsVisibility();
+  document.querySelectorAll('.accidental-btn').forEach(button => {
+    button.addEventListener('click', function() {
+      const accidental = this.dataset.accidental;
+      setSelectedAccidental(selectedAccidental === accidental ? null : accidental);
+    });
+  });
+  
+  // Interval buttons replace the pitch buttons in interval mode
+  updateIntervalButtonsVisibility();
+  document.querySelectorAll('.interval-quality-btn').forEach(button => {
+    button.addEventListener('click', function() {
+      const quality = this.dataset.quality;
+      setSelectedIntervalQuality(selectedIntervalQuality === quality ? null : quality);
+    });
+  });
+  document.querySelectorAll('.interval-btn').forEach(button => {
+    button.addEventListener('click', function() {
+      handleIntervalInput(parseInt(this.dataset.interval, 10));
+    });
+  });
+  
+  // Ear training: play the next note again
+  const hearAgainBtn = document.getElementById('hearAgainBtn');
+  if (hearAgainBtn) {
+    hearAgainBtn.style.display = earTrainingActive ? '' : 'none';
+    hearAgainBtn.addEventListener('click', hearAgain);
+  }
+  
   // Add click event listeners for pitch buttons
   document.querySelectorAll('.pitch-btn').forEach(button => {
     button.addEventListener('click', function(e) {
-      const note = this.dataset.note;
+      const note = applyInputAccidental(this.dataset.note);
       
       // In hard mode, check for modifier keys to specify target clef
       if (pianoModeActive && pianoModeSettings.hardMode) {
@@ -2847,7 +4497,7 @@ window.onload = function () {
         }
       } else {
         // Normal mode - use regular input handling
-        handleNoteInput(note);
+        handleNoteInput(note, e.timeStamp);
       }
       
       // Visual feedback on button press - blue to white to blue
@@ -2860,15 +4510,6 @@ window.onload = function () {
     });
   });
   
-  // Load ledger line setting from localStorage (set in menu)
-  const savedSettings = localStorage.getItem('noteGameSettings');
-  if (savedSettings) {
-    const settings = JSON.parse(savedSettings);
-    if (settings.ledgerLines !== undefined) {
-      maxLedgerLines = settings.ledgerLines;
-    }
-  }
-  
   // Set up MIDI device selector
   const midiDeviceSelector = document.getElementById('midiDeviceSelector');
   if (midiDeviceSelector) {
@@ -0,0 +1,110 @@
+/**
+ * Teacher Assignments for Menu Page
+ * Loads an assignment file, locks the menu options it sets and starts the game
+ */
+
+import { Assignment } from './assignment-types.js';
+import {
+  describeAssignment,
+  leaveAssignment,
+  loadActiveAssignment,
+  loadAssignmentRecords,
+  parseAssignment,
+  startAssignment
+} from './assignment-utils.js';
+
+// Menu sections whose options an assignment sets
+const LOCKED_SECTIONS = ['.staff-selection-section', '.ledger-dropdown-section', '.piano-mode-control'];
+
+/**
+ * Show the loaded assignment and lock (or unlock) the options it controls
+ */
+function updateAssignmentUI(assignment: Assignment | null): void {
+  const status = document.getElementById('assignmentStatus');
+  if (status) {
+    status.textContent = assignment ? `📋 ${assignment.title}: ${describeAssignment(assignment)}` : 'None loaded';
+    status.className = assignment ? 'score-status loaded' : 'score-status';
+  }
+
+  const leaveButton = document.getElementById('leaveAssignmentBtn');
+  if (leaveButton) {
+    leaveButton.style.display = assignment ? '' : 'none';
+  }
+
+  const resultsButton = document.getElementById('downloadAssignmentResultsBtn');
+  if (resultsButton) {
+    resultsButton.style.display = loadAssignmentRecords().length > 0 ? '' : 'none';
+  }
+
+  LOCKED_SECTIONS.forEach(selector => {
+    const section = document.querySelector(selector) as HTMLElement | null;
+    if (section) {
+      section.inert = assignment !== null;
+      section.classList.toggle('assignment-locked', assignment !== null);
+    }
+  });
+}
+
+function showAssignmentError(message: string): void {
+  const status = document.getElementById('assignmentStatus');
+  if (status) {
+    status.textContent = message;
+    status.className = 'score-status error';
+  }
+}
+
+/**
+ * Download every completion record for the teacher
+ */
+function downloadAssignmentResults(): void {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(loadAssignmentRecords(), null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `stave-wars-assignment-results-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function initializeAssignmentMenuIntegration(): void {
+  updateAssignmentUI(loadActiveAssignment());
+
+  const fileInput = document.getElementById('assignmentFileInput') as HTMLInputElement;
+  if (fileInput) {
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+
+      try {
+        const assignment = parseAssignment(await file.text());
+        startAssignment(assignment);
+        window.location.href = 'game.html';
+      } catch (error) {
+        showAssignmentError((error as Error).message);
+      }
+      fileInput.value = ''; // Allow choosing the same file again
+    });
+  }
+
+  const leaveButton = document.getElementById('leaveAssignmentBtn');
+  if (leaveButton) {
+    leaveButton.addEventListener('click', () => {
+      leaveAssignment();
+      // The menu holds the assignment's settings in memory, so load the player's own afresh
+      window.location.reload();
+    });
+  }
+
+  const resultsButton = document.getElementById('downloadAssignmentResultsBtn');
+  if (resultsButton) {
+    resultsButton.addEventListener('click', downloadAssignmentResults);
+  }
+}
+
+// Auto-initialize when script loads
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeAssignmentMenuIntegration);
+} else {
+  initializeAssignmentMenuIntegration();
+}
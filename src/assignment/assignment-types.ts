@@ -0,0 +1,56 @@
+/**
+ * TypeScript type definitions for teacher assignments
+ */
+
+export type AssignmentMode = 'notes' | 'intervals' | 'rhythm' | 'ear';
+
+export type HandRole = 'none' | 'melody' | 'chords';
+
+/**
+ * Assignment file written by a teacher (JSON)
+ */
+export interface Assignment {
+  format: string;             // ASSIGNMENT_FORMAT
+  version: number;
+  title: string;
+  clef: string;               // Ignored in Piano Mode, which uses the grand staff
+  notes: string[] | null;     // Explicit note pool ('F#4'); null for every note within the ledger range
+  ledgerLines: number;        // 0-4 ledger lines each side
+  keySignature: string;       // Major tonic, as in the menu ('Bb')
+  accidentals: boolean;       // Sharps and flats (always on with a note pool that has them)
+  mode: AssignmentMode;
+  intervalStyle?: 'harmonic' | 'melodic' | 'both';
+  timeSignature?: string;     // Rhythm mode
+  tempo?: number;             // Rhythm mode
+  pianoMode: {
+    leftHand: HandRole;
+    rightHand: HandRole;
+    strictMode: boolean;
+    hardMode: boolean;
+  } | null;
+  goal: {
+    correctNotes: number | null; // Session ends once reached
+    accuracy: number | null;     // Percentage needed to pass
+  };
+  timeLimitSeconds: number | null;
+  seed: string | null;        // Same notes, in the same order, for every student
+}
+
+/**
+ * Result of one attempt at an assignment, written by the game (localStorage 'noteGameAssignmentResults')
+ */
+export interface AssignmentRecord {
+  format: string;             // ASSIGNMENT_RECORD_FORMAT
+  assignment: string;         // Title
+  player: string | null;      // Active profile
+  startedAt: string;          // ISO dates
+  finishedAt: string;
+  seconds: number;
+  correct: number;
+  attempts: number;
+  accuracy: number;           // Percentage
+  goal: Assignment['goal'];
+  timeLimitSeconds: number | null;
+  goalMet: boolean;
+  reason: 'goal' | 'time' | 'lives';
+}
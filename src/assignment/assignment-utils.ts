@@ -0,0 +1,308 @@
+/**
+ * Assignment Utility Functions
+ * Reads teacher assignment files and swaps the player's settings for the assignment's while it is loaded
+ */
+
+import { Assignment, AssignmentMode, AssignmentRecord, HandRole } from './assignment-types.js';
+
+export const ASSIGNMENT_FORMAT = 'stave-wars-assignment';
+export const ASSIGNMENT_VERSION = 1;
+export const ASSIGNMENT_RECORD_FORMAT = 'stave-wars-assignment-record';
+
+// localStorage keys (script.js reads the first and writes the last)
+export const ASSIGNMENT_STORAGE_KEY = 'noteGameAssignment';
+export const ASSIGNMENT_SAVED_SETTINGS_KEY = 'noteGameAssignmentSavedSettings';
+export const ASSIGNMENT_RECORDS_KEY = 'noteGameAssignmentResults';
+
+// Settings an assignment replaces, restored when it is left
+const SETTINGS_KEYS = ['noteGameSettings', 'pianoModeSettings'];
+
+// Values the menu offers (see menu.html)
+const CLEFS = ['treble', 'bass', 'alto', 'tenor', 'soprano', 'mezzoSoprano', 'baritone', 'grand'];
+const KEY_SIGNATURES = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb'];
+const MODES: AssignmentMode[] = ['notes', 'intervals', 'rhythm', 'ear'];
+const HAND_ROLES: HandRole[] = ['none', 'melody', 'chords'];
+const INTERVAL_STYLES = ['harmonic', 'melodic', 'both'];
+const TIME_SIGNATURES = ['2/4', '3/4', '4/4', '6/8'];
+const MAX_LEDGER_LINES = 4;
+const MAX_SEED_LENGTH = 32; // As the menu's seed field
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// A whole number in range, the default when absent, or an error naming the field
+function readInteger(value: unknown, field: string, min: number, max: number, defaultValue: number | null): number | null {
+  if (value === undefined || value === null) return defaultValue;
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`"${field}" must be a whole number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+function readChoice<T extends string>(value: unknown, field: string, choices: readonly T[], defaultValue: T): T {
+  if (value === undefined || value === null) return defaultValue;
+  if (!choices.includes(value as T)) {
+    throw new Error(`"${field}" must be one of: ${choices.join(', ')}`);
+  }
+  return value as T;
+}
+
+function readBoolean(value: unknown, field: string, defaultValue: boolean): boolean {
+  if (value === undefined || value === null) return defaultValue;
+  if (typeof value !== 'boolean') {
+    throw new Error(`"${field}" must be true or false`);
+  }
+  return value;
+}
+
+/**
+ * Read an assignment file, filling in defaults. Throws with a message for the teacher if anything is wrong
+ */
+export function parseAssignment(text: string): Assignment {
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not a Stave Wars assignment');
+  }
+  if (!isPlainObject(value) || value.format !== ASSIGNMENT_FORMAT) {
+    throw new Error('This file is not a Stave Wars assignment');
+  }
+  if (typeof value.version !== 'number' || value.version > ASSIGNMENT_VERSION) {
+    throw new Error('This assignment was made for a newer version of the game');
+  }
+
+  let pianoMode: Assignment['pianoMode'] = null;
+  if (value.pianoMode !== undefined && value.pianoMode !== null) {
+    if (!isPlainObject(value.pianoMode)) {
+      throw new Error('"pianoMode" must be an object with leftHand and rightHand');
+    }
+    pianoMode = {
+      leftHand: readChoice(value.pianoMode.leftHand, 'pianoMode.leftHand', HAND_ROLES, 'none'),
+      rightHand: readChoice(value.pianoMode.rightHand, 'pianoMode.rightHand', HAND_ROLES, 'none'),
+      strictMode: readBoolean(value.pianoMode.strictMode, 'pianoMode.strictMode', false),
+      hardMode: readBoolean(value.pianoMode.hardMode, 'pianoMode.hardMode', false)
+    };
+    if (pianoMode.leftHand === 'none' && pianoMode.rightHand === 'none') {
+      throw new Error('"pianoMode" needs a role for at least one hand');
+    }
+  }
+
+  const clef = pianoMode ? 'grand' : readChoice(value.clef, 'clef', CLEFS, 'treble');
+
+  let notes: string[] | null = null;
+  if (value.notes !== undefined && value.notes !== null) {
+    if (!Array.isArray(value.notes) || value.notes.length === 0) {
+      throw new Error('"notes" must be a list of notes such as ["C4", "F#4"]');
+    }
+    notes = value.notes.map(note => {
+      if (typeof note !== 'string' || !/^[A-G](#|b)?[0-8]$/.test(note)) {
+        throw new Error(`"${note}" in "notes" is not a note such as C4, F#4 or Bb3`);
+      }
+      return note;
+    });
+  }
+
+  const goal = isPlainObject(value.goal) ? value.goal : {};
+  const correctNotes = readInteger(goal.correctNotes, 'goal.correctNotes', 1, 1000, null);
+  const accuracy = readInteger(goal.accuracy, 'goal.accuracy', 1, 100, null);
+  const timeLimitSeconds = readInteger(value.timeLimitSeconds, 'timeLimitSeconds', 10, 3600, null);
+  if (correctNotes === null && timeLimitSeconds === null) {
+    throw new Error('An assignment needs "goal.correctNotes" or "timeLimitSeconds" so that it can end');
+  }
+
+  let seed: string | null = null;
+  if (value.seed !== undefined && value.seed !== null) {
+    if ((typeof value.seed !== 'string' && typeof value.seed !== 'number') || !String(value.seed).trim() ||
+        String(value.seed).trim().length > MAX_SEED_LENGTH) {
+      throw new Error(`"seed" must be a word or number of up to ${MAX_SEED_LENGTH} characters`);
+    }
+    seed = String(value.seed).trim();
+  }
+
+  const mode = readChoice(value.mode, 'mode', MODES, 'notes');
+  const assignment: Assignment = {
+    format: ASSIGNMENT_FORMAT,
+    version: value.version,
+    title: typeof value.title === 'string' && value.title.trim() ? value.title.trim() : 'Assignment',
+    clef: clef,
+    notes: notes,
+    ledgerLines: readInteger(value.ledgerLines, 'ledgerLines', 0, MAX_LEDGER_LINES, 0) as number,
+    keySignature: readChoice(value.keySignature, 'keySignature', KEY_SIGNATURES, 'C'),
+    accidentals: readBoolean(value.accidentals, 'accidentals', notes !== null && notes.some(note => /[#b]/.test(note))),
+    mode: mode,
+    pianoMode: pianoMode,
+    goal: { correctNotes: correctNotes, accuracy: accuracy },
+    timeLimitSeconds: timeLimitSeconds,
+    seed: seed
+  };
+  if (mode === 'intervals') {
+    assignment.intervalStyle = readChoice(value.intervalStyle, 'intervalStyle', INTERVAL_STYLES, 'both') as Assignment['intervalStyle'];
+  }
+  if (mode === 'rhythm') {
+    assignment.timeSignature = readChoice(value.timeSignature, 'timeSignature', TIME_SIGNATURES, '4/4');
+    assignment.tempo = readInteger(value.tempo, 'tempo', 40, 160, 72) as number;
+  }
+  return assignment;
+}
+
+/**
+ * Menu settings (localStorage 'noteGameSettings') with the assignment's choices in place of the player's
+ */
+export function applyAssignmentToSettings(settings: Record<string, any>, assignment: Assignment): Record<string, any> {
+  const pianoMode = assignment.pianoMode;
+  return {
+    ...settings,
+    clef: pianoMode ? (pianoMode.hardMode ? 'hardMode' : 'grand') : assignment.clef,
+    ledgerLines: assignment.ledgerLines,
+    keySignature: assignment.keySignature,
+    accidentals: assignment.accidentals,
+    adaptive: false, // Every student gets the same notes
+    seed: assignment.seed || '',
+    rhythm: {
+      ...settings.rhythm,
+      enabled: assignment.mode === 'rhythm',
+      ...(assignment.timeSignature ? { timeSignature: assignment.timeSignature } : {}),
+      ...(assignment.tempo ? { tempo: assignment.tempo } : {})
+    },
+    intervals: {
+      ...settings.intervals,
+      enabled: assignment.mode === 'intervals',
+      ...(assignment.intervalStyle ? { style: assignment.intervalStyle } : {})
+    },
+    earTraining: {
+      ...settings.earTraining,
+      enabled: assignment.mode === 'ear'
+    },
+    dynamics: {
+      ...settings.dynamics,
+      enabled: false // Markings would change the notes every student gets
+    },
+    heldNotes: {
+      ...settings.heldNotes,
+      enabled: false // So would note lengths
+    },
+    pianoMode: {
+      ...settings.pianoMode,
+      enabled: pianoMode !== null,
+      active: pianoMode !== null,
+      strictMode: pianoMode ? pianoMode.strictMode : false,
+      hardMode: pianoMode ? pianoMode.hardMode : false,
+      leftHand: pianoMode ? pianoMode.leftHand : 'none',
+      rightHand: pianoMode ? pianoMode.rightHand : 'none'
+    }
+  };
+}
+
+function readJson(key: string): Record<string, any> {
+  const saved = localStorage.getItem(key);
+  if (saved) {
+    try {
+      return JSON.parse(saved);
+    } catch (e) {
+      console.warn(`Could not read ${key}:`, e);
+    }
+  }
+  return {};
+}
+
+/**
+ * The loaded assignment, or null when playing freely
+ */
+export function loadActiveAssignment(): Assignment | null {
+  const saved = localStorage.getItem(ASSIGNMENT_STORAGE_KEY);
+  if (!saved) return null;
+  try {
+    return JSON.parse(saved) as Assignment;
+  } catch (e) {
+    console.warn('Could not load the assignment:', e);
+    return null;
+  }
+}
+
+/**
+ * Load an assignment: keep the player's settings aside and save the assignment's in their place,
+ * so the game and the MIDI integration pick them up like any other settings
+ */
+export function startAssignment(assignment: Assignment): void {
+  if (!loadActiveAssignment()) {
+    const savedSettings: Record<string, string | null> = {};
+    SETTINGS_KEYS.forEach(key => {
+      savedSettings[key] = localStorage.getItem(key);
+    });
+    localStorage.setItem(ASSIGNMENT_SAVED_SETTINGS_KEY, JSON.stringify(savedSettings));
+  }
+
+  const settings = applyAssignmentToSettings(readJson('noteGameSettings'), assignment);
+  localStorage.setItem('noteGameSettings', JSON.stringify(settings));
+
+  const pianoMode = settings.pianoMode;
+  localStorage.setItem('pianoModeSettings', JSON.stringify({
+    ...readJson('pianoModeSettings'),
+    isActive: pianoMode.active,
+    leftHand: pianoMode.leftHand,
+    rightHand: pianoMode.rightHand,
+    hardMode: pianoMode.hardMode
+  }));
+
+  localStorage.setItem(ASSIGNMENT_STORAGE_KEY, JSON.stringify(assignment));
+}
+
+/**
+ * Unload the assignment and give the player their own settings back
+ */
+export function leaveAssignment(): void {
+  const saved = localStorage.getItem(ASSIGNMENT_SAVED_SETTINGS_KEY);
+  if (saved) {
+    try {
+      const savedSettings = JSON.parse(saved) as Record<string, string | null>;
+      SETTINGS_KEYS.forEach(key => {
+        const value = savedSettings[key];
+        if (typeof value === 'string') {
+          localStorage.setItem(key, value);
+        } else {
+          localStorage.removeItem(key);
+        }
+      });
+    } catch (e) {
+      console.warn('Could not restore settings after the assignment:', e);
+    }
+  }
+  localStorage.removeItem(ASSIGNMENT_SAVED_SETTINGS_KEY);
+  localStorage.removeItem(ASSIGNMENT_STORAGE_KEY);
+}
+
+/**
+ * Completion records written by the game, oldest first
+ */
+export function loadAssignmentRecords(): AssignmentRecord[] {
+  const saved = localStorage.getItem(ASSIGNMENT_RECORDS_KEY);
+  if (saved) {
+    try {
+      return JSON.parse(saved) as AssignmentRecord[];
+    } catch (e) {
+      console.warn('Could not load assignment results:', e);
+    }
+  }
+  return [];
+}
+
+/**
+ * One-line description of what an assignment asks for
+ */
+export function describeAssignment(assignment: Assignment): string {
+  const parts: string[] = [];
+  if (assignment.goal.correctNotes !== null) {
+    parts.push(`${assignment.goal.correctNotes} correct`);
+  }
+  if (assignment.goal.accuracy !== null) {
+    parts.push(`at least ${assignment.goal.accuracy}% right`);
+  }
+  if (assignment.timeLimitSeconds !== null) {
+    const minutes = Math.floor(assignment.timeLimitSeconds / 60);
+    const seconds = assignment.timeLimitSeconds % 60;
+    parts.push(`within ${minutes}:${String(seconds).padStart(2, '0')}`);
+  }
+  return parts.join(', ');
+}
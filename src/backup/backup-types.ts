@@ -0,0 +1,67 @@
+/**
+ * TypeScript type definitions for progress backups
+ */
+
+import { Attempt } from '../stats/stats-types.js';
+
+/**
+ * Leitner history kept by adaptive practice (localStorage 'noteGameAdaptive')
+ */
+export interface AdaptiveNoteRecord {
+  box: number;
+  correct: number;
+  wrong: number;
+  averageMs: number | null;
+}
+
+export interface AdaptiveClefModel {
+  averageMs: number | null;
+  notes: Record<string, AdaptiveNoteRecord>; // Keyed by scientific name
+}
+
+export type AdaptiveModel = Record<string, AdaptiveClefModel>;
+
+/**
+ * Everything a player builds up, one field per localStorage key (null when the key is not set)
+ */
+export interface StoredProgress {
+  settings: Record<string, unknown> | null;          // noteGameSettings
+  midiSettings: Record<string, unknown> | null;      // noteGameMidiSettings
+  pianoModeSettings: Record<string, unknown> | null; // pianoModeSettings
+  highScores: Record<string, number> | null;         // noteGameHighScores, best score per clef
+  attempts: Attempt[];                               // noteGameAttempts
+  adaptive: AdaptiveModel | null;                    // noteGameAdaptive
+}
+
+/**
+ * Backup file written by "Export backup"
+ */
+export interface BackupBundle {
+  format: string;     // BACKUP_FORMAT
+  version: number;    // BACKUP_VERSION of the game that wrote it
+  exportedAt: string; // ISO date
+  data: StoredProgress;
+}
+
+/**
+ * What importing a backup changed
+ */
+export interface ImportResult {
+  attemptsAdded: number;
+  attemptsSkipped: number;   // Malformed entries left out
+  highScoresRaised: number;
+  settingsRestored: boolean;
+}
+
+/**
+ * One row of the games CSV
+ */
+export interface SessionRow {
+  session: number;    // Start time of the game
+  modes: string[];
+  clefs: string[];
+  attempts: number;
+  correct: number;
+  accuracy: number;
+  averageReactionMs: number | null;
+}
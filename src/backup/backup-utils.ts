@@ -0,0 +1,320 @@
+/**
+ * Backup Utility Functions
+ * Collects settings, high scores and answer history into a versioned JSON bundle and merges one back in
+ */
+
+import { Attempt } from '../stats/stats-types.js';
+import { ATTEMPTS_STORAGE_KEY, summarizeAttempts } from '../stats/stats-utils.js';
+import {
+  AdaptiveModel,
+  BackupBundle,
+  ImportResult,
+  SessionRow,
+  StoredProgress
+} from './backup-types.js';
+
+export const BACKUP_FORMAT = 'stave-wars-backup';
+export const BACKUP_VERSION = 1;
+
+// Matches MAX_STORED_ATTEMPTS in script.js
+export const MAX_STORED_ATTEMPTS = 3000;
+
+// localStorage key of each part of the progress
+export const STORAGE_KEYS: Record<keyof StoredProgress, string> = {
+  settings: 'noteGameSettings',
+  midiSettings: 'noteGameMidiSettings',
+  pianoModeSettings: 'pianoModeSettings',
+  highScores: 'noteGameHighScores',
+  attempts: ATTEMPTS_STORAGE_KEY,
+  adaptive: 'noteGameAdaptive'
+};
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function readJson(key: string): unknown {
+  const saved = localStorage.getItem(key);
+  if (!saved) return null;
+  try {
+    return JSON.parse(saved);
+  } catch (e) {
+    console.warn(`Could not read ${key}:`, e);
+    return null;
+  }
+}
+
+/**
+ * Read the player's progress from localStorage
+ */
+export function readStoredProgress(): StoredProgress {
+  const attempts = readJson(STORAGE_KEYS.attempts);
+  return {
+    settings: readJson(STORAGE_KEYS.settings) as Record<string, unknown> | null,
+    midiSettings: readJson(STORAGE_KEYS.midiSettings) as Record<string, unknown> | null,
+    pianoModeSettings: readJson(STORAGE_KEYS.pianoModeSettings) as Record<string, unknown> | null,
+    highScores: readJson(STORAGE_KEYS.highScores) as Record<string, number> | null,
+    attempts: Array.isArray(attempts) ? attempts as Attempt[] : [],
+    adaptive: readJson(STORAGE_KEYS.adaptive) as AdaptiveModel | null
+  };
+}
+
+/**
+ * Write progress back to localStorage (keys that are null are left alone)
+ */
+export function writeStoredProgress(progress: StoredProgress): void {
+  (Object.keys(STORAGE_KEYS) as (keyof StoredProgress)[]).forEach(part => {
+    if (progress[part] !== null) {
+      localStorage.setItem(STORAGE_KEYS[part], JSON.stringify(progress[part]));
+    }
+  });
+}
+
+/**
+ * Wrap progress in a backup bundle
+ */
+export function createBackup(progress: StoredProgress, exportedAt: Date = new Date()): BackupBundle {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    data: progress
+  };
+}
+
+// Fill in optional fields of a logged answer, or null if it is not one
+function normalizeAttempt(value: unknown): Attempt | null {
+  if (!isPlainObject(value)) return null;
+  const nullableNumber = (field: unknown) => field === undefined || field === null || typeof field === 'number';
+  const nullableString = (field: unknown) => field === undefined || field === null || typeof field === 'string';
+
+  if (typeof value.time !== 'number' || typeof value.session !== 'number' ||
+      typeof value.clef !== 'string' || typeof value.target !== 'string' ||
+      typeof value.correct !== 'boolean' || (value.type !== 'note' && value.type !== 'interval') ||
+      !nullableString(value.pressed) || !nullableNumber(value.pressedOctave) || !nullableNumber(value.reactionMs)) {
+    return null;
+  }
+
+  return {
+    time: value.time,
+    session: value.session,
+    mode: typeof value.mode === 'string' ? value.mode as Attempt['mode'] : 'notes',
+    type: value.type,
+    clef: value.clef,
+    target: value.target,
+    pressed: (value.pressed as string | undefined) ?? null,
+    pressedOctave: (value.pressedOctave as number | undefined) ?? null,
+    correct: value.correct,
+    reactionMs: (value.reactionMs as number | undefined) ?? null,
+    hand: value.hand === 'left' || value.hand === 'right' ? value.hand : null
+  };
+}
+
+/**
+ * Check a parsed backup file and drop anything malformed in it.
+ * Throws if it is not a backup at all or was written by a newer version of the game
+ */
+export function validateBackup(value: unknown): { backup: BackupBundle; attemptsSkipped: number } {
+  if (!isPlainObject(value) || value.format !== BACKUP_FORMAT || !isPlainObject(value.data)) {
+    throw new Error('This file is not a Stave Wars backup');
+  }
+  if (typeof value.version !== 'number' || value.version < 1) {
+    throw new Error('This backup has no valid version number');
+  }
+  if (value.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the game');
+  }
+
+  const data = value.data;
+  const objectOrNull = (field: unknown) => isPlainObject(field) ? field : null;
+
+  let highScores: Record<string, number> | null = null;
+  if (isPlainObject(data.highScores)) {
+    highScores = {};
+    Object.entries(data.highScores).forEach(([clef, score]) => {
+      if (typeof score === 'number' && Number.isFinite(score) && score >= 0) {
+        (highScores as Record<string, number>)[clef] = score;
+      }
+    });
+  }
+
+  let adaptive: AdaptiveModel | null = null;
+  if (isPlainObject(data.adaptive)) {
+    adaptive = {};
+    Object.entries(data.adaptive).forEach(([clef, clefModel]) => {
+      if (isPlainObject(clefModel) && isPlainObject(clefModel.notes)) {
+        (adaptive as AdaptiveModel)[clef] = clefModel as unknown as AdaptiveModel[string];
+      }
+    });
+  }
+
+  const rawAttempts = Array.isArray(data.attempts) ? data.attempts : [];
+  const attempts = rawAttempts.map(normalizeAttempt).filter((attempt): attempt is Attempt => attempt !== null);
+
+  return {
+    backup: {
+      format: BACKUP_FORMAT,
+      version: value.version,
+      exportedAt: typeof value.exportedAt === 'string' ? value.exportedAt : '',
+      data: {
+        settings: objectOrNull(data.settings),
+        midiSettings: objectOrNull(data.midiSettings),
+        pianoModeSettings: objectOrNull(data.pianoModeSettings),
+        highScores: highScores,
+        attempts: attempts,
+        adaptive: adaptive
+      }
+    },
+    attemptsSkipped: rawAttempts.length - attempts.length
+  };
+}
+
+// Same answer logged on two devices or imported twice
+function attemptKey(attempt: Attempt): string {
+  return `${attempt.time}|${attempt.session}|${attempt.type}|${attempt.target}`;
+}
+
+// Keep whichever history of each note has more answers behind it
+function mergeAdaptiveModels(current: AdaptiveModel | null, imported: AdaptiveModel | null): AdaptiveModel | null {
+  if (!imported) return current;
+  if (!current) return imported;
+
+  const merged: AdaptiveModel = { ...current };
+  Object.entries(imported).forEach(([clef, importedClef]) => {
+    const currentClef = merged[clef];
+    if (!currentClef) {
+      merged[clef] = importedClef;
+      return;
+    }
+    const notes = { ...currentClef.notes };
+    Object.entries(importedClef.notes).forEach(([note, record]) => {
+      const existing = notes[note];
+      if (!existing || record.correct + record.wrong > existing.correct + existing.wrong) {
+        notes[note] = record;
+      }
+    });
+    merged[clef] = { averageMs: currentClef.averageMs ?? importedClef.averageMs, notes: notes };
+  });
+  return merged;
+}
+
+/**
+ * Merge a validated backup into the current progress: the backup's settings win, high scores keep
+ * the best of both and answers from both histories are kept (newest MAX_STORED_ATTEMPTS)
+ */
+export function mergeBackup(
+  current: StoredProgress,
+  backup: BackupBundle
+): { progress: StoredProgress; result: Omit<ImportResult, 'attemptsSkipped'> } {
+  const imported = backup.data;
+
+  let highScoresRaised = 0;
+  let highScores = current.highScores;
+  if (imported.highScores) {
+    highScores = { ...current.highScores };
+    Object.entries(imported.highScores).forEach(([clef, score]) => {
+      if (score > ((highScores as Record<string, number>)[clef] || 0)) {
+        (highScores as Record<string, number>)[clef] = score;
+        highScoresRaised++;
+      }
+    });
+  }
+
+  const seen = new Set(current.attempts.map(attemptKey));
+  const newAttempts = imported.attempts.filter(attempt => {
+    const key = attemptKey(attempt);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  const attempts = [...current.attempts, ...newAttempts]
+    .sort((a, b) => a.time - b.time)
+    .slice(-MAX_STORED_ATTEMPTS);
+  const kept = new Set(attempts);
+
+  const mergeSettings = (currentSettings: Record<string, unknown> | null, importedSettings: Record<string, unknown> | null) =>
+    importedSettings ? { ...currentSettings, ...importedSettings } : currentSettings;
+
+  return {
+    progress: {
+      settings: mergeSettings(current.settings, imported.settings),
+      midiSettings: mergeSettings(current.midiSettings, imported.midiSettings),
+      pianoModeSettings: mergeSettings(current.pianoModeSettings, imported.pianoModeSettings),
+      highScores: highScores,
+      attempts: attempts,
+      adaptive: mergeAdaptiveModels(current.adaptive, imported.adaptive)
+    },
+    result: {
+      attemptsAdded: newAttempts.filter(attempt => kept.has(attempt)).length,
+      highScoresRaised: highScoresRaised,
+      settingsRestored: imported.settings !== null || imported.midiSettings !== null || imported.pianoModeSettings !== null
+    }
+  };
+}
+
+/**
+ * Read a backup file's text, merge it into localStorage and report what changed
+ */
+export function importBackup(text: string): ImportResult {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not a Stave Wars backup');
+  }
+
+  const { backup, attemptsSkipped } = validateBackup(parsed);
+  const { progress, result } = mergeBackup(readStoredProgress(), backup);
+  writeStoredProgress(progress);
+  return { ...result, attemptsSkipped: attemptsSkipped };
+}
+
+/**
+ * Totals per game, oldest first
+ */
+export function getSessionRows(attempts: Attempt[]): SessionRow[] {
+  const bySession = new Map<number, Attempt[]>();
+  attempts.forEach(attempt => {
+    const sessionAttempts = bySession.get(attempt.session) || [];
+    sessionAttempts.push(attempt);
+    bySession.set(attempt.session, sessionAttempts);
+  });
+
+  return [...bySession.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([session, sessionAttempts]) => ({
+      session: session,
+      modes: [...new Set(sessionAttempts.map(attempt => attempt.mode))],
+      clefs: [...new Set(sessionAttempts.map(attempt => attempt.clef))],
+      ...summarizeAttempts(sessionAttempts)
+    }));
+}
+
+// Local 'YYYY-MM-DD HH:MM', which spreadsheets read as a date
+export function formatDateTime(time: number): string {
+  const date = new Date(time);
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function csvField(value: string | number): string {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One line per game, for opening results in a spreadsheet
+ */
+export function sessionsToCsv(rows: SessionRow[]): string {
+  const header = ['Game started', 'Modes', 'Clefs', 'Answers', 'Correct', 'Accuracy (%)', 'Average reaction (ms)'];
+  const lines = rows.map(row => [
+    formatDateTime(row.session),
+    row.modes.join(' + '),
+    row.clefs.join(' + '),
+    row.attempts,
+    row.correct,
+    Math.round(row.accuracy * 100),
+    row.averageReactionMs === null ? '' : row.averageReactionMs
+  ].map(csvField).join(','));
+  return [header.map(csvField).join(','), ...lines].join('\r\n') + '\r\n';
+}
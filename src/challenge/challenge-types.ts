@@ -0,0 +1,32 @@
+/**
+ * TypeScript type definitions for the daily challenge
+ */
+
+/**
+ * Settings of one day's challenge; the seed 'daily-' + date makes the notes the same for everyone
+ */
+export interface DailyChallenge {
+  date: string;        // Local date, 'YYYY-MM-DD'
+  clef: string;
+  ledgerLines: number; // Each side of the staff
+}
+
+/**
+ * One finished challenge game, as saved by script.js (localStorage 'noteGameDailyScores')
+ */
+export interface DailyScore {
+  date: string;
+  player: string;      // Active profile's name
+  avatar: string;
+  score: number;
+  level: number;
+  notesDestroyed: number;
+  finishedAt: string;  // ISO time
+}
+
+/**
+ * A player's best game of the day
+ */
+export interface LeaderboardEntry extends DailyScore {
+  games: number;       // Games the player finished that day
+}
@@ -0,0 +1,87 @@
+/**
+ * Daily Challenge Utility Functions
+ * Works out each day's challenge and ranks the games played on it
+ */
+
+import { DailyChallenge, DailyScore, LeaderboardEntry } from './challenge-types.js';
+
+// Written by script.js when a challenge game ends
+export const DAILY_SCORES_KEY = 'noteGameDailyScores';
+
+// Clef of the day, in turn; the ledger lines go up by one each week (0-2)
+const CHALLENGE_CLEFS = ['treble', 'bass', 'grand', 'alto', 'treble', 'bass', 'tenor'];
+const CHALLENGE_LEDGER_LINES = 3;
+
+const CLEF_LABELS: Record<string, string> = {
+  treble: 'Treble clef',
+  bass: 'Bass clef',
+  grand: 'Grand staff',
+  alto: 'Alto clef',
+  tenor: 'Tenor clef'
+};
+
+/**
+ * 'YYYY-MM-DD' in local time, so the challenge changes at the player's midnight
+ */
+export function getDateKey(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function getDailyChallenge(date: Date): DailyChallenge {
+  const dateKey = getDateKey(date);
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const dayNumber = Math.round(Date.UTC(year, month - 1, day) / 86400000);
+  return {
+    date: dateKey,
+    clef: CHALLENGE_CLEFS[dayNumber % CHALLENGE_CLEFS.length],
+    ledgerLines: Math.floor(dayNumber / 7) % CHALLENGE_LEDGER_LINES
+  };
+}
+
+/**
+ * Game address carrying the challenge (read by loadDailyChallenge in script.js)
+ */
+export function getChallengeUrl(challenge: DailyChallenge): string {
+  return `game.html?daily=${challenge.date}&clef=${challenge.clef}&ledgerLines=${challenge.ledgerLines}`;
+}
+
+export function describeChallenge(challenge: DailyChallenge): string {
+  const ledgerLines = challenge.ledgerLines === 0
+    ? 'no ledger lines'
+    : `${challenge.ledgerLines} ledger line${challenge.ledgerLines === 1 ? '' : 's'} each side`;
+  return `${CLEF_LABELS[challenge.clef] || challenge.clef}, ${ledgerLines}`;
+}
+
+export function loadDailyScores(): DailyScore[] {
+  const saved = localStorage.getItem(DAILY_SCORES_KEY);
+  if (saved) {
+    try {
+      const scores = JSON.parse(saved);
+      return Array.isArray(scores) ? scores : [];
+    } catch (e) {
+      console.warn('Could not load the daily scores:', e);
+    }
+  }
+  return [];
+}
+
+/**
+ * Best game per player on the date, highest score first (the earlier game wins a tie)
+ */
+export function getLeaderboard(scores: DailyScore[], date: string, limit: number = 10): LeaderboardEntry[] {
+  const best = new Map<string, LeaderboardEntry>();
+  scores.filter(entry => entry.date === date).forEach(entry => {
+    const current = best.get(entry.player);
+    const games = current ? current.games + 1 : 1;
+    if (!current || entry.score > current.score) {
+      best.set(entry.player, { ...entry, games: games });
+    } else {
+      current.games = games;
+    }
+  });
+
+  return Array.from(best.values())
+    .sort((a, b) => b.score - a.score || a.finishedAt.localeCompare(b.finishedAt))
+    .slice(0, limit);
+}
@@ -0,0 +1,19 @@
+/**
+ * Game Engine Integration for Note Reading Game
+ * Gives script.js the game rules: it creates a GameEngine for each game and reads the rule values
+ * it draws with (held note lengths, interval spacing) from gameRules
+ */
+
+import { GameEngine } from './game-engine.js';
+import * as engineUtils from './engine-utils.js';
+
+// Extend Window interface for global objects
+declare global {
+  interface Window {
+    GameEngine: typeof GameEngine;
+    gameRules: typeof engineUtils;
+  }
+}
+
+window.GameEngine = GameEngine;
+window.gameRules = engineUtils;
@@ -0,0 +1,138 @@
+/**
+ * TypeScript type definitions for the headless game engine
+ */
+
+/**
+ * A note to put on the staff: a scientific name such as 'F#4' on the engine's clef, or on a given clef
+ * (needed on the grand staff, where each note belongs to the treble or bass clef). Any other fields of
+ * the object, such as the accidental script.js draws, are kept on the moving note
+ */
+export type EngineNoteSpec = string | { scientific: string; clef: string; [field: string]: unknown };
+
+/**
+ * What the note picker returns for one spawn: a note, a chord, or null to spawn nothing this time
+ */
+export type EngineNoteChoice = EngineNoteSpec | EngineNoteSpec[] | null;
+
+export type HandRole = 'none' | 'melody' | 'chords';
+
+/**
+ * Piano Mode settings that change the rules (matches pianoModeSettings in script.js)
+ */
+export interface EnginePianoMode {
+  leftHand: HandRole;   // Bass clef
+  rightHand: HandRole;  // Treble clef
+  strictMode: boolean;  // The played octave must match
+  hardMode: boolean;    // Input must name its clef; up to one note per clef on screen
+}
+
+export type IntervalStyle = 'harmonic' | 'melodic' | 'both';
+
+export interface GameEngineOptions {
+  clef?: string;                                  // As currentClef in script.js: 'treble', 'grand', 'hardMode', ...
+  pianoMode?: EnginePianoMode | null;
+  notes?: string[];                               // Pool the default picker draws single notes from
+  pickNote?: (random: () => number) => EngineNoteChoice;
+  clock?: () => number;                           // Milliseconds; defaults to the time simulated by tick()
+  random?: () => number;                          // 0 to 1 like Math.random; defaults to Math.random
+  spawnX?: number | ((clef: string) => number);     // Where notes appear (pixels), or where on a clef's staff
+  collisionX?: number | ((clef: string) => number); // The line a note must not reach (pixels)
+  intervals?: IntervalStyle | null;               // Interval mode: two-note chords are intervals, stacked (harmonic) or in sequence (melodic)
+  earTraining?: boolean;                          // Single notes are hidden until answered, and played octaves must match
+  dynamics?: boolean;                             // Notes carry a dynamic marking that MIDI velocity must match
+  heldNotes?: boolean;                            // Single notes are half, whole or tied notes, held down to their length
+}
+
+/**
+ * A note moving across the staff
+ */
+export interface EngineNote {
+  id: number;
+  note: string;           // Name without octave, e.g. 'F#'
+  scientific: string;     // e.g. 'F#4'
+  octave: number;         // Written octave
+  midi: number;
+  clef: string;
+  staffPosition: number;  // Diatonic steps above the clef's bottom line
+  x: number;
+  previousX: number;      // x before the last simulation step
+  speed: number;          // Pixels per second
+  spawnTime: number;      // Engine clock time the note appeared
+  isChord: boolean;
+  chordId: number | null;
+  hidden: boolean;                         // Ear training: heard but not shown until answered
+  interval: EngineInterval | null;         // Interval mode: the interval the two notes of a chord make
+  dynamic: string | null;                  // Dynamics mode: 'pp', 'p', 'mp', 'mf', 'f' or 'ff'
+  velocityBand: [number, number] | null;   // Velocities that answer the marking
+  showDynamic: boolean;                    // The marking is drawn once, under the first note of a chord
+  duration: string | null;                 // Held notes: 'half', 'whole' or 'tied'
+  holdMs: number | null;                   // How long the key should stay down
+  holdStart: number | null;                // Engine clock time the note was answered and held
+  heldInput: HeldInput | null;             // While held: the key holding it
+  [field: string]: unknown;                // Fields of the note object it was picked as
+}
+
+export interface EngineInterval {
+  number: number;   // 2-8 (8 is an octave)
+  quality: string;  // 'm', 'M', 'P', 'A' or 'd'
+}
+
+export interface HeldInput {
+  note: string;
+  octave: number | null;
+  hasKeyUp: boolean;  // False for buttons and the microphone, which never let go: the note is held in time
+}
+
+export type HoldTiming = 'inTime' | 'early' | 'late';
+
+/**
+ * The right key at the wrong dynamic; tooLoud is null for input without a velocity
+ */
+export interface DynamicMiss {
+  marking: string;
+  tooLoud: boolean | null;
+}
+
+/**
+ * A right answer: the note name (and octave, for played notes) or interval that gave it, and its points
+ */
+export interface EngineAnswer {
+  note: string | null;
+  octave: number | null;
+  interval: { number: number; quality: string | null } | null;
+  points: number;
+  hold: HoldTiming | null;  // Held notes: when the key came up
+}
+
+/**
+ * A wrong answer, with the notes of the destroyed chord that had already been found
+ */
+export interface EngineMistake {
+  note: string | null;
+  octave: number | null;
+  interval: { number: number; quality: string | null } | null;
+  dynamicMiss: DynamicMiss | null;
+  foundNotes: string[];
+}
+
+/**
+ * Chord notes found so far, started by the first one
+ */
+export interface ChordProgress {
+  pressedNotes: Set<string>;
+  firstPressTime: number;
+}
+
+export type InputResult = 'correct' | 'chordProgress' | 'held' | 'wrong' | 'ignored';
+
+export interface GameEngineEvents {
+  'spawn': (notes: EngineNote[]) => void;
+  'correct': (notes: EngineNote[], answer: EngineAnswer) => void;
+  'chordProgress': (chordId: number, pressed: number, total: number) => void;
+  'hold': (note: EngineNote) => void;
+  'wrong': (destroyed: EngineNote[], lifeLost: boolean, mistake: EngineMistake) => void;
+  'miss': (note: EngineNote) => void;
+  'levelUp': (level: number, bonusLife: boolean) => void;
+  'lifeGained': (lives: number) => void;
+  'gameOver': (score: number, level: number, notesDestroyed: number) => void;
+}
@@ -6,20 +6,27 @@
 // Extend Window interface for global functions
 declare global {
   interface Window {
-    handleNoteInput: (userNote: string) => Promise<void>;
-    handleNoteInputWithOctave: (userNote: string, userOctave: number | null) => Promise<void>;
+    handleNoteInput: (userNote: string, timestamp?: number, hasKeyUp?: boolean) => Promise<void>;
+    handleNoteInputWithOctave: (userNote: string, userOctave: number | null, targetClef?: string | null, timestamp?: number, velocity?: number | null, hasKeyUp?: boolean) => Promise<void>;
+    handleNoteRelease: (userNote: string, userOctave?: number | null) => void;
     handleDeviceSelection: (deviceId: string) => void;
     updatePianoModeUI: () => void;
     isPianoModeActive: () => boolean;
     getPianoModeSettings: () => PianoModeSettings;
     reinitializeMidiAfterRestart: () => void;
     updateMidiPianoModeSettings: (settings: Partial<PianoModeSettings>) => void;
+    pauseGame: (reason?: string) => void;
+    togglePause: () => void;
+    playMidiOutputHint: (notes: number[], delaySeconds?: number) => void;
+    playMidiOutputEcho: (notes: number[], delaySeconds?: number) => void;
+    setMidiKeyLights: (keys: MidiKeyLight[]) => void;
   }
 }
 
 import { midiManager } from './midi-manager.js';
-import { MidiDevice, MidiConnectionStatus, MidiNoteMapping, PianoModeSettings } from './midi-types.js';
-import { getNaturalNoteForGame, getClefForMidiNote, isNoteInClefRange } from './midi-utils.js';
+import { MidiDevice, MidiConnectionStatus, MidiControlChange, MidiKeyLight, MidiNote, MidiNoteMapping, PianoModeSettings, VelocityCalibration } from './midi-types.js';
+import { getNoteNameForGame, getClefForMidiNote, isNoteInClefRange, isPedalPress, calibrateVelocity } from './midi-utils.js';
+import { MidiOutputPlayer, readMidiOutputSettings } from './midi-output.js';
 
 // Piano Mode state
 let pianoModeSettings: PianoModeSettings = {
@@ -31,6 +38,16 @@ let pianoModeSettings: PianoModeSettings = {
   hardMode: false
 };
 
+// Controller number of the pedal chosen in the menu to pause the game (null for none), and its last value
+let pausePedal: number | null = null;
+let pausePedalValue = 0;
+
+// Touch calibration of each keyboard, by device name (made in the menu's options)
+let velocityCalibrations: Record<string, VelocityCalibration> = {};
+
+// Hints, echoes and key lights sent to the output chosen in the menu (settings in loadSavedMidiSettings)
+const outputPlayer = new MidiOutputPlayer(midiManager);
+
 /**
  * Reinitialize MIDI connections after game restart
  * Call this function when the game restarts to ensure MIDI stays active
@@ -56,9 +73,13 @@ export function reinitializeMidiAfterRestart(): void {
  * Register the MIDI note input handler with proper hard mode logic
  */
 function registerMidiNoteHandler(): void {
-  midiManager.onNoteInput((noteMapping: MidiNoteMapping) => {
-    // Get the appropriate note for the game based on Piano Mode settings
-    const noteForGame = getNaturalNoteForGame(noteMapping.midiNote);
+  midiManager.onNoteInput((noteMapping: MidiNoteMapping, midiNote: MidiNote) => {
+    // Get the note name for the game (black keys arrive as sharps, e.g. "F#")
+    const noteForGame = getNoteNameForGame(noteMapping.midiNote);
+    
+    // Velocity on the full range for this keyboard's touch (dynamics mode)
+    const device = midiManager.getSelectedDevice();
+    const velocity = calibrateVelocity(midiNote.velocity, device ? velocityCalibrations[device.name] || null : null);
     
     // In hard mode, determine which clef this MIDI note should affect
     let shouldProcessInput = true;
@@ -80,19 +101,19 @@ function registerMidiNoteHandler(): void {
     if (shouldProcessInput) {
       // Call the octave-aware game input handler for Piano Mode strict mode support
       if (typeof (window as any).handleNoteInputWithOctave === 'function') {
-        // Pass the target clef information for hard mode
+        // Pass the target clef information for hard mode, the event time for rhythm mode, and that a note-off follows
         if (pianoModeSettings.hardMode && targetClef) {
-          (window as any).handleNoteInputWithOctave(noteForGame, noteMapping.octave, targetClef);
+          (window as any).handleNoteInputWithOctave(noteForGame, noteMapping.octave, targetClef, midiNote.timestamp, velocity, true);
         } else {
-          (window as any).handleNoteInputWithOctave(noteForGame, noteMapping.octave);
+          (window as any).handleNoteInputWithOctave(noteForGame, noteMapping.octave, null, midiNote.timestamp, velocity, true);
         }
       } else if (typeof (window as any).handleNoteInput === 'function') {
         // Fallback to regular handler if octave-aware version not available
-        (window as any).handleNoteInput(noteForGame);
+        (window as any).handleNoteInput(noteForGame, midiNote.timestamp, true);
       }
       
-      // Visual feedback for MIDI input
-      highlightMidiInput(noteForGame);
+      // Visual feedback for MIDI input (black keys light up their letter button)
+      highlightMidiInput(noteMapping.noteName);
     } else {
       console.log(`MIDI input filtered out: note=${noteForGame}, midi=${noteMapping.midiNote}, hardMode=${pianoModeSettings.hardMode}`);
     }
@@ -122,9 +143,14 @@ export function initializeMidiIntegration(): void {
     showMidiNotification(`Piano Mode Activated: ${device.name}`, 'success');
   });
 
-  midiManager.on('deviceDisconnected', (device: MidiDevice) => {
+  midiManager.on('deviceDisconnected', (device: MidiDevice, wasSelected: boolean) => {
     console.log(`MIDI device disconnected: ${device.name}`);
     
+    // Stop the game until the player is back on their keyboard
+    if (wasSelected && typeof window.pauseGame === 'function') {
+      window.pauseGame(`${device.name} was disconnected`);
+    }
+    
     // Check if any devices are still connected
     const status = midiManager.getStatus();
     if (status.connectedDevices.length === 0) {
@@ -140,11 +166,29 @@ export function initializeMidiIntegration(): void {
     updateMidiUI();
   });
 
+  midiManager.on('controlChange', (change: MidiControlChange) => {
+    if (change.controller !== pausePedal) return;
+    if (isPedalPress(pausePedalValue, change.value) && typeof window.togglePause === 'function') {
+      window.togglePause();
+    }
+    pausePedalValue = change.value;
+  });
+
+  // Key-up lets go of a held note (held notes mode scores how long the key was down)
+  midiManager.on('noteOff', (midiNote: MidiNote, mapping: MidiNoteMapping) => {
+    if (typeof window.handleNoteRelease === 'function') {
+      window.handleNoteRelease(getNoteNameForGame(mapping.midiNote), mapping.octave);
+    }
+  });
+
   // Initialize UI
   setTimeout(updateMidiUI, 1000); // Allow time for initial device scan
   
   // Load saved MIDI settings
   setTimeout(loadSavedMidiSettings, 1500);
+  
+  // Lit keys go dark when the player leaves the game
+  window.addEventListener('pagehide', () => outputPlayer.clearKeyLights());
 }
 
 /**
@@ -279,6 +323,16 @@ function loadSavedMidiSettings(): void {
     try {
       const settings = JSON.parse(saved);
       console.log('Loading saved MIDI settings:', settings);
+      pausePedal = typeof settings.pausePedal === 'number' ? settings.pausePedal : null;
+      outputPlayer.updateSettings(readMidiOutputSettings(settings.output));
+      velocityCalibrations = settings.velocityCalibrations && typeof settings.velocityCalibrations === 'object'
+        ? settings.velocityCalibrations
+        : {};
+      
+      // Outputs are only used when chosen in the menu
+      if (settings.selectedOutputId && !midiManager.selectOutput(settings.selectedOutputId)) {
+        console.log(`Could not restore MIDI output: ${settings.selectedOutputName} (device not available)`);
+      }
       
       // If there was a previously selected device, try to select it again
       if (settings.selectedDeviceId) {
@@ -302,6 +356,7 @@ function loadSavedMidiSettings(): void {
  * Clean up MIDI integration
  */
 export function destroyMidiIntegration(): void {
+  outputPlayer.clearKeyLights();
   midiManager.destroy();
   
   // Clean up UI elements
@@ -439,4 +494,7 @@ window.isPianoModeActive = () => pianoModeSettings.isActive;
 window.getPianoModeSettings = getPianoModeSettings;
 window.getMenuMidiStatus = () => midiManager.getStatus();
 window.reinitializeMidiAfterRestart = reinitializeMidiAfterRestart;
-window.updateMidiPianoModeSettings = updatePianoModeSettings;
\ No newline at end of file
+window.updateMidiPianoModeSettings = updatePianoModeSettings;
+window.playMidiOutputHint = (notes, delaySeconds = 0) => outputPlayer.playHint(notes, delaySeconds * 1000);
+window.playMidiOutputEcho = (notes, delaySeconds = 0) => outputPlayer.playEcho(notes, delaySeconds * 1000);
+window.setMidiKeyLights = keys => outputPlayer.setKeyLights(keys);
\ No newline at end of file
@@ -6,24 +6,29 @@
  * - Automatic MIDI device detection and connection
  * - MIDI note to musical note conversion
  * - Event-based architecture for easy integration
+ * - Output port selection for sending notes back to the keyboard
  * - Error handling and fallback support
  */
 
 import { 
   MidiDevice, 
   MidiNote, 
+  MidiControlChange,
   MidiNoteMapping, 
   MidiConnectionStatus, 
   MidiInputCallback,
-  MidiManagerEvents
+  MidiManagerEvents,
+  MidiOutputPort
 } from './midi-types.js';
 
-import { midiNoteToMapping, getClosestNaturalNote } from './midi-utils.js';
+import { midiNoteToMapping } from './midi-utils.js';
 
-export class MidiManager {
+export class MidiManager implements MidiOutputPort {
   private midiAccess: MIDIAccess | null = null;
   private connectedDevices = new Map<string, MidiDevice>();
   private selectedDeviceId: string | null = null;
+  private connectedOutputs = new Map<string, MIDIOutput>();
+  private selectedOutputId: string | null = null;
   private inputCallbacks: MidiInputCallback[] = [];
   private eventListeners = new Map<keyof MidiManagerEvents, Function[]>();
 
@@ -67,12 +72,18 @@ export class MidiManager {
         } else if (port.state === 'disconnected') {
           this.removeDevice(port.id);
         }
+      } else if (port && port.type === 'output') {
+        if (port.state === 'connected') {
+          this.addOutputDevice(port as MIDIOutput);
+        } else if (port.state === 'disconnected') {
+          this.removeOutputDevice(port.id);
+        }
       }
     };
   }
 
   /**
-   * Scan for currently connected MIDI input devices
+   * Scan for currently connected MIDI input and output devices
    */
   private scanForDevices(): void {
     if (!this.midiAccess) return;
@@ -82,6 +93,11 @@ export class MidiManager {
         this.addDeviceInternal(input);
       }
     });
+    this.midiAccess.outputs.forEach((output: MIDIOutput) => {
+      if (output.state === 'connected') {
+        this.addOutputDevice(output);
+      }
+    });
   }
 
   /**
@@ -265,13 +281,14 @@ export class MidiManager {
     this.connectedDevices.delete(deviceId);
     
     // If selected device was removed, try to select another one
-    if (this.selectedDeviceId === deviceId) {
+    const wasSelected = this.selectedDeviceId === deviceId;
+    if (wasSelected) {
       this.selectedDeviceId = null;
       // Auto-select next best device if available
       this.selectBestAvailableDevice();
     }
 
-    this.emit('deviceDisconnected', device);
+    this.emit('deviceDisconnected', device, wasSelected);
     this.emitStatusChange();
     
     console.log(`MIDI device disconnected: ${device.name}`);
@@ -333,6 +350,78 @@ export class MidiManager {
     }
   }
 
+  /**
+   * Add a connected MIDI output (public for testing with a mock output).
+   * Outputs are never picked automatically: notes only go where the player chose
+   */
+  public addOutputDevice(output: MIDIOutput): void {
+    this.connectedOutputs.set(output.id, output);
+    this.emit('outputConnected', this.describeOutput(output));
+    this.emitStatusChange();
+    
+    console.log(`MIDI output connected: ${output.name}`);
+  }
+
+  /**
+   * Remove a disconnected MIDI output
+   */
+  private removeOutputDevice(outputId: string): void {
+    const output = this.connectedOutputs.get(outputId);
+    if (!output) return;
+
+    this.connectedOutputs.delete(outputId);
+    const wasSelected = this.selectedOutputId === outputId;
+    if (wasSelected) {
+      this.selectedOutputId = null;
+    }
+
+    this.emit('outputDisconnected', this.describeOutput(output), wasSelected);
+    this.emitStatusChange();
+    
+    console.log(`MIDI output disconnected: ${output.name}`);
+  }
+
+  private describeOutput(output: MIDIOutput): MidiDevice {
+    return {
+      id: output.id,
+      name: output.name || 'Unknown MIDI Device',
+      manufacturer: output.manufacturer || 'Unknown',
+      state: output.state as 'connected' | 'disconnected',
+      connection: output.connection as 'open' | 'closed' | 'pending'
+    };
+  }
+
+  /**
+   * Select the MIDI output notes are sent to, or null to send nothing
+   */
+  public selectOutput(outputId: string | null): boolean {
+    if (outputId !== null && !this.connectedOutputs.has(outputId)) {
+      return false;
+    }
+
+    this.selectedOutputId = outputId;
+    this.emitStatusChange();
+    
+    if (outputId) {
+      console.log(`Selected MIDI output: ${this.connectedOutputs.get(outputId)?.name}`);
+    }
+    return true;
+  }
+
+  /**
+   * Send a MIDI message to the selected output, at a performance.now() time or straight away
+   */
+  public send(data: number[], timestamp?: number): void {
+    const output = this.selectedOutputId ? this.connectedOutputs.get(this.selectedOutputId) : undefined;
+    if (!output) return;
+
+    try {
+      output.send(data, timestamp);
+    } catch (error) {
+      console.error('Failed to send to MIDI output:', error);
+    }
+  }
+
   /**
    * Handle incoming MIDI messages
    */
@@ -358,7 +447,7 @@ export class MidiManager {
       this.emit('noteOn', midiNote, mapping);
       
       // Call registered callbacks
-      this.inputCallbacks.forEach(callback => callback(mapping));
+      this.inputCallbacks.forEach(callback => callback(mapping, midiNote));
     }
     // Handle note-off messages (note-on with velocity 0 or explicit note-off)
     else if ((messageType === 0x90 && velocity === 0) || messageType === 0x80) {
@@ -372,16 +461,24 @@ export class MidiManager {
       const mapping = this.midiNoteToMapping(note);
       this.emit('noteOff', midiNote, mapping);
     }
+    // Control change messages (pedals, knobs)
+    else if (messageType === 0xB0) {
+      const change: MidiControlChange = {
+        controller: note,
+        value: velocity,
+        channel,
+        timestamp: event.timeStamp
+      };
+      this.emit('controlChange', change);
+    }
   }
 
   /**
    * Convert MIDI note number to musical note mapping
-   * Uses utility function for consistent conversion
+   * Uses utility function for consistent conversion (black keys keep their accidental)
    */
   private midiNoteToMapping(midiNote: number): MidiNoteMapping {
-    // Get closest natural note for the game (no sharps/flats)
-    const naturalMidiNote = getClosestNaturalNote(midiNote);
-    return midiNoteToMapping(naturalMidiNote);
+    return midiNoteToMapping(midiNote);
   }
 
   /**
@@ -445,10 +542,7 @@ export class MidiManager {
    */
   private emitStatusChange(additionalProps: Partial<MidiConnectionStatus> = {}): void {
     const status: MidiConnectionStatus = {
-      isSupported: !!navigator.requestMIDIAccess,
-      isEnabled: !!this.midiAccess,
-      selectedDeviceId: this.selectedDeviceId || undefined,
-      connectedDevices: Array.from(this.connectedDevices.values()),
+      ...this.getStatus(),
       ...additionalProps
     };
 
@@ -463,7 +557,9 @@ export class MidiManager {
       isSupported: !!navigator.requestMIDIAccess,
       isEnabled: !!this.midiAccess,
       selectedDeviceId: this.selectedDeviceId || undefined,
-      connectedDevices: Array.from(this.connectedDevices.values())
+      connectedDevices: Array.from(this.connectedDevices.values()),
+      selectedOutputId: this.selectedOutputId || undefined,
+      connectedOutputs: this.getConnectedOutputs()
     };
   }
 
@@ -474,6 +570,21 @@ export class MidiManager {
     return Array.from(this.connectedDevices.values());
   }
 
+  /**
+   * Get list of connected outputs
+   */
+  public getConnectedOutputs(): MidiDevice[] {
+    return Array.from(this.connectedOutputs.values()).map(output => this.describeOutput(output));
+  }
+
+  /**
+   * Get currently selected output
+   */
+  public getSelectedOutput(): MidiDevice | null {
+    const output = this.selectedOutputId ? this.connectedOutputs.get(this.selectedOutputId) : undefined;
+    return output ? this.describeOutput(output) : null;
+  }
+
   /**
    * Get currently selected device
    */
@@ -505,6 +616,8 @@ export class MidiManager {
     }
     
     this.connectedDevices.clear();
+    this.connectedOutputs.clear();
+    this.selectedOutputId = null;
     this.inputCallbacks = [];
     this.eventListeners.clear();
     this.midiAccess = null;
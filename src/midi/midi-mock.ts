@@ -0,0 +1,54 @@
+/**
+ * Mock MIDI output for tests
+ * Records what is sent instead of playing it; can stand in for a Web MIDI output port
+ * (midiManager.addOutputDevice) or be given straight to a MidiOutputPlayer
+ */
+
+import { MidiOutputPort } from './midi-types.js';
+
+export interface SentMidiMessage {
+  data: number[];
+  timestamp: number | undefined;
+}
+
+export class MockMidiOutput implements MidiOutputPort {
+  public readonly type = 'output';
+  public state: 'connected' | 'disconnected' = 'connected';
+  public connection: 'open' | 'closed' | 'pending' = 'open';
+  public sent: SentMidiMessage[] = [];
+
+  constructor(
+    public readonly id = 'mock-output',
+    public readonly name = 'Mock MIDI Output',
+    public readonly manufacturer = 'Test'
+  ) {}
+
+  public send(data: number[], timestamp?: number): void {
+    this.sent.push({ data: Array.from(data), timestamp: timestamp });
+  }
+
+  /**
+   * Notes held down on a channel after everything sent up to a time (all of it by default),
+   * in the order they started. Messages sent without a time count as sent at time 0
+   */
+  public notesOn(channel: number, time = Infinity): number[] {
+    const held = new Set<number>();
+    this.sent
+      .filter(message => (message.timestamp ?? 0) <= time)
+      .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0))
+      .forEach(({ data: [status, note, velocity] }) => {
+        if ((status & 0x0F) !== channel) return;
+        const type = status & 0xF0;
+        if (type === 0x90 && velocity > 0) {
+          held.add(note);
+        } else if (type === 0x80 || type === 0x90) {
+          held.delete(note);
+        }
+      });
+    return Array.from(held);
+  }
+
+  public clear(): void {
+    this.sent = [];
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * MIDI Output for Note Reading Game
+ * Plays notes on the player's keyboard (hints and echoes) and drives key lights
+ *
+ * Key lights: keyboards with lit keys light a key for a note-on received on one of their light
+ * channels and turn it off again with the note-off. The channels differ between keyboards, so they
+ * are settings (one for each hand).
+ */
+
+import { MidiKeyLight, MidiOutputPort, MidiOutputSettings } from './midi-types.js';
+
+export const DEFAULT_MIDI_OUTPUT_SETTINGS: MidiOutputSettings = {
+  hint: false,
+  echo: false,
+  keyLights: false,
+  channel: 0,
+  velocity: 80,
+  noteLength: 600,
+  lightChannels: { treble: 3, bass: 2 }
+};
+
+const LIGHT_VELOCITY = 1; // Quiet, in case the keyboard also sounds its light channels
+
+export function noteOnMessage(channel: number, note: number, velocity: number): number[] {
+  return [0x90 | (channel & 0x0F), note & 0x7F, velocity & 0x7F];
+}
+
+export function noteOffMessage(channel: number, note: number): number[] {
+  return [0x80 | (channel & 0x0F), note & 0x7F, 0];
+}
+
+/**
+ * Saved output settings with anything missing or out of range replaced by the defaults
+ */
+export function readMidiOutputSettings(saved: any): MidiOutputSettings {
+  const channel = (value: any, fallback: number) =>
+    Number.isInteger(value) && value >= 0 && value <= 15 ? value : fallback;
+  const defaults = DEFAULT_MIDI_OUTPUT_SETTINGS;
+  const settings = saved && typeof saved === 'object' ? saved : {};
+  const lightChannels = settings.lightChannels && typeof settings.lightChannels === 'object' ? settings.lightChannels : {};
+  return {
+    hint: settings.hint === true,
+    echo: settings.echo === true,
+    keyLights: settings.keyLights === true,
+    channel: channel(settings.channel, defaults.channel),
+    velocity: Number.isInteger(settings.velocity) && settings.velocity >= 1 && settings.velocity <= 127
+      ? settings.velocity
+      : defaults.velocity,
+    noteLength: typeof settings.noteLength === 'number' && settings.noteLength > 0 ? settings.noteLength : defaults.noteLength,
+    lightChannels: {
+      treble: channel(lightChannels.treble, defaults.lightChannels.treble),
+      bass: channel(lightChannels.bass, defaults.lightChannels.bass)
+    }
+  };
+}
+
+export class MidiOutputPlayer {
+  private settings: MidiOutputSettings;
+  private litKeys = new Map<string, { channel: number; note: number }>(); // 'channel:note' -> key
+
+  constructor(
+    private port: MidiOutputPort,
+    settings: Partial<MidiOutputSettings> = {},
+    private now: () => number = () => performance.now()
+  ) {
+    this.settings = { ...DEFAULT_MIDI_OUTPUT_SETTINGS, ...settings };
+  }
+
+  public getSettings(): MidiOutputSettings {
+    return { ...this.settings, lightChannels: { ...this.settings.lightChannels } };
+  }
+
+  /**
+   * Change the settings; keys lit on a channel that is no longer used (or with key lights
+   * turned off) go dark
+   */
+  public updateSettings(settings: Partial<MidiOutputSettings>): void {
+    const lit = Array.from(this.litKeys.values());
+    this.clearKeyLights();
+    this.settings = { ...this.settings, ...settings };
+    if (this.settings.keyLights) {
+      lit.forEach(key => this.lightKey(key.channel, key.note));
+    }
+  }
+
+  /**
+   * The notes of a new target, played on the keyboard when hints are on
+   */
+  public playHint(notes: number[], delayMs = 0): void {
+    if (this.settings.hint) {
+      this.playNotes(notes, delayMs);
+    }
+  }
+
+  /**
+   * The right notes after a miss, played on the keyboard when echoes are on
+   */
+  public playEcho(notes: number[], delayMs = 0): void {
+    if (this.settings.echo) {
+      this.playNotes(notes, delayMs);
+    }
+  }
+
+  /**
+   * Play notes together; the note-offs are scheduled with the note-ons, so no timers are needed
+   */
+  public playNotes(notes: number[], delayMs = 0): void {
+    const start = this.now() + delayMs;
+    notes.forEach(note => {
+      this.port.send(noteOnMessage(this.settings.channel, note, this.settings.velocity), start);
+      this.port.send(noteOffMessage(this.settings.channel, note), start + this.settings.noteLength);
+    });
+  }
+
+  /**
+   * Light exactly these keys: new ones are turned on and the rest of the lit keys turned off
+   */
+  public setKeyLights(keys: MidiKeyLight[]): void {
+    if (!this.settings.keyLights) return;
+
+    const wanted = new Map<string, { channel: number; note: number }>();
+    keys.forEach(key => {
+      const channel = key.clef === 'bass' ? this.settings.lightChannels.bass : this.settings.lightChannels.treble;
+      wanted.set(`${channel}:${key.midi}`, { channel: channel, note: key.midi });
+    });
+
+    Array.from(this.litKeys.entries()).forEach(([id, key]) => {
+      if (!wanted.has(id)) {
+        this.port.send(noteOffMessage(key.channel, key.note));
+        this.litKeys.delete(id);
+      }
+    });
+    wanted.forEach((key, id) => {
+      if (!this.litKeys.has(id)) {
+        this.lightKey(key.channel, key.note);
+      }
+    });
+  }
+
+  public clearKeyLights(): void {
+    this.litKeys.forEach(key => this.port.send(noteOffMessage(key.channel, key.note)));
+    this.litKeys.clear();
+  }
+
+  private lightKey(channel: number, note: number): void {
+    this.port.send(noteOnMessage(channel, note, LIGHT_VELOCITY));
+    this.litKeys.set(`${channel}:${note}`, { channel: channel, note: note });
+  }
+}
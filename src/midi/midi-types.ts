@@ -21,8 +21,9 @@ export interface MidiNote {
 export interface MidiNoteMapping {
   midiNote: number;
   noteName: string;    // A, B, C, D, E, F, G
+  accidental: 'sharp' | null;  // Black keys are spelled as sharps
   octave: number;      // Octave number
-  scientific: string;  // Scientific notation (e.g., "C4")
+  scientific: string;  // Scientific notation (e.g., "C4", "C#4")
 }
 
 export interface PianoModeSettings {
@@ -39,17 +40,68 @@ export interface MidiConnectionStatus {
   isEnabled: boolean;
   selectedDeviceId?: string;
   connectedDevices: MidiDevice[];
+  selectedOutputId?: string;
+  connectedOutputs: MidiDevice[];
   lastError?: string;
   pianoMode?: PianoModeSettings; // Piano mode settings
 }
 
-export type MidiInputCallback = (noteMapping: MidiNoteMapping) => void;
+export interface MidiControlChange {
+  controller: number;  // Controller number, e.g. 64 for the sustain pedal
+  value: number;       // 0-127; pedals send 64 and above when pressed
+  channel: number;
+  timestamp: number;
+}
+
+/**
+ * The velocities a keyboard sends for the player's softest and loudest touch (see calibrateVelocity)
+ */
+export interface VelocityCalibration {
+  soft: number;
+  loud: number;
+}
+
+/**
+ * Anything notes can be sent to: a Web MIDI output port, the MIDI manager's selected output or a mock
+ */
+export interface MidiOutputPort {
+  send(data: number[], timestamp?: number): void;
+}
+
+/**
+ * What the game sends to the player's keyboard
+ */
+export interface MidiOutputSettings {
+  hint: boolean;       // Play each new note on the keyboard
+  echo: boolean;       // Play the right note on the keyboard after a miss
+  keyLights: boolean;  // Light the keys of the next note on keyboards with key lights
+  channel: number;     // Channel (0-15) the hint and echo notes are played on
+  velocity: number;    // 1-127
+  noteLength: number;  // Milliseconds each played note is held
+  lightChannels: {     // Note-on channels (0-15) the keyboard reads as key lights, one per hand
+    treble: number;
+    bass: number;
+  };
+}
+
+/**
+ * A key to light: its MIDI note and the clef it is read on (which picks the light channel)
+ */
+export interface MidiKeyLight {
+  midi: number;
+  clef: string;
+}
+
+export type MidiInputCallback = (noteMapping: MidiNoteMapping, note: MidiNote) => void;
 
 export interface MidiManagerEvents {
   'deviceConnected': (device: MidiDevice) => void;
-  'deviceDisconnected': (device: MidiDevice) => void;
+  'deviceDisconnected': (device: MidiDevice, wasSelected: boolean) => void;
+  'outputConnected': (device: MidiDevice) => void;
+  'outputDisconnected': (device: MidiDevice, wasSelected: boolean) => void;
   'noteOn': (note: MidiNote, mapping: MidiNoteMapping) => void;
   'noteOff': (note: MidiNote, mapping: MidiNoteMapping) => void;
+  'controlChange': (change: MidiControlChange) => void;
   'statusChanged': (status: MidiConnectionStatus) => void;
   'pianoModeChanged': (settings: PianoModeSettings) => void;
 }
\ No newline at end of file
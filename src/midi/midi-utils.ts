@@ -3,7 +3,7 @@
  * Helper functions for MIDI note conversion and processing
  */
 
-import { MidiNoteMapping } from './midi-types.js';
+import { MidiNoteMapping, VelocityCalibration } from './midi-types.js';
 
 /**
  * Convert scientific notation (letter + octave) to MIDI note number
@@ -56,6 +56,7 @@ export function midiNoteToMapping(midiNote: number): MidiNoteMapping {
   const mapping: MidiNoteMapping = {
     midiNote: midiNote,
     noteName: naturalNote,
+    accidental: fullNoteName.includes('#') ? 'sharp' : null,
     octave: octave,
     scientific: fullNoteName + octave
   };
@@ -74,46 +75,6 @@ export function isNaturalNote(midiNote: number): boolean {
   return [0, 2, 4, 5, 7, 9, 11].includes(noteInOctave);
 }
 
-/**
- * Get the closest natural note for a given MIDI note
- * Useful for mapping sharp/flat notes to natural notes for the game
- * @param midiNote MIDI note number
- * @returns MIDI note number of closest natural note
- */
-export function getClosestNaturalNote(midiNote: number): number {
-  if (isNaturalNote(midiNote)) {
-    return midiNote;
-  }
-  
-  const noteInOctave = midiNote % 12;
-  const octave = Math.floor(midiNote / 12);
-  
-  // Map sharp/flat notes to their natural equivalents
-  let naturalNoteInOctave: number;
-  
-  switch (noteInOctave) {
-    case 1:  // C#/Db -> C
-      naturalNoteInOctave = 0;
-      break;
-    case 3:  // D#/Eb -> D
-      naturalNoteInOctave = 2;
-      break;
-    case 6:  // F#/Gb -> F
-      naturalNoteInOctave = 5;
-      break;
-    case 8:  // G#/Ab -> G
-      naturalNoteInOctave = 7;
-      break;
-    case 10: // A#/Bb -> A
-      naturalNoteInOctave = 9;
-      break;
-    default:
-      naturalNoteInOctave = noteInOctave;
-  }
-  
-  return octave * 12 + naturalNoteInOctave;
-}
-
 /**
  * Check if a MIDI note is in the playable range for the game
  * Based on typical piano range and note reading difficulty
@@ -135,23 +96,54 @@ export function formatNoteForDisplay(mapping: MidiNoteMapping): string {
 }
 
 /**
- * Get the natural note name from a MIDI note for game input
- * Maps sharps/flats to closest natural
+ * Get the note name from a MIDI note for game input
+ * Black keys are spelled as sharps; the game matches input by pitch class,
+ * so C# also answers a written Db
  * @param midiNote MIDI note number
- * @returns Natural note name for game input
+ * @returns Note name for game input (e.g. "C", "C#")
  */
-export function getNaturalNoteForGame(midiNote: number): string {
+export function getNoteNameForGame(midiNote: number): string {
   const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const noteIndex = midiNote % 12;
-  const fullNoteName = noteNames[noteIndex];
-  
-  if (fullNoteName.includes('#')) {
-    // Map sharp notes to the closest natural note
-    const closestNatural = getClosestNaturalNote(midiNote);
-    return noteNames[closestNatural % 12].charAt(0);
+  return noteNames[midiNote % 12];
+}
+
+// Calibration needs the loud touch this much above the soft one
+export const MIN_CALIBRATION_RANGE = 10;
+
+/**
+ * Spread a keyboard's velocities over the full range, so that soft and hard key actions reach the
+ * same dynamics: the calibrated soft touch becomes 1 and the loud touch 127
+ * @param velocity Velocity received (1-127)
+ * @param calibration The keyboard's calibration, or null to keep the velocity as it is
+ * @returns Velocity on the full 1-127 range
+ */
+export function calibrateVelocity(velocity: number, calibration: VelocityCalibration | null): number {
+  if (!calibration || calibration.loud - calibration.soft < MIN_CALIBRATION_RANGE) {
+    return velocity;
   }
-  
-  return fullNoteName.charAt(0); // Return natural note letter
+  const scaled = 1 + (velocity - calibration.soft) * 126 / (calibration.loud - calibration.soft);
+  return Math.round(Math.min(127, Math.max(1, scaled)));
+}
+
+// Pedals that can pause the game (MIDI controller numbers)
+export const PAUSE_PEDALS: Record<string, number> = {
+  sustain: 64,
+  sostenuto: 66,
+  soft: 67
+};
+
+// Pedal controller values from this one up mean the pedal is down
+export const PEDAL_DOWN_VALUE = 64;
+
+/**
+ * Whether a pedal's new controller value presses it down; pedals that report half positions send many
+ * values while moving, and only crossing the middle counts as one press
+ * @param previousValue Last value received from the pedal
+ * @param value New value
+ * @returns True when the pedal went from up to down
+ */
+export function isPedalPress(previousValue: number, value: number): boolean {
+  return previousValue < PEDAL_DOWN_VALUE && value >= PEDAL_DOWN_VALUE;
 }
 
 /**
@@ -0,0 +1,257 @@
+/**
+ * Microphone Manager for Note Reading Game
+ * Captures microphone audio and runs monophonic pitch detection in an AudioWorklet
+ *
+ * Features:
+ * - Pitch detection off the main thread (see pitch-worklet.ts)
+ * - Onset detection so repeated notes are reported once per attack
+ * - Adjustable confidence threshold and tuning reference (A4 frequency)
+ * - Event-based architecture matching the MIDI manager
+ */
+
+import {
+  DetectedNote,
+  MicrophoneManagerEvents,
+  MicrophoneNoteCallback,
+  MicrophoneSettings,
+  MicrophoneStatus,
+  PitchWorkletCommand,
+  PitchWorkletMessage
+} from './pitch-types.js';
+
+import { PITCH_PROCESSOR_NAME } from './pitch-utils.js';
+
+export const DEFAULT_MICROPHONE_SETTINGS: MicrophoneSettings = {
+  enabled: false,
+  tuningReference: 440,
+  confidenceThreshold: 0.85
+};
+
+export class MicrophoneManager {
+  private audioContext: AudioContext | null = null;
+  private mediaStream: MediaStream | null = null;
+  private sourceNode: MediaStreamAudioSourceNode | null = null;
+  private detectorNode: AudioWorkletNode | null = null;
+  private settings: MicrophoneSettings = { ...DEFAULT_MICROPHONE_SETTINGS };
+  private inputCallbacks: MicrophoneNoteCallback[] = [];
+  private eventListeners = new Map<keyof MicrophoneManagerEvents, Function[]>();
+
+  /**
+   * Check whether the browser supports microphone capture and AudioWorklet
+   */
+  public isSupported(): boolean {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia) &&
+           typeof AudioWorkletNode !== 'undefined';
+  }
+
+  /**
+   * Request microphone access and start pitch detection
+   * @returns True if the microphone is listening
+   */
+  public async start(): Promise<boolean> {
+    if (this.detectorNode) return true;
+
+    if (!this.isSupported()) {
+      console.warn('Microphone pitch detection not supported in this browser');
+      this.emitStatusChange({ lastError: 'Microphone input not supported' });
+      return false;
+    }
+
+    try {
+      // Disable voice processing: it distorts sustained instrument tones
+      this.mediaStream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+      });
+
+      this.audioContext = new AudioContext();
+      await this.audioContext.audioWorklet.addModule(new URL('./pitch-worklet.js', import.meta.url).href);
+
+      this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+      this.detectorNode = new AudioWorkletNode(this.audioContext, PITCH_PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        processorOptions: {
+          tuningReference: this.settings.tuningReference,
+          confidenceThreshold: this.settings.confidenceThreshold
+        }
+      });
+      this.detectorNode.port.onmessage = (event: MessageEvent<PitchWorkletMessage>) => {
+        this.handleWorkletMessage(event.data);
+      };
+      this.sourceNode.connect(this.detectorNode);
+
+      console.log('Microphone pitch detection started');
+      this.emitStatusChange();
+      return true;
+    } catch (error) {
+      console.error('Failed to start microphone input:', error);
+      this.stop();
+      this.emitStatusChange({ lastError: `Microphone unavailable: ${(error as Error).message}` });
+      return false;
+    }
+  }
+
+  /**
+   * Stop pitch detection and release the microphone
+   */
+  public stop(): void {
+    if (this.sourceNode) {
+      this.sourceNode.disconnect();
+      this.sourceNode = null;
+    }
+    if (this.detectorNode) {
+      this.detectorNode.port.onmessage = null;
+      this.detectorNode = null;
+    }
+    if (this.mediaStream) {
+      this.mediaStream.getTracks().forEach(track => track.stop());
+      this.mediaStream = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+
+    this.emitStatusChange();
+  }
+
+  /**
+   * Resume the audio context (browsers suspend it until a user gesture)
+   */
+  public async resume(): Promise<void> {
+    if (this.audioContext && this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+  }
+
+  /**
+   * Update tuning reference and confidence threshold (applied live if listening)
+   */
+  public configure(settings: Partial<MicrophoneSettings>): void {
+    this.settings = { ...this.settings, ...settings };
+    this.postCommand({
+      type: 'configure',
+      options: {
+        tuningReference: this.settings.tuningReference,
+        confidenceThreshold: this.settings.confidenceThreshold
+      }
+    });
+  }
+
+  /**
+   * Forget the current note so the next detection is reported even if it repeats
+   */
+  public reset(): void {
+    this.postCommand({ type: 'reset' });
+  }
+
+  /**
+   * Get the active settings
+   */
+  public getSettings(): MicrophoneSettings {
+    return { ...this.settings };
+  }
+
+  /**
+   * Send a command to the worklet if it is running
+   */
+  private postCommand(command: PitchWorkletCommand): void {
+    if (this.detectorNode) {
+      this.detectorNode.port.postMessage(command);
+    }
+  }
+
+  /**
+   * Process a message posted by the pitch detector worklet
+   */
+  private handleWorkletMessage(message: PitchWorkletMessage): void {
+    if (message.type === 'note') {
+      const note: DetectedNote = message.note;
+      this.inputCallbacks.forEach(callback => {
+        try {
+          callback(note);
+        } catch (error) {
+          console.error('Error in microphone input callback:', error);
+        }
+      });
+      this.emit('note', note);
+    } else if (message.type === 'silence') {
+      this.emit('silence');
+    }
+  }
+
+  /**
+   * Register a callback for detected notes
+   */
+  public onNoteInput(callback: MicrophoneNoteCallback): void {
+    this.inputCallbacks.push(callback);
+  }
+
+  /**
+   * Clear all note input callbacks
+   */
+  public clearNoteInputCallbacks(): void {
+    this.inputCallbacks = [];
+  }
+
+  /**
+   * Register an event listener
+   */
+  public on<T extends keyof MicrophoneManagerEvents>(
+    event: T,
+    listener: MicrophoneManagerEvents[T]
+  ): void {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event)!.push(listener);
+  }
+
+  /**
+   * Emit an event to all registered listeners
+   */
+  private emit<T extends keyof MicrophoneManagerEvents>(
+    event: T,
+    ...args: Parameters<MicrophoneManagerEvents[T]>
+  ): void {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      listeners.forEach(listener => {
+        try {
+          (listener as any)(...args);
+        } catch (error) {
+          console.error(`Error in microphone event listener for ${event}:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Emit status change event
+   */
+  private emitStatusChange(additionalProps: Partial<MicrophoneStatus> = {}): void {
+    this.emit('statusChanged', { ...this.getStatus(), ...additionalProps });
+  }
+
+  /**
+   * Get current microphone status
+   */
+  public getStatus(): MicrophoneStatus {
+    return {
+      isSupported: this.isSupported(),
+      isListening: !!this.detectorNode
+    };
+  }
+
+  /**
+   * Release the microphone and clear listeners
+   */
+  public destroy(): void {
+    this.stop();
+    this.inputCallbacks = [];
+    this.eventListeners.clear();
+  }
+}
+
+// Export singleton instance for easy use across the application
+export const microphoneManager = new MicrophoneManager();
@@ -0,0 +1,63 @@
+/**
+ * TypeScript type definitions for microphone pitch detection
+ * Shared by the AudioWorklet processor, the microphone manager and the test harness
+ */
+
+export interface PitchDetectorOptions {
+  windowSize: number;           // Samples analysed per pitch estimate
+  hopSize: number;              // Samples between consecutive estimates
+  minFrequency: number;         // Lowest detectable pitch in Hz
+  maxFrequency: number;         // Highest detectable pitch in Hz
+  confidenceThreshold: number;  // 0-1, estimates below this are ignored
+  tuningReference: number;      // Frequency of A4 in Hz (e.g. 440, 442, 415)
+  silenceThreshold: number;     // RMS level below which the input counts as silence
+  onsetRatio: number;           // RMS jump (current / previous) that counts as a new attack
+  stableFrames: number;         // Consecutive matching estimates required before a note is reported
+}
+
+export interface PitchEstimate {
+  frequency: number;   // Detected fundamental in Hz
+  confidence: number;  // 0-1, derived from the YIN aperiodicity
+}
+
+export interface DetectedNote {
+  midiNote: number;    // Nearest MIDI note for the tuning reference
+  frequency: number;   // Detected fundamental in Hz
+  cents: number;       // Deviation from the nearest note (-50 to 50)
+  confidence: number;  // 0-1
+  time: number;        // Seconds since the detector started (end of the analysed window)
+}
+
+export interface MicrophoneSettings {
+  enabled: boolean;
+  tuningReference: number;
+  confidenceThreshold: number;
+}
+
+export interface MicrophoneStatus {
+  isSupported: boolean;
+  isListening: boolean;
+  lastError?: string;
+}
+
+/**
+ * Messages sent from the main thread to the pitch detector worklet
+ */
+export type PitchWorkletCommand =
+  | { type: 'configure'; options: Partial<PitchDetectorOptions> }
+  | { type: 'reset' };
+
+/**
+ * Messages sent from the pitch detector worklet to the main thread
+ */
+export type PitchWorkletMessage =
+  | { type: 'note'; note: DetectedNote }
+  | { type: 'silence'; time: number };
+
+export type MicrophoneNoteCallback = (note: DetectedNote) => void;
+
+export interface MicrophoneManagerEvents {
+  'note': (note: DetectedNote) => void;
+  'silence': () => void;
+  'statusChanged': (status: MicrophoneStatus) => void;
+}
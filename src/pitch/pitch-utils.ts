@@ -0,0 +1,298 @@
+/**
+ * Pitch Detection Utility Functions
+ * Monophonic pitch estimation (YIN), onset tracking and frequency/MIDI conversion.
+ * Kept free of DOM and Web Audio APIs so the same code runs inside the AudioWorklet
+ * and in the synthesized-buffer test harness.
+ */
+
+import { PitchDetectorOptions, PitchEstimate, PitchWorkletMessage } from './pitch-types.js';
+
+// Name the worklet processor is registered under
+export const PITCH_PROCESSOR_NAME = 'pitch-detector';
+
+// Cumulative mean normalized difference below which YIN accepts the first dip as the period
+const YIN_THRESHOLD = 0.15;
+
+export const DEFAULT_PITCH_DETECTOR_OPTIONS: PitchDetectorOptions = {
+  windowSize: 2048,
+  hopSize: 1024,
+  minFrequency: 55,      // A1
+  maxFrequency: 2100,    // Just above C7
+  confidenceThreshold: 0.85,
+  tuningReference: 440,
+  silenceThreshold: 0.01,
+  onsetRatio: 2,         // Roughly +6 dB between consecutive windows
+  stableFrames: 2
+};
+
+/**
+ * Convert a frequency to a (fractional) MIDI note number
+ * @param frequency Frequency in Hz
+ * @param tuningReference Frequency of A4 in Hz
+ * @returns MIDI note number, e.g. 69.0 for A4 or 69.5 for a quarter tone above
+ */
+export function frequencyToMidi(frequency: number, tuningReference: number = 440): number {
+  return 69 + 12 * Math.log2(frequency / tuningReference);
+}
+
+/**
+ * Convert a MIDI note number to its frequency
+ * @param midiNote MIDI note number (may be fractional)
+ * @param tuningReference Frequency of A4 in Hz
+ * @returns Frequency in Hz
+ */
+export function midiToFrequency(midiNote: number, tuningReference: number = 440): number {
+  return tuningReference * Math.pow(2, (midiNote - 69) / 12);
+}
+
+/**
+ * Root-mean-square level of a block of samples
+ * @param samples Audio samples (-1 to 1)
+ * @returns RMS level (0 to 1)
+ */
+export function calculateRms(samples: Float32Array): number {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+}
+
+/**
+ * Estimate the fundamental frequency of a monophonic signal with the YIN algorithm
+ * @param samples Analysis window
+ * @param sampleRate Sample rate in Hz
+ * @param minFrequency Lowest pitch to search for in Hz
+ * @param maxFrequency Highest pitch to search for in Hz
+ * @returns Frequency and confidence, or null if no period was found in range
+ */
+export function detectPitchYin(
+  samples: Float32Array,
+  sampleRate: number,
+  minFrequency: number,
+  maxFrequency: number
+): PitchEstimate | null {
+  const tauMin = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const tauMax = Math.min(Math.floor(samples.length / 2), Math.ceil(sampleRate / minFrequency));
+  if (tauMax <= tauMin + 1) {
+    return null;
+  }
+
+  // Difference function normalized by its cumulative mean, so d'(tau) ~ 1 for unrelated lags
+  const integrationLength = samples.length - tauMax;
+  const normalized = new Float32Array(tauMax + 1);
+  normalized[0] = 1;
+  let runningSum = 0;
+
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let difference = 0;
+    for (let i = 0; i < integrationLength; i++) {
+      const delta = samples[i] - samples[i + tau];
+      difference += delta * delta;
+    }
+    runningSum += difference;
+    normalized[tau] = runningSum > 0 ? (difference * tau) / runningSum : 1;
+  }
+
+  // First dip under the threshold is the period; later dips are its multiples (octave errors)
+  let bestTau = -1;
+  for (let tau = tauMin; tau <= tauMax; tau++) {
+    if (normalized[tau] < YIN_THRESHOLD) {
+      while (tau + 1 <= tauMax && normalized[tau + 1] < normalized[tau]) {
+        tau++;
+      }
+      bestTau = tau;
+      break;
+    }
+  }
+
+  // No clear dip: fall back to the global minimum and let the confidence reflect it
+  if (bestTau === -1) {
+    bestTau = tauMin;
+    for (let tau = tauMin + 1; tau <= tauMax; tau++) {
+      if (normalized[tau] < normalized[bestTau]) {
+        bestTau = tau;
+      }
+    }
+  }
+
+  // Parabolic interpolation around the dip for sub-sample period accuracy
+  let period = bestTau;
+  if (bestTau > tauMin && bestTau < tauMax) {
+    const previous = normalized[bestTau - 1];
+    const current = normalized[bestTau];
+    const next = normalized[bestTau + 1];
+    const curvature = previous - 2 * current + next;
+    if (curvature > 0) {
+      period += (previous - next) / (2 * curvature);
+    }
+  }
+
+  const frequency = sampleRate / period;
+  if (frequency < minFrequency || frequency > maxFrequency) {
+    return null;
+  }
+
+  return {
+    frequency: frequency,
+    confidence: Math.max(0, Math.min(1, 1 - normalized[bestTau]))
+  };
+}
+
+/**
+ * Streaming monophonic note tracker
+ * Buffers incoming audio, estimates pitch every hop and reports each new note once:
+ * after an onset (attack out of silence or a sudden level jump) or a legato pitch change,
+ * once the same note has been detected with enough confidence for `stableFrames` hops.
+ */
+export class PitchTracker {
+  private options: PitchDetectorOptions;
+  private history: Float32Array;
+  private frame: Float32Array;
+  private writeIndex = 0;
+  private bufferedSamples = 0;
+  private samplesSinceAnalysis = 0;
+  private totalSamples = 0;
+
+  private sounding = false;
+  private previousRms = 0;
+  private candidateNote: number | null = null;
+  private candidateFrames = 0;
+  private reportedNote: number | null = null;
+
+  constructor(private sampleRate: number, options: Partial<PitchDetectorOptions> = {}) {
+    this.options = { ...DEFAULT_PITCH_DETECTOR_OPTIONS, ...options };
+    this.history = new Float32Array(this.options.windowSize);
+    this.frame = new Float32Array(this.options.windowSize);
+  }
+
+  /**
+   * Update detector options (window size changes clear the buffered audio)
+   */
+  public configure(options: Partial<PitchDetectorOptions>): void {
+    const windowSize = this.options.windowSize;
+    this.options = { ...this.options, ...options };
+
+    if (this.options.windowSize !== windowSize) {
+      this.history = new Float32Array(this.options.windowSize);
+      this.frame = new Float32Array(this.options.windowSize);
+      this.reset();
+    }
+  }
+
+  /**
+   * Get the active detector options
+   */
+  public getOptions(): PitchDetectorOptions {
+    return { ...this.options };
+  }
+
+  /**
+   * Forget buffered audio and note state
+   */
+  public reset(): void {
+    this.history.fill(0);
+    this.writeIndex = 0;
+    this.bufferedSamples = 0;
+    this.samplesSinceAnalysis = 0;
+    this.sounding = false;
+    this.previousRms = 0;
+    this.candidateNote = null;
+    this.candidateFrames = 0;
+    this.reportedNote = null;
+  }
+
+  /**
+   * Feed a block of samples (any length, e.g. 128-sample render quanta)
+   * @returns Note and silence messages produced while processing the block
+   */
+  public process(samples: Float32Array): PitchWorkletMessage[] {
+    const messages: PitchWorkletMessage[] = [];
+    const windowSize = this.options.windowSize;
+
+    for (let i = 0; i < samples.length; i++) {
+      this.history[this.writeIndex] = samples[i];
+      this.writeIndex = (this.writeIndex + 1) % windowSize;
+      this.bufferedSamples = Math.min(this.bufferedSamples + 1, windowSize);
+      this.samplesSinceAnalysis++;
+      this.totalSamples++;
+
+      if (this.bufferedSamples === windowSize && this.samplesSinceAnalysis >= this.options.hopSize) {
+        this.samplesSinceAnalysis = 0;
+        const message = this.analyzeFrame();
+        if (message) {
+          messages.push(message);
+        }
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Analyse the most recent window (oldest sample first)
+   */
+  private analyzeFrame(): PitchWorkletMessage | null {
+    const windowSize = this.options.windowSize;
+    for (let i = 0; i < windowSize; i++) {
+      this.frame[i] = this.history[(this.writeIndex + i) % windowSize];
+    }
+
+    const time = this.totalSamples / this.sampleRate;
+    const rms = calculateRms(this.frame);
+    const previousRms = this.previousRms;
+    this.previousRms = rms;
+
+    if (rms < this.options.silenceThreshold) {
+      this.candidateNote = null;
+      this.candidateFrames = 0;
+      this.reportedNote = null;
+      if (this.sounding) {
+        this.sounding = false;
+        return { type: 'silence', time: time };
+      }
+      return null;
+    }
+
+    // Onset: sound out of silence, or a re-attack (allows repeating the same note)
+    if (!this.sounding || rms > previousRms * this.options.onsetRatio) {
+      this.sounding = true;
+      this.reportedNote = null;
+      this.candidateNote = null;
+      this.candidateFrames = 0;
+    }
+
+    const estimate = detectPitchYin(this.frame, this.sampleRate, this.options.minFrequency, this.options.maxFrequency);
+    if (!estimate || estimate.confidence < this.options.confidenceThreshold) {
+      this.candidateNote = null;
+      this.candidateFrames = 0;
+      return null;
+    }
+
+    const exactNote = frequencyToMidi(estimate.frequency, this.options.tuningReference);
+    const midiNote = Math.round(exactNote);
+
+    if (midiNote === this.candidateNote) {
+      this.candidateFrames++;
+    } else {
+      this.candidateNote = midiNote;
+      this.candidateFrames = 1;
+    }
+
+    if (this.candidateFrames < this.options.stableFrames || midiNote === this.reportedNote) {
+      return null;
+    }
+
+    this.reportedNote = midiNote;
+    return {
+      type: 'note',
+      note: {
+        midiNote: midiNote,
+        frequency: estimate.frequency,
+        cents: Math.round((exactNote - midiNote) * 100),
+        confidence: estimate.confidence,
+        time: time
+      }
+    };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Pitch Detector AudioWorklet Processor
+ * Runs the PitchTracker on the audio rendering thread and posts detected notes
+ * to the main thread. Loaded with audioWorklet.addModule('dist/pitch/pitch-worklet.js').
+ */
+
+import { PitchTracker, PITCH_PROCESSOR_NAME } from './pitch-utils.js';
+import { PitchDetectorOptions, PitchWorkletCommand } from './pitch-types.js';
+
+// AudioWorkletGlobalScope declarations (not part of the DOM lib)
+declare const sampleRate: number;
+declare class AudioWorkletProcessor {
+  readonly port: MessagePort;
+  constructor(options?: AudioWorkletNodeOptions);
+}
+declare function registerProcessor(
+  name: string,
+  processorCtor: new (options?: AudioWorkletNodeOptions) => AudioWorkletProcessor
+): void;
+
+class PitchDetectorProcessor extends AudioWorkletProcessor {
+  private tracker: PitchTracker;
+
+  constructor(options?: AudioWorkletNodeOptions) {
+    super(options);
+    const detectorOptions = (options?.processorOptions || {}) as Partial<PitchDetectorOptions>;
+    this.tracker = new PitchTracker(sampleRate, detectorOptions);
+
+    this.port.onmessage = (event: MessageEvent<PitchWorkletCommand>) => {
+      if (event.data.type === 'configure') {
+        this.tracker.configure(event.data.options);
+      } else if (event.data.type === 'reset') {
+        this.tracker.reset();
+      }
+    };
+  }
+
+  process(inputs: Float32Array[][]): boolean {
+    // Mono analysis: the first channel of the first input is enough for a single instrument
+    const channel = inputs[0] && inputs[0][0];
+    if (channel) {
+      this.tracker.process(channel).forEach(message => this.port.postMessage(message));
+    }
+    return true; // Keep the processor alive while the microphone is connected
+  }
+}
+
+registerProcessor(PITCH_PROCESSOR_NAME, PitchDetectorProcessor);
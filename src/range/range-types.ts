@@ -0,0 +1,22 @@
+/**
+ * TypeScript type definitions for custom note ranges
+ */
+
+/**
+ * Notes chosen per clef (localStorage 'noteGameNoteRange'), read by pickRandomNote in script.js
+ */
+export interface NoteRange {
+  enabled: boolean;
+  clefs: Record<string, string[]>; // Natural names ('F4') of the chosen staff positions; accidentals follow them
+}
+
+/**
+ * A staff position a clef can show, lowest first
+ */
+export interface RangeNote {
+  name: string;           // Natural name, e.g. 'F4'
+  letter: string;
+  octave: number;
+  staffPosition: number;  // Diatonic steps above the bottom line
+  midi: number;
+}
@@ -0,0 +1,114 @@
+/**
+ * Note Range Utility Functions
+ * Lists the notes each clef can show and keeps the player's chosen notes in order
+ */
+
+import { CLEF_BOTTOM_LINES } from '../stats/stats-utils.js';
+import { NoteRange, RangeNote } from './range-types.js';
+
+export const NOTE_RANGE_STORAGE_KEY = 'noteGameNoteRange';
+
+// Staff positions the game draws notes on: two ledger lines below to one above (see buildNoteDefinitions)
+export const LOWEST_STAFF_POSITION = -4;
+export const HIGHEST_STAFF_POSITION = 10;
+
+const LETTER_ORDER = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const SEMITONES: Record<string, number> = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Every staff position a clef can show, lowest first
+ */
+export function getClefNotes(clef: string): RangeNote[] {
+  const bottomLine = CLEF_BOTTOM_LINES[clef];
+  if (!bottomLine) return [];
+
+  const bottomStep = bottomLine.octave * 7 + LETTER_ORDER.indexOf(bottomLine.letter);
+  const notes: RangeNote[] = [];
+  for (let staffPosition = LOWEST_STAFF_POSITION; staffPosition <= HIGHEST_STAFF_POSITION; staffPosition++) {
+    const step = bottomStep + staffPosition;
+    const letter = LETTER_ORDER[step % 7];
+    const octave = Math.floor(step / 7);
+    notes.push({
+      name: `${letter}${octave}`,
+      letter: letter,
+      octave: octave,
+      staffPosition: staffPosition,
+      midi: (octave + 1) * 12 + SEMITONES[letter]
+    });
+  }
+  return notes;
+}
+
+/**
+ * Names of the notes from low to high (either order), inclusive
+ */
+export function getNotesBetween(clef: string, low: string, high: string): string[] {
+  const notes = getClefNotes(clef);
+  const lowIndex = notes.findIndex(note => note.name === low);
+  const highIndex = notes.findIndex(note => note.name === high);
+  if (lowIndex < 0 || highIndex < 0) return [];
+  return notes.slice(Math.min(lowIndex, highIndex), Math.max(lowIndex, highIndex) + 1).map(note => note.name);
+}
+
+/**
+ * Notes on the five staff lines, or in the four spaces (F-A-C-E in treble clef)
+ */
+export function getStaffNotes(clef: string, part: 'lines' | 'spaces' | 'all'): string[] {
+  return getClefNotes(clef)
+    .filter(note => note.staffPosition >= 0 && note.staffPosition <= 8)
+    .filter(note => part === 'all' || (note.staffPosition % 2 === 0) === (part === 'lines'))
+    .map(note => note.name);
+}
+
+/**
+ * Add or remove one note, keeping the selection lowest first
+ */
+export function toggleNote(clef: string, selection: string[], name: string): string[] {
+  const chosen = new Set(selection);
+  if (chosen.has(name)) {
+    chosen.delete(name);
+  } else {
+    chosen.add(name);
+  }
+  return getClefNotes(clef).map(note => note.name).filter(noteName => chosen.has(noteName));
+}
+
+/**
+ * 'C4–A5' for a run of neighbouring notes, otherwise the notes themselves
+ */
+export function describeSelection(clef: string, selection: string[]): string {
+  if (selection.length === 0) return 'ledger lines from Difficulty';
+
+  const names = getClefNotes(clef).map(note => note.name);
+  const indices = selection.map(name => names.indexOf(name));
+  const contiguous = indices.every((index, i) => i === 0 || index === indices[i - 1] + 1);
+  if (contiguous && selection.length > 2) {
+    return `${selection[0]}–${selection[selection.length - 1]} (${selection.length} notes)`;
+  }
+  return selection.join(' ');
+}
+
+export function loadNoteRange(): NoteRange {
+  const saved = localStorage.getItem(NOTE_RANGE_STORAGE_KEY);
+  if (saved) {
+    try {
+      return { enabled: false, clefs: {}, ...JSON.parse(saved) };
+    } catch (e) {
+      console.warn('Could not load the note range:', e);
+    }
+  }
+  return { enabled: false, clefs: {} };
+}
+
+/**
+ * Save the range, leaving out clefs with nothing chosen (they use the ledger line setting)
+ */
+export function saveNoteRange(noteRange: NoteRange): void {
+  const clefs: Record<string, string[]> = {};
+  Object.entries(noteRange.clefs).forEach(([clef, selection]) => {
+    if (selection.length > 0) {
+      clefs[clef] = selection;
+    }
+  });
+  localStorage.setItem(NOTE_RANGE_STORAGE_KEY, JSON.stringify({ enabled: noteRange.enabled, clefs: clefs }));
+}
@@ -0,0 +1,35 @@
+/**
+ * TypeScript type definitions for game replays
+ */
+
+/**
+ * Input or outside change recorded between two frames: [frame, ms since game start, type, ...arguments].
+ * 'note' has the note, octave, clef, velocity and whether a key-up follows, as given to
+ * handleNoteInputWithOctave, 'release' the note and octave of a key-up, 'interval' the number and
+ * quality, 'piano' the Piano Mode settings and 'resize' the canvas width and height
+ */
+export type ReplayEvent = [number, number, ReplayEventType, ...unknown[]];
+
+export type ReplayEventType = 'note' | 'release' | 'interval' | 'piano' | 'resize';
+
+export interface ReplayResult {
+  score: number;
+  level: number;
+  notesDestroyed: number;
+}
+
+/**
+ * A recorded game (localStorage 'noteGameLastReplay', or a downloaded file), written by script.js
+ */
+export interface Replay {
+  format: string;                        // 'stave-wars-replay'
+  version: number;
+  recordedAt: string;                    // ISO time the game started
+  player: string | null;
+  seed: string;                          // Seed of the game's note sequence
+  search: string;                        // game.html query string, e.g. a daily challenge
+  storage: Record<string, string | null>; // Settings and other storage the game started from
+  frames: number[];                      // Milliseconds since the previous frame
+  events: ReplayEvent[];
+  result: ReplayResult | null;
+}
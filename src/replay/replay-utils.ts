@@ -0,0 +1,115 @@
+/**
+ * Replay Utility Functions
+ * Checks replay files and hands a replay over to game.html
+ */
+
+import { Replay, ReplayEventType } from './replay-types.js';
+
+// Match the constants in script.js
+export const REPLAY_FORMAT = 'stave-wars-replay';
+export const REPLAY_VERSION = 2;
+export const LAST_REPLAY_STORAGE_KEY = 'noteGameLastReplay';
+export const REPLAY_STORAGE_KEY = 'noteGameReplay';
+export const REPLAY_URL = 'game.html?replay';
+
+const EVENT_TYPES: ReplayEventType[] = ['note', 'release', 'interval', 'piano', 'resize'];
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isTime(value: unknown): value is number {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+/**
+ * Read a replay file, throwing an Error that can be shown to the player when it is not one
+ */
+export function parseReplay(text: string): Replay {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not a replay (it is not JSON)');
+  }
+
+  if (!isPlainObject(data) || data.format !== REPLAY_FORMAT) {
+    throw new Error('This file is not a Stave Wars replay');
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Replay version ${data.version} is not supported`);
+  }
+  if (typeof data.seed !== 'string' || typeof data.search !== 'string' || typeof data.recordedAt !== 'string') {
+    throw new Error('The replay has no seed or start time');
+  }
+  if (!isPlainObject(data.storage) ||
+      !Object.values(data.storage).every(value => value === null || typeof value === 'string')) {
+    throw new Error('The replay settings are damaged');
+  }
+  if (!Array.isArray(data.frames) || data.frames.length === 0 || !data.frames.every(isTime)) {
+    throw new Error('The replay has no frames');
+  }
+
+  const frameCount = data.frames.length;
+  if (!Array.isArray(data.events) || !data.events.every(event =>
+    Array.isArray(event) && Number.isInteger(event[0]) && event[0] >= 0 && event[0] <= frameCount &&
+    isTime(event[1]) && EVENT_TYPES.includes(event[2]))) {
+    throw new Error('The replay input is damaged');
+  }
+
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    recordedAt: data.recordedAt,
+    player: typeof data.player === 'string' ? data.player : null,
+    seed: data.seed,
+    search: data.search,
+    storage: data.storage as Record<string, string | null>,
+    frames: data.frames,
+    events: data.events as Replay['events'],
+    result: isPlainObject(data.result) ? data.result as unknown as Replay['result'] : null
+  };
+}
+
+/**
+ * Number of answers the player gave
+ */
+export function countReplayInputs(replay: Replay): number {
+  return replay.events.filter(event => event[2] === 'note' || event[2] === 'interval').length;
+}
+
+/**
+ * 'Ana, 2026-03-02 16:00, 2:14 min, 48 answers, score 320'
+ */
+export function describeReplay(replay: Replay): string {
+  const seconds = Math.round(replay.frames.reduce((total, ms) => total + ms, 0) / 1000);
+  const parts = [
+    replay.player || 'Player',
+    replay.recordedAt.slice(0, 16).replace('T', ' '),
+    `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} min`,
+    `${countReplayInputs(replay)} answers`
+  ];
+  if (replay.result) {
+    parts.push(`score ${replay.result.score}`);
+  }
+  return parts.join(', ');
+}
+
+export function loadLastReplay(): Replay | null {
+  const saved = localStorage.getItem(LAST_REPLAY_STORAGE_KEY);
+  if (!saved) return null;
+  try {
+    return parseReplay(saved);
+  } catch (e) {
+    console.warn('Could not load the last replay:', e);
+    return null;
+  }
+}
+
+/**
+ * Open game.html on a replay
+ */
+export function watchReplay(replay: Replay): void {
+  localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replay));
+  window.location.href = REPLAY_URL;
+}
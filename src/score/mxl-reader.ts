@@ -0,0 +1,131 @@
+/**
+ * Compressed MusicXML (.mxl) Reader
+ * An .mxl file is a ZIP archive whose META-INF/container.xml names the score inside it.
+ * Entries are stored or deflated; deflate is undone with the browser's DecompressionStream.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+interface ZipEntry {
+  name: string;
+  method: number;           // 0 = stored, 8 = deflate
+  compressedSize: number;
+  localHeaderOffset: number;
+}
+
+/**
+ * Check whether a file starts with a ZIP local file header ("PK\3\4")
+ */
+export function isZipArchive(buffer: ArrayBuffer): boolean {
+  return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === LOCAL_FILE_HEADER;
+}
+
+/**
+ * Decode XML bytes, honouring a UTF-16 byte order mark (some editors export UTF-16 MusicXML)
+ */
+export function decodeXmlBytes(bytes: Uint8Array): string {
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * List the entries of a ZIP archive from its central directory
+ */
+function readZipEntries(buffer: ArrayBuffer): ZipEntry[] {
+  const view = new DataView(buffer);
+
+  // The end of central directory record is followed by a comment of up to 64 KB
+  let endOffset = -1;
+  for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('The .mxl file is not a valid ZIP archive');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder('utf-8');
+  const entries: ZipEntry[] = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('The .mxl file has a damaged ZIP directory');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+
+    entries.push({
+      name: decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extract (and inflate) one ZIP entry
+ */
+async function readZipEntry(buffer: ArrayBuffer, entry: ZipEntry): Promise<Uint8Array> {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.localHeaderOffset, true) !== LOCAL_FILE_HEADER) {
+    throw new Error(`The .mxl file has a damaged entry: ${entry.name}`);
+  }
+
+  // The local header repeats the name and may have its own extra field
+  const nameLength = view.getUint16(entry.localHeaderOffset + 26, true);
+  const extraLength = view.getUint16(entry.localHeaderOffset + 28, true);
+  const dataOffset = entry.localHeaderOffset + 30 + nameLength + extraLength;
+  const data = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported ZIP compression method ${entry.method} in ${entry.name}`);
+  }
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot open compressed .mxl files, please use uncompressed MusicXML');
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Get the MusicXML text of the main score in an .mxl archive
+ * @param buffer Contents of the .mxl file
+ * @returns MusicXML text
+ * @throws Error if the archive is damaged or holds no score
+ */
+export async function readMxl(buffer: ArrayBuffer): Promise<string> {
+  const entries = readZipEntries(buffer);
+
+  // The first rootfile listed in the container is the score; fall back to the first XML file
+  let scorePath: string | null = null;
+  const container = entries.find(entry => entry.name === 'META-INF/container.xml');
+  if (container) {
+    const containerXml = decodeXmlBytes(await readZipEntry(buffer, container));
+    const rootfile = new DOMParser().parseFromString(containerXml, 'application/xml').querySelector('rootfile');
+    scorePath = rootfile ? rootfile.getAttribute('full-path') : null;
+  }
+
+  const scoreEntry = entries.find(entry => entry.name === scorePath) ||
+    entries.find(entry => !entry.name.startsWith('META-INF/') && /\.(musicxml|xml)$/i.test(entry.name));
+  if (!scoreEntry) {
+    throw new Error('The .mxl file does not contain a MusicXML score');
+  }
+
+  return decodeXmlBytes(await readZipEntry(buffer, scoreEntry));
+}
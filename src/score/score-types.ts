@@ -0,0 +1,96 @@
+/**
+ * TypeScript type definitions for imported scores
+ * Shared by the file parsers, the menu integration and the test harness
+ */
+
+// Clefs the game can draw (keys of CLEFS in script.js)
+export type ScoreClef = 'treble' | 'bass' | 'soprano' | 'mezzoSoprano' | 'alto' | 'tenor' | 'baritone';
+
+export interface ScoreNote {
+  step: string;       // Letter name, 'A'-'G'
+  alter: number;      // Semitones: -1 flat, 0 natural, 1 sharp
+  octave: number;     // Written octave (scientific pitch notation, C4 = middle C)
+  clef: ScoreClef;    // Clef of the staff the note is written on
+}
+
+export interface ScoreEvent {
+  time: number;       // Onset in quarter notes from the start of the piece
+  notes: ScoreNote[]; // More than one note is a chord (across staves too)
+}
+
+export interface ScorePart {
+  id: string;
+  name: string;
+}
+
+export interface ScoreSkipCounts {
+  doubleAccidentals: number;  // Double sharps/flats (the game has no glyphs for them)
+  unsupportedClefs: number;   // Percussion, TAB and clefs without a matching game clef
+}
+
+export interface ParsedScore {
+  title: string;
+  parts: ScorePart[];
+  partIndex: number;          // Index into parts of the part that was read (-1: MIDI tracks merged by hand)
+  keyFifths: number;          // First key signature: positive = sharps, negative = flats
+  events: ScoreEvent[];       // In playing order
+  skipped: ScoreSkipCounts;
+}
+
+/**
+ * Piece saved for the game (localStorage 'noteGameScore'), spawned in order instead of random notes
+ */
+export interface PracticeScore {
+  title: string;
+  clef: ScoreClef | 'grand';  // Staff layout the game switches to
+  keyFifths: number;
+  noteCount: number;
+  events: ScoreNote[][];      // One entry per onset; onset times are not needed to spawn in order
+}
+
+export interface MidiFileNote {
+  tick: number;       // Onset in ticks from the start of the file
+  midiNote: number;   // 0-127
+  velocity: number;   // 1-127
+  channel: number;    // 0-15 (9 is General MIDI percussion)
+}
+
+export interface MidiFileTrack {
+  name: string;
+  channels: number[];     // Channels the track's notes are on
+  notes: MidiFileNote[];  // Note-ons in time order
+}
+
+export interface MidiTempoChange {
+  tick: number;
+  microsecondsPerQuarter: number;
+}
+
+export interface MidiKeySignature {
+  tick: number;
+  fifths: number;     // Positive = sharps, negative = flats
+  minor: boolean;
+}
+
+export interface MidiTimeSignature {
+  tick: number;
+  numerator: number;
+  denominator: number;
+}
+
+/**
+ * Standard MIDI File contents. Format 0 files are split into one track per channel
+ */
+export interface MidiFile {
+  format: 0 | 1;
+  title: string;                  // Sequence name (name of the first track), '' if none
+  ticksPerQuarter: number;        // Musical timing (0 when the file uses SMPTE timing)
+  ticksPerSecond: number;         // SMPTE timing (0 when the file uses ticks per quarter note)
+  tracks: MidiFileTrack[];        // Only tracks with notes
+  tempos: MidiTempoChange[];      // Tempo map (empty = 120 BPM)
+  keySignatures: MidiKeySignature[];
+  timeSignatures: MidiTimeSignature[];
+}
+
+// Staff a MIDI track's notes are read on: right hand, left hand, split at middle C, or left out
+export type TrackHand = 'treble' | 'bass' | 'split' | 'none';
@@ -0,0 +1,97 @@
+/**
+ * Score Import Utility Functions
+ * Reads score files and turns them into the practice queue the game spawns notes from
+ */
+
+import { ParsedScore, PracticeScore, ScoreClef, ScoreNote } from './score-types.js';
+import { parseMusicXml } from './musicxml-parser.js';
+import { decodeXmlBytes, isZipArchive, readMxl } from './mxl-reader.js';
+
+// localStorage key the game reads the imported piece from
+export const PRACTICE_SCORE_STORAGE_KEY = 'noteGameScore';
+
+/**
+ * Read a MusicXML file (.musicxml, .xml or compressed .mxl)
+ * @param file File chosen by the user
+ * @param partIndex Part to read
+ * @returns The MusicXML text and the parsed part
+ */
+export async function readMusicXmlFile(file: Blob, partIndex: number = 0): Promise<{ xml: string; score: ParsedScore }> {
+  const buffer = await file.arrayBuffer();
+  const xml = isZipArchive(buffer) ? await readMxl(buffer) : decodeXmlBytes(new Uint8Array(buffer));
+  return { xml: xml, score: parseMusicXml(xml, partIndex) };
+}
+
+/**
+ * Game staff layout for a piece: its only clef, or the grand staff when it uses several
+ */
+export function getPracticeClef(score: ParsedScore): ScoreClef | 'grand' {
+  const clefs = new Set<ScoreClef>();
+  score.events.forEach(event => event.notes.forEach(note => clefs.add(note.clef)));
+  if (clefs.size === 1) {
+    return clefs.values().next().value as ScoreClef;
+  }
+  return 'grand';
+}
+
+/**
+ * Move a note written in a C clef onto the grand staff (middle C and up on the treble staff)
+ */
+function toGrandStaffNote(note: ScoreNote): ScoreNote {
+  if (note.clef === 'treble' || note.clef === 'bass') {
+    return note;
+  }
+  return { ...note, clef: note.octave >= 4 ? 'treble' : 'bass' };
+}
+
+/**
+ * Build the practice queue saved for the game
+ */
+export function toPracticeScore(score: ParsedScore): PracticeScore {
+  const clef = getPracticeClef(score);
+  const events = score.events
+    .map(event => clef === 'grand' ? event.notes.map(toGrandStaffNote) : event.notes)
+    .filter(notes => notes.length > 0);
+
+  return {
+    title: score.title,
+    clef: clef,
+    keyFifths: score.keyFifths,
+    noteCount: events.reduce((total, notes) => total + notes.length, 0),
+    events: events
+  };
+}
+
+/**
+ * Save a practice score for the game
+ * @throws Error if the piece does not fit in localStorage
+ */
+export function savePracticeScore(practiceScore: PracticeScore): void {
+  try {
+    localStorage.setItem(PRACTICE_SCORE_STORAGE_KEY, JSON.stringify(practiceScore));
+  } catch (e) {
+    throw new Error('The piece is too large to save, try importing a single part');
+  }
+}
+
+/**
+ * Get the saved practice score, if any
+ */
+export function loadPracticeScore(): PracticeScore | null {
+  const saved = localStorage.getItem(PRACTICE_SCORE_STORAGE_KEY);
+  if (saved) {
+    try {
+      return JSON.parse(saved) as PracticeScore;
+    } catch (e) {
+      console.warn('Could not load the imported piece:', e);
+    }
+  }
+  return null;
+}
+
+/**
+ * Forget the saved practice score (the game goes back to random notes)
+ */
+export function clearPracticeScore(): void {
+  localStorage.removeItem(PRACTICE_SCORE_STORAGE_KEY);
+}
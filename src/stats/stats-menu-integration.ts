@@ -0,0 +1,398 @@
+/**
+ * Statistics Screen for Menu Page
+ * Draws the accuracy heatmap, confusion matrix, reaction-time trend and Piano Mode hand breakdown
+ */
+
+import { Attempt, AttemptMode, AttemptSummary, ConfusionMatrix, SessionTrend, TargetStats } from './stats-types.js';
+import {
+  clearAttempts,
+  getConfusionMatrix,
+  getHandBreakdown,
+  getSessionTrends,
+  getTargetStats,
+  loadAttempts,
+  parseNoteName,
+  summarizeAttempts
+} from './stats-utils.js';
+
+const MODE_LABELS: Record<AttemptMode, string> = {
+  notes: 'Random notes',
+  piano: 'Piano Mode',
+  piece: 'Pieces',
+  intervals: 'Intervals',
+  rhythm: 'Rhythm',
+  ear: 'Ear training'
+};
+
+const CLEF_LABELS: Record<string, string> = {
+  treble: 'Treble Clef',
+  bass: 'Bass Clef',
+  soprano: 'Soprano Clef',
+  mezzoSoprano: 'Mezzo-Soprano Clef',
+  alto: 'Alto Clef',
+  tenor: 'Tenor Clef',
+  baritone: 'Baritone Clef'
+};
+
+// Bravura clef glyph and the staff position it is centred on (matches CLEFS in script.js)
+const CLEF_GLYPHS: Record<string, { glyph: string; staffPosition: number }> = {
+  treble: { glyph: '\uE050', staffPosition: 2 },
+  bass: { glyph: '\uE062', staffPosition: 6 },
+  soprano: { glyph: '\uE058', staffPosition: 0 },
+  mezzoSoprano: { glyph: '\uE058', staffPosition: 2 },
+  alto: { glyph: '\uE058', staffPosition: 4 },
+  tenor: { glyph: '\uE058', staffPosition: 6 },
+  baritone: { glyph: '\uE058', staffPosition: 8 }
+};
+
+const NOTEHEAD_GLYPH = '\uE0A4';
+const ACCIDENTAL_GLYPHS = { sharp: '\uE262', flat: '\uE260' };
+const STAFF_STEP = 5; // Pixels per staff position (half a staff space)
+const SEMITONES: Record<string, number> = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+function formatPercent(value: number): string {
+  return `${Math.round(value * 100)}%`;
+}
+
+function formatSeconds(ms: number | null): string {
+  return ms === null ? '–' : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Red (0%) through yellow to green (100%)
+function getAccuracyColor(accuracy: number, alpha: number = 1): string {
+  return `hsla(${Math.round(accuracy * 120)}, 75%, 42%, ${alpha})`;
+}
+
+function getPitchClass(noteName: string): number | null {
+  const parsed = parseNoteName(noteName);
+  return parsed ? (SEMITONES[parsed.letter] + parsed.alter + 12) % 12 : null;
+}
+
+/**
+ * Attempts matching the mode filter
+ */
+function getFilteredAttempts(): Attempt[] {
+  const modeSelect = document.getElementById('statsModeSelect') as HTMLSelectElement;
+  const mode = modeSelect ? modeSelect.value : 'all';
+  const attempts = loadAttempts();
+  return mode === 'all' ? attempts : attempts.filter(attempt => attempt.mode === mode);
+}
+
+/**
+ * List the clefs that have note attempts, keeping the current choice when it is still there
+ */
+function updateClefSelector(attempts: Attempt[]): string | null {
+  const clefSelect = document.getElementById('statsClefSelect') as HTMLSelectElement;
+  if (!clefSelect) return null;
+
+  const counts = new Map<string, number>();
+  attempts
+    .filter(attempt => attempt.type === 'note' && CLEF_LABELS[attempt.clef])
+    .forEach(attempt => counts.set(attempt.clef, (counts.get(attempt.clef) || 0) + 1));
+  const clefs = Object.keys(CLEF_LABELS).filter(clef => counts.has(clef));
+
+  const previous = clefSelect.value;
+  clefSelect.innerHTML = '';
+  clefs.forEach(clef => {
+    const option = document.createElement('option');
+    option.value = clef;
+    option.textContent = CLEF_LABELS[clef];
+    clefSelect.appendChild(option);
+  });
+
+  if (clefs.length === 0) return null;
+  const mostPlayed = clefs.reduce((best, clef) => ((counts.get(clef) || 0) > (counts.get(best) || 0) ? clef : best));
+  clefSelect.value = clefs.includes(previous) ? previous : mostPlayed;
+  return clefSelect.value;
+}
+
+function updateSummary(summary: AttemptSummary): void {
+  const summaryElement = document.getElementById('statsSummary');
+  if (summaryElement) {
+    summaryElement.textContent = summary.attempts > 0
+      ? `${summary.attempts} answers, ${formatPercent(summary.accuracy)} correct, average reaction ${formatSeconds(summary.averageReactionMs)}`
+      : 'No answers recorded yet. Play a game to see your statistics here';
+  }
+}
+
+/**
+ * Draw each answered note on a staff, coloured by accuracy, with its accuracy underneath
+ */
+function drawHeatmap(canvas: HTMLCanvasElement, stats: TargetStats[], clef: string | null): void {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (!clef || stats.length === 0) {
+    ctx.fillStyle = '#666';
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('No notes answered yet', canvas.width / 2, canvas.height / 2);
+    return;
+  }
+
+  // Fit the highest and lowest notes (with their ledger lines) above the labels
+  const topPosition = Math.max(8, ...stats.map(stat => stat.staffPosition));
+  const labelY = canvas.height - 24;
+  const maxStaffHeight = labelY - 20;
+  const positionY = (position: number) => 16 + Math.min(topPosition - position, maxStaffHeight / STAFF_STEP) * STAFF_STEP;
+
+  ctx.strokeStyle = '#333';
+  ctx.lineWidth = 1;
+  for (let line = 0; line <= 8; line += 2) {
+    ctx.beginPath();
+    ctx.moveTo(10, positionY(line));
+    ctx.lineTo(canvas.width - 10, positionY(line));
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = '#333';
+  ctx.font = `${STAFF_STEP * 8}px Bravura`;
+  ctx.textAlign = 'left';
+  ctx.fillText(CLEF_GLYPHS[clef].glyph, 16, positionY(CLEF_GLYPHS[clef].staffPosition));
+
+  const columnWidth = Math.min(40, (canvas.width - 80) / stats.length);
+  stats.forEach((stat, index) => {
+    const x = 70 + index * columnWidth + columnWidth / 2;
+    const y = positionY(stat.staffPosition);
+    const color = getAccuracyColor(stat.accuracy);
+
+    // Ledger lines below and above the staff
+    ctx.strokeStyle = '#333';
+    for (let line = -2; line >= stat.staffPosition; line -= 2) {
+      ctx.beginPath();
+      ctx.moveTo(x - 9, positionY(line));
+      ctx.lineTo(x + 9, positionY(line));
+      ctx.stroke();
+    }
+    for (let line = 10; line <= stat.staffPosition; line += 2) {
+      ctx.beginPath();
+      ctx.moveTo(x - 9, positionY(line));
+      ctx.lineTo(x + 9, positionY(line));
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = color;
+    ctx.font = `${STAFF_STEP * 8}px Bravura`;
+    ctx.textAlign = 'center';
+    ctx.fillText(NOTEHEAD_GLYPH, x, y);
+    if (stat.accidental) {
+      ctx.fillText(ACCIDENTAL_GLYPHS[stat.accidental], x - 12, y);
+    }
+
+    ctx.font = '10px Arial';
+    ctx.fillText(formatPercent(stat.accuracy), x, labelY);
+    ctx.fillStyle = '#555';
+    ctx.fillText(stat.target, x, labelY + 14);
+  });
+}
+
+/**
+ * Table of answers given per target; correct answers (same pitch) in green, confusions in red
+ */
+function renderConfusionMatrix(container: HTMLElement, matrix: ConfusionMatrix): void {
+  container.innerHTML = '';
+  if (matrix.targets.length === 0) return;
+
+  const table = document.createElement('table');
+  table.className = 'stats-confusion';
+
+  const header = table.insertRow();
+  const corner = document.createElement('th');
+  corner.textContent = 'Note \\ Answer';
+  header.appendChild(corner);
+  matrix.answers.forEach(answer => {
+    const cell = document.createElement('th');
+    cell.textContent = answer;
+    header.appendChild(cell);
+  });
+
+  matrix.targets.forEach((target, row) => {
+    const tableRow = table.insertRow();
+    const label = document.createElement('th');
+    label.textContent = target;
+    tableRow.appendChild(label);
+
+    const rowTotal = matrix.counts[row].reduce((total, count) => total + count, 0);
+    matrix.answers.forEach((answer, column) => {
+      const count = matrix.counts[row][column];
+      const cell = tableRow.insertCell();
+      cell.textContent = count > 0 ? String(count) : '';
+      if (count > 0) {
+        const share = count / rowTotal;
+        const correct = getPitchClass(answer) !== null && getPitchClass(answer) === getPitchClass(target);
+        cell.style.background = correct ? `rgba(46, 125, 50, ${0.15 + share * 0.6})` : `rgba(208, 2, 27, ${0.15 + share * 0.6})`;
+        cell.title = `${target} answered ${answer}: ${count} of ${rowTotal}`;
+      }
+    });
+  });
+
+  container.appendChild(table);
+}
+
+/**
+ * Accuracy bars and average reaction time line for the most recent games
+ */
+function drawTrend(canvas: HTMLCanvasElement, trends: SessionTrend[]): void {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (trends.length === 0) {
+    ctx.fillStyle = '#666';
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('No games played yet', canvas.width / 2, canvas.height / 2);
+    return;
+  }
+
+  const left = 40;
+  const right = canvas.width - 50;
+  const top = 20;
+  const bottom = canvas.height - 20;
+  const slot = (right - left) / trends.length;
+  const timed = trends.filter(trend => trend.averageReactionMs !== null);
+  const maxReaction = Math.max(1000, ...timed.map(trend => trend.averageReactionMs as number));
+
+  ctx.font = '11px Arial';
+  ctx.fillStyle = '#555';
+  ctx.textAlign = 'right';
+  ctx.fillText('100%', left - 4, top + 4);
+  ctx.fillText('0%', left - 4, bottom);
+  ctx.textAlign = 'left';
+  ctx.fillText(formatSeconds(maxReaction), right + 4, top + 4);
+  ctx.fillText('0 s', right + 4, bottom);
+
+  trends.forEach((trend, index) => {
+    const height = trend.accuracy * (bottom - top);
+    ctx.fillStyle = getAccuracyColor(trend.accuracy, 0.6);
+    ctx.fillRect(left + index * slot + slot * 0.15, bottom - height, slot * 0.7, height);
+  });
+
+  ctx.strokeStyle = '#4378ff';
+  ctx.fillStyle = '#4378ff';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  let started = false;
+  trends.forEach((trend, index) => {
+    if (trend.averageReactionMs === null) return;
+    const x = left + index * slot + slot / 2;
+    const y = bottom - (trend.averageReactionMs / maxReaction) * (bottom - top);
+    if (started) {
+      ctx.lineTo(x, y);
+    } else {
+      ctx.moveTo(x, y);
+      started = true;
+    }
+  });
+  ctx.stroke();
+
+  ctx.textAlign = 'left';
+  ctx.fillText('— Reaction time', left, 12);
+  ctx.fillStyle = getAccuracyColor(1);
+  ctx.fillText('▮ Accuracy per game', left + 110, 12);
+}
+
+/**
+ * Left and right hand results for Piano Mode
+ */
+function renderHandBreakdown(container: HTMLElement, attempts: Attempt[]): void {
+  const breakdown = getHandBreakdown(attempts);
+  container.innerHTML = '';
+  if (!breakdown.left && !breakdown.right) {
+    container.textContent = 'Play in Piano Mode on the grand staff to compare your hands';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'stats-hands';
+  const header = table.insertRow();
+  ['Hand', 'Answers', 'Correct', 'Reaction'].forEach(text => {
+    const cell = document.createElement('th');
+    cell.textContent = text;
+    header.appendChild(cell);
+  });
+
+  ([['Left hand', breakdown.left], ['Right hand', breakdown.right]] as [string, AttemptSummary | null][]).forEach(([label, summary]) => {
+    if (!summary) return;
+    const row = table.insertRow();
+    [label, String(summary.attempts), formatPercent(summary.accuracy), formatSeconds(summary.averageReactionMs)].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+
+  container.appendChild(table);
+}
+
+/**
+ * Redraw the statistics screen from the attempt log
+ */
+export function renderStatistics(): void {
+  const attempts = getFilteredAttempts();
+  updateSummary(summarizeAttempts(attempts));
+
+  const clef = updateClefSelector(attempts);
+  const heatmap = document.getElementById('statsHeatmap') as HTMLCanvasElement;
+  if (heatmap) {
+    drawHeatmap(heatmap, clef ? getTargetStats(attempts, clef) : [], clef);
+  }
+
+  const confusion = document.getElementById('statsConfusion');
+  if (confusion) {
+    renderConfusionMatrix(confusion, getConfusionMatrix(attempts));
+  }
+
+  const trend = document.getElementById('statsTrend') as HTMLCanvasElement;
+  if (trend) {
+    drawTrend(trend, getSessionTrends(attempts));
+  }
+
+  const hands = document.getElementById('statsHands');
+  if (hands) {
+    renderHandBreakdown(hands, attempts);
+  }
+}
+
+export function initializeStatsMenuIntegration(): void {
+  const modeSelect = document.getElementById('statsModeSelect') as HTMLSelectElement;
+  if (modeSelect) {
+    (Object.keys(MODE_LABELS) as AttemptMode[]).forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = MODE_LABELS[mode];
+      modeSelect.appendChild(option);
+    });
+    modeSelect.addEventListener('change', renderStatistics);
+  }
+
+  const clefSelect = document.getElementById('statsClefSelect');
+  if (clefSelect) {
+    clefSelect.addEventListener('change', renderStatistics);
+  }
+
+  const statsButton = document.getElementById('statsBtn');
+  const statsModal = document.getElementById('statsModal');
+  if (statsButton && statsModal) {
+    statsButton.addEventListener('click', () => {
+      statsModal.style.display = 'block';
+      renderStatistics(); // After showing, so the canvases are laid out
+    });
+  }
+
+  const resetButton = document.getElementById('resetStatsBtn');
+  if (resetButton) {
+    resetButton.addEventListener('click', () => {
+      if (confirm('Delete all recorded answers? This cannot be undone.')) {
+        clearAttempts();
+        renderStatistics();
+      }
+    });
+  }
+}
+
+// Auto-initialize when script loads
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeStatsMenuIntegration);
+} else {
+  initializeStatsMenuIntegration();
+}
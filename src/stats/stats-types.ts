@@ -0,0 +1,51 @@
+/**
+ * TypeScript type definitions for the attempt log and the statistics screen
+ */
+
+export type AttemptMode = 'notes' | 'piano' | 'piece' | 'intervals' | 'rhythm' | 'ear';
+
+/**
+ * One answer, as logged by script.js (localStorage 'noteGameAttempts')
+ */
+export interface Attempt {
+  time: number;                 // Date.now() of the answer
+  session: number;              // Start time of the game it belongs to
+  mode: AttemptMode;
+  type: 'note' | 'interval';
+  clef: string;                 // Staff the target was on (treble/bass in Piano Mode)
+  target: string;               // 'F#4' for notes, quality + number ('m3') for intervals
+  pressed: string | null;       // Note name ('F#') or interval ('M3', '3'); null when the note reached the clef
+  pressedOctave: number | null; // Octave of the played note (MIDI and microphone only)
+  correct: boolean;
+  reactionMs: number | null;    // From spawn to answer (null in rhythm mode, which is judged against the beat)
+  hand: 'left' | 'right' | null; // Piano Mode hand on the grand staff
+}
+
+export interface AttemptSummary {
+  attempts: number;
+  correct: number;
+  accuracy: number;                 // 0-1 (0 without attempts)
+  averageReactionMs: number | null; // Over attempts that have a reaction time
+}
+
+/**
+ * Results for one written note, placed on a staff for the heatmap
+ */
+export interface TargetStats extends AttemptSummary {
+  target: string;         // Scientific name, e.g. 'Bb3'
+  staffPosition: number;  // Diatonic steps above the clef's bottom line
+  accidental: 'sharp' | 'flat' | null;
+}
+
+/**
+ * Which answer was given for which target: counts[row][column] for targets[row] and answers[column]
+ */
+export interface ConfusionMatrix {
+  targets: string[];  // Note names without octave, in letter order
+  answers: string[];  // Note names given, plus TIMEOUT_ANSWER for notes that reached the clef
+  counts: number[][];
+}
+
+export interface SessionTrend extends AttemptSummary {
+  session: number;    // Start time of the game
+}
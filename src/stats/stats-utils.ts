@@ -0,0 +1,171 @@
+/**
+ * Statistics Utility Functions
+ * Reads the attempt log written by the game and aggregates it for the statistics screen
+ */
+
+import { Attempt, AttemptSummary, ConfusionMatrix, SessionTrend, TargetStats } from './stats-types.js';
+
+// localStorage key the game logs attempts under
+export const ATTEMPTS_STORAGE_KEY = 'noteGameAttempts';
+
+// Confusion matrix column for notes that reached the clef unanswered
+export const TIMEOUT_ANSWER = 'Too slow';
+
+// Written pitch of each clef's bottom line (matches CLEFS in script.js)
+export const CLEF_BOTTOM_LINES: Record<string, { letter: string; octave: number }> = {
+  treble: { letter: 'E', octave: 4 },
+  bass: { letter: 'G', octave: 2 },
+  soprano: { letter: 'C', octave: 4 },
+  mezzoSoprano: { letter: 'A', octave: 3 },
+  alto: { letter: 'F', octave: 3 },
+  tenor: { letter: 'D', octave: 3 },
+  baritone: { letter: 'B', octave: 2 }
+};
+
+const LETTER_ORDER = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+/**
+ * Get the logged attempts, oldest first
+ */
+export function loadAttempts(): Attempt[] {
+  const saved = localStorage.getItem(ATTEMPTS_STORAGE_KEY);
+  if (saved) {
+    try {
+      return JSON.parse(saved) as Attempt[];
+    } catch (e) {
+      console.warn('Could not load the attempt log:', e);
+    }
+  }
+  return [];
+}
+
+/**
+ * Forget all logged attempts
+ */
+export function clearAttempts(): void {
+  localStorage.removeItem(ATTEMPTS_STORAGE_KEY);
+}
+
+/**
+ * Split a note name such as 'F#4', 'Bb' or 'C' into letter, accidental offset and octave (null if absent)
+ */
+export function parseNoteName(name: string): { letter: string; alter: number; octave: number | null } | null {
+  const match = /^([A-G])(#|b)?(-?\d+)?$/.exec(name);
+  if (!match) return null;
+  return {
+    letter: match[1],
+    alter: match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0,
+    octave: match[3] !== undefined ? parseInt(match[3], 10) : null
+  };
+}
+
+/**
+ * Diatonic steps of a scientific note name above a clef's bottom line (0 = bottom line, 8 = top line)
+ */
+export function getStaffPosition(scientific: string, clef: string): number | null {
+  const parsed = parseNoteName(scientific);
+  const bottomLine = CLEF_BOTTOM_LINES[clef];
+  if (!parsed || parsed.octave === null || !bottomLine) return null;
+  return (parsed.octave - bottomLine.octave) * 7 + LETTER_ORDER.indexOf(parsed.letter) - LETTER_ORDER.indexOf(bottomLine.letter);
+}
+
+/**
+ * Totals for a set of attempts
+ */
+export function summarizeAttempts(attempts: Attempt[]): AttemptSummary {
+  const correct = attempts.filter(attempt => attempt.correct).length;
+  const timed = attempts.filter(attempt => attempt.reactionMs !== null);
+  return {
+    attempts: attempts.length,
+    correct: correct,
+    accuracy: attempts.length > 0 ? correct / attempts.length : 0,
+    averageReactionMs: timed.length > 0
+      ? Math.round(timed.reduce((total, attempt) => total + (attempt.reactionMs as number), 0) / timed.length)
+      : null
+  };
+}
+
+/**
+ * Results per written note on one clef, from the lowest staff position to the highest
+ */
+export function getTargetStats(attempts: Attempt[], clef: string): TargetStats[] {
+  const byTarget = new Map<string, Attempt[]>();
+  attempts
+    .filter(attempt => attempt.type === 'note' && attempt.clef === clef)
+    .forEach(attempt => {
+      const targetAttempts = byTarget.get(attempt.target) || [];
+      targetAttempts.push(attempt);
+      byTarget.set(attempt.target, targetAttempts);
+    });
+
+  const stats: TargetStats[] = [];
+  byTarget.forEach((targetAttempts, target) => {
+    const staffPosition = getStaffPosition(target, clef);
+    const parsed = parseNoteName(target);
+    if (staffPosition === null || !parsed) return;
+    stats.push({
+      ...summarizeAttempts(targetAttempts),
+      target: target,
+      staffPosition: staffPosition,
+      accidental: parsed.alter > 0 ? 'sharp' : parsed.alter < 0 ? 'flat' : null
+    });
+  });
+
+  const accidentalOrder = (stat: TargetStats) => stat.accidental === 'flat' ? -1 : stat.accidental === 'sharp' ? 1 : 0;
+  return stats.sort((a, b) => a.staffPosition - b.staffPosition || accidentalOrder(a) - accidentalOrder(b));
+}
+
+// Letter order, then flat, natural, sharp
+function compareNoteNames(a: string, b: string): number {
+  const parsedA = parseNoteName(a);
+  const parsedB = parseNoteName(b);
+  if (!parsedA || !parsedB) return parsedA ? -1 : parsedB ? 1 : 0; // Non-notes (Too slow) go last
+  return LETTER_ORDER.indexOf(parsedA.letter) - LETTER_ORDER.indexOf(parsedB.letter) || parsedA.alter - parsedB.alter;
+}
+
+/**
+ * Which note name was given for which target note name (octaves ignored)
+ */
+export function getConfusionMatrix(attempts: Attempt[]): ConfusionMatrix {
+  const noteAttempts = attempts.filter(attempt => attempt.type === 'note');
+  const targetOf = (attempt: Attempt) => attempt.target.replace(/-?\d+$/, '');
+  const answerOf = (attempt: Attempt) => attempt.pressed === null ? TIMEOUT_ANSWER : attempt.pressed;
+
+  const targets = [...new Set(noteAttempts.map(targetOf))].sort(compareNoteNames);
+  const answers = [...new Set(noteAttempts.map(answerOf))].sort(compareNoteNames);
+  const counts = targets.map(() => answers.map(() => 0));
+  noteAttempts.forEach(attempt => {
+    counts[targets.indexOf(targetOf(attempt))][answers.indexOf(answerOf(attempt))]++;
+  });
+
+  return { targets: targets, answers: answers, counts: counts };
+}
+
+/**
+ * Accuracy and reaction time per game, for the most recent games
+ */
+export function getSessionTrends(attempts: Attempt[], maxSessions: number = 20): SessionTrend[] {
+  const bySession = new Map<number, Attempt[]>();
+  attempts.forEach(attempt => {
+    const sessionAttempts = bySession.get(attempt.session) || [];
+    sessionAttempts.push(attempt);
+    bySession.set(attempt.session, sessionAttempts);
+  });
+
+  return [...bySession.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .slice(-maxSessions)
+    .map(([session, sessionAttempts]) => ({ session: session, ...summarizeAttempts(sessionAttempts) }));
+}
+
+/**
+ * Piano Mode results per hand (null for a hand that was never played)
+ */
+export function getHandBreakdown(attempts: Attempt[]): { left: AttemptSummary | null; right: AttemptSummary | null } {
+  const left = attempts.filter(attempt => attempt.hand === 'left');
+  const right = attempts.filter(attempt => attempt.hand === 'right');
+  return {
+    left: left.length > 0 ? summarizeAttempts(left) : null,
+    right: right.length > 0 ? summarizeAttempts(right) : null
+  };
+}
@@ -0,0 +1,488 @@
+/**
+ * Game engine tests: node --test tests/ (after compiling with tsc)
+ * Games run on the engine's simulated clock, with a seeded random number generator where the notes matter
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameEngine, DEFAULT_SPAWN_X, DEFAULT_COLLISION_X } from '../dist/engine/game-engine.js';
+import { getNoteSpeed, getNoteSpawnRate, SIMULATION_STEP_MS } from '../dist/engine/engine-utils.js';
+
+const FRAME_MS = 1000 / 60;
+const TREBLE_STAFF = ['E4', 'F4', 'G4', 'A4', 'B4', 'C5', 'D5', 'E5', 'F5'];
+
+// Mulberry32, as seeded in script.js
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Notes in the order given, then round again
+function inOrder(...choices) {
+  let next = 0;
+  return () => choices[next++ % choices.length];
+}
+
+function run(engine, ms, frameMs = FRAME_MS) {
+  for (let elapsed = 0; elapsed < ms - 1e-9; elapsed += frameMs) {
+    engine.tick(Math.min(frameMs, ms - elapsed));
+  }
+}
+
+function record(engine, ...events) {
+  const log = [];
+  events.forEach(event => engine.on(event, (...args) => log.push([event, ...args])));
+  return log;
+}
+
+function answer(engine) {
+  return engine.input(engine.notes[0].note, engine.notes[0].octave);
+}
+
+test('speeds and spawn rates per level', () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(getNoteSpeed), [48, 84, 108, 132, 156, 180]);
+  assert.deepEqual([1, 2, 3, 4, 5].map(getNoteSpawnRate), [2200, 1600, 1400, 1200, 1150]);
+  assert.equal(getNoteSpawnRate(100), 800);
+});
+
+test('needs notes to play', () => {
+  assert.throws(() => new GameEngine({}), /note pool or a pickNote/);
+  const engine = new GameEngine({ pickNote: () => 'H4' });
+  assert.throws(() => engine.tick(FRAME_MS), /H4 is not a note on the treble clef/);
+});
+
+test('the first note appears straight away and moves at the level speed', () => {
+  const engine = new GameEngine({ notes: ['G4'] });
+  const log = record(engine, 'spawn');
+  engine.tick(FRAME_MS);
+  assert.equal(log.length, 1);
+  assert.equal(engine.notes[0].scientific, 'G4');
+  assert.equal(engine.notes[0].midi, 67);
+  assert.equal(engine.notes[0].staffPosition, 2);
+
+  run(engine, 1000 - FRAME_MS);
+  assert.ok(Math.abs(engine.notes[0].x - (DEFAULT_SPAWN_X - 48)) < 1e-6);
+});
+
+test('notes end up in the same place at any frame rate', () => {
+  const positions = [1000 / 30, 1000 / 60, 1000 / 144, 37].map(frameMs => {
+    const engine = new GameEngine({ notes: ['G4'] });
+    run(engine, 5005, frameMs);
+    return engine.notes[0].x;
+  });
+  positions.forEach(x => assert.ok(Math.abs(x - positions[0]) < 1e-6, `${x} != ${positions[0]}`));
+});
+
+test('a long stall only counts as a quarter of a second', () => {
+  const engine = new GameEngine({ notes: ['G4'] });
+  engine.tick(FRAME_MS);
+  engine.tick(10000);
+  assert.ok(Math.abs(engine.notes[0].x - (DEFAULT_SPAWN_X - 48 * (FRAME_MS + 250) / 1000)) < 1e-6);
+  assert.equal(engine.time, FRAME_MS + 10000);
+});
+
+test('a correct answer scores and brings the next note at once', () => {
+  const engine = new GameEngine({ pickNote: inOrder('F#4', 'Bb4') });
+  const log = record(engine, 'correct', 'spawn');
+  engine.tick(FRAME_MS);
+  assert.equal(engine.input('Gb'), 'correct'); // Enharmonic names answer the same pitch
+  assert.equal(engine.score, 1);
+  assert.equal(engine.notesDestroyed, 1);
+  assert.equal(engine.lives, 3);
+  assert.equal(engine.notes[0].scientific, 'Bb4');
+  assert.deepEqual(log.map(entry => entry[0]), ['spawn', 'correct', 'spawn']);
+});
+
+test('a wrong answer destroys the note and costs a life', () => {
+  const engine = new GameEngine({ pickNote: inOrder('E4', 'F4') });
+  const log = record(engine, 'wrong');
+  engine.tick(FRAME_MS);
+  assert.equal(engine.input('D'), 'wrong');
+  assert.equal(engine.lives, 2);
+  assert.equal(engine.score, 0);
+  assert.equal(log[0][1][0].scientific, 'E4');
+  assert.equal(log[0][2], true);
+  assert.equal(engine.notes[0].scientific, 'F4');
+});
+
+test('a note reaching the collision line costs a life', () => {
+  const engine = new GameEngine({ notes: ['A4'] });
+  const log = record(engine, 'miss');
+  const travelMs = (DEFAULT_SPAWN_X - DEFAULT_COLLISION_X) / 48 * 1000;
+  run(engine, travelMs - 100);
+  assert.equal(log.length, 0);
+  run(engine, 100 + 2 * SIMULATION_STEP_MS);
+  assert.equal(log.length, 1);
+  assert.equal(log[0][1].scientific, 'A4');
+  assert.equal(engine.lives, 2);
+  assert.equal(engine.notes.length, 1); // The next note came straight away
+  assert.ok(engine.notes[0].x > DEFAULT_SPAWN_X - 2);
+});
+
+test('the game ends with the last life and ignores input afterwards', () => {
+  const engine = new GameEngine({ notes: ['C5'] });
+  const log = record(engine, 'gameOver');
+  engine.tick(FRAME_MS);
+  engine.input('C');
+  engine.input('D');
+  engine.input('D');
+  engine.input('D');
+  assert.equal(engine.lives, 0);
+  assert.equal(engine.isRunning, false);
+  assert.deepEqual(log, [['gameOver', 1, 1, 1]]);
+  assert.equal(engine.input('C'), 'ignored');
+  const before = engine.notes.map(note => note.x);
+  run(engine, 1000);
+  assert.deepEqual(engine.notes.map(note => note.x), before);
+});
+
+test('ten correct answers level up, clear the staff and speed the notes up', () => {
+  const engine = new GameEngine({ notes: TREBLE_STAFF, random: seededRandom(7) });
+  const log = record(engine, 'levelUp');
+  engine.tick(FRAME_MS);
+  for (let i = 0; i < 9; i++) answer(engine);
+  assert.equal(engine.level, 1);
+  answer(engine);
+  assert.deepEqual(log, [['levelUp', 2, false]]);
+  assert.equal(engine.notes.length, 0);
+
+  // The next note waits for the spawn rate set when the last one came, still level 1's
+  run(engine, 2150);
+  assert.equal(engine.notes.length, 0);
+  run(engine, 100);
+  assert.equal(engine.notes.length, 1);
+  assert.equal(engine.notes[0].speed, 84);
+});
+
+test('bonus lives at levels 4 and 8, up to three', () => {
+  const engine = new GameEngine({ notes: ['G4'] });
+  const log = record(engine, 'levelUp', 'lifeGained');
+  const playLevel = () => {
+    for (let i = 0; i < 10; i++) {
+      run(engine, 2500);
+      answer(engine);
+    }
+  };
+  engine.tick(FRAME_MS);
+  engine.input('A');
+  assert.equal(engine.lives, 2);
+  playLevel();
+  playLevel();
+  assert.equal(engine.level, 3);
+  assert.equal(engine.lives, 2);
+  playLevel();
+  assert.equal(engine.level, 4);
+  assert.equal(engine.lives, 3);
+  assert.deepEqual(log.slice(-2), [['levelUp', 4, true], ['lifeGained', 3]]);
+  for (let level = 5; level <= 8; level++) playLevel();
+  assert.equal(engine.level, 8);
+  assert.equal(engine.lives, 3);
+  assert.deepEqual(log[log.length - 1], ['levelUp', 8, false]);
+});
+
+test('a chord needs all of its notes', () => {
+  const engine = new GameEngine({ pickNote: inOrder(['C4', 'E4', 'G4'], 'A4') });
+  const log = record(engine, 'chordProgress', 'correct');
+  engine.tick(FRAME_MS);
+  assert.equal(engine.notes.length, 3);
+  assert.ok(engine.notes.every(note => note.isChord && note.chordId === engine.notes[0].chordId));
+
+  assert.equal(engine.input('E'), 'chordProgress');
+  assert.equal(engine.input('C'), 'chordProgress');
+  assert.equal(engine.score, 0);
+  assert.equal(engine.input('G'), 'correct');
+  assert.equal(engine.score, 1);
+  assert.deepEqual(log.map(entry => entry.slice(0, 4)).slice(0, 2), [['chordProgress', 1, 1, 3], ['chordProgress', 1, 2, 3]]);
+  assert.equal(log[2][1].length, 3);
+});
+
+test('chord notes a step apart are pushed sideways', () => {
+  const engine = new GameEngine({ pickNote: () => ['E4', 'F4', 'G4'] });
+  engine.tick(FRAME_MS);
+  const offsets = engine.notes.map(note => Math.round(note.x - engine.notes[0].x));
+  assert.deepEqual(offsets, [0, 8, -8]);
+});
+
+test('chord progress is forgotten after a long pause in the middle of a chord', () => {
+  const engine = new GameEngine({ pickNote: () => ['C4', 'E4', 'G4'] });
+  engine.tick(FRAME_MS);
+  engine.input('C');
+  engine.input('E');
+  run(engine, 600);
+  assert.equal(engine.input('G'), 'correct'); // Within three grace periods
+
+  const second = new GameEngine({ pickNote: () => ['C4', 'E4', 'G4'] });
+  second.tick(FRAME_MS);
+  second.input('C');
+  second.input('E');
+  run(second, 1000);
+  assert.equal(second.input('G'), 'chordProgress');
+  assert.deepEqual([...second.chords.values()][0].pressedNotes, ['G']);
+});
+
+test('the note after a chord comes after a short pause', () => {
+  const engine = new GameEngine({ pickNote: inOrder(['C4', 'E4'], 'A4', 'B4') });
+  engine.tick(FRAME_MS);
+  engine.input('C');
+  engine.input('E');
+  assert.equal(engine.notes[0].scientific, 'A4'); // The chord itself came after a melody note
+  engine.input('A');
+  assert.equal(engine.notes.length, 0);
+  run(engine, 140);
+  assert.equal(engine.notes.length, 0);
+  run(engine, 20);
+  assert.equal(engine.notes[0].scientific, 'B4');
+});
+
+test('wrong notes in quick succession on a chord cost one life', () => {
+  const engine = new GameEngine({ pickNote: () => ['C4', 'E4', 'G4'] });
+  engine.tick(FRAME_MS);
+  engine.input('D');
+  assert.equal(engine.lives, 2);
+  engine.tick(100);
+  engine.input('F');
+  assert.equal(engine.lives, 2);
+  engine.tick(200);
+  engine.input('F');
+  assert.equal(engine.lives, 1);
+});
+
+test('strict mode checks the octave of played notes', () => {
+  const piano = { leftHand: 'melody', rightHand: 'melody', strictMode: true, hardMode: false };
+  const engine = new GameEngine({ pianoMode: piano, notes: ['C5'] });
+  engine.tick(FRAME_MS);
+  assert.equal(engine.input('C', 4), 'wrong');
+  assert.equal(engine.input('C', 5), 'correct');
+  assert.equal(engine.input('C'), 'correct'); // Letter keys have no octave to check
+
+  const relaxed = new GameEngine({ pianoMode: { ...piano, strictMode: false }, notes: ['C5'] });
+  relaxed.tick(FRAME_MS);
+  assert.equal(relaxed.input('C', 4), 'correct');
+});
+
+test('hard mode answers only the clef an input is aimed at', () => {
+  const engine = new GameEngine({
+    clef: 'hardMode',
+    pianoMode: { leftHand: 'melody', rightHand: 'melody', strictMode: false, hardMode: true },
+    pickNote: inOrder({ scientific: 'G4', clef: 'treble' }, { scientific: 'B2', clef: 'bass' })
+  });
+  engine.tick(FRAME_MS);
+  run(engine, 2300);
+  assert.deepEqual(engine.notes.map(note => note.clef), ['treble', 'bass']);
+  run(engine, 2300);
+  assert.equal(engine.notes.length, 2); // One note per clef
+
+  assert.equal(engine.input('G', null, 'bass'), 'wrong');
+  assert.deepEqual(engine.notes.map(note => note.clef), ['treble', 'treble']);
+  assert.equal(engine.input('B'), 'wrong'); // A letter key names no clef
+  assert.equal(engine.lives, 1);
+});
+
+test('Piano Mode levels up once both hands have ten notes', () => {
+  const engine = new GameEngine({
+    clef: 'grand',
+    pianoMode: { leftHand: 'melody', rightHand: 'melody', strictMode: false, hardMode: false },
+    pickNote: inOrder({ scientific: 'G4', clef: 'treble' }, { scientific: 'B2', clef: 'bass' }, { scientific: 'A4', clef: 'treble' })
+  });
+  engine.tick(FRAME_MS);
+  for (let i = 0; i < 15; i++) answer(engine); // G4, B2, A4, G4, B2, A4, ...
+  assert.deepEqual(engine.handScores, { left: 5, right: 10 });
+  assert.equal(engine.level, 1);
+  for (let i = 0; i < 16 && engine.level === 1; i++) answer(engine);
+  assert.equal(engine.level, 2);
+  assert.deepEqual(engine.handScores, { left: 0, right: 0 });
+});
+
+test('Piano Mode ignores notes for a hand that is switched off', () => {
+  const engine = new GameEngine({
+    clef: 'grand',
+    pianoMode: { leftHand: 'none', rightHand: 'melody', strictMode: false, hardMode: false },
+    pickNote: () => ({ scientific: 'C3', clef: 'bass' })
+  });
+  engine.tick(FRAME_MS);
+  assert.equal(engine.input('C'), 'wrong');
+  assert.equal(engine.notes.length, 1); // Nothing the right hand could destroy
+});
+
+test('the same seed plays the same game', () => {
+  const play = seed => {
+    const engine = new GameEngine({ notes: TREBLE_STAFF, random: seededRandom(seed) });
+    const spawned = [];
+    engine.on('spawn', notes => spawned.push(notes[0].scientific));
+    engine.tick(FRAME_MS);
+    for (let i = 0; i < 25 && engine.isRunning; i++) {
+      engine.input(i % 4 === 3 ? 'C#' : engine.notes[0].note);
+      run(engine, 500);
+    }
+    return { spawned: spawned.join(' '), score: engine.score, lives: engine.lives, level: engine.level };
+  };
+  assert.deepEqual(play(42), play(42));
+  assert.notEqual(play(42).spawned, play(43).spawned);
+});
+
+test('an injected clock times chords and spawns', () => {
+  let now = 1700000000000;
+  const engine = new GameEngine({ clock: () => now, pickNote: () => ['C4', 'E4'] });
+  engine.tick(FRAME_MS);
+  assert.equal(engine.time, now);
+  assert.equal(engine.notes[0].spawnTime, now);
+  engine.input('C');
+  now += 1000;
+  assert.equal(engine.input('E'), 'chordProgress');
+});
+
+test('each clef can have its own spawn and collision line', () => {
+  const engine = new GameEngine({
+    clef: 'grand',
+    pickNote: inOrder({ scientific: 'G4', clef: 'treble' }, { scientific: 'B2', clef: 'bass' }),
+    spawnX: clef => clef === 'bass' ? 700 : 800,
+    collisionX: clef => clef === 'bass' ? 200 : 100
+  });
+  const log = record(engine, 'miss');
+  engine.tick(FRAME_MS);
+  assert.ok(engine.notes[0].x > 799);
+  answer(engine);
+  assert.equal(engine.notes[0].x, 700);
+
+  // 500 pixels to the bass line at 48 pixels a second
+  run(engine, 10300);
+  assert.equal(log.length, 0);
+  run(engine, 200);
+  assert.equal(log[0][1].clef, 'bass');
+});
+
+test('an interval is answered with its number, and its quality when asked for', () => {
+  const engine = new GameEngine({ intervals: 'harmonic', pickNote: inOrder(['E4', 'G4'], ['F4', 'B4']) });
+  const log = record(engine, 'correct', 'wrong');
+  engine.tick(FRAME_MS);
+  assert.deepEqual(engine.notes.map(note => note.interval), [{ number: 3, quality: 'm' }, { number: 3, quality: 'm' }]);
+  assert.equal(engine.input('E'), 'ignored'); // A note name would give the answer away
+
+  assert.equal(engine.answerInterval(3), 'correct');
+  assert.equal(engine.score, 1);
+  assert.deepEqual(log[0][2].interval, { number: 3, quality: null });
+
+  run(engine, 200);
+  assert.equal(engine.answerInterval(4, 'P'), 'wrong'); // F4-B4 is an augmented 4th
+  assert.equal(engine.lives, 2);
+  assert.equal(log[1][1].length, 2);
+  assert.equal(engine.answerInterval(4), 'ignored'); // No interval left to answer
+});
+
+test('melodic intervals are spread out to be read in sequence', () => {
+  const engine = new GameEngine({ intervals: 'melodic', pickNote: () => ['C5', 'E5'] });
+  engine.tick(FRAME_MS);
+  const [first, second] = engine.notes;
+  assert.equal(Math.abs(second.x - first.x), 50);
+});
+
+test('played intervals answer through the chord rules', () => {
+  const engine = new GameEngine({ intervals: 'both', pickNote: () => ['C5', 'E5'] });
+  engine.tick(FRAME_MS);
+  assert.equal(engine.input('C', 5), 'chordProgress');
+  assert.equal(engine.input('E', 5), 'correct');
+});
+
+test('dynamics mode needs the velocity of the marking', () => {
+  const engine = new GameEngine({ dynamics: true, notes: ['G4'], random: inOrder(0, 0, 0, 0.9) }); // Note, then marking
+  const log = record(engine, 'wrong');
+  engine.tick(FRAME_MS);
+  assert.equal(engine.notes[0].dynamic, 'p');
+  assert.deepEqual(engine.notes[0].velocityBand, [1, 66]);
+  assert.equal(engine.input('G', 4, null, 40), 'correct');
+
+  assert.equal(engine.notes[0].dynamic, 'f');
+  assert.equal(engine.input('G', 4, null, 40), 'wrong');
+  assert.deepEqual(log[0][3].dynamicMiss, { marking: 'f', tooLoud: false });
+
+  run(engine, 2500);
+  assert.equal(engine.input('G'), 'wrong'); // The computer keyboard has no velocity
+  assert.equal(log[1][3].dynamicMiss.tooLoud, null);
+});
+
+test('ear training hides the notes and checks the octave of played notes', () => {
+  const engine = new GameEngine({ earTraining: true, notes: ['C5'] });
+  engine.tick(FRAME_MS);
+  assert.equal(engine.notes[0].hidden, true);
+  assert.equal(engine.input('C', 4), 'wrong');
+  assert.equal(engine.input('C', 5), 'correct');
+  assert.equal(engine.input('C'), 'correct'); // Letter keys have no octave to check
+});
+
+test('hits and misses judged outside the engine score and cost lives', () => {
+  const engine = new GameEngine({ notes: ['G4'] });
+  const log = record(engine, 'levelUp', 'gameOver');
+  for (let i = 0; i < 5; i++) engine.scoreHit(2, 'treble');
+  for (let i = 0; i < 5; i++) engine.scoreHit(1, 'treble');
+  assert.equal(engine.score, 15);
+  assert.equal(engine.notesDestroyed, 10);
+  assert.deepEqual(log, [['levelUp', 2, false]]);
+
+  engine.loseLife();
+  engine.loseLife();
+  engine.loseLife();
+  assert.equal(engine.isRunning, false);
+  assert.deepEqual(log[1], ['gameOver', 15, 2, 10]);
+});
+
+test('a held note is scored on how long its key stays down', () => {
+  const play = heldMs => {
+    const engine = new GameEngine({ heldNotes: true, notes: ['G4'], random: () => 0 }); // Half notes, 1000 ms
+    const log = record(engine, 'hold', 'correct');
+    engine.tick(FRAME_MS);
+    assert.equal(engine.notes[0].holdMs, 1000);
+    assert.equal(engine.input('G', null, null, null, true), 'held');
+    const x = engine.notes[0].x;
+    run(engine, heldMs);
+    assert.equal(engine.notes[0].x, x); // Held notes stay where they were answered
+    assert.equal(engine.release('G'), true);
+    assert.equal(log[0][0], 'hold');
+    return { hold: log[1][2].hold, score: engine.score };
+  };
+  assert.deepEqual(play(1000), { hold: 'inTime', score: 2 });
+  assert.deepEqual(play(850), { hold: 'inTime', score: 2 });
+  assert.deepEqual(play(700), { hold: 'early', score: 1 });
+  assert.deepEqual(play(1300), { hold: 'late', score: 1 });
+});
+
+test('a key held far too long lets go by itself', () => {
+  const engine = new GameEngine({ heldNotes: true, notes: ['G4'], random: () => 0 });
+  const log = record(engine, 'correct');
+  engine.tick(FRAME_MS);
+  engine.input('G', 4, null, null, true);
+  run(engine, 1450);
+  assert.equal(log.length, 0);
+  run(engine, 100);
+  assert.equal(log[0][2].hold, 'late');
+  assert.equal(engine.score, 1);
+  assert.equal(engine.release('G', 4), false); // Nothing held any more
+});
+
+test('a held note answered without a key-up is held in time', () => {
+  const engine = new GameEngine({ heldNotes: true, notes: ['G4'], random: () => 0 });
+  const log = record(engine, 'correct');
+  engine.tick(FRAME_MS);
+  assert.equal(engine.input('G'), 'held'); // Buttons and the microphone
+  run(engine, 950);
+  assert.equal(log.length, 0);
+  run(engine, 100);
+  assert.equal(log[0][2].hold, 'inTime');
+  assert.equal(engine.score, 2);
+});
+
+test('a key-up lets go of the note that key holds', () => {
+  const engine = new GameEngine({ heldNotes: true, notes: ['F#4'], random: () => 0 });
+  engine.tick(FRAME_MS);
+  engine.input('F#', 4, null, null, true);
+  assert.equal(engine.getHeldNote('F', 4), null); // Another MIDI key
+  assert.equal(engine.getHeldNote('F#', 5), null);
+  assert.equal(engine.getHeldNote('F#', 4), engine.notes[0]);
+  assert.equal(engine.getHeldNote('F'), engine.notes[0]); // A letter key, whatever accidental it was held with
+});
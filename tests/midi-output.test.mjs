@@ -0,0 +1,96 @@
+/**
+ * MIDI output tests: node --test tests/ (after compiling with tsc)
+ * The player sends to a mock output on a clock the test moves by hand
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MidiOutputPlayer, readMidiOutputSettings, noteOnMessage, noteOffMessage } from '../dist/midi/midi-output.js';
+import { MockMidiOutput } from '../dist/midi/midi-mock.js';
+
+function setup(settings = {}) {
+  const clock = { time: 1000 };
+  const output = new MockMidiOutput();
+  const player = new MidiOutputPlayer(output, settings, () => clock.time);
+  return { clock, output, player };
+}
+
+test('note messages carry the channel in the status byte', () => {
+  assert.deepEqual(noteOnMessage(0, 60, 100), [0x90, 60, 100]);
+  assert.deepEqual(noteOnMessage(3, 60, 1), [0x93, 60, 1]);
+  assert.deepEqual(noteOffMessage(15, 72), [0x8F, 72, 0]);
+});
+
+test('played notes are scheduled on and then off after the note length', () => {
+  const { output, player } = setup({ channel: 2, noteLength: 500 });
+  player.playNotes([60, 64], 100);
+
+  assert.deepEqual(output.sent, [
+    { data: [0x92, 60, 80], timestamp: 1100 },
+    { data: [0x82, 60, 0], timestamp: 1600 },
+    { data: [0x92, 64, 80], timestamp: 1100 },
+    { data: [0x82, 64, 0], timestamp: 1600 }
+  ]);
+  assert.deepEqual(output.notesOn(2, 1099), []);
+  assert.deepEqual(output.notesOn(2, 1300), [60, 64]);
+  assert.deepEqual(output.notesOn(2), []);
+});
+
+test('hints and echoes are only played when turned on', () => {
+  const off = setup();
+  off.player.playHint([60]);
+  off.player.playEcho([62]);
+  assert.equal(off.output.sent.length, 0);
+
+  const on = setup({ hint: true, echo: true });
+  on.player.playHint([60]);
+  on.player.playEcho([62]);
+  assert.deepEqual(on.output.sent.filter(message => message.data[0] === 0x90).map(message => message.data[1]), [60, 62]);
+});
+
+test('key lights use the channel of each hand and only change what differs', () => {
+  const { output, player } = setup({ keyLights: true, lightChannels: { treble: 3, bass: 2 } });
+
+  player.setKeyLights([{ midi: 48, clef: 'bass' }, { midi: 64, clef: 'treble' }]);
+  assert.deepEqual(output.notesOn(2), [48]);
+  assert.deepEqual(output.notesOn(3), [64]);
+  assert.deepEqual(output.notesOn(0), [], 'Nothing sounds on the playing channel');
+
+  output.clear();
+  player.setKeyLights([{ midi: 64, clef: 'treble' }, { midi: 67, clef: 'treble' }]);
+  assert.deepEqual(output.sent.map(message => message.data), [[0x82, 48, 0], [0x93, 67, 1]]);
+
+  player.setKeyLights([]);
+  assert.deepEqual(output.notesOn(3), []);
+});
+
+test('key lights stay dark when turned off, and go dark when turned off later', () => {
+  const dark = setup();
+  dark.player.setKeyLights([{ midi: 60, clef: 'treble' }]);
+  assert.equal(dark.output.sent.length, 0);
+
+  const { output, player } = setup({ keyLights: true });
+  player.setKeyLights([{ midi: 60, clef: 'treble' }]);
+  player.updateSettings({ keyLights: false });
+  assert.deepEqual(output.notesOn(3), []);
+});
+
+test('lit keys move when a light channel changes', () => {
+  const { output, player } = setup({ keyLights: true });
+  player.setKeyLights([{ midi: 60, clef: 'treble' }]);
+  player.updateSettings({ lightChannels: { treble: 5, bass: 2 } });
+  player.setKeyLights([{ midi: 60, clef: 'treble' }]);
+
+  assert.deepEqual(output.notesOn(3), []);
+  assert.deepEqual(output.notesOn(5), [60]);
+});
+
+test('saved settings are checked', () => {
+  const settings = readMidiOutputSettings({ hint: true, echo: 'yes', channel: 16, lightChannels: { treble: 0, bass: -1 } });
+  assert.equal(settings.hint, true);
+  assert.equal(settings.echo, false);
+  assert.equal(settings.channel, 0);
+  assert.deepEqual(settings.lightChannels, { treble: 0, bass: 2 });
+  assert.equal(readMidiOutputSettings(undefined).keyLights, false);
+});
@@ -0,0 +1,100 @@
+/**
+ * Game page tests: node --test tests/ (after compiling with tsc)
+ * script.js runs in a VM context on a stand-in page, with the engine modules it gets from
+ * dist/engine/engine-integration.js in the browser
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+import { GameEngine } from '../dist/engine/game-engine.js';
+import * as gameRules from '../dist/engine/engine-utils.js';
+
+const SCRIPT = readFileSync(new URL('../script.js', import.meta.url), 'utf8');
+
+// Anything the page asks the DOM for: every property is another stand-in, and calling one returns one
+function standIn() {
+  const target = function() {};
+  return new Proxy(target, {
+    get(object, key) {
+      if (key === Symbol.toPrimitive) return () => 0;
+      if (key === 'then') return undefined; // Not a promise
+      if (!(key in object)) object[key] = standIn();
+      return object[key];
+    },
+    apply: () => standIn(),
+    construct: () => standIn()
+  });
+}
+
+// script.js on a page with the given localStorage; run(code) evaluates code among its globals
+function loadPage(storage = {}) {
+  const page = {
+    console, setTimeout, clearTimeout, setInterval, clearInterval, Date, Math, JSON, Promise, URL, URLSearchParams,
+    localStorage: {
+      getItem: key => storage[key] ?? null,
+      setItem: (key, value) => { storage[key] = String(value); },
+      removeItem: key => { delete storage[key]; }
+    },
+    navigator: { userAgent: 'node' },
+    location: { search: '' },
+    performance: { now: () => Date.now() },
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+    Image: function() { return standIn(); },
+    document: standIn(),
+    GameEngine: GameEngine,
+    gameRules: gameRules
+  };
+  page.window = page;
+  page.addEventListener = () => {};
+  vm.createContext(page);
+  vm.runInContext(SCRIPT, page, { filename: 'script.js' });
+  return code => vm.runInContext(code, page);
+}
+
+test('the music comes back at the level the game is on', async () => {
+  const run = loadPage();
+  run('loadGameSettings(); startEngine(); gameSettings.music = true');
+  for (let i = 0; i < 20; i++) run("engine.scoreHit(1, 'treble')");
+  assert.equal(run('engine.level'), 3);
+
+  const button = { textContent: '🎵' };
+  const toggle = run('toggleMusic');
+  await toggle(button);
+  assert.equal(button.textContent, '🔇');
+  assert.equal(run('gameSettings.music'), false);
+
+  await toggle(button);
+  assert.equal(button.textContent, '🎵');
+  assert.deepEqual([...run('activeMusicTracks')], ['musicLevel2', 'musicLevel3']);
+});
+
+test('an interval reaching the clef is one missed interval in the statistics', () => {
+  const run = loadPage();
+  run(`loadGameSettings(); intervalModeActive = true; intervalStyle = 'harmonic';
+    pickRandomNote = () => [{ scientific: 'E4', clef: 'treble' }, { scientific: 'G4', clef: 'treble' }];
+    getSpawnX = () => 800; getCollisionX = () => 100; // No staves are drawn here
+    startEngine()`);
+  run('while (engine.lives === 3) engine.tick(100)');
+
+  const attempts = JSON.parse(run('JSON.stringify(attemptLog)'));
+  assert.equal(attempts.length, 1);
+  assert.equal(attempts[0].type, 'interval');
+  assert.equal(attempts[0].mode, 'intervals');
+  assert.equal(attempts[0].target, 'm3');
+  assert.equal(attempts[0].pressed, null);
+  assert.equal(attempts[0].correct, false);
+});
+
+test('a replay does not start from the live attempt history', () => {
+  const attempt = { time: 1, type: 'note', clef: 'treble', target: 'E4', pressed: 'E', correct: true };
+  const run = loadPage({ noteGameAttempts: JSON.stringify([attempt]) });
+  run('loadAttemptLog()');
+  assert.equal(run('attemptLog.length'), 1);
+
+  run("attemptLog = []; replay = { storage: {} }; loadAttemptLog()");
+  assert.equal(run('attemptLog.length'), 0);
+});